@@ -0,0 +1,69 @@
+import { fitIsotonic, applyCalibration, brierScore } from '../../ai/Calibration.js';
+
+describe('fitIsotonic', () => {
+  it('returns no points for no pairs', () => {
+    expect(fitIsotonic([])).toEqual([]);
+  });
+
+  it('keeps already increasing rates as they are, sorted by x', () => {
+    const points = fitIsotonic([{ x: 0.8, y: 1 }, { x: 0.2, y: 0 }, { x: 0.5, y: 1 }]);
+    expect(points).toEqual([{ x: 0.2, y: 0 }, { x: 0.5, y: 1 }, { x: 0.8, y: 1 }]);
+  });
+
+  it('pools adjacent violators into one block at their mean', () => {
+    const points = fitIsotonic([{ x: 0.4, y: 1 }, { x: 0.6, y: 0 }]);
+    expect(points).toHaveLength(1);
+    expect(points[0].x).toBeCloseTo(0.5);
+    expect(points[0].y).toBeCloseTo(0.5);
+  });
+
+  it('gives equal probabilities one shared rate', () => {
+    const points = fitIsotonic([{ x: 0.3, y: 1 }, { x: 0.3, y: 0 }, { x: 0.3, y: 0 }, { x: 0.9, y: 1 }]);
+    expect(points).toHaveLength(2);
+    expect(points[0]).toEqual({ x: 0.3, y: 1 / 3 });
+    expect(points[1]).toEqual({ x: 0.9, y: 1 });
+  });
+
+  it('always returns non-decreasing rates', () => {
+    const pairs = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8].map((x, i) => ({ x, y: [1, 0, 1, 0, 0, 1, 0, 1][i] }));
+    const points = fitIsotonic(pairs);
+    for (let i = 1; i < points.length; i++) {
+      expect(points[i].y).toBeGreaterThanOrEqual(points[i - 1].y);
+      expect(points[i].x).toBeGreaterThan(points[i - 1].x);
+    }
+  });
+});
+
+describe('applyCalibration', () => {
+  const points = [{ x: 0.4, y: 0.2 }, { x: 0.6, y: 0.5 }, { x: 0.8, y: 0.9 }];
+
+  it('passes x through when there are no points', () => {
+    expect(applyCalibration([], 0.7)).toBe(0.7);
+    expect(applyCalibration(null, 0.7)).toBe(0.7);
+  });
+
+  it('clamps below the first and above the last point', () => {
+    expect(applyCalibration(points, 0.1)).toBe(0.2);
+    expect(applyCalibration(points, 0.99)).toBe(0.9);
+  });
+
+  it('returns a point exactly at its x', () => {
+    expect(applyCalibration(points, 0.6)).toBe(0.5);
+  });
+
+  it('interpolates linearly between points', () => {
+    expect(applyCalibration(points, 0.5)).toBeCloseTo(0.35);
+    expect(applyCalibration(points, 0.7)).toBeCloseTo(0.7);
+  });
+});
+
+describe('brierScore', () => {
+  it('is null without pairs', () => {
+    expect(brierScore([])).toBeNull();
+  });
+
+  it('is the mean squared error against the outcomes', () => {
+    expect(brierScore([{ x: 1, y: 1 }, { x: 0, y: 0 }])).toBe(0);
+    expect(brierScore([{ x: 0.8, y: 1 }, { x: 0.4, y: 0 }])).toBeCloseTo((0.04 + 0.16) / 2);
+  });
+});
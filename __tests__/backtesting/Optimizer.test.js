@@ -0,0 +1,89 @@
+import { buildCandidates, buildFolds } from '../../backtesting/Optimizer.js';
+
+// Only the pure helpers are under test; keep the engine and strategy catalog (and their model imports) out
+jest.mock('../../backtesting/BacktestEngine.js', () => ({ __esModule: true, default: {}, STRATEGY_WINDOW: 250 }));
+jest.mock('../../controllers/strategyController.js', () => ({ findStrategy: jest.fn(), validateStrategyParams: jest.fn() }));
+
+describe('buildCandidates', () => {
+  it('spreads an integer range over five grid values', () => {
+    const { candidates, error } = buildCandidates({ period: { min: 10, max: 30 } });
+    expect(error).toBeNull();
+    expect(candidates.map(c => c.period)).toEqual([10, 15, 20, 25, 30]);
+  });
+
+  it('spreads a decimal range evenly and honours an explicit step', () => {
+    expect(buildCandidates({ k: { min: 0.5, max: 1.5 } }).candidates.map(c => c.k)).toEqual([0.5, 0.75, 1, 1.25, 1.5]);
+    expect(buildCandidates({ k: { min: 0.1, max: 0.3, step: 0.1 } }).candidates.map(c => c.k)).toEqual([0.1, 0.2, 0.3]);
+  });
+
+  it('uses listed values once each and a fixed range as a single value', () => {
+    expect(buildCandidates({ mode: { values: ['a', 'b', 'a'] } }).candidates).toEqual([{ mode: 'a' }, { mode: 'b' }]);
+    expect(buildCandidates({ period: { min: 14, max: 14 } }).candidates).toEqual([{ period: 14 }]);
+  });
+
+  it('takes the cartesian product of every range', () => {
+    const { candidates } = buildCandidates({ fast: { values: [5, 10] }, slow: { values: [20, 30, 40] } });
+    expect(candidates).toHaveLength(6);
+    expect(candidates).toContainEqual({ fast: 10, slow: 30 });
+    expect(new Set(candidates.map(c => JSON.stringify(c))).size).toBe(6);
+  });
+
+  it('refuses a grid over the candidate limit', () => {
+    const { candidates, error } = buildCandidates({
+      a: { min: 1, max: 15, step: 1 },
+      b: { min: 1, max: 15, step: 1 },
+    });
+    expect(candidates).toEqual([]);
+    expect(error).toMatch(/^Grid has 225 combinations \(max 200\)/);
+  });
+
+  it('samples distinct random candidates within the ranges', () => {
+    const { candidates, error } = buildCandidates(
+      { period: { min: 5, max: 50 }, k: { min: 1, max: 3 } },
+      { searchMethod: 'random', samples: 20 },
+    );
+    expect(error).toBeNull();
+    expect(candidates.length).toBeGreaterThan(0);
+    expect(candidates.length).toBeLessThanOrEqual(20);
+    expect(new Set(candidates.map(c => JSON.stringify(c))).size).toBe(candidates.length);
+    for (const { period, k } of candidates) {
+      expect(Number.isInteger(period)).toBe(true);
+      expect(period).toBeGreaterThanOrEqual(5);
+      expect(period).toBeLessThanOrEqual(50);
+      expect(k).toBeGreaterThanOrEqual(1);
+      expect(k).toBeLessThanOrEqual(3);
+    }
+  });
+
+  it('stops random sampling at the size of a small discrete space', () => {
+    const { candidates } = buildCandidates({ mode: { values: ['a', 'b'] } }, { searchMethod: 'random', samples: 10 });
+    expect(candidates.map(c => c.mode).sort()).toEqual(['a', 'b']);
+  });
+});
+
+describe('buildFolds', () => {
+  it('splits the bars after the warm-up window into train/test folds', () => {
+    // 300 tradable bars after the 249 warm-up bars: three chunks of 100, 70 train / 30 test
+    expect(buildFolds(549)).toEqual([
+      { fold: 1, train: [249, 319], test: [319, 349] },
+      { fold: 2, train: [349, 419], test: [419, 449] },
+      { fold: 3, train: [449, 519], test: [519, 549] },
+    ]);
+  });
+
+  it('gives the last fold the bars left over by the division', () => {
+    const folds = buildFolds(551);
+    expect(folds[2]).toEqual({ fold: 3, train: [449, 520], test: [520, 551] });
+  });
+
+  it('honours the fold count and train share', () => {
+    expect(buildFolds(449, { folds: 2, trainPct: 0.5 })).toEqual([
+      { fold: 1, train: [249, 299], test: [299, 349] },
+      { fold: 2, train: [349, 399], test: [399, 449] },
+    ]);
+  });
+
+  it('returns null when a test window would be too short', () => {
+    expect(buildFolds(400)).toBeNull();
+  });
+});
@@ -0,0 +1,157 @@
+import SimulatedLedger from '../../backtesting/SimulatedLedger.js';
+
+// DemoSimulator pulls in the market data service, whose cache pruning timer would keep jest alive
+jest.mock('../../services/MarketDataService.js', () => ({ __esModule: true, default: {} }));
+
+const SPREAD = 0.0005;   // BTCUSDT is a major pair
+const FEE    = 0.001;
+
+const newBot = (extra = {}) => ({
+  strategyParams: {},
+  stats: {
+    totalTrades: 0, totalPnL: 0, winningTrades: 0, losingTrades: 0, grossProfit: 0, grossLoss: 0,
+    profitFactor: 0, winRate: 0, consecutiveLosses: 0, lastTradeAt: null,
+  },
+  ...extra,
+});
+
+const T0 = Date.UTC(2026, 0, 5, 10);
+
+describe('SimulatedLedger', () => {
+  it('opens a long at the spread-widened price and pays for it with the fee', () => {
+    const bot = newBot();
+    const ledger = new SimulatedLedger(bot, 1000);
+    const position = ledger.openPosition({ amount: 1, stopLossPrice: 95, takeProfitPrice: 120 }, 'BTCUSDT', 100, T0);
+
+    const entry = 100 * (1 + SPREAD);
+    expect(position).toMatchObject({ side: 'long', amount: 1, remainingAmount: 1, takeProfitPrice: 120, exitTargets: [] });
+    expect(position.entryPrice).toBeCloseTo(entry);
+    expect(position.entryFee).toBeCloseTo(entry * FEE);
+    expect(ledger.cash).toBeCloseTo(1000 - entry * (1 + FEE));
+    expect(ledger.openPositions).toEqual([position]);
+    expect(ledger.trades).toEqual([expect.objectContaining({ side: 'buy', pnl: null, triggerReason: 'entry' })]);
+    expect(bot.stats.totalTrades).toBe(1);
+  });
+
+  it('refuses an entry the virtual balance cannot pay for', () => {
+    const ledger = new SimulatedLedger(newBot(), 50);
+    expect(ledger.openPosition({ amount: 1, stopLossPrice: 95 }, 'BTCUSDT', 100, T0)).toBeNull();
+    expect(ledger.cash).toBe(50);
+    expect(ledger.trades).toEqual([]);
+  });
+
+  it('closes a long with both fees in its P&L and returns the proceeds', () => {
+    const bot = newBot();
+    const ledger = new SimulatedLedger(bot, 1000);
+    const position = ledger.openPosition({ amount: 1, stopLossPrice: 95 }, 'BTCUSDT', 100, T0);
+    const pnl = ledger.closePosition(position, 'take_profit', 110, T0 + 60_000);
+
+    const entry = 100 * (1 + SPREAD);
+    const exit  = 110 * (1 - SPREAD);
+    expect(pnl).toBeCloseTo(exit - entry - (entry + exit) * FEE);
+    expect(ledger.cash).toBeCloseTo(1000 + pnl);
+    expect(position).toMatchObject({ status: 'closed', closeReason: 'take_profit', remainingAmount: 0 });
+    expect(position.closePrice).toBeCloseTo(exit);
+    expect(ledger.openPositions).toEqual([]);
+    expect(ledger.closed).toEqual([position]);
+    expect(ledger.trades[1]).toMatchObject({ side: 'sell', triggerReason: 'take_profit', positionSide: 'long' });
+    expect(bot.stats).toMatchObject({ totalTrades: 2, winningTrades: 1, losingTrades: 0, winRate: 100, consecutiveLosses: 0 });
+  });
+
+  it('records a short entry as a sell and its close as a buy', () => {
+    const bot = newBot();
+    const ledger = new SimulatedLedger(bot, 1000);
+    const position = ledger.openPosition({ side: 'short', amount: 1, stopLossPrice: 105 }, 'BTCUSDT', 100, T0);
+    expect(ledger.cash).toBe(1000);
+
+    const pnl = ledger.closePosition(position, 'stop_loss', 105, T0 + 60_000);
+    const entry = 100 * (1 - SPREAD);
+    const exit  = 105 * (1 + SPREAD);
+    expect(pnl).toBeCloseTo(entry - exit - (entry + exit) * FEE);
+    expect(ledger.cash).toBeCloseTo(1000 + pnl);
+    expect(ledger.trades.map(t => t.side)).toEqual(['sell', 'buy']);
+    expect(bot.stats).toMatchObject({ losingTrades: 1, consecutiveLosses: 1, winRate: 0 });
+  });
+
+  it('takes a partial exit and moves the stop to breakeven', () => {
+    const ledger = new SimulatedLedger(newBot(), 1000);
+    const position = ledger.openPosition({ amount: 2, stopLossPrice: 95, tp1Price: 105 }, 'BTCUSDT', 100, T0);
+    const pnl = ledger.partialClosePosition(position, { portion: 0.5 }, 106, T0 + 60_000);
+
+    expect(position.remainingAmount).toBeCloseTo(1);
+    expect(position).toMatchObject({ tp1Hit: true, trailingStopActive: true, stopLossPrice: position.entryPrice });
+    expect(position.realizedPnL).toBe(pnl);
+    expect(ledger.trades[1]).toMatchObject({ triggerReason: 'take_profit_1', amount: 1 });
+  });
+
+  describe('exit ladders', () => {
+    const ladderBot = () => newBot({
+      exitLadder: { enabled: true, legs: [{ rMultiple: 1, portion: 0.5, moveStopTo: 'breakeven' }, { rMultiple: 2, portion: 0.25 }] },
+    });
+
+    it('builds targets in place of the strategy take profit', () => {
+      const ledger = new SimulatedLedger(ladderBot(), 1000);
+      const position = ledger.openPosition({ amount: 1, stopLossPrice: 95, takeProfitPrice: 120, tp1Price: 105 }, 'BTCUSDT', 100, T0);
+
+      const entry = 100 * (1 + SPREAD);
+      expect(position.takeProfitPrice).toBeNull();
+      expect(position.tp1Price).toBeNull();
+      expect(position.exitTargets.map(t => t.amount)).toEqual([0.5, 0.25]);
+      expect(position.exitTargets[0].price).toBeCloseTo(entry + (entry - 95));
+      expect(position.exitTargets[1].price).toBeCloseTo(entry + 2 * (entry - 95));
+    });
+
+    it('takes a target, applies its stop move and leaves the runner open', () => {
+      const bot = ladderBot();
+      const ledger = new SimulatedLedger(bot, 1000);
+      const position = ledger.openPosition({ amount: 1, stopLossPrice: 95 }, 'BTCUSDT', 100, T0);
+      const pnl = ledger.takeTarget(position, 0, 106, T0 + 60_000);
+
+      expect(position.exitTargets[0]).toMatchObject({ status: 'filled', pnl, filledAt: T0 + 60_000 });
+      expect(position.remainingAmount).toBeCloseTo(0.5);
+      expect(position.stopLossPrice).toBe(position.entryPrice);
+      expect(position.trailingStopActive).toBe(false);
+      expect(ledger.trades[1]).toMatchObject({ side: 'sell', triggerReason: 'take_profit_ladder', amount: 0.5 });
+
+      ledger.takeTarget(position, 1, 112, T0 + 120_000);
+      expect(position.remainingAmount).toBeCloseTo(0.25);
+      expect(position.trailingStopActive).toBe(true);
+      expect(ledger.openPositions).toEqual([position]);
+      expect(bot.stats.winningTrades).toBe(2);
+    });
+
+    it('charges each leg its share of the entry fee', () => {
+      const ledger = new SimulatedLedger(ladderBot(), 1000);
+      const position = ledger.openPosition({ amount: 1, stopLossPrice: 95 }, 'BTCUSDT', 100, T0);
+      ledger.takeTarget(position, 0, 106, T0 + 60_000);
+      ledger.closePosition(position, 'stop_loss', 100, T0 + 120_000);
+
+      const fees = ledger.trades.slice(1).reduce((sum, t) => sum + t.fee, 0);
+      const gross = ledger.trades.slice(1).reduce((sum, t) => sum + (t.price - position.entryPrice) * t.amount, 0);
+      expect(position.realizedPnL).toBeCloseTo(gross - fees - position.entryFee);
+    });
+  });
+
+  it('marks open positions to market through the risk engine', () => {
+    const ledger = new SimulatedLedger(newBot(), 1000);
+    const position = ledger.openPosition({ amount: 2, stopLossPrice: 95 }, 'BTCUSDT', 100, T0);
+    const riskEngine = { updateTrailingStop: jest.fn() };
+
+    const unrealized = ledger.markToMarket(110, riskEngine);
+    expect(unrealized).toBeCloseTo((110 - position.entryPrice) * 2 - position.entryFee);
+    expect(position.currentPrice).toBe(110);
+    expect(riskEngine.updateTrailingStop).toHaveBeenCalledWith(position, 110, {});
+  });
+
+  it('counts only exits since UTC midnight towards the daily P&L', () => {
+    const ledger = new SimulatedLedger(newBot(), 1000);
+    const yesterday = Date.UTC(2026, 0, 4, 22);
+    const first = ledger.openPosition({ amount: 1, stopLossPrice: 95 }, 'BTCUSDT', 100, yesterday);
+    const lossYesterday = ledger.closePosition(first, 'stop_loss', 96, yesterday + 60_000);
+    const second = ledger.openPosition({ amount: 1, stopLossPrice: 95 }, 'BTCUSDT', 100, T0);
+    const gainToday = ledger.closePosition(second, 'take_profit', 104, T0 + 60_000);
+
+    expect(lossYesterday).toBeLessThan(0);
+    expect(ledger.dailyPnL(T0 + 120_000)).toBeCloseTo(gainToday);
+  });
+});
@@ -0,0 +1,111 @@
+import botEngine from '../../../services/bot/BotEngine.js';
+import BotConfig from '../../../models/bot/BotConfig.js';
+import Position from '../../../models/bot/Position.js';
+import marketDataService from '../../../services/MarketDataService.js';
+import strategyRegistry from '../../../services/strategies/StrategyRegistry.js';
+import orderManager from '../../../services/bot/OrderManager.js';
+import riskEngine from '../../../services/bot/RiskEngine.js';
+import portfolioRisk from '../../../services/bot/PortfolioRiskEngine.js';
+import botJournal from '../../../services/bot/BotJournal.js';
+
+// SignalModel needs import.meta (not available to babel-jest); the market data
+// service's cache pruning timer would keep jest alive — neither is exercised here
+jest.mock('../../../ai/SignalModel.js', () => ({ __esModule: true, default: {} }));
+jest.mock('../../../services/MarketDataService.js', () => ({ __esModule: true, default: { fetchCandles: jest.fn() } }));
+
+const candles = (last = { high: 101, low: 99 }) => [
+  ...Array.from({ length: 59 }, () => ({ open: 100, high: 101, low: 99, close: 100, volume: 10 })),
+  { open: 100, close: 100, volume: 10, ...last },
+];
+
+const watchlistBot = () => ({
+  _id: 'bot1',
+  userId: 'user1',
+  name: 'Watchlist bot',
+  status: 'running',
+  symbol: 'MULTI',
+  watchlist: [{ symbol: 'BTCUSDT', weight: 1 }, { symbol: 'ETHUSDT', weight: 1 }],
+  watchlistRanking: 'weight',
+  strategyId: 'ema_crossover',
+  exchange: 'binance',
+  marketType: 'spot',
+  isDemo: true,
+  capitalAllocation: { totalCapital: 1000, maxOpenPositions: 2 },
+  strategyParams: {},
+  riskParams: {},
+  stats: { totalPnL: 0, startingCapital: 1000, peakCapital: 1000 },
+  volatilityPause: { enabled: true, atrSpikeMultiplier: 3, btcMovePct: 0, pauseMinutes: 60 },
+  volatilityPauseSymbols: {},
+});
+
+describe('BotEngine watchlist tick', () => {
+  let bot;
+  let analyze;
+  let events;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    bot = watchlistBot();
+    events = [];
+    analyze = jest.fn(async (scoped, symbolCandles) => [{
+      action: 'buy', side: 'long', amount: 1, portionIndex: 0,
+      stopLossPrice: symbolCandles.at(-1).close * 0.95, seenCapital: scoped.capitalAllocation.totalCapital,
+    }]);
+
+    jest.spyOn(BotConfig, 'findById').mockImplementation(async () => bot);
+    jest.spyOn(BotConfig, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Position, 'find').mockResolvedValue([]);
+    jest.spyOn(Position, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(strategyRegistry, 'resolve').mockResolvedValue({ strategy: { analyze }, timeframe: '1h' });
+    jest.spyOn(orderManager, 'syncExitLadder').mockResolvedValue([]);
+    jest.spyOn(orderManager, 'syncProtection').mockResolvedValue({ open: [], closed: [] });
+    jest.spyOn(orderManager, 'syncFuturesState').mockResolvedValue();
+    jest.spyOn(orderManager, 'openPosition').mockImplementation(async (b, signal, symbol) => ({
+      position: { _id: `pos-${symbol}`, side: 'long', entryPrice: 100, amount: signal.amount, stopLossPrice: signal.stopLossPrice },
+    }));
+    jest.spyOn(riskEngine, 'checkCanOpenPosition').mockResolvedValue({ allowed: true, reason: null });
+    jest.spyOn(riskEngine, 'shouldPauseBot').mockReturnValue(null);
+    jest.spyOn(portfolioRisk, 'checkCanOpen').mockResolvedValue({ allowed: true, reason: null });
+    jest.spyOn(portfolioRisk, 'checkDailyLoss').mockResolvedValue(null);
+    jest.spyOn(botJournal, '_write').mockImplementation(async (b, written) => { events.push(...written); });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('runs the strategy on each symbol\'s candles and opens the entries', async () => {
+    marketDataService.fetchCandles.mockImplementation(async () => candles());
+
+    await botEngine._tick('bot1');
+
+    expect(marketDataService.fetchCandles.mock.calls.map(c => c[0])).toEqual(['BTCUSDT', 'ETHUSDT']);
+    expect(analyze.mock.calls.map(([scoped]) => scoped.symbol)).toEqual(['BTCUSDT', 'ETHUSDT']);
+    expect(analyze.mock.calls.map(([scoped]) => scoped.capitalAllocation.totalCapital)).toEqual([500, 500]);
+    expect(orderManager.openPosition.mock.calls.map(c => c[2])).toEqual(['BTCUSDT', 'ETHUSDT']);
+    expect(portfolioRisk.checkCanOpen).toHaveBeenCalledWith(bot, { symbol: 'ETHUSDT', amount: 1, price: 100 });
+    expect(events.filter(e => e.type === 'error')).toEqual([]);
+  });
+
+  it('pauses entries only on the symbol whose candle spiked', async () => {
+    marketDataService.fetchCandles.mockImplementation(async (symbol) =>
+      candles(symbol === 'ETHUSDT' ? { high: 115, low: 95 } : undefined));
+
+    await botEngine._tick('bot1');
+
+    expect(orderManager.openPosition.mock.calls.map(c => c[2])).toEqual(['BTCUSDT']);
+    expect(BotConfig.findByIdAndUpdate).toHaveBeenCalledWith('bot1', {
+      volatilityPauseSymbols: { ETHUSDT: { reason: expect.stringMatching(/^ATR spike/), until: expect.any(Date) } },
+    });
+    expect(events).toContainEqual(expect.objectContaining({
+      type: 'risk_check', symbol: 'ETHUSDT', message: expect.stringMatching(/^Blocked long entry: Volatility pause until/),
+    }));
+  });
+
+  it('skips the tick when no watchlist symbol has candles', async () => {
+    marketDataService.fetchCandles.mockResolvedValue([]);
+
+    await botEngine._tick('bot1');
+
+    expect(analyze).not.toHaveBeenCalled();
+    expect(events).toContainEqual(expect.objectContaining({ message: 'Skipped: no candle data for any watchlist symbol' }));
+  });
+});
@@ -0,0 +1,85 @@
+import exitLadder from '../../../services/bot/ExitLadder.js';
+
+const ladderBot = (legs, extra = {}) => ({ exitLadder: { enabled: true, legs, ...extra } });
+
+describe('ExitLadder.build', () => {
+  const legs = [
+    { rMultiple: 2, portion: 0.3, moveStopTo: 'previous_target' },
+    { rMultiple: 1, portion: 0.3, moveStopTo: 'breakeven' },
+  ];
+
+  it('returns null when the bot has no ladder', () => {
+    expect(exitLadder.build({}, { side: 'long', entryPrice: 100, stopLossPrice: 95, amount: 1 })).toBeNull();
+    expect(exitLadder.build(ladderBot([]), { side: 'long', entryPrice: 100, stopLossPrice: 95, amount: 1 })).toBeNull();
+    expect(exitLadder.build({ exitLadder: { enabled: false, legs } }, { side: 'long', entryPrice: 100, stopLossPrice: 95, amount: 1 })).toBeNull();
+  });
+
+  it('returns null when the stop gives no risk distance', () => {
+    expect(exitLadder.build(ladderBot(legs), { side: 'long', entryPrice: 100, stopLossPrice: 100, amount: 1 })).toBeNull();
+    expect(exitLadder.build(ladderBot(legs), { side: 'long', entryPrice: 100, stopLossPrice: 105, amount: 1 })).toBeNull();
+    expect(exitLadder.build(ladderBot(legs), { side: 'short', entryPrice: 100, stopLossPrice: 95, amount: 1 })).toBeNull();
+  });
+
+  it('prices long legs at R multiples above entry, in R order', () => {
+    const targets = exitLadder.build(ladderBot(legs), { side: 'long', entryPrice: 100, stopLossPrice: 95, amount: 2 });
+    expect(targets).toEqual([
+      { index: 0, rMultiple: 1, price: 105, portion: 0.3, amount: 0.6, moveStopTo: 'breakeven', status: 'pending' },
+      { index: 1, rMultiple: 2, price: 110, portion: 0.3, amount: 0.6, moveStopTo: 'previous_target', status: 'pending' },
+    ]);
+  });
+
+  it('prices short legs below entry', () => {
+    const targets = exitLadder.build(ladderBot(legs), { side: 'short', entryPrice: 100, stopLossPrice: 104, amount: 1 });
+    expect(targets.map(t => t.price)).toEqual([96, 92]);
+  });
+
+  it('defaults a leg without a stop move to none and leaves the config order alone', () => {
+    const bot = ladderBot([{ rMultiple: 1.5, portion: 0.5 }]);
+    const [target] = exitLadder.build(bot, { side: 'long', entryPrice: 10, stopLossPrice: 8, amount: 4 });
+    expect(target).toMatchObject({ price: 13, amount: 2, moveStopTo: 'none' });
+    expect(bot.exitLadder.legs).toEqual([{ rMultiple: 1.5, portion: 0.5 }]);
+  });
+});
+
+describe('ExitLadder.due', () => {
+  const position = {
+    side: 'long',
+    exitTargets: [
+      { index: 0, price: 105, status: 'filled' },
+      { index: 1, price: 110, status: 'pending', orderId: 'abc' },
+      { index: 2, price: 115, status: 'pending' },
+    ],
+  };
+
+  it('lists pending targets the price has reached, skipping resting orders', () => {
+    expect(exitLadder.due(position, 116).map(t => t.index)).toEqual([2]);
+    expect(exitLadder.due(position, 116, true).map(t => t.index)).toEqual([1, 2]);
+    expect(exitLadder.due(position, 109, true)).toEqual([]);
+  });
+});
+
+describe('ExitLadder.afterFill', () => {
+  const bot = ladderBot([{ rMultiple: 1, portion: 0.3 }, { rMultiple: 2, portion: 0.3 }]);
+  const position = (targets, stopLossPrice = 95) => ({ side: 'long', entryPrice: 100, stopLossPrice, exitTargets: targets });
+
+  it('moves the stop to breakeven', () => {
+    const targets = [{ index: 0, price: 105, moveStopTo: 'breakeven', status: 'pending' }, { index: 1, price: 110, status: 'pending' }];
+    expect(exitLadder.afterFill(bot, position(targets), 0)).toEqual({ stopLossPrice: 100 });
+  });
+
+  it('moves the stop to the previous target and trails the runner after the last leg', () => {
+    const targets = [{ index: 0, price: 105, status: 'filled' }, { index: 1, price: 110, moveStopTo: 'previous_target', status: 'pending' }];
+    expect(exitLadder.afterFill(bot, position(targets, 100), 1)).toEqual({ stopLossPrice: 105, trailingStopActive: true });
+  });
+
+  it('never loosens the stop', () => {
+    const targets = [{ index: 0, price: 105, moveStopTo: 'breakeven', status: 'pending' }, { index: 1, price: 110, status: 'pending' }];
+    expect(exitLadder.afterFill(bot, position(targets, 102), 0)).toEqual({ stopLossPrice: 102 });
+  });
+
+  it('leaves the runner alone when runnerTrailing is off', () => {
+    const noTrail = ladderBot(bot.exitLadder.legs, { runnerTrailing: false });
+    const targets = [{ index: 0, price: 105, status: 'pending' }];
+    expect(exitLadder.afterFill(noTrail, position(targets), 0)).toEqual({ stopLossPrice: 95 });
+  });
+});
@@ -0,0 +1,72 @@
+import tradingSchedule from '../../../services/bot/TradingSchedule.js';
+
+// The BTC-move trigger reads candles through the market data service, whose cache pruning timer would keep jest alive
+jest.mock('../../../services/MarketDataService.js', () => ({ __esModule: true, default: {} }));
+
+const calm = Array.from({ length: 30 }, () => ({ open: 100, high: 101, low: 99, close: 100 }));
+const spike = [...calm.slice(0, 29), { open: 100, high: 120, low: 95, close: 118 }];
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+const minutesFromNow = (m) => new Date(NOW.getTime() + m * 60_000);
+
+const pauseBot = (saved = {}, extra = {}) => ({
+  volatilityPause: { enabled: true, atrSpikeMultiplier: 3, btcMovePct: 0, pauseMinutes: 30, ...extra },
+  volatilityPauseSymbols: saved,
+});
+
+describe('TradingSchedule.symbolPauses', () => {
+  it('pauses only the symbol whose last candle spiked, for pauseMinutes', () => {
+    const { paused, changed } = tradingSchedule.symbolPauses(pauseBot(), new Map([['BTCUSDT', calm], ['ETHUSDT', spike]]), NOW);
+
+    expect(changed).toBe(true);
+    expect([...paused.keys()]).toEqual(['ETHUSDT']);
+    expect(paused.get('ETHUSDT')).toEqual({ reason: 'ATR spike: last candle range 12.5x ATR(14)', until: minutesFromNow(30), triggered: true });
+  });
+
+  it('keeps a pause that is still running without re-triggering it', () => {
+    const saved = { ETHUSDT: { until: minutesFromNow(10), reason: 'ATR spike earlier' } };
+    const { paused, changed } = tradingSchedule.symbolPauses(pauseBot(saved), new Map([['ETHUSDT', spike]]), NOW);
+
+    expect(changed).toBe(false);
+    expect(paused.get('ETHUSDT')).toEqual({ reason: 'ATR spike earlier', until: minutesFromNow(10), triggered: false });
+  });
+
+  it('drops expired pauses and reports the change', () => {
+    const saved = new Map([['SOLUSDT', { until: minutesFromNow(-5), reason: 'old' }]]);
+    const { paused, changed } = tradingSchedule.symbolPauses(pauseBot(saved), new Map([['SOLUSDT', calm]]), NOW);
+
+    expect(paused.size).toBe(0);
+    expect(changed).toBe(true);
+  });
+
+  it('reports nothing to save when nothing spiked or was stored', () => {
+    expect(tradingSchedule.symbolPauses(pauseBot(), new Map([['BTCUSDT', calm]]), NOW)).toEqual({ paused: new Map(), changed: false });
+  });
+
+  it('ignores spikes when the ATR trigger is off', () => {
+    const { paused } = tradingSchedule.symbolPauses(pauseBot({}, { atrSpikeMultiplier: 0 }), new Map([['ETHUSDT', spike]]), NOW);
+    expect(paused.size).toBe(0);
+  });
+
+  it('clears stored pauses once the volatility pause is disabled', () => {
+    const bot = pauseBot({ ETHUSDT: { until: minutesFromNow(10), reason: 'ATR spike' } }, { enabled: false });
+    expect(tradingSchedule.symbolPauses(bot, new Map([['ETHUSDT', spike]]), NOW)).toEqual({ paused: new Map(), changed: true });
+  });
+});
+
+describe('TradingSchedule.volatilityPause', () => {
+  it('triggers on an ATR spike in the bot\'s own candles', async () => {
+    const shock = await tradingSchedule.volatilityPause(pauseBot(), spike, NOW);
+    expect(shock).toEqual({ reason: 'ATR spike: last candle range 12.5x ATR(14)', until: minutesFromNow(30), triggered: true });
+  });
+
+  it('sees no spike without candles, as for watchlist bots', async () => {
+    expect(await tradingSchedule.volatilityPause(pauseBot(), [], NOW)).toBeNull();
+  });
+
+  it('reports a pause still running', async () => {
+    const bot = { ...pauseBot(), volatilityPauseUntil: minutesFromNow(5), volatilityPauseReason: 'BTC moved +6.0% in the last hour' };
+    expect(await tradingSchedule.volatilityPause(bot, calm, NOW))
+      .toEqual({ reason: 'BTC moved +6.0% in the last hour', until: minutesFromNow(5), triggered: false });
+  });
+});
@@ -0,0 +1,140 @@
+import RuleBasedStrategy, { validateRuleDocument } from '../../../services/strategies/RuleBasedStrategy.js';
+
+const candlesFrom = (closes) => closes.map(close => ({ open: close, high: close + 1, low: close - 1, close, volume: 100 }));
+
+// 30 flat bars at 100, then a jump to 110 on the last one
+const breakout = candlesFrom([...Array(30).fill(100), 110]);
+
+const crossRules = (extra = {}) => ({
+  entry:    { all: [{ left: { indicator: 'close' }, op: 'crosses_above', right: 105 }] },
+  stopLoss: { type: 'percent', value: 5 },
+  ...extra,
+});
+
+const bot = (extra = {}) => ({ marketType: 'spot', capitalAllocation: { totalCapital: 1000 }, strategyParams: {}, ...extra });
+
+describe('validateRuleDocument', () => {
+  it('accepts a complete document', () => {
+    expect(validateRuleDocument(crossRules({
+      side:       'long',
+      exit:       { any: [{ left: { indicator: 'rsi', period: 14 }, op: '>', right: { indicator: 'value', value: 70 } }] },
+      takeProfit: { type: 'rr', value: 2 },
+      sizing:     { type: 'risk', riskPercent: 1 },
+      maxPositions: 2,
+    }))).toEqual([]);
+  });
+
+  it('rejects anything but an object', () => {
+    expect(validateRuleDocument(null)).toEqual(['rules must be an object']);
+    expect(validateRuleDocument([])).toEqual(['rules must be an object']);
+  });
+
+  it('reports unknown indicators, operators and periods by path', () => {
+    const errors = validateRuleDocument({
+      entry:    { all: [{ left: { indicator: 'macd' }, op: '=>', right: { indicator: 'ema', period: 1 } }] },
+      stopLoss: { type: 'percent', value: 5 },
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^entry\.all\[0\]\.op must be one of/),
+      expect.stringMatching(/^entry\.all\[0\]\.left\.indicator must be one of/),
+      'entry.all[0].right.period must be an integer between 2 and 240',
+    ]));
+  });
+
+  it('requires a stop loss and checks its type', () => {
+    expect(validateRuleDocument({ entry: crossRules().entry })).toContain('stopLoss must be an object');
+    expect(validateRuleDocument(crossRules({ stopLoss: { type: 'rr', value: 2 } })))
+      .toContain('stopLoss.type must be one of: atr, percent');
+    expect(validateRuleDocument(crossRules({ stopLoss: { type: 'percent', value: 100 } })))
+      .toContain('stopLoss.value must be below 100');
+  });
+
+  it('limits nesting depth', () => {
+    const cond = { left: { indicator: 'close' }, op: '>', right: 1 };
+    const nested = { all: [{ any: [{ all: [{ any: [cond] }] }] }] };
+    expect(validateRuleDocument(crossRules({ entry: nested }))).toContain('entry.all[0].any[0].all[0] nests deeper than 3 levels');
+  });
+
+  it('limits the number of conditions across entry and exit', () => {
+    const conds = Array.from({ length: 21 }, () => ({ left: { indicator: 'close' }, op: '>', right: 1 }));
+    expect(validateRuleDocument(crossRules({ entry: { any: conds } })))
+      .toContain('at most 20 conditions are allowed (found 21)');
+  });
+
+  it('checks sizing and maxPositions', () => {
+    expect(validateRuleDocument(crossRules({ sizing: { type: 'risk', riskPercent: 20 } })))
+      .toContain('sizing.riskPercent must be between 0 and 10');
+    expect(validateRuleDocument(crossRules({ sizing: { type: 'portion', portions: 0 } })))
+      .toContain('sizing.portions must be an integer between 1 and 50');
+    expect(validateRuleDocument(crossRules({ maxPositions: 21 })))
+      .toContain('maxPositions must be an integer between 1 and 20');
+  });
+});
+
+describe('RuleBasedStrategy.analyze', () => {
+  it('enters when the entry group holds on the last candle', async () => {
+    const signals = await new RuleBasedStrategy(crossRules()).analyze(bot(), breakout, []);
+    expect(signals).toHaveLength(1);
+    expect(signals[0]).toMatchObject({ action: 'buy', side: 'long', portionIndex: 0, takeProfitPrice: null, reason: 'entry' });
+    expect(signals[0].stopLossPrice).toBeCloseTo(104.5);
+    // One portion of the whole capital by default
+    expect(signals[0].amount).toBeCloseTo(1000 / 110);
+  });
+
+  it('does not enter when a cross happened earlier', async () => {
+    const stillHigh = candlesFrom([...Array(30).fill(100), 110, 111]);
+    expect(await new RuleBasedStrategy(crossRules()).analyze(bot(), stillHigh, [])).toEqual([]);
+  });
+
+  it('prices a risk:reward take profit and sizes by risk', async () => {
+    const rules = crossRules({ takeProfit: { type: 'rr', value: 2 }, sizing: { type: 'risk', riskPercent: 1 } });
+    const [signal] = await new RuleBasedStrategy(rules).analyze(bot(), breakout, []);
+    // Risk distance 5.5: TP 2R above entry, 1% of capital lost at the stop
+    expect(signal.takeProfitPrice).toBeCloseTo(121);
+    expect(signal.amount).toBeCloseTo(10 / 5.5);
+  });
+
+  it('opens shorts on futures bots only', async () => {
+    const rules = crossRules({ side: 'short', entry: { all: [{ left: { indicator: 'close' }, op: '>', right: 105 }] } });
+    expect(await new RuleBasedStrategy(rules).analyze(bot(), breakout, [])).toEqual([]);
+
+    const [signal] = await new RuleBasedStrategy(rules).analyze(bot({ marketType: 'futures', strategyParams: { leverage: 2 } }), breakout, []);
+    expect(signal).toMatchObject({ action: 'buy', side: 'short' });
+    expect(signal.stopLossPrice).toBeCloseTo(115.5);
+    expect(signal.amount).toBeCloseTo(2000 / 110);
+  });
+
+  it('closes on the protective stop before the rule exit', async () => {
+    const rules = crossRules({ exit: { all: [{ left: { indicator: 'close' }, op: '>', right: 0 }] } });
+    const positions = [
+      { _id: 'a', portionIndex: 0, side: 'long', entryPrice: 120, stopLossPrice: 115 },
+      { _id: 'b', portionIndex: 1, side: 'long', entryPrice: 100, stopLossPrice: 95 },
+    ];
+    const signals = await new RuleBasedStrategy(rules).analyze(bot(), breakout, positions);
+    expect(signals.filter(s => s.action === 'sell')).toEqual([
+      { action: 'sell', positionId: 'a', portionIndex: 0, reason: 'stop_loss' },
+      { action: 'sell', positionId: 'b', portionIndex: 1, reason: 'strategy_exit' },
+    ]);
+  });
+
+  it('respects maxPositions and takes the first free portion slot', async () => {
+    const open = [{ _id: 'a', portionIndex: 0, side: 'long', entryPrice: 100, stopLossPrice: 90 }];
+    expect(await new RuleBasedStrategy(crossRules()).analyze(bot(), breakout, open)).toEqual([]);
+
+    const [signal] = await new RuleBasedStrategy(crossRules({ maxPositions: 2 })).analyze(bot(), breakout, open);
+    expect(signal.portionIndex).toBe(1);
+  });
+
+  it('evaluates nested any/all groups with scaled operands', async () => {
+    const rules = crossRules({
+      entry: {
+        all: [
+          { any: [{ left: { indicator: 'close' }, op: '<', right: 50 }, { left: { indicator: 'close' }, op: '>', right: { indicator: 'sma', period: 20, multiplier: 1.05 } }] },
+          { left: { indicator: 'volume' }, op: '>=', right: { indicator: 'volume_ma', period: 10 } },
+        ],
+      },
+    });
+    expect(await new RuleBasedStrategy(rules).analyze(bot(), breakout, [])).toHaveLength(1);
+    expect(await new RuleBasedStrategy(rules).analyze(bot(), candlesFrom(Array(31).fill(100)), [])).toEqual([]);
+  });
+});
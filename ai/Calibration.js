@@ -0,0 +1,65 @@
+/**
+ * Calibration.js
+ * Isotonic calibration: maps a model probability to the hit rate actually observed
+ * for signals with that probability.
+ *
+ * Fitted with pool-adjacent-violators on (probability, won) pairs; the result is
+ * a non-decreasing list of { x, y } points, applied by linear interpolation and
+ * clamped at both ends.
+ */
+
+/**
+ * @param {{ x: number, y: number }[]} pairs - y is 1 for a win, 0 otherwise
+ * @returns {{ x: number, y: number }[]} calibration points, ascending x
+ */
+export function fitIsotonic(pairs) {
+  const sorted = [...pairs].sort((a, b) => a.x - b.x);
+  const blocks = [];
+
+  for (const { x, y } of sorted) {
+    const tail = blocks[blocks.length - 1];
+    // Equal probabilities share one rate
+    if (tail?.maxX === x) {
+      tail.sumX += x; tail.sumY += y; tail.n++;
+    } else {
+      blocks.push({ sumX: x, sumY: y, n: 1, maxX: x });
+    }
+    // Merge back while the previous block's rate is above this one's
+    while (blocks.length > 1) {
+      const b = blocks[blocks.length - 1];
+      const a = blocks[blocks.length - 2];
+      if (a.sumY / a.n <= b.sumY / b.n) break;
+      blocks.splice(-2, 2, { sumX: a.sumX + b.sumX, sumY: a.sumY + b.sumY, n: a.n + b.n, maxX: b.maxX });
+    }
+  }
+
+  return blocks.map(b => ({ x: b.sumX / b.n, y: b.sumY / b.n }));
+}
+
+/**
+ * Calibrated probability for `x`.
+ * @param {{ x: number, y: number }[]} points - from fitIsotonic
+ * @param {number} x
+ */
+export function applyCalibration(points, x) {
+  if (!points?.length) return x;
+  if (x <= points[0].x) return points[0].y;
+  const last = points[points.length - 1];
+  if (x >= last.x) return last.y;
+
+  for (let i = 1; i < points.length; i++) {
+    const hi = points[i];
+    if (x > hi.x) continue;
+    const lo = points[i - 1];
+    return lo.y + ((x - lo.x) / (hi.x - lo.x)) * (hi.y - lo.y);
+  }
+  return last.y;
+}
+
+/**
+ * Mean squared error between probabilities and 0/1 outcomes (lower is better).
+ */
+export function brierScore(pairs) {
+  if (!pairs.length) return null;
+  return pairs.reduce((sum, { x, y }) => sum + (x - y) ** 2, 0) / pairs.length;
+}
@@ -13,6 +13,23 @@ import {
   calculateATR,
 } from '../services/bot/IndicatorEngine.js';
 
+// ─── Feature schema ──────────────────────────────────────────────────────────
+
+/**
+ * Layout of the normalized vector fed to SignalModel. Bump `version` whenever a
+ * feature is added, removed, reordered or rescaled — model versions trained on
+ * another schema are not loaded.
+ */
+export const FEATURE_SCHEMA = {
+  version:  1,
+  features: [
+    'ema20dist', 'ema50dist', 'ema200dist',
+    'rsiNorm', 'macdLine', 'macdHist',
+    'atrRel', 'volRatio', 'volChange',
+    'candleBody',
+  ],
+};
+
 // ─── MACD ────────────────────────────────────────────────────────────────────
 
 /**
@@ -178,9 +195,12 @@ export function extractLastFeatures(candles) {
 
 // ─── Training dataset builder ─────────────────────────────────────────────────
 
+// Candles ahead a training label looks (its price move is known only after them)
+export const LABEL_LOOKAHEAD = 5;
+
 /**
  * Build supervised learning dataset from a candle array.
- * Label: price movement 5 candles ahead relative to threshold.
+ * Label: price movement LABEL_LOOKAHEAD candles ahead relative to threshold.
  *
  * Returns { X: number[][], y: number[][] }  (one-hot [buy, sell, hold])
  */
@@ -190,7 +210,7 @@ export function buildTrainingData(candles) {
 
   const X          = [];
   const y          = [];
-  const LOOKAHEAD  = 5;
+  const LOOKAHEAD  = LABEL_LOOKAHEAD;
   const THRESHOLD  = 0.004; // 0.4% move = actionable
 
   for (let i = 0; i < features.length - LOOKAHEAD; i++) {
@@ -218,3 +238,33 @@ export function buildTrainingData(candles) {
 function clamp(val, min, max) {
   return Math.max(min, Math.min(max, val));
 }
+
+/**
+ * Build a supervised dataset from resolved signals (Signal documents with the
+ * `features` captured when they were generated).
+ * Label: the signal's own direction if it hit its take-profit ([1,0,0] LONG,
+ * [0,1,0] SHORT), hold [0,0,1] if it hit its stop or expired — so the model
+ * learns which of its calls win under their real SL / TP geometry.
+ *
+ * Returns { X, y, direction } — direction is 0 (LONG) / 1 (SHORT) per sample.
+ */
+export function buildOutcomeTrainingData(signals) {
+  const X         = [];
+  const y         = [];
+  const direction = [];
+
+  for (const s of signals) {
+    if (s.features?.length !== FEATURE_SCHEMA.features.length) continue;
+    if (!['hit_tp', 'hit_sl', 'expired'].includes(s.status)) continue;
+
+    const dir = s.type === 'SHORT' ? 1 : 0;
+    const label = [0, 0, 0];
+    label[s.status === 'hit_tp' ? dir : 2] = 1;
+
+    X.push(s.features);
+    y.push(label);
+    direction.push(dir);
+  }
+
+  return { X, y, direction };
+}
@@ -14,17 +14,25 @@
  *  - Dynamic import yields a module namespace (not a .default export)
  *  - Must explicitly set backend to 'cpu' (no WebGL in Node.js)
  *  - Model weights persisted as JSON (file:// handler not guaranteed in pure tfjs)
+ *
+ * Training, versioning and promotion live in services/SignalModelRegistry.js —
+ * this class fits candidate models, scores them and serves the active one. The
+ * active weights are mirrored to saved_model/weights.json so a restart without
+ * the database still predicts with them.
  */
 
 import fs   from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { buildTrainingData } from './FeatureEngineering.js';
+import { FEATURE_SCHEMA } from './FeatureEngineering.js';
+import { applyCalibration } from './Calibration.js';
 
 const __dirname   = path.dirname(fileURLToPath(import.meta.url));
 const WEIGHTS_DIR = path.join(__dirname, 'saved_model');
 const WEIGHTS_FILE = path.join(WEIGHTS_DIR, 'weights.json');
-const FEATURE_LEN = 10;
+const FEATURE_LEN = FEATURE_SCHEMA.features.length;
+const EPOCHS      = 20;
+const EPSILON     = 1e-7;
 
 // ─── Singleton ────────────────────────────────────────────────────────────────
 
@@ -35,6 +43,8 @@ class SignalModel {
     this.isTFReady            = false;
     this.isModelReady         = false;
     this.weightsLoadedFromDisk = false;
+    this.activeVersion        = null;   // SignalModelVersion.version, null = legacy / untracked weights
+    this.calibration          = null;   // isotonic points of the active version, or null
     this._lock                = false;
   }
 
@@ -67,36 +77,38 @@ class SignalModel {
 
   // ─── Training ────────────────────────────────────────────────────────────
 
-  async train(candles) {
-    if (!this.isTFReady || this._lock) return;
+  /**
+   * Fit a fresh model on { X, y } (15% held back for validation). The active
+   * model is untouched — the caller scores the result and decides.
+   * @param {{ X: number[][], y: number[][] }} data
+   * @param {{ classWeight?: Object<number, number> }} [opts] - loss weight per class index
+   * @returns {Promise<{ model, train: { loss, accuracy }, validation: { loss, accuracy } }>}
+   */
+  async fit(data, { classWeight } = {}) {
+    if (!this.isTFReady) throw new Error('TensorFlow.js is not available');
+    if (this._lock) throw new Error('A training run is already in progress');
     this._lock = true;
 
+    const tf = this.tf;
+    const xs = tf.tensor2d(data.X, [data.X.length, FEATURE_LEN]);
+    const ys = tf.tensor2d(data.y, [data.y.length, 3]);
     try {
-      console.log('[SignalModel] Building training dataset...');
-      const data = buildTrainingData(candles);
-      if (!data || data.X.length < 200) {
-        console.warn('[SignalModel] Not enough samples to train (need ≥200)');
-        return;
-      }
-
-      const tf = this.tf;
-      const xs = tf.tensor2d(data.X);
-      const ys = tf.tensor2d(data.y);
-
-      if (!this.model) this.model = this._buildModel();
-
+      const model = this._buildModel();
       console.log(`[SignalModel] Training on ${data.X.length} samples (CPU backend)…`);
-      await this.model.fit(xs, ys, {
-        epochs:          20,
+      let last = {};
+      await model.fit(xs, ys, {
+        epochs:          EPOCHS,
         batchSize:       64,
         validationSplit: 0.15,
         shuffle:         true,
+        classWeight,
         callbacks: {
           onEpochEnd: (epoch, logs) => {
+            last = logs;
             if ((epoch + 1) % 10 === 0) {
               const acc = logs.acc ?? logs.accuracy ?? 0;
               console.log(
-                `[SignalModel] Epoch ${epoch + 1}/20 — ` +
+                `[SignalModel] Epoch ${epoch + 1}/${EPOCHS} — ` +
                 `loss: ${logs.loss.toFixed(4)}  acc: ${acc.toFixed(4)}`
               );
             }
@@ -104,24 +116,112 @@ class SignalModel {
         },
       });
 
+      return {
+        model,
+        train:      { loss: last.loss, accuracy: last.acc ?? last.accuracy },
+        validation: { loss: last.val_loss, accuracy: last.val_acc ?? last.val_accuracy },
+      };
+    } finally {
       xs.dispose();
       ys.dispose();
-      // Free any remaining TF.js intermediate tensors from the training run
-      this.tf.engine().startScope();
-      this.tf.engine().endScope();
-
-      await this._saveWeights();
-      this.isModelReady = true;
-      console.log('[SignalModel] Training complete — weights saved.');
-    } catch (err) {
-      console.error('[SignalModel] Training error:', err.message);
-    } finally {
       this._lock = false;
     }
   }
 
+  /**
+   * [buy, sell, hold] probabilities for each feature row. `model` null uses the
+   * rule-based fallback.
+   */
+  predictBatch(model, X) {
+    if (!model) {
+      return X.map(f => {
+        const p = this._rulePredict(f);
+        return [p.buyProb, p.sellProb, p.holdProb];
+      });
+    }
+    const input = this.tf.tensor2d(X, [X.length, FEATURE_LEN]);
+    const out   = model.predict(input);
+    const probs = out.arraySync();
+    input.dispose();
+    out.dispose();
+    return probs;
+  }
+
+  /**
+   * Metrics of predicted probabilities against one-hot labels.
+   * directionalPrecision: of the samples predicted buy or sell, the share that
+   * were labelled the same (null when it never calls a direction).
+   */
+  score(probs, y) {
+    let loss = 0, correct = 0, calls = 0, rightCalls = 0;
+    probs.forEach((p, i) => {
+      const label = y[i].indexOf(1);
+      const pred  = p.indexOf(Math.max(...p));
+      loss -= Math.log(Math.max(EPSILON, p[label]));
+      if (pred === label) correct++;
+      if (pred !== 2) {
+        calls++;
+        if (pred === label) rightCalls++;
+      }
+    });
+
+    return {
+      loss:                 loss / probs.length,
+      accuracy:             correct / probs.length,
+      directionalPrecision: calls ? rightCalls / calls : null,
+      samples:              probs.length,
+    };
+  }
+
+  /** Score a model (null = rule-based fallback) on labelled samples. */
+  evaluate(model, X, y) {
+    return this.score(this.predictBatch(model, X), y);
+  }
+
+  /** Weight tensors of `model` as plain arrays. */
+  exportWeights(model = this.model) {
+    return model.getWeights().map(w => ({
+      name:   w.name,
+      shape:  w.shape,
+      values: Array.from(w.dataSync()),
+    }));
+  }
+
+  /**
+   * Serve predictions from `weights` (exported by exportWeights) from now on.
+   * @param {Object[]} weights
+   * @param {number|null} version
+   * @param {{ x: number, y: number }[]|null} [calibration] - see calibrate()
+   */
+  async activate(weights, version = null, calibration = null) {
+    if (!this.isTFReady) throw new Error('TensorFlow.js is not available');
+    const model   = this._buildModel();
+    const tensors = weights.map(w => this.tf.tensor(w.values, w.shape));
+    model.setWeights(tensors);
+    tensors.forEach(t => t.dispose());
+
+    const previous = this.model;
+    this.model         = model;
+    this.activeVersion = version;
+    this.calibration   = calibration?.length ? calibration : null;
+    this.isModelReady  = true;
+    if (previous) previous.dispose();
+
+    await this._saveWeights();
+    console.log(`[SignalModel] Now serving model ${version != null ? `v${version}` : '(untracked)'}`);
+  }
+
   // ─── Prediction ──────────────────────────────────────────────────────────
 
+  /**
+   * Observed hit rate of a signal the active model called with probability `prob`,
+   * or null when the model has no calibration (rule-based, or too few outcomes).
+   */
+  calibrate(prob) {
+    if (!this.isModelReady || !this.calibration) return null;
+    return applyCalibration(this.calibration, prob);
+  }
+
   async predict(normalizedFeatures) {
     if (this.isTFReady && this.isModelReady && this.model) {
       return this._tfPredict(normalizedFeatures);
@@ -141,10 +241,11 @@ class SignalModel {
       out.dispose();
 
       return {
-        buyProb:  probs[0] ?? 0,
-        sellProb: probs[1] ?? 0,
-        holdProb: probs[2] ?? 0,
-        source:   'ai',
+        buyProb:      probs[0] ?? 0,
+        sellProb:     probs[1] ?? 0,
+        holdProb:     probs[2] ?? 0,
+        source:       'ai',
+        modelVersion: this.activeVersion,
       };
     } catch (err) {
       console.error('[SignalModel] TF predict error:', err.message);
@@ -257,14 +358,13 @@ class SignalModel {
     try {
       fs.mkdirSync(WEIGHTS_DIR, { recursive: true });
 
-      // Serialize all weight tensors to plain arrays
-      const weightData = this.model.getWeights().map(w => ({
-        name:   w.name,
-        shape:  w.shape,
-        values: Array.from(w.dataSync()),
-      }));
-
-      fs.writeFileSync(WEIGHTS_FILE, JSON.stringify(weightData), 'utf8');
+      const payload = {
+        version:       this.activeVersion,
+        featureSchema: FEATURE_SCHEMA.version,
+        calibration:   this.calibration,
+        weights:       this.exportWeights(),
+      };
+      fs.writeFileSync(WEIGHTS_FILE, JSON.stringify(payload), 'utf8');
       console.log('[SignalModel] Weights saved to', WEIGHTS_FILE);
     } catch (err) {
       console.warn('[SignalModel] Could not save weights:', err.message);
@@ -276,7 +376,13 @@ class SignalModel {
 
     try {
       const raw         = fs.readFileSync(WEIGHTS_FILE, 'utf8');
-      const weightData  = JSON.parse(raw);
+      const saved       = JSON.parse(raw);
+      // Older files are a bare weight array (no version / feature schema)
+      const weightData  = Array.isArray(saved) ? saved : saved.weights;
+      if (!Array.isArray(saved) && saved.featureSchema !== FEATURE_SCHEMA.version) {
+        console.warn(`[SignalModel] Saved weights use feature schema v${saved.featureSchema} (current v${FEATURE_SCHEMA.version}) — ignored`);
+        return;
+      }
 
       // Rebuild model first so it has the right shape
       this.model = this._buildModel();
@@ -290,6 +396,8 @@ class SignalModel {
 
       this.isModelReady         = true;
       this.weightsLoadedFromDisk = true;
+      this.activeVersion        = Array.isArray(saved) ? null : saved.version;
+      this.calibration          = Array.isArray(saved) ? null : saved.calibration ?? null;
       console.log('[SignalModel] Loaded saved weights from disk');
     } catch (err) {
       console.warn('[SignalModel] Could not load saved weights:', err.message);
@@ -11,14 +11,29 @@
  *
  * Usage (via API):
  *   POST /api/signals/backtest
- *   { symbol, marketType, timeframe, initialCapital, riskPerTrade }
+ *   { symbol, marketType, timeframe, initialCapital, riskPerTrade, dataSource?, from?, to? }
+ *
+ * Data source: 'live' pulls the latest 1000 candles from MarketDataService;
+ * 'store' reads an exact date range from the offline CandleStore, so the same
+ * request always replays the same bars.
+ *
+ * runStrategyBacktest() replays the same history through a bot strategy's
+ * analyze() instead (any BotConfig strategy except the live signal feed):
+ *   POST /api/bots/backtest        — unsaved bot config
+ *   POST /api/bots/:id/backtest    — saved bot
  */
 
 import marketData   from '../services/MarketDataService.js';
+import candleStore  from '../services/CandleStore.js';
 import signalModel  from '../ai/SignalModel.js';
 import riskManager  from '../risk/RiskManager.js';
 import { computeAllFeatures } from '../ai/FeatureEngineering.js';
 import { calculateEMA, calculateRSI } from '../services/bot/IndicatorEngine.js';
+import riskEngine   from '../services/bot/RiskEngine.js';
+import exitLadder   from '../services/bot/ExitLadder.js';
+import tradingSchedule from '../services/bot/TradingSchedule.js';
+import strategyRegistry from '../services/strategies/StrategyRegistry.js';
+import SimulatedLedger  from './SimulatedLedger.js';
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 
@@ -27,6 +42,10 @@ const MIN_RULE_SCORE      = 0.40;
 const TRAIN_SPLIT_PCT     = 0.70; // use first 70% of candles for training check only
 const DEFAULT_RISK        = 0.02; // 2% per trade
 const DEFAULT_CAPITAL     = 10_000;
+export const STRATEGY_WINDOW = 250;  // candles handed to analyze() — same as BotEngine._fetchCandles
+const AI_WARMUP_BARS      = 220;  // runBacktest starts trading once indicators are warm
+// Strategies driven by the live Signal collection cannot be replayed
+const NON_REPLAYABLE      = new Set(['smart_signal', 'ai_signal']);
 
 // ─── Engine ───────────────────────────────────────────────────────────────────
 
@@ -41,6 +60,9 @@ class BacktestEngine {
    *   timeframe?:     string,
    *   initialCapital?: number,
    *   riskPerTrade?:  number,   (0-1, e.g. 0.02 = 2%)
+   *   dataSource?:    'live'|'store',
+   *   from?:          number,   (ms — store only)
+   *   to?:            number,   (ms — store only)
    * }} opts
    */
   async runBacktest({
@@ -49,13 +71,16 @@ class BacktestEngine {
     timeframe     = '1h',
     initialCapital = DEFAULT_CAPITAL,
     riskPerTrade   = DEFAULT_RISK,
+    dataSource     = 'live',
+    from           = null,
+    to             = null,
   }) {
-    console.log(`[Backtest] ${symbol} ${timeframe} ${marketType}`);
+    console.log(`[Backtest] ${symbol} ${timeframe} ${marketType} (${dataSource})`);
 
     // ── Fetch history ──────────────────────────────────────────────────────
-    const candles = await marketData.fetchHistoricalCandles(
-      symbol, timeframe, 1000, marketType
-    );
+    const candles = await this.loadCandles({
+      symbol, timeframe, marketType, dataSource, from, to, warmup: AI_WARMUP_BARS,
+    });
 
     if (!candles || candles.length < 260) {
       throw new Error('Insufficient historical data (need ≥ 260 candles)');
@@ -73,9 +98,10 @@ class BacktestEngine {
     let peakCapital = initialCapital;
     let maxDD       = 0;
     let openTrade   = null;
+    const equityCurve = [{ timestamp: candles[AI_WARMUP_BARS].timestamp, equity: initialCapital }];
 
     // Iterate candles starting from index 220 (indicators warm)
-    for (let i = 220; i < candles.length - 1; i++) {
+    for (let i = AI_WARMUP_BARS; i < candles.length - 1; i++) {
       const feat       = features[i];
       const candle     = candles[i];
       const nextCandle = candles[i + 1];
@@ -103,6 +129,7 @@ class BacktestEngine {
             entryTime: openTrade.entryTime,
             exitTime:  nextCandle.timestamp,
           });
+          equityCurve.push({ timestamp: nextCandle.timestamp, equity: parseFloat(capital.toFixed(2)) });
           openTrade = null;
         }
       }
@@ -161,11 +188,249 @@ class BacktestEngine {
       netPnlPct:      parseFloat(((capital - initialCapital) / initialCapital * 100).toFixed(2)),
       totalTrades:    trades.length,
       candlesAnalysed: candles.length,
+      dataSource,
+      from:           candles[AI_WARMUP_BARS].timestamp,
+      to:             candles[candles.length - 1].timestamp,
       ...metrics,
       recentTrades:   trades.slice(-30), // last 30 trades for UI table
+      equityCurve,                       // capital after each closed trade
+      trades,
+    };
+  }
+
+  /**
+   * Candle history for a backtest.
+   * 'live': the latest `limit` candles from MarketDataService (from/to ignored).
+   * 'store': CandleStore bars in [from, to] plus `warmup` earlier bars;
+   *          without `from`, the latest `limit` stored bars.
+   */
+  async loadCandles({ symbol, timeframe, marketType = 'spot', dataSource = 'live', from = null, to = null, limit = 1000, warmup = 0 }) {
+    if (dataSource === 'store') {
+      return candleStore.getRange(symbol, timeframe, marketType, {
+        from, to, warmup, limit: from == null ? limit : undefined,
+      });
+    }
+    return marketData.fetchHistoricalCandles(symbol, timeframe, limit, marketType);
+  }
+
+  /** Whether a bot strategy can be replayed by runStrategyBacktest(). */
+  canReplay(strategyId) {
+    return !NON_REPLAYABLE.has(strategyId);
+  }
+
+  /**
+   * Fetch history and replay it through a bot strategy (see simulateStrategy).
+   *
+   * @param {Object} bot - plain BotConfig-shaped object (schema defaults applied)
+   * @param {{ initialCapital?: number, limit?: number, dataSource?: 'live'|'store', from?: number, to?: number }} [opts]
+   */
+  async runStrategyBacktest(bot, { initialCapital, ...history } = {}) {
+    const { resolved, candles } = await this.loadStrategyHistory(bot, history);
+    console.log(`[Backtest] ${bot.strategyId} ${bot.symbol} ${resolved.timeframe || '1h'} ${bot.marketType || 'spot'} (${history.dataSource || 'live'})`);
+    const result = await this.simulateStrategy(bot, resolved, candles, { initialCapital });
+    return { ...result, dataSource: history.dataSource || 'live' };
+  }
+
+  /**
+   * Resolve a bot's strategy and fetch the candle history it runs on
+   * (with STRATEGY_WINDOW warm-up bars before `from` for store ranges).
+   * @param {{ limit?: number, dataSource?: 'live'|'store', from?: number, to?: number }} [history]
+   * @returns {Promise<{ resolved: Object, candles: Object[] }>}
+   */
+  async loadStrategyHistory(bot, { limit = 1000, dataSource = 'live', from = null, to = null } = {}) {
+    if (!this.canReplay(bot.strategyId)) {
+      throw new Error(`Strategy "${bot.strategyId}" trades live AI signals and cannot be backtested on candles — use /api/signals/backtest`);
+    }
+
+    const resolved = await strategyRegistry.resolve(bot);
+    if (!resolved) throw new Error(`Unknown strategy: ${bot.strategyId}`);
+
+    const candles = await this.loadCandles({
+      symbol: bot.symbol, timeframe: resolved.timeframe || '1h', marketType: bot.marketType || 'spot',
+      dataSource, from, to, limit, warmup: STRATEGY_WINDOW - 1,
+    });
+    if (!candles || candles.length < STRATEGY_WINDOW + 10) {
+      throw new Error(`Insufficient historical data (need ≥ ${STRATEGY_WINDOW + 10} candles)`);
+    }
+    return { resolved, candles };
+  }
+
+  /**
+   * Replay candles through a bot strategy the way BotEngine._tick runs a demo
+   * bot: mark positions, update trailing stops and capital stats, take exit
+   * ladder targets, block entries outside trading windows and during ATR-spike
+   * volatility pauses, call analyze(), gate entries with the RiskEngine checks,
+   * execute signals on a SimulatedLedger and stop when shouldPauseBot() would
+   * pause the bot.
+   *
+   * Every bar is one tick; signals fill at the bar close ± DemoSimulator spread.
+   * Bars before startIndex are only used as indicator history. What the replay
+   * can't reproduce for this bot is listed in the result's `limitations`.
+   *
+   * @param {Object} bot      - plain BotConfig-shaped object
+   * @param {Object} resolved - strategyRegistry.resolve() result
+   * @param {Object[]} candles
+   * @param {{ initialCapital?: number, startIndex?: number, endIndex?: number }} [opts]
+   *   endIndex is exclusive; startIndex is clamped to the first bar with a full window
+   */
+  async simulateStrategy(bot, resolved, candles, { initialCapital, startIndex = 0, endIndex = candles.length } = {}) {
+    const { strategy } = resolved;
+    const timeframe  = resolved.timeframe || '1h';
+    const marketType = bot.marketType || 'spot';
+    const capital    = initialCapital || bot.capitalAllocation.totalCapital || DEFAULT_CAPITAL;
+    const firstBar   = Math.max(startIndex, STRATEGY_WINDOW - 1);
+
+    // Fresh simulated copy — never touches the persisted bot
+    const sim = {
+      ...bot,
+      volatilityPauseUntil: null,
+      volatilityPauseReason: null,
+      capitalAllocation: { ...bot.capitalAllocation, totalCapital: capital },
+      stats: {
+        totalTrades: 0, winningTrades: 0, losingTrades: 0, totalPnL: 0,
+        grossProfit: 0, grossLoss: 0, profitFactor: 0, winRate: 0, consecutiveLosses: 0,
+        startingCapital: capital, currentCapital: capital, peakCapital: capital, lastTradeAt: null,
+      },
+    };
+    const ledger = new SimulatedLedger(sim, capital);
+
+    const equityCurve     = [];
+    const skippedEntries  = {};
+    let equityPeak  = capital;
+    let maxDD       = 0;
+    let pauseReason = null;
+    let pausedAt    = null;
+
+    for (let i = firstBar; i < endIndex; i++) {
+      const candle = candles[i];
+      const price  = candle.close;
+      const now    = candle.timestamp;
+      const window = candles.slice(i - STRATEGY_WINDOW + 1, i + 1);
+
+      // ── Tick prelude: mark to market + capital stats ──────────────────────
+      const unrealized = ledger.markToMarket(price, riskEngine);
+      sim.stats.currentCapital = capital + sim.stats.totalPnL + unrealized;
+      sim.stats.peakCapital    = Math.max(sim.stats.peakCapital, sim.stats.currentCapital);
+
+      // ── Scale-out ladder targets the bar close has reached ────────────────
+      for (const position of ledger.openPositions) {
+        for (const target of exitLadder.due(position, price)) ledger.takeTarget(position, target.index, price, now);
+      }
+
+      // ── Trading windows / volatility pause block entries ─────────────────
+      const clock = new Date(now);
+      let entryBlock = tradingSchedule.windowBlock(sim, clock);
+      const shock = await tradingSchedule.volatilityPause(sim, window, clock, { replaying: true });
+      if (shock?.triggered) Object.assign(sim, { volatilityPauseUntil: shock.until, volatilityPauseReason: shock.reason });
+      if (!entryBlock && shock) entryBlock = shock.reason;
+
+      // ── Strategy ──────────────────────────────────────────────────────────
+      const openPositions = [...ledger.openPositions];
+      const signals = await strategy.analyze(sim, window, openPositions, { now, lastBuyAt: ledger.lastBuyAt });
+
+      for (const signal of signals) {
+        if (signal.action === 'buy' && entryBlock) {
+          skippedEntries.schedule = (skippedEntries.schedule || 0) + 1;
+        } else if (signal.action === 'buy') {
+          const check = riskEngine.evaluateOpenChecks(sim, {
+            openCount: ledger.openPositions.length,
+            dailyPnL:  ledger.dailyPnL(now),
+          });
+          const position = check.allowed
+            ? ledger.openPosition(signal, signal.symbol || sim.symbol, price, now)
+            : null;
+          if (!position) {
+            const reason = check.reason || 'insufficient_balance';
+            skippedEntries[reason] = (skippedEntries[reason] || 0) + 1;
+          }
+        } else if (signal.action === 'sell' || signal.action === 'partial_sell') {
+          const position = openPositions.find(p =>
+            p._id === signal.positionId?.toString() ||
+            p.portionIndex === signal.portionIndex
+          );
+          if (!position || position.status !== 'open') continue;
+
+          if (signal.action === 'sell') {
+            ledger.closePosition(position, signal.reason, price, now);
+          } else {
+            ledger.partialClosePosition(position, {
+              portion:           signal.portion || 0.5,
+              reason:            signal.reason  || 'take_profit_1',
+              moveSlToBreakeven: signal.moveSlToBreakeven ?? true,
+            }, price, now);
+          }
+        }
+      }
+
+      // ── Equity after this bar's fills ─────────────────────────────────────
+      const openPnL = ledger.openPositions.reduce((sum, p) => sum + p.unrealizedPnL, 0);
+      const equity  = capital + sim.stats.totalPnL + openPnL;
+      equityPeak    = Math.max(equityPeak, equity);
+      maxDD = Math.max(maxDD, (equityPeak - equity) / equityPeak);
+      equityCurve.push({ timestamp: now, equity: parseFloat(equity.toFixed(2)) });
+
+      // ── Risk pause — the live bot would stop ticking here ─────────────────
+      pauseReason = riskEngine.shouldPauseBot(sim);
+      if (pauseReason) {
+        pausedAt = now;
+        break;
+      }
+    }
+
+    const exits   = ledger.trades.filter(t => t.pnl !== null);
+    const metrics = this._computeMetrics(
+      exits.map(t => ({ ...t, pnlPct: (t.pnl / capital) * 100 })),
+      capital,
+      maxDD
+    );
+    const finalCapital = equityCurve.length ? equityCurve[equityCurve.length - 1].equity : capital;
+
+    return {
+      strategyId:      sim.strategyId,
+      strategyVersion: resolved.version ?? null,
+      symbol:          sim.symbol,
+      timeframe,
+      marketType,
+      initialCapital:  capital,
+      finalCapital,
+      netPnl:          parseFloat((finalCapital - capital).toFixed(2)),
+      netPnlPct:       parseFloat(((finalCapital - capital) / capital * 100).toFixed(2)),
+      realizedPnl:     parseFloat(sim.stats.totalPnL.toFixed(2)),
+      totalTrades:     exits.length,
+      openPositions:   ledger.openPositions.length,
+      candlesAnalysed: Math.max(0, endIndex - firstBar),
+      from:            candles[firstBar]?.timestamp ?? null,
+      to:              candles[endIndex - 1]?.timestamp ?? null,
+      pauseReason,
+      pausedAt,
+      skippedEntries,
+      limitations:     this._limitations(sim),
+      ...metrics,
+      equityCurve,
+      trades:          ledger.trades,
     };
   }
 
+  /**
+   * Live behaviour of this bot the candle replay does not reproduce.
+   * @returns {string[]}
+   */
+  _limitations(bot) {
+    const out = [];
+    if (bot.marketType === 'futures') {
+      out.push('Futures margin, funding payments and the liquidation guard are not simulated');
+    }
+    if (!bot.isDemo && bot.execution?.entryType && bot.execution.entryType !== 'market') {
+      out.push(`Live ${bot.execution.entryType} entries are filled at the bar close, not worked as resting orders`);
+    }
+    if (bot.volatilityPause?.enabled && bot.volatilityPause.btcMovePct > 0) {
+      out.push('The BTC-move volatility trigger needs live data and is skipped');
+    }
+    if (bot.riskParams?.enableNewsFilter) out.push('The news filter needs live headlines and is skipped');
+    if (bot.schedule?.autoStartAt || bot.schedule?.autoStopAt) out.push('Auto-start / auto-stop times are ignored');
+    return out;
+  }
+
   // ─── Exit check ──────────────────────────────────────────────────────────
 
   _checkExit(trade, candle) {
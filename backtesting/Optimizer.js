@@ -0,0 +1,437 @@
+/**
+ * Optimizer.js
+ * Parameter-sweep optimisation of bot strategies on top of BacktestEngine.
+ *
+ * A job expands its parameter ranges into candidates (full grid or random
+ * samples), splits the candle history into walk-forward folds and replays
+ * every candidate on each fold's train and test window. Candidates are
+ * ranked by the out-of-sample objective; configs whose out-of-sample result
+ * collapses against their in-sample result are flagged as overfit.
+ *
+ * Jobs live in the OptimizationJob collection. Every worker claims them one
+ * at a time with a lease it renews while the job runs, so a job runs once
+ * however many API instances there are, and a job whose worker died is
+ * re-run from the start once its lease lapses. Progress is emitted to the
+ * owner's socket room:
+ *   optimization:progress  { jobId, completed, total, percent }
+ *   optimization:completed { jobId, best }
+ *   optimization:failed    { jobId, error }
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import OptimizationJob from '../models/bot/OptimizationJob.js';
+import backtestEngine, { STRATEGY_WINDOW } from './BacktestEngine.js';
+import { findStrategy, validateStrategyParams } from '../controllers/strategyController.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const MAX_CANDIDATES     = 200;
+const MAX_RESULTS        = 50;   // ranked results persisted on the job
+const DEFAULT_GRID_STEPS = 5;    // values per {min,max} range without a step
+const MIN_TEST_BARS      = 20;
+const OVERFIT_DROP       = 0.5;  // out-of-sample objective below 50% of in-sample = overfit
+const PROGRESS_EVERY_MS  = 2000;
+const LEASE_MS           = 2 * 60_000;  // a job not renewed within this is taken over
+const POLL_MS            = 30_000;      // picks up jobs queued on other workers
+
+export const OBJECTIVES = {
+  sharpeRatio:  { minimize: false, floor: 0 },
+  profitFactor: { minimize: false, floor: 1 },
+  maxDrawdown:  { minimize: true },
+  netPnlPct:    { minimize: false, floor: 0 },
+};
+
+const round = (v) => parseFloat(v.toFixed(6));
+
+// ─── Candidate generation ─────────────────────────────────────────────────────
+
+/**
+ * Validate parameter ranges against the strategy's catalog rules.
+ * @param {string} strategyId
+ * @param {Object} ranges - { param: { min, max, step? } | { values: [] } }
+ * @returns {string[]} errors
+ */
+export function validateParamRanges(strategyId, ranges) {
+  const strategy = findStrategy(strategyId);
+  if (!strategy) return [`Unknown strategy "${strategyId}"`];
+  if (!ranges || typeof ranges !== 'object' || Array.isArray(ranges) || !Object.keys(ranges).length) {
+    return ['paramRanges must be an object with at least one parameter'];
+  }
+
+  const errors = [];
+  for (const [key, range] of Object.entries(ranges)) {
+    if (!strategy.paramRules?.[key]) {
+      errors.push(`${key}: not a tunable parameter of ${strategy.name}`);
+      continue;
+    }
+    if (Array.isArray(range?.values)) {
+      if (!range.values.length) errors.push(`${key}: values must not be empty`);
+      continue;
+    }
+    const { min, max, step } = range || {};
+    if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+      errors.push(`${key}: expected { min, max, step? } with min <= max, or { values: [...] }`);
+    } else if (step !== undefined && !(typeof step === 'number' && step > 0)) {
+      errors.push(`${key}: step must be a positive number`);
+    }
+  }
+  return errors;
+}
+
+// Discrete values of one range (grid search)
+function expandRange(range) {
+  if (Array.isArray(range.values)) return [...new Set(range.values)];
+  const { min, max } = range;
+  if (min === max) return [min];
+
+  const integers = Number.isInteger(min) && Number.isInteger(max) && range.step === undefined;
+  const step = range.step ?? (integers
+    ? Math.max(1, Math.round((max - min) / (DEFAULT_GRID_STEPS - 1)))
+    : (max - min) / (DEFAULT_GRID_STEPS - 1));
+
+  const values = [];
+  for (let v = min; v <= max + 1e-9; v += step) values.push(round(v));
+  return values;
+}
+
+// One random value of a range (random search)
+function sampleRange(range) {
+  if (Array.isArray(range.values) || range.step !== undefined) {
+    const values = expandRange(range);
+    return values[Math.floor(Math.random() * values.length)];
+  }
+  const { min, max } = range;
+  if (Number.isInteger(min) && Number.isInteger(max)) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+  }
+  return round(min + Math.random() * (max - min));
+}
+
+/**
+ * Expand ranges into candidate parameter sets.
+ * @returns {{ candidates: Object[], error: string|null }}
+ */
+export function buildCandidates(ranges, { searchMethod = 'grid', samples = 50 } = {}) {
+  const keys = Object.keys(ranges);
+
+  if (searchMethod === 'random') {
+    const count = Math.min(samples, MAX_CANDIDATES);
+    const seen  = new Map();
+    // A few extra draws so small discrete spaces still reach `count` if possible
+    for (let i = 0; i < count * 5 && seen.size < count; i++) {
+      const combo = Object.fromEntries(keys.map(k => [k, sampleRange(ranges[k])]));
+      seen.set(JSON.stringify(combo), combo);
+    }
+    return { candidates: [...seen.values()], error: null };
+  }
+
+  const axes = keys.map(k => expandRange(ranges[k]));
+  const size = axes.reduce((n, a) => n * a.length, 1);
+  if (size > MAX_CANDIDATES) {
+    return {
+      candidates: [],
+      error: `Grid has ${size} combinations (max ${MAX_CANDIDATES}) — widen the steps or use searchMethod "random"`
+    };
+  }
+
+  let candidates = [{}];
+  axes.forEach((values, i) => {
+    candidates = candidates.flatMap(c => values.map(v => ({ ...c, [keys[i]]: v })));
+  });
+  return { candidates, error: null };
+}
+
+/**
+ * Split the tradable part of the history into walk-forward folds.
+ * Each fold is a contiguous chunk: the first trainPct is the train window,
+ * the rest the test window. Earlier bars always serve as indicator warm-up.
+ */
+export function buildFolds(candleCount, { folds = 3, trainPct = 0.7 } = {}) {
+  const firstBar = STRATEGY_WINDOW - 1;
+  const chunk    = Math.floor((candleCount - firstBar) / folds);
+  const result   = [];
+
+  for (let f = 0; f < folds; f++) {
+    const start = firstBar + f * chunk;
+    const end   = f === folds - 1 ? candleCount : start + chunk;
+    const split = start + Math.floor((end - start) * trainPct);
+    if (end - split < MIN_TEST_BARS) return null;
+    result.push({ fold: f + 1, train: [start, split], test: [split, end] });
+  }
+  return result;
+}
+
+// ─── Scoring ──────────────────────────────────────────────────────────────────
+
+// Comparable value: higher is always better, null (ineligible) sorts last
+function rankValue(score, objective) {
+  if (score === null) return -Infinity;
+  return OBJECTIVES[objective].minimize ? -score : score;
+}
+
+function summarise(runs, objective, minTrades) {
+  const mean = (key) => runs.reduce((s, r) => s + (r[key] || 0), 0) / runs.length;
+  const totalTrades = runs.reduce((s, r) => s + r.totalTrades, 0);
+  const summary = {
+    sharpeRatio:  round(mean('sharpeRatio')),
+    profitFactor: round(mean('profitFactor')),
+    maxDrawdown:  round(Math.max(...runs.map(r => r.maxDrawdown))),
+    netPnlPct:    round(runs.reduce((s, r) => s + r.netPnlPct, 0)),
+    winRate:      round(mean('winRate')),
+    totalTrades,
+  };
+  summary.score = totalTrades >= minTrades ? summary[objective] : null;
+  return summary;
+}
+
+function detectOverfit(inSample, outOfSample, objective) {
+  if (inSample.score === null || outOfSample.score === null) return null;
+  const { minimize, floor } = OBJECTIVES[objective];
+  const is  = inSample.score;
+  const oos = outOfSample.score;
+
+  if (minimize) {
+    if (oos > Math.max(is, 1) / (1 - OVERFIT_DROP)) {
+      return `Out-of-sample ${objective} ${oos.toFixed(2)} vs ${is.toFixed(2)} in-sample`;
+    }
+  } else if (is > floor) {
+    if (oos <= floor) {
+      return `Out-of-sample ${objective} collapsed to ${oos.toFixed(2)} (in-sample ${is.toFixed(2)})`;
+    }
+    if (oos - floor < (is - floor) * (1 - OVERFIT_DROP)) {
+      return `Out-of-sample ${objective} ${oos.toFixed(2)} is under half of in-sample ${is.toFixed(2)}`;
+    }
+  }
+  if (inSample.netPnlPct > 0 && outOfSample.netPnlPct < 0) {
+    return 'Profitable in-sample but losing out-of-sample';
+  }
+  return null;
+}
+
+// ─── Runner ───────────────────────────────────────────────────────────────────
+
+class Optimizer {
+  constructor() {
+    this.workerId   = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.io         = null;
+    this._timer     = null;
+    this._running   = false;
+    this._cancelled = new Set();
+  }
+
+  setIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Start claiming jobs on this worker — queued ones and those whose worker
+   * stopped (a restart included) once their lease lapses.
+   * @returns {Promise<number>} jobs waiting to be claimed
+   */
+  async resume() {
+    if (!this._timer) this._timer = setInterval(() => this._poke(), POLL_MS);
+    const waiting = await OptimizationJob.countDocuments(this._claimable(new Date()));
+    this._poke();
+    return waiting;
+  }
+
+  /** A job was just queued — claim it now if this worker is idle. */
+  enqueue() {
+    this._poke();
+  }
+
+  /** Flag a queued or running job for cancellation (checked between candidates). */
+  cancel(jobId) {
+    this._cancelled.add(jobId.toString());
+  }
+
+  _claimable(now) {
+    return { status: { $in: ['queued', 'running'] }, lockedUntil: { $not: { $gt: now } } };
+  }
+
+  /**
+   * Atomically lease the oldest claimable job. One taken over from a dead
+   * worker starts again from scratch.
+   */
+  _claim() {
+    const now = new Date();
+    return OptimizationJob.findOneAndUpdate(
+      this._claimable(now),
+      { status: 'queued', 'progress.completed': 0, lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + LEASE_MS) },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  // Extend the lease; losing it (cancelled, or taken over) stops the job here
+  async _renew(jobId) {
+    try {
+      const { matchedCount } = await OptimizationJob.updateOne(
+        { _id: jobId, lockedBy: this.workerId, status: { $in: ['queued', 'running'] } },
+        { lockedUntil: new Date(Date.now() + LEASE_MS) }
+      );
+      if (!matchedCount) this._cancelled.add(jobId);
+    } catch (err) {
+      console.warn(`[Optimizer] Lease renewal failed for job ${jobId}:`, err.message);
+    }
+  }
+
+  _poke() {
+    if (this._running) return;
+    this._running = true;
+    this._drain()
+      .catch(err => console.error('[Optimizer] Poll error:', err.message))
+      .finally(() => { this._running = false; });
+  }
+
+  async _drain() {
+    let job;
+    while ((job = await this._claim())) {
+      const jobId   = job._id.toString();
+      const renewal = setInterval(() => this._renew(jobId), LEASE_MS / 4);
+      try {
+        await this._run(job);
+      } catch (err) {
+        console.error(`[Optimizer] Job ${jobId} failed:`, err.message);
+        const failed = await OptimizationJob.findOneAndUpdate({ _id: jobId, lockedBy: this.workerId }, {
+          status: 'failed', error: err.message.substring(0, 300), finishedAt: new Date()
+        }, { new: true }).catch(() => null);
+        if (failed) this._emit(failed, 'optimization:failed', { jobId, error: err.message });
+      } finally {
+        clearInterval(renewal);
+        this._cancelled.delete(jobId);
+      }
+    }
+  }
+
+  _emit(job, event, payload) {
+    if (this.io) this.io.to(`user:${job.userId.toString()}`).emit(event, payload);
+  }
+
+  async _run(job) {
+    const jobId = job._id.toString();
+    if (this._cancelled.has(jobId)) return;
+
+    const { objective, minTrades } = job;
+    const base = job.baseConfig;
+
+    const { resolved, candles } = await backtestEngine.loadStrategyHistory(base, {
+      dataSource: job.dataSource, from: job.from, to: job.to,
+    });
+    const folds = buildFolds(candles.length, job.walkForward);
+    if (!folds) throw new Error('Not enough history for the requested walk-forward folds');
+
+    const { candidates } = buildCandidates(job.paramRanges, { searchMethod: job.searchMethod, samples: job.samples });
+    const testShare   = 1 - job.walkForward.trainPct;
+    const minOosTrades = Math.max(1, Math.ceil(minTrades * testShare / job.walkForward.trainPct));
+
+    // Only while still queued and leased here — a cancel may have landed while history loaded
+    const started = await OptimizationJob.findOneAndUpdate(
+      { _id: jobId, lockedBy: this.workerId, status: 'queued' },
+      {
+        status: 'running', startedAt: new Date(), timeframe: resolved.timeframe || '1h',
+        candlesAnalysed: candles.length, progress: { completed: 0, total: candidates.length },
+      }
+    );
+    if (!started) return;
+    console.log(`[Optimizer] Job ${jobId}: ${candidates.length} candidates × ${folds.length} folds (${base.strategyId} ${base.symbol})`);
+
+    const evaluated = [];
+    let lastProgressAt = 0;
+
+    for (let c = 0; c < candidates.length; c++) {
+      if (this._cancelled.has(jobId)) {
+        await OptimizationJob.updateOne(
+          { _id: jobId, lockedBy: this.workerId, status: { $in: ['queued', 'running'] } },
+          { status: 'cancelled', finishedAt: new Date() }
+        );
+        return;
+      }
+
+      const { errors, params } = validateStrategyParams(
+        base.strategyId, { ...base.strategyParams, ...candidates[c] }, { applyDefaults: false }
+      );
+      if (!errors.length) {
+        const bot = { ...base, strategyParams: params };
+        const trainRuns = [];
+        const testRuns  = [];
+        for (const fold of folds) {
+          trainRuns.push(await backtestEngine.simulateStrategy(bot, resolved, candles, {
+            startIndex: fold.train[0], endIndex: fold.train[1]
+          }));
+          testRuns.push(await backtestEngine.simulateStrategy(bot, resolved, candles, {
+            startIndex: fold.test[0], endIndex: fold.test[1]
+          }));
+        }
+
+        const inSample    = summarise(trainRuns, objective, minTrades);
+        const outOfSample = summarise(testRuns, objective, minOosTrades);
+        const overfitReason = detectOverfit(inSample, outOfSample, objective);
+        evaluated.push({
+          result: { params: candidates[c], inSample, outOfSample, overfit: !!overfitReason, overfitReason },
+          trainScores: trainRuns.map(r => r[objective]),
+          testScores:  testRuns.map(r => r[objective]),
+        });
+      }
+
+      // Progress — throttled DB write + socket emit, and yield to the event loop
+      const completed = c + 1;
+      if (completed === candidates.length || Date.now() - lastProgressAt >= PROGRESS_EVERY_MS) {
+        lastProgressAt = Date.now();
+        await OptimizationJob.findByIdAndUpdate(jobId, { 'progress.completed': completed });
+        this._emit(job, 'optimization:progress', {
+          jobId, completed, total: candidates.length,
+          percent: Math.round((completed / candidates.length) * 100),
+        });
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    if (!evaluated.length) throw new Error('Every candidate produced invalid strategyParams');
+
+    // ── Rank by out-of-sample objective, in-sample as tie-break ─────────────
+    const ranked = evaluated
+      .map(e => e.result)
+      .sort((a, b) =>
+        (rankValue(b.outOfSample.score, objective) - rankValue(a.outOfSample.score, objective)) ||
+        (rankValue(b.inSample.score, objective) - rankValue(a.inSample.score, objective))
+      );
+    const best = ranked.find(r => !r.overfit && r.outOfSample.score !== null) || null;
+
+    // ── Walk-forward: per fold, the candidate picked on train, scored on test ─
+    const foldSummary = folds.map((fold, f) => {
+      const pick = evaluated.reduce((top, e) =>
+        !top || rankValue(e.trainScores[f], objective) > rankValue(top.trainScores[f], objective) ? e : top, null);
+      return {
+        fold:       fold.fold,
+        trainFrom:  candles[fold.train[0]].timestamp,
+        testFrom:   candles[fold.test[0]].timestamp,
+        testTo:     candles[fold.test[1] - 1].timestamp,
+        params:     pick.result.params,
+        trainScore: pick.trainScores[f],
+        testScore:  pick.testScores[f],
+      };
+    });
+    const meanTrain = foldSummary.reduce((s, f) => s + f.trainScore, 0) / foldSummary.length;
+    const meanTest  = foldSummary.reduce((s, f) => s + f.testScore, 0) / foldSummary.length;
+    const efficiency = OBJECTIVES[objective].minimize
+      ? (meanTest > 0 ? meanTrain / meanTest : null)
+      : (meanTrain > 0 ? meanTest / meanTrain : null);
+
+    const finished = await OptimizationJob.findOneAndUpdate({ _id: jobId, lockedBy: this.workerId, status: 'running' }, {
+      status:     'completed',
+      results:    ranked.slice(0, MAX_RESULTS),
+      best,
+      folds:      foldSummary,
+      walkForwardEfficiency: efficiency === null ? null : round(efficiency),
+      'progress.completed': candidates.length,
+      finishedAt: new Date(),
+    }, { new: true });
+
+    if (!finished) return;   // cancelled or taken over meanwhile
+    console.log(`[Optimizer] Job ${jobId} completed — ${evaluated.length} candidates evaluated`);
+    this._emit(finished, 'optimization:completed', { jobId, best });
+  }
+}
+
+export default new Optimizer();
@@ -0,0 +1,223 @@
+/**
+ * SimulatedLedger.js
+ * In-memory stand-in for OrderManager + the Position/Trade collections, used
+ * when replaying a bot strategy over historical candles.
+ *
+ * Fills mirror DemoSimulator: the fill price is the bar price widened by the
+ * tiered spread (major / mid / altcoin) and every fill pays the 0.1% taker fee.
+ * Bot stats are updated exactly like OrderManager does, so RiskEngine checks
+ * (drawdown, daily loss, consecutive losses) behave as they would live.
+ * Scale-out ladders (BotConfig.exitLadder) are built and taken the same way too;
+ * futures margin, funding and liquidation are not modelled.
+ */
+
+import { getSpreadRate, TAKER_FEE_RATE } from '../services/bot/DemoSimulator.js';
+import exitLadder from '../services/bot/ExitLadder.js';
+
+class SimulatedLedger {
+  /**
+   * @param {Object} bot - plain bot object (BotConfig shape); its stats are mutated
+   * @param {number} initialCapital
+   */
+  constructor(bot, initialCapital) {
+    this.bot        = bot;
+    this.cash       = initialCapital;   // virtual balance, as DemoAccount.virtualBalance
+    this.positions  = [];               // open positions
+    this.closed     = [];               // closed positions
+    this.trades     = [];               // every fill (entries, partial and full exits)
+    this.lastBuyAt  = null;
+    this._seq       = 0;
+  }
+
+  get openPositions() {
+    return this.positions;
+  }
+
+  /**
+   * Simulated fill — same spread + fee model as DemoSimulator.executeOrder.
+   * @param {'buy'|'sell'|'short'} side
+   */
+  _fill(symbol, side, amount, marketPrice) {
+    const spread = getSpreadRate(symbol);
+    const price  = side === 'buy' ? marketPrice * (1 + spread) : marketPrice * (1 - spread);
+    const cost   = price * amount;
+    const fee    = cost * TAKER_FEE_RATE;
+    return { price, amount, cost, fee: { cost: fee, currency: 'USDT', rate: TAKER_FEE_RATE } };
+  }
+
+  /**
+   * Mark open positions to market and advance trailing stops (BotEngine tick prelude).
+   * @returns {number} total unrealized P&L
+   */
+  markToMarket(price, riskEngine) {
+    let unrealized = 0;
+    for (const position of this.positions) {
+      const isShort   = position.side === 'short';
+      const priceDiff = isShort ? position.entryPrice - price : price - position.entryPrice;
+      const size      = position.remainingAmount ?? position.amount;
+      position.currentPrice         = price;
+      position.unrealizedPnL        = priceDiff * size - position.entryFee;
+      position.unrealizedPnLPercent = (priceDiff / position.entryPrice) * 100;
+      riskEngine.updateTrailingStop(position, price, this.bot.strategyParams);
+      unrealized += position.unrealizedPnL;
+    }
+    return unrealized;
+  }
+
+  /**
+   * Open a position from a buy signal.
+   * @returns {Object|null} position, or null if the virtual balance is insufficient
+   */
+  openPosition(signal, symbol, marketPrice, timestamp) {
+    const side     = signal.side || 'long';
+    const execSide = side === 'short' ? 'short' : 'buy';
+    const fill     = this._fill(symbol, execSide, signal.amount, marketPrice);
+
+    if (execSide === 'buy') {
+      if (this.cash < fill.cost + fill.fee.cost) return null; // DemoSimulator would reject
+      this.cash -= fill.cost + fill.fee.cost;
+    }
+
+    // A scale-out ladder replaces the strategy's TP1 and take profit (OrderManager.openPosition)
+    const exitTargets = exitLadder.build(this.bot, {
+      side, entryPrice: fill.price, stopLossPrice: signal.stopLossPrice, amount: fill.amount,
+    });
+    const position = {
+      _id:              `sim-${++this._seq}`,
+      symbol,
+      portionIndex:     signal.portionIndex ?? 0,
+      side,
+      entryPrice:       fill.price,
+      amount:           fill.amount,
+      cost:             fill.cost,
+      entryFee:         fill.fee.cost,
+      takeProfitPrice:  exitTargets ? null : signal.takeProfitPrice || null,
+      stopLossPrice:    signal.stopLossPrice,
+      tp1Price:         exitTargets ? null : signal.tp1Price || null,
+      exitTargets:      exitTargets || [],
+      tp1Hit:           false,
+      trailingStopActive: false,
+      trailingStopPrice:  null,
+      highestPriceSinceEntry: null,
+      lowestPriceSinceEntry:  null,
+      remainingAmount:  fill.amount,
+      currentPrice:     fill.price,
+      unrealizedPnL:    0,
+      status:           'open',
+      openedAt:         timestamp,
+      realizedPnL:      0,
+    };
+    this.positions.push(position);
+    this.lastBuyAt = timestamp;
+
+    this.trades.push({
+      positionId: position._id, side: side === 'short' ? 'sell' : 'buy', price: fill.price,
+      amount: fill.amount, cost: fill.cost, fee: fill.fee.cost, pnl: null,
+      triggerReason: signal.triggerReason || 'entry', portionIndex: position.portionIndex, executedAt: timestamp,
+    });
+    this.bot.stats.totalTrades += 1;
+    return position;
+  }
+
+  /**
+   * Close the remaining size of a position.
+   */
+  closePosition(position, reason, marketPrice, timestamp) {
+    const size = position.remainingAmount ?? position.amount;
+    const pnl  = this._exit(position, size, reason, marketPrice, timestamp, size / position.amount);
+
+    position.status      = 'closed';
+    position.closeReason = reason;
+    position.closePrice  = this.trades[this.trades.length - 1].price;
+    position.closedAt    = timestamp;
+    position.realizedPnL += pnl;
+    position.remainingAmount = 0;
+
+    this.positions = this.positions.filter(p => p !== position);
+    this.closed.push(position);
+    return pnl;
+  }
+
+  /**
+   * Close `portion` of the remaining size (ladder exit), mirroring OrderManager.partialClosePosition.
+   */
+  partialClosePosition(position, { portion = 0.5, reason = 'take_profit_1', moveSlToBreakeven = true }, marketPrice, timestamp) {
+    const openAmount  = position.remainingAmount ?? position.amount;
+    const closeAmount = openAmount * portion;
+    const pnl = this._exit(position, closeAmount, reason, marketPrice, timestamp, portion);
+
+    position.remainingAmount    = openAmount - closeAmount;
+    position.tp1Hit             = true;
+    position.trailingStopActive = true;
+    position.realizedPnL       += pnl;
+    if (moveSlToBreakeven) position.stopLossPrice = position.entryPrice;
+    return pnl;
+  }
+
+  /**
+   * Take exit ladder target `index`, mirroring OrderManager.partialClosePosition with a target.
+   */
+  takeTarget(position, index, marketPrice, timestamp) {
+    const target      = position.exitTargets[index];
+    const openAmount  = position.remainingAmount ?? position.amount;
+    const closeAmount = Math.min(target.amount, openAmount);
+    const pnl = this._exit(position, closeAmount, 'take_profit_ladder', marketPrice, timestamp, closeAmount / position.amount);
+
+    Object.assign(position, exitLadder.afterFill(this.bot, position, index));
+    Object.assign(target, { status: 'filled', fillPrice: this.trades[this.trades.length - 1].price, pnl, filledAt: timestamp });
+    position.remainingAmount = openAmount - closeAmount;
+    position.realizedPnL    += pnl;
+    return pnl;
+  }
+
+  _exit(position, size, reason, marketPrice, timestamp, feeShare) {
+    const isShort = position.side === 'short';
+    const fill    = this._fill(position.symbol, isShort ? 'buy' : 'sell', size, marketPrice);
+    const fees    = position.entryFee * feeShare + fill.fee.cost;
+    const pnl     = isShort
+      ? (position.entryPrice - fill.price) * size - fees
+      : (fill.price - position.entryPrice) * size - fees;
+
+    // Longs get their proceeds back; shorts settle their P&L (both fees included), as DemoSimulator books it
+    this.cash += isShort ? pnl : fill.cost - fill.fee.cost;
+
+    this.trades.push({
+      positionId: position._id, side: isShort ? 'buy' : 'sell', price: fill.price, amount: size,
+      cost: fill.cost, fee: fill.fee.cost, pnl, triggerReason: reason,
+      portionIndex: position.portionIndex, entryPrice: position.entryPrice,
+      positionSide: position.side, openedAt: position.openedAt, executedAt: timestamp,
+    });
+    this._recordStats(pnl, timestamp);
+    return pnl;
+  }
+
+  // Same derived-stat bookkeeping as OrderManager.closePosition
+  _recordStats(pnl, timestamp) {
+    const s = this.bot.stats;
+    const isWin = pnl > 0;
+    s.totalTrades       += 1;
+    s.totalPnL          += pnl;
+    s.winningTrades     += isWin ? 1 : 0;
+    s.losingTrades      += isWin ? 0 : 1;
+    s.grossProfit       += isWin ? pnl : 0;
+    s.grossLoss         += isWin ? 0 : Math.abs(pnl);
+    const closedTrades   = s.winningTrades + s.losingTrades;
+    s.profitFactor       = s.grossLoss > 0 ? s.grossProfit / s.grossLoss : (s.grossProfit > 0 ? 999 : 0);
+    s.winRate            = closedTrades > 0 ? (s.winningTrades / closedTrades) * 100 : 0;
+    s.consecutiveLosses  = isWin ? 0 : s.consecutiveLosses + 1;
+    s.lastTradeAt        = new Date(timestamp);
+  }
+
+  /**
+   * Realized P&L of exits since UTC midnight of `timestamp` (RiskEngine.getDailyPnL).
+   */
+  dailyPnL(timestamp) {
+    const d = new Date(timestamp);
+    const utcMidnight = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    return this.trades
+      .filter(t => t.pnl !== null && t.executedAt >= utcMidnight)
+      .reduce((sum, t) => sum + t.pnl, 0);
+  }
+}
+
+export default SimulatedLedger;
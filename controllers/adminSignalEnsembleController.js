@@ -0,0 +1,101 @@
+import AppSettings from '../models/AppSettings.js';
+import { logAdminAction } from '../models/AuditLog.js';
+import signalEnsemble from '../services/SignalEnsemble.js';
+
+const isUnit = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 1;
+
+const view = async () => {
+  const config = await signalEnsemble.config();
+  return {
+    minScore:  config.minScore,
+    minVoters: config.minVoters,
+    voters: signalEnsemble.describe().map(v => ({ ...v, ...config.voters[v.name] })),
+  };
+};
+
+// GET /api/admin/signal-ensemble — effective weights / thresholds / vetoes per voter
+export const getSignalEnsemble = async (req, res) => {
+  try {
+    res.json({ success: true, data: await view() });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// PUT /api/admin/signal-ensemble  { minScore?, minVoters?, voters?: { [name]: { weight?, threshold?, veto? } } }
+// null resets a field to the voter's registered default.
+export const updateSignalEnsemble = async (req, res) => {
+  try {
+    const { minScore, minVoters, voters = {} } = req.body;
+    const update = {};
+
+    if (minScore !== undefined) {
+      if (minScore !== null && !isUnit(minScore)) {
+        return res.status(400).json({ success: false, message: 'minScore must be between 0 and 1' });
+      }
+      update['signalEnsemble.minScore'] = minScore;
+    }
+    if (minVoters !== undefined) {
+      if (minVoters !== null && !(Number.isInteger(minVoters) && minVoters >= 0)) {
+        return res.status(400).json({ success: false, message: 'minVoters must be a non-negative integer' });
+      }
+      update['signalEnsemble.minVoters'] = minVoters;
+    }
+
+    if (typeof voters !== 'object' || Array.isArray(voters)) {
+      return res.status(400).json({ success: false, message: 'voters must be an object keyed by voter name' });
+    }
+    for (const [name, fields] of Object.entries(voters)) {
+      if (!signalEnsemble.has(name)) {
+        return res.status(400).json({ success: false, message: `Unknown voter "${name}"` });
+      }
+      const { weight, threshold, veto } = fields || {};
+      if (weight !== undefined && weight !== null && !(typeof weight === 'number' && Number.isFinite(weight) && weight >= 0)) {
+        return res.status(400).json({ success: false, message: `${name}.weight must be a non-negative number` });
+      }
+      if (threshold !== undefined && threshold !== null && !isUnit(threshold)) {
+        return res.status(400).json({ success: false, message: `${name}.threshold must be between 0 and 1` });
+      }
+      if (veto !== undefined && veto !== null && typeof veto !== 'boolean') {
+        return res.status(400).json({ success: false, message: `${name}.veto must be true or false` });
+      }
+      if (weight    !== undefined) update[`signalEnsemble.voters.${name}.weight`]    = weight;
+      if (threshold !== undefined) update[`signalEnsemble.voters.${name}.threshold`] = threshold;
+      if (veto      !== undefined) update[`signalEnsemble.voters.${name}.veto`]      = veto;
+    }
+
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ success: false, message: 'Nothing to update' });
+    }
+
+    // Refuse a config where nothing can decide — every signal would be rejected
+    const current = await signalEnsemble.config();
+    const weights = signalEnsemble.describe().map(({ name, defaults }) => {
+      const next = voters[name]?.weight;
+      return next === undefined ? current.voters[name].weight : next ?? defaults.weight;
+    });
+    if (!weights.some(w => w > 0)) {
+      return res.status(400).json({ success: false, message: 'At least one voter needs a weight above 0' });
+    }
+
+    await AppSettings.findOneAndUpdate(
+      { key: 'global' },
+      { $set: { ...update, updatedBy: req.user._id } },
+      { new: true, upsert: true }
+    );
+    signalEnsemble.invalidate();
+
+    await logAdminAction({
+      adminId: req.user.id, adminEmail: req.user.email,
+      action: 'settings_updated',
+      targetModel: 'AppSettings',
+      description: 'Updated signal ensemble weights',
+      metadata: { minScore, minVoters, voters },
+      ip: req.ip,
+    });
+
+    res.json({ success: true, data: await view() });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,122 @@
+import SignalModelVersion from '../models/SignalModelVersion.js';
+import { logAdminAction } from '../models/AuditLog.js';
+import signalModel from '../ai/SignalModel.js';
+import signalModelRegistry from '../services/SignalModelRegistry.js';
+
+const TRAIN_TIMEFRAMES = ['15m', '1h', '4h', '1d'];
+
+const serving = () => ({
+  version: signalModel.activeVersion,
+  source:  signalModel.isModelReady ? 'ai' : 'rule-based',
+});
+
+// GET /api/admin/signal-model/versions
+export const listModelVersions = async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    const versions = await SignalModelVersion.find(filter).sort({ version: -1 }).limit(limit).lean();
+    res.json({ success: true, data: { serving: serving(), training: signalModelRegistry.training, versions } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// GET /api/admin/signal-model/versions/:version
+export const getModelVersion = async (req, res) => {
+  try {
+    const version = await SignalModelVersion.findOne({ version: parseInt(req.params.version) }).lean();
+    if (!version) return res.status(404).json({ success: false, message: 'Model version not found' });
+    res.json({ success: true, data: version });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/admin/signal-model/retrain  { source?, symbols?, timeframes?, autoPromote? }
+// source: auto (default — resolved signals once there are enough) | outcomes | candles;
+// symbols / timeframes apply to candle training.
+// Training takes minutes — answers 202 and runs in the background; poll the versions list.
+export const retrainModel = async (req, res) => {
+  try {
+    const { source = 'auto', symbols, timeframes, autoPromote = true } = req.body;
+    if (!['auto', 'outcomes', 'candles'].includes(source)) {
+      return res.status(400).json({ success: false, message: 'source must be auto, outcomes or candles' });
+    }
+    if (symbols !== undefined && (!Array.isArray(symbols) || !symbols.length || symbols.some(s => !/^[A-Z0-9]+USDT$/.test(s)))) {
+      return res.status(400).json({ success: false, message: 'symbols must be a non-empty list of USDT pairs (e.g. BTCUSDT)' });
+    }
+    if (timeframes !== undefined && (!Array.isArray(timeframes) || !timeframes.length || timeframes.some(t => !TRAIN_TIMEFRAMES.includes(t)))) {
+      return res.status(400).json({ success: false, message: `timeframes must be a non-empty list of ${TRAIN_TIMEFRAMES.join(', ')}` });
+    }
+    if (!signalModel.isTFReady) {
+      return res.status(400).json({ success: false, message: 'TensorFlow.js is not available — AI training is disabled' });
+    }
+    if (signalModelRegistry.training) {
+      return res.status(409).json({ success: false, message: 'A retrain is already running' });
+    }
+
+    signalModelRegistry.retrain({ source, symbols, timeframes, autoPromote: autoPromote !== false, trigger: 'admin', userId: req.user.id })
+      .catch(err => console.warn('[SignalModelRegistry] Admin retrain failed:', err.message));
+
+    await logAdminAction({
+      adminId: req.user.id, adminEmail: req.user.email,
+      action: 'signal_model_retrain',
+      description: `Started SignalModel retrain${symbols ? ` on ${symbols.join(', ')}` : ''}`,
+      metadata: { source, symbols, timeframes, autoPromote },
+      ip: req.ip,
+    });
+
+    res.status(202).json({ success: true, message: 'Retrain started' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/admin/signal-model/versions/:version/promote
+// 409 when the version does worse than the serving model on its holdout set.
+export const promoteModelVersion = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    const exists = await SignalModelVersion.exists({ version });
+    if (!exists) return res.status(404).json({ success: false, message: 'Model version not found' });
+
+    const result = await signalModelRegistry.promote(version, { userId: req.user.id });
+    if (!result.promoted) {
+      return res.status(409).json({ success: false, message: result.reason, data: result.version });
+    }
+
+    await logAdminAction({
+      adminId: req.user.id, adminEmail: req.user.email,
+      action: 'signal_model_promoted',
+      targetModel: 'SignalModelVersion', targetId: String(result.version._id),
+      description: `Promoted SignalModel v${version}`,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, message: `Model v${version} is now serving`, data: result.version });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+// POST /api/admin/signal-model/rollback — back to the previously serving version
+export const rollbackModel = async (req, res) => {
+  try {
+    const from   = signalModel.activeVersion;
+    const result = await signalModelRegistry.rollback({ userId: req.user.id });
+
+    await logAdminAction({
+      adminId: req.user.id, adminEmail: req.user.email,
+      action: 'signal_model_rolled_back',
+      targetModel: 'SignalModelVersion', targetId: String(result.version._id),
+      description: `Rolled SignalModel back from v${from ?? '—'} to v${result.version.version}`,
+      ip: req.ip,
+    });
+
+    res.json({ success: true, message: `Model v${result.version.version} is now serving`, data: result.version });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
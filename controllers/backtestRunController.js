@@ -0,0 +1,160 @@
+import mongoose from 'mongoose';
+import BacktestRun, { RUN_METRICS } from '../models/BacktestRun.js';
+
+const MAX_COMPARE     = 5;
+const CURVE_POINTS    = 300;  // equity curves are downsampled to this many points for overlays
+const LIST_PAGE_LIMIT = 100;
+
+// Keep every n-th point (plus the last) so long curves stay cheap to overlay
+function downsample(curve, maxPoints = CURVE_POINTS) {
+  if (curve.length <= maxPoints) return curve;
+  const step = Math.ceil(curve.length / maxPoints);
+  const out  = curve.filter((_, i) => i % step === 0);
+  if (out[out.length - 1] !== curve[curve.length - 1]) out.push(curve[curve.length - 1]);
+  return out;
+}
+
+/**
+ * GET /api/backtests
+ * Query: kind, symbol, strategyId, botId, page, limit
+ * Equity curves and trades are omitted — fetch a single run for those.
+ */
+export const listRuns = async (req, res) => {
+  try {
+    const { kind, symbol, strategyId, botId } = req.query;
+    const page  = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(LIST_PAGE_LIMIT, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { userId: req.user.id };
+    if (kind)       filter.kind       = kind;
+    if (symbol)     filter.symbol     = symbol.toUpperCase();
+    if (strategyId) filter.strategyId = strategyId;
+    if (botId)      filter.botId      = botId;
+
+    const [runs, total] = await Promise.all([
+      BacktestRun.find(filter)
+        .select('-equityCurve -trades')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BacktestRun.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: { runs, pagination: { page, limit, total, pages: Math.ceil(total / limit) } }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/backtests/compare?ids=a,b,c
+ * Side-by-side metrics, deltas against the first run, and equity curves
+ * normalised to % return so runs with different capital overlay cleanly.
+ */
+export const compareRuns = async (req, res) => {
+  try {
+    const ids = [...new Set(String(req.query.ids || '').split(',').map(s => s.trim()).filter(Boolean))];
+    if (ids.length < 2 || ids.length > MAX_COMPARE) {
+      return res.status(400).json({ success: false, message: `Provide between 2 and ${MAX_COMPARE} run ids` });
+    }
+    if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'Invalid run id' });
+    }
+
+    const found = await BacktestRun.find({ _id: { $in: ids }, userId: req.user.id }).select('-trades');
+    if (found.length !== ids.length) {
+      return res.status(404).json({ success: false, message: 'One or more runs not found' });
+    }
+    // Preserve the requested order — the first id is the baseline
+    const runs = ids.map(id => found.find(r => r._id.toString() === id));
+    const baseline = runs[0].metrics || {};
+
+    const comparison = runs.map(run => {
+      const metrics = run.metrics || {};
+      const deltas = {};
+      for (const key of RUN_METRICS) {
+        const a = metrics[key];
+        const b = baseline[key];
+        deltas[key] = typeof a === 'number' && typeof b === 'number' ? parseFloat((a - b).toFixed(4)) : null;
+      }
+      return {
+        id:         run._id,
+        label:      run.label,
+        kind:       run.kind,
+        symbol:     run.symbol,
+        timeframe:  run.timeframe,
+        strategyId: run.strategyId,
+        inputs:     run.inputs,
+        createdAt:  run.createdAt,
+        metrics,
+        deltas,
+        equityCurve: downsample(run.equityCurve).map(p => ({
+          timestamp: p.timestamp,
+          equity:    p.equity,
+          returnPct: parseFloat((((p.equity - run.initialCapital) / run.initialCapital) * 100).toFixed(3))
+        }))
+      };
+    });
+
+    res.json({ success: true, data: { baselineId: runs[0]._id, metrics: RUN_METRICS, runs: comparison } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/backtests/:id
+ */
+export const getRun = async (req, res) => {
+  try {
+    const run = await BacktestRun.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!run) return res.status(404).json({ success: false, message: 'Backtest run not found' });
+
+    res.json({ success: true, data: { run } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * PATCH /api/backtests/:id
+ * Rename a run or attach notes. Body: { label?, notes? }
+ */
+export const updateRun = async (req, res) => {
+  try {
+    const update = {};
+    if (req.body.label !== undefined) update.label = String(req.body.label).trim();
+    if (req.body.notes !== undefined) update.notes = String(req.body.notes);
+
+    const run = await BacktestRun.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      update,
+      { new: true, runValidators: true }
+    ).select('-equityCurve -trades');
+    if (!run) return res.status(404).json({ success: false, message: 'Backtest run not found' });
+
+    res.json({ success: true, data: { run } });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * DELETE /api/backtests/:id
+ */
+export const deleteRun = async (req, res) => {
+  try {
+    const result = await BacktestRun.deleteOne({ _id: req.params.id, userId: req.user.id });
+    if (!result.deletedCount) return res.status(404).json({ success: false, message: 'Backtest run not found' });
+
+    res.json({ success: true, message: 'Backtest run deleted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,58 @@
+import BotConfig from '../models/bot/BotConfig.js';
+import botAnalytics from '../services/bot/BotAnalytics.js';
+import { parseTimestamp } from '../services/CandleStore.js';
+
+/**
+ * { from, to } of the query string (epoch ms|s or ISO dates), or { error }.
+ */
+const parseRange = (query) => {
+  const range = { from: null, to: null };
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const ms = parseTimestamp(query[key]);
+    if (ms == null) return { error: `Invalid ${key} date` };
+    range[key] = new Date(ms);
+  }
+  if (range.from && range.to && range.from > range.to) return { error: 'from must be before to' };
+  return range;
+};
+
+/**
+ * GET /api/bots/:id/analytics
+ * Query: from?, to? — limit the history to trades closed in that window.
+ * Equity curve, Sharpe / Sortino / Calmar, drawdown depth and duration, expectancy,
+ * hold times, per-trade MAE / MFE and breakdowns by symbol, weekday, hour and side.
+ */
+export const getBotAnalytics = async (req, res) => {
+  try {
+    const bot = await BotConfig.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
+
+    const { error, from, to } = parseRange(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const analytics = await botAnalytics.forBot(bot, { from, to });
+    res.json({ success: true, data: { botId: bot._id, from, to, ...analytics } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/bots/analytics
+ * Query: isDemo?, from?, to?
+ * Every bot's headline metrics side by side (best P&L first) and the whole
+ * fleet's combined analytics.
+ */
+export const getFleetAnalytics = async (req, res) => {
+  try {
+    const { error, from, to } = parseRange(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const isDemo = req.query.isDemo === undefined ? undefined : req.query.isDemo === 'true';
+    const { bots, fleet } = await botAnalytics.forFleet(req.user.id, { isDemo, from, to });
+    res.json({ success: true, data: { from, to, bots, fleet } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
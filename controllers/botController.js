@@ -1,7 +1,8 @@
 import BotConfig from '../models/bot/BotConfig.js';
-import Trade from '../models/bot/Trade.js';
+import Trade, { ledgerFilter } from '../models/bot/Trade.js';
 import Position from '../models/bot/Position.js';
 import ExchangeAccount from '../models/ExchangeAccount.js';
+import CustomStrategy from '../models/bot/CustomStrategy.js';
 import Signal from '../models/Signal.js';
 import botEngine from '../services/bot/BotEngine.js';
 import demoSimulator from '../services/bot/DemoSimulator.js';
@@ -9,6 +10,12 @@ import orderManager from '../services/bot/OrderManager.js';
 import marketDataService from '../services/MarketDataService.js';
 import scoringEngine from '../services/SignalScoringEngine.js';
 import pairConflictGuard from '../services/PairConflictGuard.js';
+import portfolioRisk from '../services/bot/PortfolioRiskEngine.js';
+import watchlist from '../services/bot/Watchlist.js';
+import backtestEngine from '../backtesting/BacktestEngine.js';
+import BacktestRun from '../models/BacktestRun.js';
+import { parseHistoryOptions, parseTimestamp } from '../services/CandleStore.js';
+import { findStrategy, validateStrategyParams } from './strategyController.js';
 
 /**
  * GET /api/bots
@@ -19,12 +26,13 @@ export const listBots = async (req, res) => {
       .sort({ createdAt: -1 });
 
     // Enrich with open position counts + unrealized P&L
+    const running  = await botEngine.runningIds(bots.map(b => b._id));
     const enriched = await Promise.all(bots.map(async (bot) => {
-      const positions = await Position.find({ botId: bot._id, status: 'open' }).select('unrealizedPnL');
+      const positions = await Position.find({ botId: bot._id, status: 'open', ...ledgerFilter(bot) }).select('unrealizedPnL');
       const obj = bot.toObject();
       obj.openPositionsCount = positions.length;
       obj.unrealizedPnL = positions.reduce((sum, p) => sum + (p.unrealizedPnL || 0), 0);
-      obj.isRunning = botEngine.isRunning(bot._id);
+      obj.isRunning = running.has(bot._id.toString());
       return obj;
     }));
 
@@ -34,6 +42,78 @@ export const listBots = async (req, res) => {
   }
 };
 
+/**
+ * Shared strategy / market / params validation for creating or backtesting a bot config.
+ * @returns {Promise<{ error?: string, errors?: string[], strategy?, resolvedMarket?, customStrategy?, cleanParams? }>}
+ */
+export const resolveBotSetup = async (body, userId) => {
+  const {
+    symbol, marketType, strategyId, strategyParams,
+    customStrategyId, // required when strategyId is 'custom_rules'
+    watchlist,        // multi-pair candle bots: [{ symbol, weight?, maxOpenPositions? }]
+  } = body;
+
+  const strategy = findStrategy(strategyId);
+  if (!strategy) {
+    return { error: `Unknown strategy "${strategyId}"` };
+  }
+  const resolvedMarket = marketType || 'spot';
+  if (!strategy.supportedMarkets.includes(resolvedMarket)) {
+    return { error: `${strategy.name} supports ${strategy.supportedMarkets.join(', ')} markets only` };
+  }
+  // Signal-following bots roam across pairs; candle strategies need a pair or a watchlist of pairs
+  if (watchlist?.length) {
+    if (!Array.isArray(watchlist)) return { error: 'watchlist must be an array of { symbol, weight?, maxOpenPositions? }' };
+    if (strategy.id === 'smart_signal') {
+      return { error: `${strategy.name} already follows signals across pairs — watchlists are for candle strategies` };
+    }
+    if (symbol && symbol.toUpperCase() !== 'MULTI') {
+      return { error: 'A watchlist bot trades its watchlist — leave symbol empty or set it to MULTI' };
+    }
+  } else if (symbol?.toUpperCase() === 'MULTI' && strategy.id !== 'smart_signal') {
+    return { error: `${strategy.name} requires a specific trading pair or a watchlist` };
+  }
+
+  let customStrategy = null;
+  if (strategy.id === 'custom_rules') {
+    if (!customStrategyId) {
+      return { error: 'customStrategyId is required for custom rule bots' };
+    }
+    customStrategy = await CustomStrategy.findOne({
+      _id: customStrategyId,
+      $or: [{ userId }, { isPublic: true }]
+    });
+    if (!customStrategy) {
+      return { error: 'Custom strategy not found' };
+    }
+    if (!customStrategy.supportedMarkets.includes(resolvedMarket)) {
+      return { error: `${customStrategy.name} does not support ${resolvedMarket} markets` };
+    }
+    if (customStrategy.rules?.side === 'short' && resolvedMarket !== 'futures') {
+      return { error: 'Short rule strategies require a futures market' };
+    }
+  }
+
+  const { errors: paramErrors, params: cleanParams } = validateStrategyParams(strategyId, strategyParams || {});
+  if (paramErrors.length) {
+    return { error: 'Invalid strategyParams', errors: paramErrors };
+  }
+
+  return { strategy, resolvedMarket, customStrategy, cleanParams };
+};
+
+/**
+ * The live trading account a bot would run on: it must be the user's and tested.
+ * @returns {Promise<{ error?: string, account?: Object }>}
+ */
+export const checkExchangeAccount = async (exchangeAccountId, userId) => {
+  if (!exchangeAccountId) return { error: 'exchangeAccountId required for live trading' };
+  const account = await ExchangeAccount.findOne({ _id: exchangeAccountId, userId });
+  if (!account) return { error: 'Exchange account not found' };
+  if (!account.isValid) return { error: 'Exchange account connection is not valid. Please test it first.' };
+  return { account };
+};
+
 /**
  * POST /api/bots
  */
@@ -41,41 +121,43 @@ export const createBot = async (req, res) => {
   try {
     const {
       name, exchange, symbol, marketType, strategyId,
-      strategyParams, capitalAllocation, riskParams,
-      exchangeAccountId, isDemo, executionMode, cooldownMinutes,
+      capitalAllocation, riskParams,
+      exchangeAccountId, isDemo, executionMode, cooldownMinutes, execution, futures, exitLadder,
+      schedule, volatilityPause, watchlist, watchlistRanking,
       pendingSignal,  // pre-selected signal from manual mode setup
     } = req.body;
 
-    if (!name || !exchange || !symbol || !strategyId || !capitalAllocation?.totalCapital) {
+    if (!name || !exchange || !(symbol || watchlist?.length) || !strategyId || !capitalAllocation?.totalCapital) {
       return res.status(400).json({
         success: false,
-        message: 'name, exchange, symbol, strategyId, and capitalAllocation.totalCapital are required'
+        message: 'name, exchange, symbol (or watchlist), strategyId, and capitalAllocation.totalCapital are required'
       });
     }
 
+    const setup = await resolveBotSetup(req.body, req.user.id);
+    if (setup.error) {
+      return res.status(400).json({ success: false, message: setup.error, ...(setup.errors && { errors: setup.errors }) });
+    }
+    const { resolvedMarket, customStrategy, cleanParams } = setup;
+
     const demoMode = !!isDemo;
 
     // If live mode, validate exchange account belongs to user
     if (!demoMode) {
-      if (!exchangeAccountId) {
-        return res.status(400).json({ success: false, message: 'exchangeAccountId required for live trading' });
-      }
-      const account = await ExchangeAccount.findOne({ _id: exchangeAccountId, userId: req.user.id });
-      if (!account) {
-        return res.status(400).json({ success: false, message: 'Exchange account not found' });
-      }
-      if (!account.isValid) {
-        return res.status(400).json({ success: false, message: 'Exchange account connection is not valid. Please test it first.' });
-      }
+      const { error: accountError } = await checkExchangeAccount(exchangeAccountId, req.user.id);
+      if (accountError) return res.status(400).json({ success: false, message: accountError });
     }
 
     const bot = await BotConfig.create({
       userId: req.user.id,
       name: name.trim(),
       exchange: exchange.toLowerCase(),
-      symbol: symbol.toUpperCase(),
-      marketType: marketType || 'spot',
+      symbol: watchlist?.length ? 'MULTI' : symbol.toUpperCase(),
+      watchlist: watchlist || [],
+      watchlistRanking,
+      marketType: resolvedMarket,
       strategyId,
+      customStrategyId: customStrategy?._id || null,
       executionMode: executionMode || 'manual',
       // Pre-selected signal from manual mode setup — stored as Mixed to avoid subdoc type conflict
       pendingSignalOverride: pendingSignal ? {
@@ -90,9 +172,14 @@ export const createBot = async (req, res) => {
         expiresAt:       new Date(Date.now() + 2 * 60 * 60 * 1000),
       } : null,
       cooldownMinutes: cooldownMinutes ?? 30,
-      strategyParams: strategyParams || {},
+      strategyParams: cleanParams,
       capitalAllocation,
       riskParams: riskParams || {},
+      execution: execution || {},
+      futures: futures || {},
+      exitLadder: exitLadder || {},
+      schedule: schedule || {},
+      volatilityPause: volatilityPause || {},
       exchangeAccountId: demoMode ? null : exchangeAccountId,
       isDemo: demoMode,
       'stats.startingCapital': capitalAllocation.totalCapital,
@@ -115,29 +202,58 @@ export const createBot = async (req, res) => {
 
     res.status(201).json({ success: true, data: { bot } });
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, message: err.message });
   }
 };
 
 /**
  * GET /api/bots/:id
+ * Open positions carry their scale-out targets (exitTargets); exitLegTrades are
+ * the legs already taken on them, one trade each with its own P&L. Watchlist
+ * bots also get symbols: each symbol's capital share, open positions and P&L.
+ * While a replay runs, positions and trades come from the replay's ledger.
  */
 export const getBotDetail = async (req, res) => {
   try {
     const bot = await BotConfig.findOne({ _id: req.params.id, userId: req.user.id });
     if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
 
-    const openPositions = await Position.find({ botId: bot._id, status: 'open' });
-    const recentTrades = await Trade.find({ botId: bot._id })
+    const openPositions = await Position.find({ botId: bot._id, status: 'open', ...ledgerFilter(bot) });
+    const recentTrades = await Trade.find({ botId: bot._id, ...ledgerFilter(bot) })
       .sort({ executedAt: -1 })
       .limit(10);
+    const exitLegTrades = await Trade.find({
+      positionId: { $in: openPositions.filter(p => p.exitTargets?.length).map(p => p._id) },
+      exitLeg: { $ne: null }
+    }).sort({ executedAt: 1 });
+
+    let symbols;
+    if (watchlist.enabled(bot)) {
+      const allocations = watchlist.allocations(bot);
+      symbols = bot.watchlist.map(entry => {
+        const positions = openPositions.filter(p => p.symbol === entry.symbol);
+        return {
+          symbol:           entry.symbol,
+          weight:           entry.weight,
+          capital:          parseFloat(allocations.get(entry.symbol).toFixed(2)),
+          maxOpenPositions: entry.maxOpenPositions,
+          openPositions:    positions.length,
+          unrealizedPnL:    parseFloat(positions.reduce((sum, p) => sum + (p.unrealizedPnL || 0), 0).toFixed(2)),
+        };
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        bot: { ...bot.toObject(), isRunning: botEngine.isRunning(bot._id) },
+        bot: { ...bot.toObject(), isRunning: await botEngine.isRunning(bot._id) },
         openPositions,
-        recentTrades
+        recentTrades,
+        exitLegTrades,
+        ...(symbols && { symbols })
       }
     });
   } catch (err) {
@@ -157,7 +273,39 @@ export const updateBot = async (req, res) => {
       return res.status(400).json({ success: false, message: 'Stop the bot before editing' });
     }
 
-    const allowed = ['name', 'strategyParams', 'capitalAllocation', 'riskParams'];
+    if (req.body.strategyParams !== undefined) {
+      const { errors: paramErrors, params: cleanParams } = validateStrategyParams(
+        bot.strategyId,
+        { ...bot.toObject().strategyParams, ...req.body.strategyParams },
+        { applyDefaults: false }
+      );
+      if (paramErrors.length) {
+        return res.status(400).json({ success: false, message: 'Invalid strategyParams', errors: paramErrors });
+      }
+      req.body.strategyParams = cleanParams;
+    }
+    if (req.body.execution !== undefined) {
+      req.body.execution = { ...bot.toObject().execution, ...req.body.execution };
+    }
+    if (req.body.futures !== undefined) {
+      req.body.futures = { ...bot.toObject().futures, ...req.body.futures };
+    }
+    if (req.body.exitLadder !== undefined) {
+      req.body.exitLadder = { ...bot.toObject().exitLadder, ...req.body.exitLadder };
+    }
+    mergeScheduleSettings(bot, req.body);
+    // A watchlist bot keeps a watchlist; single-pair bots are cloned to become one
+    if (req.body.watchlist !== undefined && !(watchlist.enabled(bot) && req.body.watchlist?.length)) {
+      return res.status(400).json({
+        success: false,
+        message: watchlist.enabled(bot) ? 'A watchlist bot needs at least one symbol' : 'Only watchlist bots have a watchlist'
+      });
+    }
+
+    const allowed = [
+      'name', 'strategyParams', 'capitalAllocation', 'riskParams', 'missedTickPolicy', 'execution', 'futures', 'exitLadder',
+      'schedule', 'volatilityPause', 'watchlist', 'watchlistRanking'
+    ];
     for (const key of allowed) {
       if (req.body[key] !== undefined) bot[key] = req.body[key];
     }
@@ -165,6 +313,57 @@ export const updateBot = async (req, res) => {
 
     res.json({ success: true, data: { bot } });
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * Merge partial schedule / volatilityPause updates in `body` over the bot's current settings.
+ */
+const mergeScheduleSettings = (bot, body) => {
+  for (const key of ['schedule', 'volatilityPause']) {
+    if (body[key] !== undefined) body[key] = { ...bot.toObject()[key], ...body[key] };
+  }
+};
+
+/**
+ * PUT /api/bots/:id/schedule
+ * Body: { schedule?, volatilityPause? } — trading windows, blackout dates, auto-start /
+ * auto-stop times and volatility pause triggers. Unlike PUT /api/bots/:id this
+ * works while the bot is running; the next tick applies the change.
+ */
+export const updateBotSchedule = async (req, res) => {
+  try {
+    const bot = await BotConfig.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
+    if (req.body.schedule === undefined && req.body.volatilityPause === undefined) {
+      return res.status(400).json({ success: false, message: 'Provide schedule and/or volatilityPause' });
+    }
+
+    mergeScheduleSettings(bot, req.body);
+    if (req.body.schedule) bot.schedule = req.body.schedule;
+    if (req.body.volatilityPause) {
+      bot.volatilityPause = req.body.volatilityPause;
+      // Turning the pause off ends one in progress
+      if (!bot.volatilityPause.enabled) {
+        bot.volatilityPauseUntil = null;
+        bot.volatilityPauseSymbols = {};
+      }
+    }
+    const { autoStartAt, autoStopAt } = bot.schedule;
+    if (autoStartAt && autoStopAt && autoStopAt <= autoStartAt) {
+      return res.status(400).json({ success: false, message: 'schedule.autoStopAt must be after autoStartAt' });
+    }
+    await bot.save();
+
+    res.json({ success: true, data: { schedule: bot.schedule, volatilityPause: bot.volatilityPause } });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     res.status(500).json({ success: false, message: err.message });
   }
 };
@@ -177,7 +376,7 @@ export const deleteBot = async (req, res) => {
     const bot = await BotConfig.findOne({ _id: req.params.id, userId: req.user.id });
     if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
 
-    if (botEngine.isRunning(bot._id)) {
+    if (await botEngine.isRunning(bot._id)) {
       await botEngine.stopBot(bot._id);
     }
 
@@ -196,9 +395,12 @@ export const startBot = async (req, res) => {
     const bot = await BotConfig.findOne({ _id: req.params.id, userId: req.user.id });
     if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
 
-    if (botEngine.isRunning(bot._id)) {
+    if (await botEngine.isRunning(bot._id)) {
       return res.status(400).json({ success: false, message: 'Bot is already running' });
     }
+    if (await portfolioRisk.isHalted(bot)) {
+      return res.status(400).json({ success: false, message: 'Portfolio kill switch is engaged — release it before starting bots' });
+    }
 
     await botEngine.startBot(bot._id);
     res.json({ success: true, message: `Bot "${bot.name}" started` });
@@ -207,6 +409,52 @@ export const startBot = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/bots/:id/replay
+ * Paper-replay a demo bot over stored candles. Body: { from, to, speed? }
+ * speed = simulated seconds per real second (default 3600 — one 1h candle per second).
+ * The replay runs on its own ledger (see BotEngine.startReplay) and restores the bot's stats
+ * when it ends; progress is pushed as `bot:replay`, stop with POST /:id/stop.
+ */
+export const replayBot = async (req, res) => {
+  try {
+    const bot = await BotConfig.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
+
+    if (await botEngine.isRunning(bot._id)) {
+      return res.status(400).json({ success: false, message: 'Stop the bot before replaying it' });
+    }
+
+    const from = parseTimestamp(req.body.from);
+    const to   = parseTimestamp(req.body.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ success: false, message: 'from and to are required (epoch timestamps or ISO dates)' });
+    }
+    if (from >= to) return res.status(400).json({ success: false, message: 'from must be before to' });
+    if (to > Date.now()) return res.status(400).json({ success: false, message: 'to cannot be in the future' });
+
+    const speed = req.body.speed !== undefined ? parseFloat(req.body.speed) : undefined;
+    if (speed !== undefined && !(speed > 0)) {
+      return res.status(400).json({ success: false, message: 'speed must be a positive number' });
+    }
+
+    const openCount = await Position.countDocuments({ botId: bot._id, status: 'open' });
+    if (openCount > 0) {
+      return res.status(400).json({ success: false, message: 'Close the bot\'s open positions before replaying it' });
+    }
+
+    const plan = await botEngine.planReplay(bot, { from, to });
+    if (plan.error) return res.status(400).json({ success: false, message: plan.error });
+
+    await botEngine.startReplay(bot._id, plan, speed);
+    const updated = await BotConfig.findById(bot._id).select('replay');
+    res.json({ success: true, message: `Replay of "${bot.name}" started`, data: { replay: updated.replay } });
+  } catch (err) {
+    console.error('[BotController] replayBot error:', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
 /**
  * POST /api/bots/:id/stop
  */
@@ -224,6 +472,7 @@ export const stopBot = async (req, res) => {
 
 /**
  * GET /api/bots/:id/trades
+ * The bot's current ledger (replay trades while a replay runs); ?replay=true lists replay trades.
  */
 export const getBotTrades = async (req, res) => {
   try {
@@ -233,10 +482,11 @@ export const getBotTrades = async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
+    const filter = { botId: bot._id, ...(req.query.replay === 'true' ? { replay: true } : ledgerFilter(bot)) };
 
     const [trades, total] = await Promise.all([
-      Trade.find({ botId: bot._id }).sort({ executedAt: -1 }).skip(skip).limit(limit),
-      Trade.countDocuments({ botId: bot._id })
+      Trade.find(filter).sort({ executedAt: -1 }).skip(skip).limit(limit),
+      Trade.countDocuments(filter)
     ]);
 
     res.json({
@@ -250,6 +500,7 @@ export const getBotTrades = async (req, res) => {
 
 /**
  * GET /api/bots/:id/positions
+ * Same ledger selection as /trades.
  */
 export const getBotPositions = async (req, res) => {
   try {
@@ -257,7 +508,8 @@ export const getBotPositions = async (req, res) => {
     if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
 
     const status = req.query.status || 'open';
-    const positions = await Position.find({ botId: bot._id, status })
+    const ledger = req.query.replay === 'true' ? { replay: true } : ledgerFilter(bot);
+    const positions = await Position.find({ botId: bot._id, status, ...ledger })
       .sort({ openedAt: -1 })
       .limit(50);
 
@@ -279,41 +531,14 @@ export const closePosition = async (req, res) => {
     const position = await Position.findOne({ _id: req.params.positionId, botId: bot._id, status: 'open' });
     if (!position) return res.status(404).json({ success: false, message: 'Position not found or already closed' });
 
-    const closePrice = position.currentPrice || position.entryPrice;
-    const realizedPnl = (closePrice - position.entryPrice) * (position.amount || 0) - (position.entryFee || 0);
-
-    // For live trading — place market close order on exchange
-    if (!bot.isDemo && bot.exchangeAccountId) {
-      try {
-        const ExchangeAccount = (await import('../models/ExchangeAccount.js')).default;
-        const account = await ExchangeAccount.findById(bot.exchangeAccountId);
-        if (account) {
-          const { default: ccxt } = await import('ccxt');
-          const ExchangeClass = ccxt[account.exchange];
-          if (ExchangeClass) {
-            const exchange = new ExchangeClass({ apiKey: account.apiKey, secret: account.apiSecret, enableRateLimit: true });
-            const side = position.side === 'long' ? 'sell' : 'buy';
-            await exchange.createMarketOrder(position.symbol, side, position.amount);
-          }
-        }
-      } catch (exchErr) {
-        // Log but don't fail — still close in DB
-        console.warn('[closePosition] exchange order failed:', exchErr.message);
-      }
-    }
-
-    // Mark closed in DB
-    position.status      = 'closed';
-    position.closePrice  = closePrice;
-    position.realizedPnL = realizedPnl;
-    position.closedAt    = new Date();
-    position.closeReason = 'manual';
-    await position.save();
-
-    // Update bot stats
-    await BotConfig.findByIdAndUpdate(bot._id, { $inc: { 'stats.totalPnL': realizedPnl } });
-
-    res.json({ success: true, data: { realizedPnl, closePrice } });
+    // OrderManager books the closing trade, P&L on the remaining size, ladder and stats (and the
+    // DemoAccount); live bots get their exchange-side SL/TP pulled first. A replaying bot closes
+    // at its last replayed price on the replay clock.
+    const fill = bot.replay?.active
+      ? { price: position.currentPrice || position.entryPrice, at: bot.replay.clock || new Date() }
+      : null;
+    const { trade, realizedPnL } = await orderManager.closePosition(bot, position, 'manual', fill);
+    res.json({ success: true, data: { realizedPnl: realizedPnL, closePrice: trade.price } });
   } catch (err) {
     res.status(500).json({ success: false, message: err.message });
   }
@@ -415,6 +640,11 @@ export const executeSignal = async (req, res) => {
       score:           pending.score,
     };
 
+    const portfolioCheck = await portfolioRisk.checkCanOpen(bot, { symbol: tradeSymbol, amount, price: livePrice });
+    if (!portfolioCheck.allowed) {
+      return res.status(400).json({ success: false, message: `Blocked by portfolio risk limits: ${portfolioCheck.reason}` });
+    }
+
     const { position } = await orderManager.openPosition(bot, signal, tradeSymbol);
 
     // Set cooldown + clear pending signals
@@ -569,6 +799,11 @@ export const quickExecute = async (req, res) => {
       confidence:      signalData.confidenceScore || 0.7,
     };
 
+    const portfolioCheck = await portfolioRisk.checkCanOpen(bot, { symbol: tradeSymbol, amount, price: livePrice });
+    if (!portfolioCheck.allowed) {
+      return res.status(400).json({ success: false, message: `Blocked by portfolio risk limits: ${portfolioCheck.reason}` });
+    }
+
     const { position } = await orderManager.openPosition(bot, signal, tradeSymbol);
 
     res.json({
@@ -580,3 +815,116 @@ export const quickExecute = async (req, res) => {
     res.status(500).json({ success: false, message: err.message });
   }
 };
+
+// Bot config fields a strategy backtest depends on (stored as BacktestRun.inputs)
+const BACKTEST_INPUT_FIELDS = [
+  'exchange', 'symbol', 'marketType', 'strategyId', 'customStrategyId',
+  'strategyParams', 'capitalAllocation', 'riskParams', 'exitLadder', 'execution',
+  'schedule', 'volatilityPause'
+];
+const backtestInputs = (bot) => Object.fromEntries(BACKTEST_INPUT_FIELDS.map(k => [k, bot[k]]));
+
+/**
+ * Build an unsaved, schema-defaulted bot from a createBot-style body so it can
+ * be backtested or optimised before it exists.
+ * @returns {Promise<{ error?: string, errors?: string[], bot?: Object }>} bot is a plain object
+ */
+export const buildUnsavedBot = async (body, userId) => {
+  const { symbol, strategyId, capitalAllocation, riskParams } = body;
+  if (!symbol || !strategyId || !capitalAllocation?.totalCapital) {
+    return { error: 'symbol, strategyId, and capitalAllocation.totalCapital are required' };
+  }
+  if (!backtestEngine.canReplay(strategyId)) {
+    return { error: 'Signal-following bots cannot be backtested on candles — use /api/signals/backtest' };
+  }
+
+  const setup = await resolveBotSetup(body, userId);
+  if (setup.error) return setup;
+
+  const bot = new BotConfig({
+    userId,
+    name: body.name || 'Backtest',
+    exchange: (body.exchange || 'binance').toLowerCase(),
+    symbol: symbol.toUpperCase(),
+    marketType: setup.resolvedMarket,
+    strategyId,
+    customStrategyId: setup.customStrategy?._id || null,
+    strategyParams: setup.cleanParams,
+    capitalAllocation,
+    riskParams: riskParams || {},
+    execution: body.execution || {},
+    exitLadder: body.exitLadder || {},
+    schedule: body.schedule || {},
+    volatilityPause: body.volatilityPause || {},
+    isDemo: true,
+  });
+  const validationError = bot.validateSync();
+  if (validationError) return { error: validationError.message };
+
+  return { bot: bot.toObject() };
+};
+
+/**
+ * POST /api/bots/backtest
+ * Backtest an unsaved bot config (same body as POST /api/bots) before creating it.
+ * Optional dataSource / from / to select an offline CandleStore range.
+ */
+export const backtestConfig = async (req, res) => {
+  try {
+    const { error, errors, bot } = await buildUnsavedBot(req.body, req.user.id);
+    if (error) {
+      return res.status(400).json({ success: false, message: error, ...(errors && { errors }) });
+    }
+    const { error: historyError, ...history } = parseHistoryOptions(req.body);
+    if (historyError) return res.status(400).json({ success: false, message: historyError });
+
+    const result = await backtestEngine.runStrategyBacktest(bot, {
+      initialCapital: parseFloat(bot.capitalAllocation.totalCapital),
+      ...history,
+    });
+    const run = await BacktestRun.record({
+      userId: req.user.id, kind: 'strategy', inputs: { ...backtestInputs(bot), ...history }, result
+    });
+    res.json({ success: true, data: { ...result, runId: run._id } });
+  } catch (err) {
+    console.error('[BotController] backtestConfig error:', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/bots/:id/backtest
+ * Backtest a saved bot with its current config. Body: { initialCapital?, dataSource?, from?, to? }
+ */
+export const backtestBot = async (req, res) => {
+  try {
+    const bot = await BotConfig.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
+
+    if (!backtestEngine.canReplay(bot.strategyId)) {
+      return res.status(400).json({ success: false, message: 'Signal-following bots cannot be backtested on candles — use /api/signals/backtest' });
+    }
+    if (watchlist.enabled(bot)) {
+      return res.status(400).json({ success: false, message: 'Watchlist bots are backtested one symbol at a time — use POST /api/bots/backtest' });
+    }
+
+    const initialCapital = req.body.initialCapital !== undefined ? parseFloat(req.body.initialCapital) : undefined;
+    if (initialCapital !== undefined && !(initialCapital > 0)) {
+      return res.status(400).json({ success: false, message: 'initialCapital must be a positive number' });
+    }
+
+    const { error: historyError, ...history } = parseHistoryOptions(req.body);
+    if (historyError) return res.status(400).json({ success: false, message: historyError });
+
+    const config = bot.toObject();
+    const result = await backtestEngine.runStrategyBacktest(config, { initialCapital, ...history });
+    const run = await BacktestRun.record({
+      userId: req.user.id, kind: 'strategy', botId: bot._id,
+      inputs: { ...backtestInputs(config), ...history, initialCapital: result.initialCapital }, result
+    });
+    res.json({ success: true, data: { ...result, runId: run._id } });
+  } catch (err) {
+    console.error('[BotController] backtestBot error:', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,80 @@
+import BotConfig from '../models/bot/BotConfig.js';
+import BotEvent, { BOT_EVENT_TYPES, BOT_EVENT_LEVELS } from '../models/bot/BotEvent.js';
+import { parseTimestamp } from '../services/CandleStore.js';
+
+const MAX_PAGE_SIZE = 200;
+const MAX_CSV_ROWS  = 50_000;
+const CSV_COLUMNS   = ['at', 'type', 'level', 'symbol', 'message', 'data', 'replay'];
+
+const csvCell = (value) => {
+  if (value == null) return '';
+  const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Mongo filter for the journal query string, or { error }.
+ * type and level take comma-separated lists; from / to accept epoch ms|s or ISO dates.
+ */
+const buildFilter = (botId, query) => {
+  const filter = { botId };
+
+  for (const [key, allowed] of [['type', BOT_EVENT_TYPES], ['level', BOT_EVENT_LEVELS]]) {
+    if (!query[key]) continue;
+    const values = String(query[key]).split(',').map(v => v.trim()).filter(Boolean);
+    const unknown = values.filter(v => !allowed.includes(v));
+    if (unknown.length) return { error: `Unknown ${key}: ${unknown.join(', ')} (expected ${allowed.join(', ')})` };
+    filter[key] = { $in: values };
+  }
+  if (query.symbol) filter.symbol = String(query.symbol);
+  if (query.replay !== undefined) filter.replay = query.replay === 'true';
+
+  for (const [key, op] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!query[key]) continue;
+    const ms = parseTimestamp(query[key]);
+    if (ms == null) return { error: `Invalid ${key} date` };
+    filter.at = { ...filter.at, [op]: new Date(ms) };
+  }
+  return { filter };
+};
+
+/**
+ * GET /api/bots/:id/events
+ * Query: page, limit (max 200), type, level, symbol, from, to, replay, format=csv
+ * The bot's decision journal, newest first. format=csv downloads every matching
+ * event (up to 50,000) instead of a page.
+ */
+export const getBotEvents = async (req, res) => {
+  try {
+    const bot = await BotConfig.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
+
+    const { error, filter } = buildFilter(bot._id, req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    if (req.query.format === 'csv') {
+      const events = await BotEvent.find(filter).sort({ at: -1, _id: -1 }).limit(MAX_CSV_ROWS).lean();
+      const rows = events.map(e => CSV_COLUMNS.map(c => csvCell(e[c])).join(','));
+      const filename = `${bot.name.replace(/[^\w.-]+/g, '_')}.events.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send([CSV_COLUMNS.join(','), ...rows].join('\n'));
+    }
+
+    const page  = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 50));
+    const skip  = (page - 1) * limit;
+
+    const [events, total] = await Promise.all([
+      BotEvent.find(filter).sort({ at: -1, _id: -1 }).skip(skip).limit(limit),
+      BotEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: { events, total, page, totalPages: Math.ceil(total / limit) }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
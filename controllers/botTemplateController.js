@@ -0,0 +1,247 @@
+import mongoose from 'mongoose';
+import BotConfig from '../models/bot/BotConfig.js';
+import BotTemplate from '../models/bot/BotTemplate.js';
+import CustomStrategy from '../models/bot/CustomStrategy.js';
+import botConfigPorter, { CUSTOM_STRATEGY_FIELDS } from '../services/bot/BotConfigPorter.js';
+import { resolveBotSetup, checkExchangeAccount } from './botController.js';
+
+const pick = (obj, keys) => Object.fromEntries(keys.filter(k => obj[k] !== undefined).map(k => [k, obj[k]]));
+
+/**
+ * Export document for one of the user's bots, embedding its rule strategy if it has one.
+ */
+const exportDocument = async (bot) => {
+  const customStrategy = bot.customStrategyId
+    ? await CustomStrategy.findById(bot.customStrategyId).lean()
+    : null;
+  return botConfigPorter.toDocument(bot, customStrategy);
+};
+
+/**
+ * Create a (stopped) bot from an export document of any supported version.
+ * A rule strategy the user cannot access is recreated from the embedded copy.
+ * @param {string} userId
+ * @param {Object} input - export document (migrated here)
+ * @param {{ name?, isDemo?, exchangeAccountId?, totalCapital? }} overrides
+ *   isDemo defaults to true unless an exchangeAccountId is given
+ * @returns {Promise<{ error?: string, errors?: string[], bot?: Object, migratedFrom?: number }>}
+ */
+const instantiate = async (userId, input, { name, isDemo, exchangeAccountId, totalCapital } = {}) => {
+  const { error, errors, document, migratedFrom } = botConfigPorter.migrate(input);
+  if (error) return { error, errors };
+  const config = { ...document.config };
+
+  if (totalCapital !== undefined) {
+    if (typeof totalCapital !== 'number' || !(totalCapital >= 10)) return { error: 'totalCapital must be a number of at least 10' };
+    config.capitalAllocation = { ...config.capitalAllocation, totalCapital };
+  }
+
+  const demoMode = isDemo ?? !exchangeAccountId;
+  let account = null;
+  if (!demoMode) {
+    const check = await checkExchangeAccount(exchangeAccountId, userId);
+    if (check.error) return { error: check.error };
+    account = check.account;
+    config.exchange = account.exchange; // the account decides where the bot trades
+  }
+
+  // Rule strategies: reuse the referenced one when the user can see it, otherwise import the embedded copy
+  let importedStrategy = null;
+  if (config.strategyId === 'custom_rules') {
+    const accessible = mongoose.isValidObjectId(config.customStrategyId) && await CustomStrategy.exists({
+      _id: config.customStrategyId,
+      $or: [{ userId }, { isPublic: true }]
+    });
+    if (!accessible) {
+      if (!document.customStrategy) {
+        return { error: 'The custom strategy this config uses is not available and the export does not include its rules' };
+      }
+      importedStrategy = new CustomStrategy({ ...pick(document.customStrategy, CUSTOM_STRATEGY_FIELDS), userId });
+      const strategyError = importedStrategy.validateSync();
+      if (strategyError) return { error: `Embedded custom strategy is invalid: ${strategyError.message}` };
+      config.customStrategyId = importedStrategy._id;
+    }
+  }
+  if (importedStrategy) await importedStrategy.save();
+  const discardStrategy = () => importedStrategy && CustomStrategy.deleteOne({ _id: importedStrategy._id });
+
+  const setup = await resolveBotSetup(config, userId);
+  if (setup.error) {
+    await discardStrategy();
+    return { error: setup.error, errors: setup.errors };
+  }
+
+  const capital = config.capitalAllocation.totalCapital;
+  const bot = new BotConfig({
+    ...config,
+    userId,
+    name: (name || document.name || 'Imported bot').toString().trim().substring(0, 100),
+    marketType: setup.resolvedMarket,
+    strategyParams: setup.cleanParams,
+    customStrategyId: setup.customStrategy?._id || null,
+    exchangeAccountId: demoMode ? null : account._id,
+    isDemo: demoMode,
+    'stats.startingCapital': capital,
+    'stats.currentCapital': capital,
+    'stats.peakCapital': capital
+  });
+  const validationError = bot.validateSync();
+  if (validationError) {
+    await discardStrategy();
+    return { error: validationError.message };
+  }
+  await bot.save();
+  return { bot, migratedFrom };
+};
+
+const sendResult = (res, { error, errors, ...data }, status = 201) => {
+  if (error) return res.status(400).json({ success: false, message: error, ...(errors && { errors }) });
+  res.status(status).json({ success: true, data });
+};
+
+/**
+ * GET /api/bots/:id/export
+ * The bot's configuration as a versioned JSON file.
+ */
+export const exportBot = async (req, res) => {
+  try {
+    const bot = await BotConfig.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
+
+    const document = await exportDocument(bot);
+    const filename = `${bot.name.replace(/[^\w.-]+/g, '_')}.bot.json`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(document);
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/bots/import
+ * Body: { document, name?, isDemo?, exchangeAccountId?, totalCapital? }
+ * document is an export of any supported version (or a raw bot from GET /api/bots/:id).
+ * The bot is created stopped.
+ */
+export const importBot = async (req, res) => {
+  try {
+    const { document, ...overrides } = req.body;
+    sendResult(res, await instantiate(req.user.id, document, overrides));
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/bots/:id/clone
+ * Body: { name?, isDemo?, exchangeAccountId?, totalCapital? }
+ * Copies the configuration (no positions, trades or stats), by default onto the
+ * same account; isDemo / exchangeAccountId switch between demo and live or accounts.
+ */
+export const cloneBot = async (req, res) => {
+  try {
+    const source = await BotConfig.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!source) return res.status(404).json({ success: false, message: 'Bot not found' });
+
+    const { name, isDemo, exchangeAccountId, totalCapital } = req.body;
+    const goLive = isDemo === false || (isDemo === undefined && (exchangeAccountId || !source.isDemo));
+    const document = await exportDocument(source);
+    sendResult(res, await instantiate(req.user.id, document, {
+      name: name || `${source.name} (copy)`,
+      isDemo: !goLive,
+      exchangeAccountId: goLive ? exchangeAccountId || source.exchangeAccountId : null,
+      totalCapital,
+    }));
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/bots/templates
+ */
+export const listTemplates = async (req, res) => {
+  try {
+    const templates = await BotTemplate.find({ userId: req.user.id }).sort({ updatedAt: -1 });
+    res.json({ success: true, data: { templates, count: templates.length } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/bots/templates
+ * Body: { name, description?, botId } saves an existing bot's configuration,
+ *       { name, description?, document } saves an export file.
+ */
+export const createTemplate = async (req, res) => {
+  try {
+    const { name, description = '', botId, document: input } = req.body;
+    if (!name?.toString().trim()) return res.status(400).json({ success: false, message: 'name is required' });
+    if (!botId === !input) return res.status(400).json({ success: false, message: 'Provide either botId or document' });
+
+    let document;
+    if (botId) {
+      const bot = mongoose.isValidObjectId(botId) && await BotConfig.findOne({ _id: botId, userId: req.user.id });
+      if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
+      document = await exportDocument(bot);
+    } else {
+      const migrated = botConfigPorter.migrate(input);
+      if (migrated.error) {
+        return res.status(400).json({ success: false, message: migrated.error, ...(migrated.errors && { errors: migrated.errors }) });
+      }
+      document = migrated.document;
+    }
+
+    const template = await BotTemplate.create({
+      userId: req.user.id,
+      name: name.toString().trim(),
+      description: description.toString(),
+      document,
+      strategyId: document.config.strategyId,
+      symbol: document.config.symbol,
+      marketType: document.config.marketType || 'spot',
+      sourceBotId: botId || null,
+    });
+    res.status(201).json({ success: true, data: { template } });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ success: false, message: 'You already have a template with this name' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * DELETE /api/bots/templates/:templateId
+ */
+export const deleteTemplate = async (req, res) => {
+  try {
+    const template = await BotTemplate.findOneAndDelete({ _id: req.params.templateId, userId: req.user.id });
+    if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+    res.json({ success: true, message: 'Template deleted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/bots/templates/:templateId/bots
+ * Body: { name?, isDemo?, exchangeAccountId?, totalCapital? } — creates a stopped bot.
+ */
+export const createBotFromTemplate = async (req, res) => {
+  try {
+    const template = await BotTemplate.findOne({ _id: req.params.templateId, userId: req.user.id });
+    if (!template) return res.status(404).json({ success: false, message: 'Template not found' });
+
+    const { name, isDemo, exchangeAccountId, totalCapital } = req.body;
+    sendResult(res, await instantiate(req.user.id, template.document, {
+      name: name || template.name, isDemo, exchangeAccountId, totalCapital,
+    }));
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
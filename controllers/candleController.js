@@ -0,0 +1,118 @@
+import candleStore, { parseTimestamp } from '../services/CandleStore.js';
+import { TIMEFRAME_MS } from '../services/MarketDataService.js';
+
+const MAX_RESPONSE_BARS = 5000;
+
+// Shared symbol / timeframe / marketType validation
+function readSeries(src) {
+  const { symbol, timeframe, marketType = 'spot' } = src;
+  if (!symbol || !timeframe) return { error: 'symbol and timeframe are required' };
+  if (!TIMEFRAME_MS[timeframe]) return { error: `timeframe must be one of ${Object.keys(TIMEFRAME_MS).join(', ')}` };
+  if (!['spot', 'futures'].includes(marketType)) return { error: 'marketType must be spot or futures' };
+  return { symbol: String(symbol).toUpperCase(), timeframe, marketType };
+}
+
+/**
+ * GET /api/candles/series
+ * Stored series with their coverage (first / last bar, count).
+ */
+export const listSeries = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.symbol)     filter.symbol     = req.query.symbol.toUpperCase();
+    if (req.query.timeframe)  filter.timeframe  = req.query.timeframe;
+    if (req.query.marketType) filter.marketType = req.query.marketType;
+
+    const series = await candleStore.listSeries(filter);
+    res.json({ success: true, data: { series, count: series.length } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/candles?symbol=BTCUSDT&timeframe=1h&marketType=spot&from=...&to=...&limit=...
+ * Stored bars in a date range plus any gaps found in it.
+ */
+export const getCandles = async (req, res) => {
+  try {
+    const series = readSeries(req.query);
+    if (series.error) return res.status(400).json({ success: false, message: series.error });
+
+    const from  = req.query.from ? parseTimestamp(req.query.from) : null;
+    const to    = req.query.to   ? parseTimestamp(req.query.to)   : null;
+    const limit = Math.min(MAX_RESPONSE_BARS, parseInt(req.query.limit) || 1000);
+    if ((req.query.from && from === null) || (req.query.to && to === null)) {
+      return res.status(400).json({ success: false, message: 'from / to must be epoch timestamps or ISO dates' });
+    }
+
+    const candles = await candleStore.getRange(series.symbol, series.timeframe, series.marketType, { from, to, limit });
+    res.json({
+      success: true,
+      data: { ...series, candles, count: candles.length, gaps: candleStore.findGaps(candles, series.timeframe) }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/candles/ingest  (admin)
+ * Body: { symbol, timeframe, marketType?, since?, until?, autoUpdate? }
+ * Without `since` the series continues from its last stored bar.
+ */
+export const ingestCandles = async (req, res) => {
+  try {
+    const series = readSeries(req.body);
+    if (series.error) return res.status(400).json({ success: false, message: series.error });
+
+    const since = req.body.since != null ? parseTimestamp(req.body.since) : null;
+    const until = req.body.until != null ? parseTimestamp(req.body.until) : undefined;
+    if ((req.body.since != null && since === null) || until === null) {
+      return res.status(400).json({ success: false, message: 'since / until must be epoch timestamps or ISO dates' });
+    }
+
+    const result = await candleStore.ingest(series.symbol, series.timeframe, series.marketType, { since, until });
+    if (req.body.autoUpdate !== undefined) {
+      await candleStore.setAutoUpdate(series.symbol, series.timeframe, series.marketType, !!req.body.autoUpdate);
+    }
+    res.json({ success: true, data: result });
+  } catch (err) {
+    console.error('[CandleController] ingest error:', err.message);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/candles/import  (admin)
+ * multipart/form-data with a `file` field, or JSON { csv } — plus symbol, timeframe, marketType.
+ */
+export const importCandles = async (req, res) => {
+  try {
+    const series = readSeries(req.body);
+    if (series.error) return res.status(400).json({ success: false, message: series.error });
+
+    const csv = req.file ? req.file.buffer.toString('utf8') : req.body.csv;
+    if (!csv) return res.status(400).json({ success: false, message: 'Upload a CSV file or send { csv }' });
+
+    const result = await candleStore.importCsv(csv, series);
+    res.json({ success: true, data: { ...series, ...result } });
+  } catch (err) {
+    res.status(400).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * DELETE /api/candles/series?symbol=&timeframe=&marketType=  (admin)
+ */
+export const deleteSeries = async (req, res) => {
+  try {
+    const series = readSeries(req.query);
+    if (series.error) return res.status(400).json({ success: false, message: series.error });
+
+    const deleted = await candleStore.deleteSeries(series.symbol, series.timeframe, series.marketType);
+    res.json({ success: true, message: `Deleted ${deleted} candles`, data: { deleted } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -0,0 +1,146 @@
+import CustomStrategy from '../models/bot/CustomStrategy.js';
+import BotConfig from '../models/bot/BotConfig.js';
+import {
+  validateRuleDocument,
+  RULE_INDICATORS,
+  RULE_OPERATORS
+} from '../services/strategies/RuleBasedStrategy.js';
+
+const EDITABLE_FIELDS = ['name', 'description', 'timeframe', 'supportedMarkets', 'rules'];
+
+/**
+ * POST /api/strategies/custom/validate
+ * Dry-run validation of a rule document (nothing is saved).
+ */
+export const validateCustomStrategy = async (req, res) => {
+  const errors = validateRuleDocument(req.body.rules);
+  res.json({
+    success: errors.length === 0,
+    data: { valid: errors.length === 0, errors, indicators: RULE_INDICATORS, operators: RULE_OPERATORS }
+  });
+};
+
+/**
+ * GET /api/strategies/custom
+ * The user's own rule strategies plus published (public) ones.
+ */
+export const listCustomStrategies = async (req, res) => {
+  try {
+    const strategies = await CustomStrategy.find({
+      $or: [{ userId: req.user.id }, { isPublic: true }]
+    }).sort({ createdAt: -1 });
+
+    res.json({ success: true, data: { strategies, count: strategies.length } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/strategies/custom/:id
+ */
+export const getCustomStrategy = async (req, res) => {
+  try {
+    const strategy = await CustomStrategy.findOne({
+      _id: req.params.id,
+      $or: [{ userId: req.user.id }, { isPublic: true }]
+    });
+    if (!strategy) return res.status(404).json({ success: false, message: 'Custom strategy not found' });
+
+    const botCount = await BotConfig.countDocuments({ customStrategyId: strategy._id, userId: req.user.id });
+    res.json({ success: true, data: { strategy, botCount } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/strategies/custom
+ */
+export const createCustomStrategy = async (req, res) => {
+  try {
+    const { name, rules } = req.body;
+    if (!name || !rules) {
+      return res.status(400).json({ success: false, message: 'name and rules are required' });
+    }
+
+    const errors = validateRuleDocument(rules);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: 'Invalid rule document', errors });
+    }
+
+    const data = { userId: req.user.id };
+    for (const key of EDITABLE_FIELDS) {
+      if (req.body[key] !== undefined) data[key] = req.body[key];
+    }
+    // Only admins can publish strategies to every user
+    if (req.user.role === 'admin' && req.body.isPublic !== undefined) data.isPublic = !!req.body.isPublic;
+
+    const strategy = await CustomStrategy.create(data);
+    res.status(201).json({ success: true, data: { strategy } });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * PUT /api/strategies/custom/:id
+ * Bots running on the strategy must be stopped first.
+ */
+export const updateCustomStrategy = async (req, res) => {
+  try {
+    const strategy = await CustomStrategy.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!strategy) return res.status(404).json({ success: false, message: 'Custom strategy not found' });
+
+    const running = await BotConfig.countDocuments({ customStrategyId: strategy._id, status: 'running' });
+    if (running > 0) {
+      return res.status(400).json({ success: false, message: `Stop the ${running} running bot(s) using this strategy before editing` });
+    }
+
+    if (req.body.rules !== undefined) {
+      const errors = validateRuleDocument(req.body.rules);
+      if (errors.length) {
+        return res.status(400).json({ success: false, message: 'Invalid rule document', errors });
+      }
+      strategy.version += 1;
+    }
+
+    for (const key of EDITABLE_FIELDS) {
+      if (req.body[key] !== undefined) strategy[key] = req.body[key];
+    }
+    if (req.user.role === 'admin' && req.body.isPublic !== undefined) strategy.isPublic = !!req.body.isPublic;
+    strategy.markModified('rules');
+    await strategy.save();
+
+    res.json({ success: true, data: { strategy } });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * DELETE /api/strategies/custom/:id
+ * Refused while any bot still references the strategy.
+ */
+export const deleteCustomStrategy = async (req, res) => {
+  try {
+    const strategy = await CustomStrategy.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!strategy) return res.status(404).json({ success: false, message: 'Custom strategy not found' });
+
+    const inUse = await BotConfig.countDocuments({ customStrategyId: strategy._id });
+    if (inUse > 0) {
+      return res.status(400).json({ success: false, message: `Strategy is used by ${inUse} bot(s). Delete those bots first.` });
+    }
+
+    await CustomStrategy.deleteOne({ _id: strategy._id });
+    res.json({ success: true, message: 'Custom strategy deleted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
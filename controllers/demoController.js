@@ -87,7 +87,8 @@ export const getDemoPerformance = async (req, res) => {
 
     const trades = await Trade.find({
       botId: { $in: demoBotIds },
-      side: 'sell',
+      replay: { $ne: true },
+      positionId: { $ne: null },
       pnl: { $ne: null }
     })
       .sort({ executedAt: 1 })
@@ -113,7 +114,7 @@ export const getDemoPerformance = async (req, res) => {
     });
 
     // Get best and worst trades
-    const allTrades = await Trade.find({ botId: { $in: demoBotIds }, side: 'sell', pnl: { $ne: null } })
+    const allTrades = await Trade.find({ botId: { $in: demoBotIds }, replay: { $ne: true }, positionId: { $ne: null }, pnl: { $ne: null } })
       .sort({ pnl: -1 })
       .select('pnl symbol executedAt');
     const bestTrade = allTrades[0] || null;
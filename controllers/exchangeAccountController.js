@@ -2,6 +2,8 @@ import ExchangeAccount from '../models/ExchangeAccount.js';
 import BotConfig from '../models/bot/BotConfig.js';
 import exchangeConnector from '../services/bot/ExchangeConnector.js';
 import botEngine from '../services/bot/BotEngine.js';
+import positionReconciler from '../services/bot/PositionReconciler.js';
+import ReconciliationReport from '../models/bot/ReconciliationReport.js';
 
 /**
  * GET /api/exchange-accounts
@@ -82,7 +84,7 @@ export const addAccount = async (req, res) => {
 
 /**
  * PUT /api/exchange-accounts/:id
- * Update label or API keys.
+ * Update label, API keys, or autoReconcile (auto-heal reconciliation discrepancies).
  */
 export const updateAccount = async (req, res) => {
   try {
@@ -94,10 +96,11 @@ export const updateAccount = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Exchange account not found' });
     }
 
-    const { label, apiKey, apiSecret, apiPassphrase, isSandbox } = req.body;
+    const { label, apiKey, apiSecret, apiPassphrase, isSandbox, autoReconcile } = req.body;
 
     if (label) account.label = label.trim();
     if (typeof isSandbox === 'boolean') account.isSandbox = isSandbox;
+    if (typeof autoReconcile === 'boolean') account.reconciliation.autoHeal = autoReconcile;
     if (apiKey) account.setApiKey(apiKey);
     if (apiSecret) account.setApiSecret(apiSecret);
     if (apiPassphrase) account.setApiPassphrase(apiPassphrase);
@@ -217,6 +220,58 @@ export const getBalance = async (req, res) => {
   }
 };
 
+/**
+ * POST /api/exchange-accounts/:id/reconcile
+ * Body: { autoHeal? } — defaults to the account's autoReconcile setting.
+ * Compare the exchange's holdings with the open positions of the account's live bots.
+ */
+export const reconcileAccount = async (req, res) => {
+  try {
+    const account = await ExchangeAccount.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Exchange account not found' });
+    }
+    if (!account.isValid) {
+      return res.status(400).json({ success: false, message: 'Exchange account invalid — test the connection first.' });
+    }
+    if (req.body.autoHeal !== undefined && typeof req.body.autoHeal !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'autoHeal must be a boolean' });
+    }
+
+    const report = await positionReconciler.reconcileAccount(account._id, { trigger: 'manual', autoHeal: req.body.autoHeal });
+    res.json({ success: true, data: { report } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/exchange-accounts/:id/reconciliation?limit=10&status=discrepancies
+ * Recent reconciliation reports, newest first.
+ */
+export const getReconciliationReports = async (req, res) => {
+  try {
+    const account = await ExchangeAccount.findOne({ _id: req.params.id, userId: req.user.id }).select('reconciliation');
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Exchange account not found' });
+    }
+
+    const filter = { exchangeAccountId: account._id };
+    if (req.query.status) {
+      if (!['ok', 'discrepancies', 'error'].includes(req.query.status)) {
+        return res.status(400).json({ success: false, message: 'status must be ok, discrepancies or error' });
+      }
+      filter.status = req.query.status;
+    }
+    const limit = Math.min(50, parseInt(req.query.limit) || 10);
+
+    const reports = await ReconciliationReport.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ success: true, data: { reconciliation: account.reconciliation, reports } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
 /**
  * GET /api/exchange-accounts/supported
  * Return popular exchanges list.
@@ -0,0 +1,170 @@
+import BotConfig from '../models/bot/BotConfig.js';
+import OptimizationJob from '../models/bot/OptimizationJob.js';
+import optimizer, { OBJECTIVES, validateParamRanges, buildCandidates } from '../backtesting/Optimizer.js';
+import backtestEngine from '../backtesting/BacktestEngine.js';
+import { buildUnsavedBot } from './botController.js';
+import { parseHistoryOptions } from '../services/CandleStore.js';
+import watchlist from '../services/bot/Watchlist.js';
+
+// Bot fields every candidate is applied on top of
+const SNAPSHOT_FIELDS = [
+  'name', 'exchange', 'symbol', 'marketType', 'strategyId', 'customStrategyId',
+  'strategyParams', 'capitalAllocation', 'riskParams', 'isDemo'
+];
+
+/**
+ * POST /api/bots/optimizations
+ * Queue a parameter sweep. Body:
+ *   { botId } or a createBot-style config (symbol, strategyId, capitalAllocation, ...)
+ *   paramRanges:  { rsiOversold: { min: 20, max: 35, step: 5 }, useTrailingStop: { values: [true, false] } }
+ *   searchMethod: 'grid' | 'random'   samples: number (random only)
+ *   objective:    'sharpeRatio' | 'profitFactor' | 'maxDrawdown' | 'netPnlPct'
+ *   walkForward:  { folds: 1-6, trainPct: 0.5-0.9 }   minTrades: number
+ *   dataSource:   'live' | 'store'   from / to: date range (store only)
+ */
+export const createOptimization = async (req, res) => {
+  try {
+    const {
+      botId, paramRanges,
+      searchMethod = 'grid', samples = 50,
+      objective = 'sharpeRatio',
+      walkForward = {}, minTrades = 5,
+    } = req.body;
+
+    const active = await OptimizationJob.countDocuments({ userId: req.user.id, status: { $in: ['queued', 'running'] } });
+    if (active > 0) {
+      return res.status(409).json({ success: false, message: 'You already have an optimisation in progress' });
+    }
+
+    let source;
+    if (botId) {
+      const bot = await BotConfig.findOne({ _id: botId, userId: req.user.id });
+      if (!bot) return res.status(404).json({ success: false, message: 'Bot not found' });
+      if (!backtestEngine.canReplay(bot.strategyId)) {
+        return res.status(400).json({ success: false, message: 'Signal-following bots cannot be backtested on candles' });
+      }
+      if (watchlist.enabled(bot)) {
+        return res.status(400).json({ success: false, message: 'Watchlist bots are optimised one symbol at a time — send a config with a symbol' });
+      }
+      source = bot.toObject();
+    } else {
+      const { error, errors, bot } = await buildUnsavedBot(req.body, req.user.id);
+      if (error) return res.status(400).json({ success: false, message: error, ...(errors && { errors }) });
+      source = bot;
+    }
+
+    if (!['grid', 'random'].includes(searchMethod)) {
+      return res.status(400).json({ success: false, message: 'searchMethod must be grid or random' });
+    }
+    if (!OBJECTIVES[objective]) {
+      return res.status(400).json({ success: false, message: `objective must be one of ${Object.keys(OBJECTIVES).join(', ')}` });
+    }
+    const rangeErrors = validateParamRanges(source.strategyId, paramRanges);
+    if (rangeErrors.length) {
+      return res.status(400).json({ success: false, message: 'Invalid paramRanges', errors: rangeErrors });
+    }
+    const { error: historyError, ...history } = parseHistoryOptions(req.body);
+    if (historyError) return res.status(400).json({ success: false, message: historyError });
+
+    const { candidates, error: candidateError } = buildCandidates(paramRanges, { searchMethod, samples: parseInt(samples) || 50 });
+    if (candidateError) return res.status(400).json({ success: false, message: candidateError });
+
+    const baseConfig = Object.fromEntries(SNAPSHOT_FIELDS.map(k => [k, source[k]]));
+    const job = await OptimizationJob.create({
+      userId: req.user.id,
+      botId: botId ? source._id : null,
+      baseConfig,
+      strategyId: source.strategyId,
+      symbol: source.symbol,
+      marketType: source.marketType,
+      paramRanges,
+      searchMethod,
+      samples: searchMethod === 'random' ? candidates.length : null,
+      objective,
+      walkForward: { folds: walkForward.folds ?? 3, trainPct: walkForward.trainPct ?? 0.7 },
+      minTrades,
+      ...history,
+      progress: { completed: 0, total: candidates.length },
+    });
+
+    optimizer.enqueue();
+    res.status(202).json({ success: true, data: { job } });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/bots/optimizations
+ * The user's jobs, newest first (ranked results omitted — fetch a job for those).
+ */
+export const listOptimizations = async (req, res) => {
+  try {
+    const filter = { userId: req.user.id };
+    if (req.query.botId) filter.botId = req.query.botId;
+
+    const jobs = await OptimizationJob.find(filter)
+      .select('-results -folds -baseConfig')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ success: true, data: { jobs, count: jobs.length } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * GET /api/bots/optimizations/:jobId
+ */
+export const getOptimization = async (req, res) => {
+  try {
+    const job = await OptimizationJob.findOne({ _id: req.params.jobId, userId: req.user.id });
+    if (!job) return res.status(404).json({ success: false, message: 'Optimisation job not found' });
+
+    res.json({ success: true, data: { job } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/bots/optimizations/:jobId/cancel
+ */
+export const cancelOptimization = async (req, res) => {
+  try {
+    const job = await OptimizationJob.findOneAndUpdate(
+      { _id: req.params.jobId, userId: req.user.id, status: { $in: ['queued', 'running'] } },
+      { status: 'cancelled', finishedAt: new Date() },
+      { new: true }
+    );
+    if (!job) return res.status(404).json({ success: false, message: 'No active optimisation job with that id' });
+
+    optimizer.cancel(job._id);
+    res.json({ success: true, data: { job } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * DELETE /api/bots/optimizations/:jobId
+ * Only finished jobs can be deleted — cancel a running one first.
+ */
+export const deleteOptimization = async (req, res) => {
+  try {
+    const job = await OptimizationJob.findOne({ _id: req.params.jobId, userId: req.user.id });
+    if (!job) return res.status(404).json({ success: false, message: 'Optimisation job not found' });
+    if (['queued', 'running'].includes(job.status)) {
+      return res.status(400).json({ success: false, message: 'Cancel the job before deleting it' });
+    }
+
+    await OptimizationJob.deleteOne({ _id: job._id });
+    res.json({ success: true, message: 'Optimisation job deleted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
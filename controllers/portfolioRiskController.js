@@ -0,0 +1,129 @@
+import PortfolioRisk from '../models/bot/PortfolioRisk.js';
+import BotConfig from '../models/bot/BotConfig.js';
+import botEngine from '../services/bot/BotEngine.js';
+import portfolioRisk, { DEFAULT_CLUSTERS } from '../services/bot/PortfolioRiskEngine.js';
+
+const LIMIT_FIELDS = ['maxTotalExposureUsd', 'maxAssetPct', 'maxClusterPct', 'dailyLossLimitPct', 'maxAggregateLeverage'];
+
+/**
+ * GET /api/bots/portfolio-risk
+ * Limits, kill switch state and the current portfolio snapshot.
+ */
+export const getPortfolioRisk = async (req, res) => {
+  try {
+    const settings = (await portfolioRisk.getSettings(req.user.id)) || new PortfolioRisk({ userId: req.user.id }).toObject();
+    const snapshot = await portfolioRisk.snapshot(req.user.id, settings);
+    res.json({
+      success: true,
+      data: {
+        settings,
+        clusters: settings.clusters?.length ? settings.clusters : DEFAULT_CLUSTERS,
+        snapshot,
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * PUT /api/bots/portfolio-risk
+ * Body: { limits?: { maxTotalExposureUsd, maxAssetPct, maxClusterPct, dailyLossLimitPct, maxAggregateLeverage },
+ *         clusters?: [{ name, assets: ['SOL', 'AVAX'] }], includeDemo? }
+ * A limit set to null is disabled; an empty clusters list restores the built-in clusters.
+ */
+export const updatePortfolioRisk = async (req, res) => {
+  try {
+    const { limits, clusters, includeDemo } = req.body;
+    const update = {};
+
+    if (limits !== undefined) {
+      if (typeof limits !== 'object' || limits === null) {
+        return res.status(400).json({ success: false, message: 'limits must be an object' });
+      }
+      for (const [key, value] of Object.entries(limits)) {
+        if (!LIMIT_FIELDS.includes(key)) {
+          return res.status(400).json({ success: false, message: `Unknown limit "${key}" — expected ${LIMIT_FIELDS.join(', ')}` });
+        }
+        if (value !== null && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+          return res.status(400).json({ success: false, message: `${key} must be a non-negative number or null` });
+        }
+        if (key === 'dailyLossLimitPct' && value > 100) {
+          return res.status(400).json({ success: false, message: 'dailyLossLimitPct cannot exceed 100' });
+        }
+        update[`limits.${key}`] = value;
+      }
+    }
+
+    if (clusters !== undefined) {
+      const valid = Array.isArray(clusters) && clusters.every(c =>
+        c && typeof c.name === 'string' && c.name.trim() && Array.isArray(c.assets) && c.assets.every(a => typeof a === 'string')
+      );
+      if (!valid) {
+        return res.status(400).json({ success: false, message: 'clusters must be [{ name, assets: [string] }]' });
+      }
+      update.clusters = clusters.map(c => ({ name: c.name.trim(), assets: c.assets.map(a => a.trim().toUpperCase()) }));
+    }
+
+    if (includeDemo !== undefined) {
+      if (typeof includeDemo !== 'boolean') {
+        return res.status(400).json({ success: false, message: 'includeDemo must be a boolean' });
+      }
+      update.includeDemo = includeDemo;
+    }
+
+    const settings = await PortfolioRisk.findOneAndUpdate(
+      { userId: req.user.id },
+      update,
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+    res.json({ success: true, data: { settings } });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+/**
+ * POST /api/bots/portfolio-risk/kill-switch
+ * Body: { engage: true, reason? } pauses every running bot and blocks entries;
+ *       { engage: false, resumeBots? } releases it, optionally restarting the bots it paused.
+ */
+export const setKillSwitch = async (req, res) => {
+  try {
+    const { engage, reason, resumeBots = false } = req.body;
+    if (typeof engage !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'engage must be a boolean' });
+    }
+
+    if (engage) {
+      const paused = await botEngine.engageKillSwitch(req.user.id, reason?.toString().substring(0, 200) || 'Engaged manually', 'user');
+      if (!paused) return res.status(400).json({ success: false, message: 'Kill switch is already engaged' });
+      return res.json({ success: true, message: `Kill switch engaged — ${paused.length} bot(s) paused`, data: { pausedBotIds: paused } });
+    }
+
+    const pausedBotIds = await portfolioRisk.release(req.user.id);
+    if (!pausedBotIds) return res.status(400).json({ success: false, message: 'Kill switch is not engaged' });
+
+    const resumed = [];
+    if (resumeBots) {
+      // Only bots still paused — ones the user stopped or restarted since are left alone
+      const stillPaused = await BotConfig.find({ _id: { $in: pausedBotIds }, userId: req.user.id, status: 'paused' }).select('_id').lean();
+      for (const { _id } of stillPaused) {
+        const id = _id.toString();
+        try {
+          await botEngine.startBot(id);
+          resumed.push(id);
+        } catch (err) {
+          console.warn(`[PortfolioRisk] Could not resume bot ${id}: ${err.message}`);
+        }
+      }
+    }
+    res.json({
+      success: true,
+      message: resumeBots ? `Kill switch released — ${resumed.length} bot(s) resumed` : 'Kill switch released',
+      data: { pausedBotIds, resumedBotIds: resumed }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
@@ -6,6 +6,9 @@
 
 import hybridEngine      from '../services/HybridSignalEngine.js';
 import backtestEngine   from '../backtesting/BacktestEngine.js';
+import BacktestRun      from '../models/BacktestRun.js';
+import { parseHistoryOptions, parseTimestamp } from '../services/CandleStore.js';
+import signalOutcomeTracker from '../services/SignalOutcomeTracker.js';
 import SignalModel       from '../models/Signal.js';
 import Investment       from '../models/Investment.js';
 import BotConfig         from '../models/bot/BotConfig.js';
@@ -133,10 +136,14 @@ export const getSignals = async (req, res) => {
               exchange:        s.exchange   || 'binance',
               timeframe:       s.timeframe  || '1h',
               confidenceScore: s.confidenceScore,
+              rawConfidence:   s.rawConfidence ?? null,
               aiProb:          s.aiProb     || null,
               aiSource:        s.aiSource   || 'rule-based',
+              modelVersion:    s.modelVersion ?? null,
               reasons:         s.reasons    || [],
               mtfAlignment:    s.mtfAlignment ?? null,
+              explanation:     s.explanation ?? null,
+              ensemble:        s.ensemble ?? null,
               timestamp:       s.timestamp  ? new Date(s.timestamp) : new Date(),
             },
           },
@@ -191,16 +198,17 @@ export const getStats = async (req, res) => {
     const todayStart = new Date();
     todayStart.setHours(0, 0, 0, 0);
 
-    const [signalStats, totalBots, activeBots, activeInvestors] = await Promise.all([
+    const [signalStats, totalBots, activeBots, activeInvestors, trackRecord] = await Promise.all([
       hybridEngine.getPlatformStats(),
       BotConfig.countDocuments().catch(() => 0),
       BotConfig.countDocuments({ status: 'running' }).catch(() => 0),
       Investment.countDocuments({ status: 'active' }).catch(() => 0),
+      signalOutcomeTracker.summary().catch(() => null),
     ]);
 
     return res.json({
       success: true,
-      data: { ...signalStats, totalBots, activeBots, activeInvestors },
+      data: { ...signalStats, totalBots, activeBots, activeInvestors, trackRecord },
     });
   } catch (err) {
     console.error('[SignalController] getStats error:', err.message);
@@ -208,7 +216,45 @@ export const getStats = async (req, res) => {
   }
 };
 
+// ─── GET /api/signals/accuracy ────────────────────────────────────────────────
+// ?from&to (epoch ms|s or ISO, on outcome close time) &marketType&timeframe&aiSource&pair
+// Track record of resolved signals — overall and by pair, market type, timeframe,
+// aiSource and confidence bucket.
+
+export const getSignalAccuracy = async (req, res) => {
+  try {
+    const { marketType, timeframe, aiSource, pair } = req.query;
+    const range = {};
+    for (const key of ['from', 'to']) {
+      if (!req.query[key]) continue;
+      const ms = parseTimestamp(req.query[key]);
+      if (ms == null) return res.status(400).json({ success: false, message: `Invalid ${key} date` });
+      range[key] = new Date(ms);
+    }
+    if (marketType && !['spot', 'futures'].includes(marketType)) {
+      return res.status(400).json({ success: false, message: 'Invalid marketType' });
+    }
+    if (aiSource && !['ai', 'rule-based'].includes(aiSource)) {
+      return res.status(400).json({ success: false, message: 'Invalid aiSource' });
+    }
+
+    const stats = await signalOutcomeTracker.stats({
+      ...range,
+      marketType,
+      timeframe,
+      aiSource,
+      pair: pair ? pair.toUpperCase() : undefined,
+    });
+    return res.json({ success: true, data: stats });
+  } catch (err) {
+    console.error('[SignalController] getSignalAccuracy error:', err.message);
+    return res.status(500).json({ success: false, message: 'Failed to get signal accuracy' });
+  }
+};
+
 // ─── GET /api/signals/history  (auth required) ────────────────────────────────
+// ?status=active|hit_tp|hit_sl|expired narrows to open or resolved signals; each
+// resolved signal carries its outcome.
 
 export const getSignalHistory = async (req, res) => {
   try {
@@ -218,16 +264,22 @@ export const getSignalHistory = async (req, res) => {
       marketType,
       type,
       pair,
+      status,
       minConfidence = 0,
       sort   = 'newest',   // 'newest' | 'confidence'
       limit  = 50,
       skip   = 0,
     } = req.query;
 
+    if (status && !SignalModel.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ success: false, message: 'Invalid status' });
+    }
+
     const filter = {};
     if (marketType) filter.marketType = marketType;
     if (type)       filter.type = type.toUpperCase();
     if (pair)       filter.pair = { $regex: pair.toUpperCase().replace('/', ''), $options: 'i' };
+    if (status)     filter.status = status;
     if (minConfidence > 0) filter.confidenceScore = { $gte: parseFloat(minConfidence) };
 
     const sortOrder = sort === 'confidence'
@@ -412,16 +464,27 @@ export const runBacktest = async (req, res) => {
     if (riskPerTrade < 0.001 || riskPerTrade > 0.1) {
       return res.status(400).json({ success: false, message: 'riskPerTrade must be 0.001–0.1' });
     }
+    const history = parseHistoryOptions(req.body);
+    if (history.error) {
+      return res.status(400).json({ success: false, message: history.error });
+    }
 
-    const result = await backtestEngine.runBacktest({
+    const inputs = {
       symbol: symbol.toUpperCase(),
       marketType,
       timeframe,
       initialCapital: parseFloat(initialCapital),
       riskPerTrade:   parseFloat(riskPerTrade),
-    });
+      dataSource:     history.dataSource,
+      from:           history.from,
+      to:             history.to,
+    };
+    const result = await backtestEngine.runBacktest(inputs);
 
-    return res.json({ success: true, data: result });
+    // Persist so the run can be listed / compared later (GET /api/backtests)
+    const run = await BacktestRun.record({ userId: req.user.id, kind: 'signal', inputs, result });
+
+    return res.json({ success: true, data: { ...result, runId: run._id } });
   } catch (err) {
     console.error('[SignalController] runBacktest error:', err.message);
     return res.status(500).json({ success: false, message: err.message });
@@ -1,7 +1,18 @@
 /**
  * Strategy catalog - static metadata about all available strategies.
  * No database required.
+ *
+ * Each entry's `paramRules` lists the strategyParams fields the strategy reads,
+ * with the accepted range ({ min, max }), allowed values ({ values }) or
+ * type ({ type: 'boolean' }). createBot / updateBot validate against them.
  */
+import BotConfig from '../models/bot/BotConfig.js';
+
+// Trailing stop settings are applied by BotEngine to every open position
+const TRAILING_RULES = {
+  trailingStopActivationPercent: { min: 0.1, max: 50 },
+  trailingStopDistancePercent:   { min: 0.1, max: 20 },
+};
 
 const STRATEGY_CATALOG = [
   {
@@ -19,10 +30,287 @@ const STRATEGY_CATALOG = [
       riskPerTrade:          2,
       signalMaxAgeMinutes:   120,
       leverage:              3,
+    },
+    paramRules: {
+      minConfidencePercent: { min: 1,  max: 100 },
+      maxConcurrentTrades:  { min: 1,  max: 20 },
+      riskPerTrade:         { min: 0.1, max: 10 },
+      signalMaxAgeMinutes:  { min: 5,  max: 1440 },
+      useKellySizing:       { type: 'boolean' },
+      leverage:             { min: 1,  max: 20 },
+      ...TRAILING_RULES,
+    }
+  },
+  {
+    id: 'adaptive_grid',
+    name: 'Adaptive Grid',
+    description: 'Splits capital into portions and buys RSI dips with volume confirmation, spacing entries by ATR so the grid widens in volatile markets. Takes profit just below the nearest resistance and trails winners.',
+    riskLevel: 'medium',
+    timeframe: '1h',
+    supportedMarkets: ['spot'],
+    isDefault: false,
+    bestFor: ['Ranging markets', 'Buying dips in an uptrend', 'Accumulating in portions'],
+    defaultParams: {
+      portions:               5,
+      gridSpacingMultiplier:  0.5,
+      rsiOversold:            30,
+      atrPeriod:              14,
+      emaPeriod1:             50,
+      emaPeriod2:             200,
+      takeProfitMode:         'structure',
+      fixedTakeProfitPercent: 1.5,
+      stopLossAtrMultiplier:  2.0,
+    },
+    paramRules: {
+      portions:               { min: 1,   max: 20 },
+      gridSpacingMultiplier:  { min: 0.1, max: 5 },
+      rsiOversold:            { min: 5,   max: 50 },
+      atrPeriod:              { min: 5,   max: 50 },
+      emaPeriod1:             { min: 5,   max: 100 },
+      emaPeriod2:             { min: 50,  max: 240 },
+      takeProfitMode:         { values: ['structure', 'atr', 'fixed'] },
+      fixedTakeProfitPercent: { min: 0.2, max: 50 },
+      stopLossAtrMultiplier:  { min: 0.5, max: 10 },
+      ...TRAILING_RULES,
+    }
+  },
+  {
+    id: 'dca',
+    name: 'DCA Accumulator',
+    description: 'Buys a fixed dollar amount at a regular interval regardless of price, and closes each entry at a fixed take-profit or stop-loss percentage.',
+    riskLevel: 'low',
+    timeframe: '1h',
+    supportedMarkets: ['spot', 'futures'],
+    isDefault: false,
+    bestFor: ['Long-term accumulation', 'Removing timing decisions', 'Volatile markets'],
+    defaultParams: {
+      dcaIntervalHours:       24,
+      dcaAmountPerOrder:      100,
+      portions:               5,
+      fixedTakeProfitPercent: 2.0,
+      stopLossAtrMultiplier:  3.0,   // used as a stop-loss % by DCA
+      leverage:               1,
+    },
+    paramRules: {
+      dcaIntervalHours:       { min: 1,   max: 720 },
+      dcaAmountPerOrder:      { min: 1,   max: 1_000_000 },
+      portions:               { min: 1,   max: 50 },
+      fixedTakeProfitPercent: { min: 0.2, max: 100 },
+      stopLossAtrMultiplier:  { min: 0.5, max: 50 },
+      leverage:               { min: 1,   max: 20 },
+    }
+  },
+  {
+    id: 'breakout',
+    name: 'Breakout Momentum',
+    description: 'Buys when price closes above its N-day high on strong volume and targets a measured move equal to the prior range. Stays flat until the next breakout once in a position.',
+    riskLevel: 'high',
+    timeframe: '1d',
+    supportedMarkets: ['spot'],
+    isDefault: false,
+    bestFor: ['Trending markets', 'Catching momentum moves', 'Low trade frequency'],
+    defaultParams: {
+      breakoutLookbackDays: 20,
+      atrPeriod:            14,
+      portions:             5,
+    },
+    paramRules: {
+      breakoutLookbackDays: { min: 5,  max: 200 },
+      atrPeriod:            { min: 5,  max: 50 },
+      portions:             { min: 2,  max: 20 },
+      ...TRAILING_RULES,
+    }
+  },
+  {
+    id: 'ema_crossover',
+    name: 'EMA Crossover',
+    description: 'Enters on a golden cross of the fast and slow EMA (or a dip to EMA20 inside an established uptrend) and exits everything on a death cross.',
+    riskLevel: 'medium',
+    timeframe: '4h',
+    supportedMarkets: ['spot'],
+    isDefault: false,
+    bestFor: ['Medium-term trends', 'Simple trend following'],
+    defaultParams: {
+      emaPeriod1:            50,
+      emaPeriod2:            200,
+      atrPeriod:             14,
+      portions:              5,
+      stopLossAtrMultiplier: 2.0,
+    },
+    paramRules: {
+      emaPeriod1:            { min: 5,   max: 100 },
+      emaPeriod2:            { min: 20,  max: 240 },
+      atrPeriod:             { min: 5,   max: 50 },
+      portions:              { min: 2,   max: 20 },
+      stopLossAtrMultiplier: { min: 0.5, max: 10 },
+    }
+  },
+  {
+    id: 'rsi_reversal',
+    name: 'RSI Reversal',
+    description: 'Mean-reversion bot that buys when RSI drops into oversold territory and sells when it reaches overbought, with an ATR-based stop.',
+    riskLevel: 'medium',
+    timeframe: '1h',
+    supportedMarkets: ['spot'],
+    isDefault: false,
+    bestFor: ['Ranging / sideways markets', 'Fading short-term extremes'],
+    defaultParams: {
+      rsiOversold:           30,
+      rsiOverbought:         70,
+      atrPeriod:             14,
+      portions:              5,
+      stopLossAtrMultiplier: 2.0,
+    },
+    paramRules: {
+      rsiOversold:           { min: 5,   max: 50 },
+      rsiOverbought:         { min: 50,  max: 95 },
+      atrPeriod:             { min: 5,   max: 50 },
+      portions:              { min: 1,   max: 20 },
+      stopLossAtrMultiplier: { min: 0.5, max: 10 },
+    }
+  },
+  {
+    id: 'scalper',
+    name: 'Scalper',
+    description: 'Opens small positions on 5-minute uptrends (EMA9 above EMA21) with tight grid-spaced targets and stops. Best on liquid majors with tight spreads.',
+    riskLevel: 'high',
+    timeframe: '5m',
+    supportedMarkets: ['spot'],
+    isDefault: false,
+    bestFor: ['Liquid major pairs', 'Many small wins', 'Low-spread exchanges'],
+    defaultParams: {
+      scalperGridSpacing: 0.004,
+      atrPeriod:          14,
+      portions:           5,
+    },
+    paramRules: {
+      scalperGridSpacing: { min: 0.001, max: 0.05 },
+      atrPeriod:          { min: 5,     max: 50 },
+      portions:           { min: 1,     max: 20 },
+    }
+  },
+  {
+    id: 'swing_rider',
+    name: 'SwingRider',
+    description: 'Reads market structure (higher highs / higher lows), buys near the last swing low and targets the next structural high. Scales in when price dips further.',
+    riskLevel: 'medium',
+    timeframe: '1h',
+    supportedMarkets: ['spot', 'futures'],
+    isDefault: false,
+    bestFor: ['Swing trading', 'Structure-based entries', 'Defined reward:risk'],
+    defaultParams: {
+      swingLookback:        5,
+      maxScaleIns:          2,
+      scaleInAtrMultiplier: 1.5,
+      riskPerEntry:         1,
+      minRR:                1.5,
+      leverage:             3,
+    },
+    paramRules: {
+      swingLookback:        { min: 2,   max: 20 },
+      maxScaleIns:          { min: 1,   max: 5 },
+      scaleInAtrMultiplier: { min: 0.5, max: 5 },
+      riskPerEntry:         { min: 0.1, max: 10 },
+      minRR:                { min: 0.5, max: 10 },
+      leverage:             { min: 1,   max: 20 },
+    }
+  },
+  {
+    id: 'custom_rules',
+    name: 'Custom Rules',
+    description: 'Runs one of your own rule-based strategies (see /api/strategies/custom). Entry and exit conditions, stops, targets and sizing come from the stored rule document; the timeframe is set on the strategy.',
+    riskLevel: 'custom',
+    timeframe: 'custom',
+    supportedMarkets: ['spot', 'futures'],
+    isDefault: false,
+    bestFor: ['Quant-defined strategies', 'Iterating without a deploy'],
+    defaultParams: {
+      leverage: 1,
+    },
+    paramRules: {
+      leverage: { min: 1, max: 20 },
+      ...TRAILING_RULES,
     }
   },
 ];
 
+// Legacy strategy ids that resolve to a catalog entry
+const STRATEGY_ALIASES = {
+  ai_signal: 'smart_signal',
+};
+
+/**
+ * Look up a catalog entry by strategy id (legacy aliases resolved).
+ * @returns {Object|undefined}
+ */
+export const findStrategy = (id) => STRATEGY_CATALOG.find(s => s.id === (STRATEGY_ALIASES[id] || id));
+
+/**
+ * Validate and normalise strategyParams for a strategy.
+ * Unknown fields (not on BotConfig.strategyParams) are rejected; valid fields the
+ * strategy does not use are dropped. Missing fields are filled from defaultParams.
+ *
+ * @param {string} strategyId
+ * @param {Object} params
+ * @param {{ applyDefaults?: boolean }} [opts]
+ * @returns {{ errors: string[], params: Object|null }}
+ */
+export const validateStrategyParams = (strategyId, params = {}, { applyDefaults = true } = {}) => {
+  const strategy = findStrategy(strategyId);
+  if (!strategy) {
+    return { errors: [`Unknown strategy "${strategyId}"`], params: null };
+  }
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return { errors: ['strategyParams must be an object'], params: null };
+  }
+
+  const errors = [];
+  const clean  = applyDefaults ? { ...strategy.defaultParams } : {};
+
+  for (const [key, value] of Object.entries(params)) {
+    if (!BotConfig.schema.path(`strategyParams.${key}`)) {
+      errors.push(`strategyParams.${key} is not a recognised parameter`);
+      continue;
+    }
+    const rule = strategy.paramRules[key];
+    if (!rule || value === undefined || value === null) continue; // not used by this strategy
+
+    if (rule.values) {
+      if (!rule.values.includes(value)) {
+        errors.push(`strategyParams.${key} must be one of: ${rule.values.join(', ')}`);
+      } else {
+        clean[key] = value;
+      }
+    } else if (rule.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        errors.push(`strategyParams.${key} must be true or false`);
+      } else {
+        clean[key] = value;
+      }
+    } else {
+      const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof num !== 'number' || !Number.isFinite(num)) {
+        errors.push(`strategyParams.${key} must be a number`);
+      } else if (num < rule.min || num > rule.max) {
+        errors.push(`strategyParams.${key} must be between ${rule.min} and ${rule.max}`);
+      } else {
+        clean[key] = num;
+      }
+    }
+  }
+
+  // Cross-field sanity checks (only for fields the strategy actually uses)
+  const rules = strategy.paramRules;
+  if (rules.emaPeriod1 && rules.emaPeriod2 && clean.emaPeriod1 >= clean.emaPeriod2) {
+    errors.push('strategyParams.emaPeriod1 must be lower than emaPeriod2');
+  }
+  if (rules.rsiOversold && rules.rsiOverbought && clean.rsiOversold >= clean.rsiOverbought) {
+    errors.push('strategyParams.rsiOversold must be lower than rsiOverbought');
+  }
+
+  return { errors, params: errors.length ? null : clean };
+};
+
 export const getStrategyCatalog = (req, res) => {
   res.json({
     success: true,
@@ -34,7 +322,7 @@ export const getStrategyCatalog = (req, res) => {
 };
 
 export const getStrategyById = (req, res) => {
-  const strategy = STRATEGY_CATALOG.find(s => s.id === req.params.id);
+  const strategy = findStrategy(req.params.id);
   if (!strategy) {
     return res.status(404).json({ success: false, message: 'Strategy not found' });
   }
@@ -77,6 +77,25 @@ const appSettingsSchema = new mongoose.Schema({
     acceptingInvestments: { type: Boolean, default: true },
   },
 
+  // ── Signal ensemble (services/SignalEnsemble.js) ─────────────────────────────
+  // Unset fields fall back to the defaults each voter registers with.
+  signalEnsemble: {
+    minScore:  { type: Number, default: null },   // weighted score a direction needs (0-1)
+    minVoters: { type: Number, default: null },   // weighted voters that must agree
+    voters: {
+      type: Map,
+      of: new mongoose.Schema({
+        weight:    Number,    // 0 = shadow: recorded, never decides
+        threshold: Number,    // support (0-1) at which the voter agrees
+        veto:      Boolean,   // disagreeing blocks the direction
+      }, { _id: false }),
+      default: {},
+    },
+  },
+
+  // Last scheduled / bootstrap SignalModel retrain claimed by an API process (SignalModelRegistry)
+  signalModelRetrainClaimedAt: { type: Date, default: null },
+
   updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
 }, { timestamps: true });
 
@@ -22,6 +22,9 @@ const auditLogSchema = new mongoose.Schema({
       'ticket_closed',
       'settings_updated',
       'admin_login',
+      'signal_model_retrain',
+      'signal_model_promoted',
+      'signal_model_rolled_back',
     ],
     required: true,
     index: true,
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+/**
+ * BacktestRun — a persisted backtest result (inputs, metrics, equity curve,
+ * trades) so runs can be listed and compared later instead of re-run.
+ *
+ *   kind 'signal'   — HybridSignalEngine pipeline (POST /api/signals/backtest)
+ *   kind 'strategy' — bot strategy replay       (POST /api/bots/backtest, /api/bots/:id/backtest)
+ */
+
+// Metric keys copied from the engine result — also the keys compared by the API
+export const RUN_METRICS = [
+  'finalCapital', 'netPnl', 'netPnlPct', 'totalTrades',
+  'winRate', 'maxDrawdown', 'sharpeRatio', 'profitFactor',
+  'avgWin', 'avgLoss', 'expectancy', 'totalWins', 'totalLosses',
+];
+
+const backtestRunSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  kind: {
+    type: String,
+    enum: ['signal', 'strategy'],
+    required: true
+  },
+  botId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BotConfig',
+    default: null
+  },
+  label: { type: String, default: '', maxlength: 120 },
+  notes: { type: String, default: '', maxlength: 1000 },
+
+  // Denormalised for filtering
+  symbol:     { type: String, required: true },
+  marketType: { type: String, enum: ['spot', 'futures'], default: 'spot' },
+  timeframe:  { type: String, default: null },
+  strategyId: { type: String, default: null },
+
+  // Request inputs exactly as run (strategy runs: the bot config snapshot)
+  inputs:  { type: mongoose.Schema.Types.Mixed, required: true },
+  metrics: { type: mongoose.Schema.Types.Mixed, default: {} },
+  initialCapital: { type: Number, required: true },
+  from: { type: Number, default: null },   // first/last simulated candle (ms)
+  to:   { type: Number, default: null },
+
+  equityCurve: { type: [{ _id: false, timestamp: Number, equity: Number }], default: [] },
+  trades:      { type: [mongoose.Schema.Types.Mixed], default: [] }
+}, {
+  timestamps: true
+});
+
+backtestRunSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Persist an engine result.
+ * @param {{ userId, kind: 'signal'|'strategy', botId?, inputs: Object, result: Object }} data
+ */
+backtestRunSchema.statics.record = function ({ userId, kind, botId = null, inputs, result }) {
+  const metrics = Object.fromEntries(RUN_METRICS.map(k => [k, result[k] ?? null]));
+  return this.create({
+    userId,
+    kind,
+    botId,
+    label: [result.strategyId || 'signals', result.symbol, result.timeframe].filter(Boolean).join(' '),
+    symbol: result.symbol,
+    marketType: result.marketType,
+    timeframe: result.timeframe,
+    strategyId: result.strategyId || null,
+    inputs,
+    metrics,
+    initialCapital: result.initialCapital,
+    from: result.from ?? result.equityCurve?.[0]?.timestamp ?? null,
+    to: result.to ?? result.equityCurve?.[result.equityCurve.length - 1]?.timestamp ?? null,
+    equityCurve: result.equityCurve || [],
+    trades: result.trades || []
+  });
+};
+
+const BacktestRun = mongoose.model('BacktestRun', backtestRunSchema);
+export default BacktestRun;
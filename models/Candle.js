@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+/**
+ * Candle — one stored OHLCV bar of the offline candle store (services/CandleStore.js).
+ * Timestamps are bar open times in ms, matching MarketDataService's candle format.
+ */
+const candleSchema = new mongoose.Schema({
+  symbol:     { type: String, required: true },
+  timeframe:  { type: String, required: true },
+  marketType: { type: String, enum: ['spot', 'futures'], default: 'spot' },
+  timestamp:  { type: Number, required: true },
+  open:       { type: Number, required: true },
+  high:       { type: Number, required: true },
+  low:        { type: Number, required: true },
+  close:      { type: Number, required: true },
+  volume:     { type: Number, default: 0 }
+}, {
+  versionKey: false
+});
+
+// One bar per series + open time; also serves every range query
+candleSchema.index({ symbol: 1, timeframe: 1, marketType: 1, timestamp: 1 }, { unique: true });
+
+const Candle = mongoose.model('Candle', candleSchema);
+export default Candle;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/**
+ * CandleSeries — coverage summary of one stored symbol/timeframe/market series.
+ * Maintained by CandleStore on every ingest / import.
+ */
+const candleSeriesSchema = new mongoose.Schema({
+  symbol:     { type: String, required: true },
+  timeframe:  { type: String, required: true },
+  marketType: { type: String, enum: ['spot', 'futures'], default: 'spot' },
+
+  firstTimestamp: { type: Number, default: null },
+  lastTimestamp:  { type: Number, default: null },
+  count:          { type: Number, default: 0 },
+
+  // Topped up by the hourly ingest cron when true
+  autoUpdate:   { type: Boolean, default: true },
+  lastIngestAt: { type: Date, default: null },
+  lastError:    { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+candleSeriesSchema.index({ symbol: 1, timeframe: 1, marketType: 1 }, { unique: true });
+
+const CandleSeries = mongoose.model('CandleSeries', candleSeriesSchema);
+export default CandleSeries;
@@ -62,6 +62,14 @@ const exchangeAccountSchema = new mongoose.Schema({
     canRead: { type: Boolean, default: false },
     canTrade: { type: Boolean, default: false },
     canWithdraw: { type: Boolean, default: false }
+  },
+
+  // Position reconciliation (services/bot/PositionReconciler.js)
+  reconciliation: {
+    // true = close ghost positions and adopt orphans; false = only report them
+    autoHeal: { type: Boolean, default: false },
+    lastRunAt: { type: Date, default: null },
+    lastStatus: { type: String, enum: ['ok', 'discrepancies', 'error', null], default: null }
   }
 }, {
   timestamps: true
@@ -28,7 +28,8 @@ const notificationSchema = new mongoose.Schema({
       'arbitrage_alert',
       'bot_trade',
       'bot_paused',
-      'bot_error'
+      'bot_error',
+      'bot_replay_finished'
     ],
     index: true
   },
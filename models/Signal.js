@@ -6,11 +6,59 @@
 
 import mongoose from 'mongoose';
 
+/**
+ * Signal.explanation — structured breakdown of why a signal fired, written by
+ * HybridSignalEngine (engine 'hybrid') and TechnicalAnalysisEngine ('technical'):
+ *
+ *   {
+ *     version, engine,
+ *     indicators: [{ key, label, value, vote: 'LONG'|'SHORT'|null, weight,
+ *                    conditions: { LONG?: { comparator, threshold }, SHORT?: {…} } }],
+ *     ruleScore:  { score, min } | null,
+ *     ai:   { buy, sell, hold, source, modelVersion, rawConfidence, calibrated } | null,
+ *     mtf:  { agreeing, total, votes: [{ timeframe, state, vote, agrees }] } | null,
+ *     news: { score, sentiment, suppresses, articles } | null,
+ *     risk: [{ check, value, comparator, threshold, passed }],
+ *   }
+ *
+ * Indicator `weight` is what the vote earned (0 when it did not fire); `threshold`
+ * may be another indicator's value (EMA20 > EMA50). risk[] lists the gates the
+ * signal passed. reasons[] keeps the human-readable lines for older clients.
+ */
+export const EXPLANATION_VERSION = 1;
+
+// Filled by SignalOutcomeTracker. Percentages are price moves in the signal's
+// direction (unleveraged); rMultiple is that move over the entry → stop distance.
 const outcomeSchema = new mongoose.Schema({
-  result:     { type: String, enum: ['hit_tp', 'hit_sl', 'expired'] },
-  closePrice: Number,
-  pnlPercent: Number,
-  closedAt:   Date,
+  result:          { type: String, enum: ['hit_tp', 'hit_sl', 'expired'] },
+  closePrice:      Number,
+  pnlPercent:      Number,
+  closedAt:        Date,
+  minutesToClose:  Number,
+  maxFavorablePct: Number,   // best unrealised move before closing (MFE)
+  maxAdversePct:   Number,   // worst unrealised move before closing (MAE, ≤ 0)
+  rMultiple:       Number,
+}, { _id: false });
+
+// SignalEnsemble decision. Voter support is per direction (0-1); agrees and
+// contribution (weight · support / Σ weight) are for the signal's own direction.
+const ensembleVoterSchema = new mongoose.Schema({
+  name:         String,
+  weight:       Number,
+  threshold:    Number,
+  veto:         Boolean,
+  long:         Number,
+  short:        Number,
+  agrees:       Boolean,
+  contribution: Number,
+}, { _id: false });
+
+const ensembleSchema = new mongoose.Schema({
+  direction: String,
+  score:     Number,
+  minScore:  Number,
+  minVoters: Number,
+  voters:    [ensembleVoterSchema],
 }, { _id: false });
 
 const signalSchema = new mongoose.Schema(
@@ -30,6 +78,8 @@ const signalSchema = new mongoose.Schema(
     exchange:        { type: String, default: 'binance' },
     timeframe:       { type: String, default: '1h' },
     confidenceScore: { type: Number, min: 0, max: 1, required: true },
+    // Ensemble score before calibration (confidenceScore is the calibrated hit rate when the model has one)
+    rawConfidence:   { type: Number, default: null },
 
     // ── AI model metadata ─────────────────────────────────────────────────
     aiProb: {
@@ -38,13 +88,22 @@ const signalSchema = new mongoose.Schema(
       hold: Number,
     },
     aiSource: { type: String, enum: ['ai', 'rule-based'], default: 'rule-based' },
+    modelVersion: { type: Number, default: null },   // SignalModelVersion that predicted it (ai only)
+
+    // Normalized feature vector at generation time — training data once the outcome is known
+    features:             { type: [Number], default: undefined, select: false },
+    featureSchemaVersion: { type: Number, default: null },
 
     // ── Rule engine reasons ───────────────────────────────────────────────
     reasons: [String],
+    explanation: { type: mongoose.Schema.Types.Mixed, default: null },
 
     // ── Multi-timeframe alignment summary ─────────────────────────────────
     mtfAlignment: { type: mongoose.Schema.Types.Mixed },
 
+    // ── Ensemble decision with per-voter contribution ─────────────────────
+    ensemble: { type: ensembleSchema, default: null },
+
     // ── Status ────────────────────────────────────────────────────────────
     status: {
       type:    String,
@@ -59,7 +118,7 @@ const signalSchema = new mongoose.Schema(
       free:    { type: Boolean, default: false },
     },
 
-    // ── Outcome (filled later by a monitor job) ───────────────────────────
+    // ── Outcome (filled later by SignalOutcomeTracker) ────────────────────
     outcome: { type: outcomeSchema, default: null },
 
     // ── Generation timestamp ──────────────────────────────────────────────
@@ -72,6 +131,7 @@ const signalSchema = new mongoose.Schema(
 signalSchema.index({ pair: 1, timestamp: -1 });
 signalSchema.index({ timestamp: -1, confidenceScore: -1 });
 signalSchema.index({ marketType: 1, status: 1, timestamp: -1 });
+signalSchema.index({ status: 1, 'outcome.closedAt': -1 });
 
 // ── Prevent duplicate signal for same pair + type within 5 min ───────────────
 signalSchema.index(
@@ -79,8 +139,8 @@ signalSchema.index(
   { unique: false } // we handle dedup in application layer via cooldown
 );
 
-// ── Auto-expire active signals after 24 h ────────────────────────────────────
-// (requires a TTL index on a Date field that is the expiry, not the creation)
-// Alternatively we run a cron to mark them expired — chosen approach here.
+// ── Expiry ───────────────────────────────────────────────────────────────────
+// Active signals are closed by SignalOutcomeTracker (cron): hit_tp / hit_sl when
+// price reaches a level, expired after EXPIRY_BARS candles of their timeframe.
 
 export default mongoose.model('Signal', signalSchema);
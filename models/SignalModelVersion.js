@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+export const MODEL_VERSION_STATUSES = ['training', 'failed', 'rejected', 'candidate', 'active', 'retired'];
+
+/**
+ * SignalModelVersion — one trained SignalModel artifact (services/SignalModelRegistry.js).
+ *
+ *   training  — fit in progress
+ *   failed    — fit errored or the dataset was too small
+ *   rejected  — did worse than the active model on its holdout set; never promoted
+ *   candidate — trained and good enough, waiting for an admin to promote it
+ *   active    — the model HybridSignalEngine predicts with (at most one)
+ *   retired   — was active before; a rollback target
+ *
+ * Weights and the holdout set are only selected when loading / comparing.
+ */
+const metricsSchema = new mongoose.Schema({
+  loss:                Number,   // mean categorical cross-entropy
+  accuracy:            Number,
+  directionalPrecision: Number,  // share of buy / sell calls that were right
+  samples:             Number,
+}, { _id: false });
+
+const signalModelVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  status:  { type: String, enum: MODEL_VERSION_STATUSES, default: 'training', index: true },
+  trigger: { type: String, enum: ['schedule', 'admin', 'bootstrap'], default: 'schedule' },
+
+  trainingWindow: {
+    from: Date,
+    to:   Date,
+  },
+  dataset: {
+    // outcomes — resolved signals labelled by hitting take-profit; candles — forward-return labels
+    source:      { type: String, enum: ['outcomes', 'candles'] },
+    symbols:     [String],
+    timeframes:  [String],
+    samples:     Number,
+    holdoutSamples: Number,
+    classCounts: { buy: Number, sell: Number, hold: Number },
+    classWeights: { buy: Number, sell: Number, hold: Number },
+  },
+  featureSchema: {
+    version:  Number,
+    features: [String],
+  },
+
+  metrics: {
+    train:      { type: metricsSchema, default: null },
+    validation: { type: metricsSchema, default: null },
+    holdout:    { type: metricsSchema, default: null },
+  },
+  // The active model at training / promotion time, scored on this version's holdout set
+  comparison: {
+    againstVersion: { type: Number, default: null },   // null = rule-based fallback
+    holdout:        { type: metricsSchema, default: null },
+    passed:         { type: Boolean, default: null },
+  },
+  statusReason: { type: String, default: '' },
+
+  // Probability for a signal's direction → observed take-profit hit rate (outcome data only)
+  calibration: {
+    type: new mongoose.Schema({
+      method:      { type: String, enum: ['isotonic'] },
+      samples:     Number,
+      points:      [{ x: Number, y: Number, _id: false }],
+      brierBefore: Number,
+      brierAfter:  Number,
+    }, { _id: false }),
+    default: null,
+  },
+
+  weights: { type: mongoose.Schema.Types.Mixed, select: false },   // [{ name, shape, values }]
+  holdout: { type: mongoose.Schema.Types.Mixed, select: false },   // { X, y } — normalized features, one-hot labels
+
+  trainedAt:   Date,
+  promotedAt:  { type: Date, default: null },
+  promotedBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  retiredAt:   { type: Date, default: null },
+}, { timestamps: true });
+
+signalModelVersionSchema.index({ status: 1, retiredAt: -1 });
+
+const SignalModelVersion = mongoose.model('SignalModelVersion', signalModelVersionSchema);
+export default SignalModelVersion;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { isValidTimeZone, isValidClock } from '../../services/bot/TradingSchedule.js';
 
 const botConfigSchema = new mongoose.Schema({
   userId: {
@@ -32,6 +33,23 @@ const botConfigSchema = new mongoose.Schema({
     required: true,
     uppercase: true
   },
+  // Watchlist bots (symbol 'MULTI', services/bot/Watchlist.js): the strategy runs on every
+  // symbol with a weighted share of the capital
+  watchlist: {
+    type: [{
+      _id:              false,
+      symbol:           { type: String, required: true, uppercase: true, trim: true },
+      weight:           { type: Number, default: 1, min: 0.01, max: 100 },  // share = weight / sum of weights
+      maxOpenPositions: { type: Number, default: null, min: 1, max: 50 }    // null = only the bot-wide limit
+    }],
+    default: [],
+    validate: [
+      { validator: list => list.length <= 20, message: 'A watchlist has at most 20 symbols' },
+      { validator: list => new Set(list.map(w => w.symbol)).size === list.length, message: 'Watchlist symbols must be unique' }
+    ]
+  },
+  // Which entries go first when they need more capital or slots than are free
+  watchlistRanking: { type: String, enum: ['weight', 'momentum', 'volume'], default: 'weight' },
   marketType: {
     type: String,
     enum: ['spot', 'futures'],
@@ -40,7 +58,18 @@ const botConfigSchema = new mongoose.Schema({
   strategyId: {
     type: String,
     required: true,
-    enum: ['smart_signal', 'ai_signal']
+    enum: [
+      'smart_signal', 'ai_signal',
+      'adaptive_grid', 'dca', 'breakout', 'ema_crossover',
+      'rsi_reversal', 'scalper', 'swing_rider',
+      'custom_rules'
+    ]
+  },
+  // User-defined rule strategy (strategyId 'custom_rules' only)
+  customStrategyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CustomStrategy',
+    default: null
   },
 
   // ── Execution mode ──────────────────────────────────────────────────────
@@ -129,7 +158,97 @@ const botConfigSchema = new mongoose.Schema({
     maxConsecutiveLosses:       { type: Number, default: 5 },
     // Hard cap: effectiveRisk = riskPerTrade * leverage cannot exceed this %
     maxLeverageRiskPct:         { type: Number, default: 20 },
-    enableNewsFilter:           { type: Boolean, default: false }
+    // Consult Gate.io sentiment + CryptoPanic catalysts before entries (services/bot/NewsFilter.js)
+    enableNewsFilter:           { type: Boolean, default: false },
+    // With the news filter: move stops to newsStopBufferPct from price on a catalyst against a position
+    newsTightenStops:           { type: Boolean, default: false },
+    newsStopBufferPct:          { type: Number, default: 1, min: 0.1, max: 20 },
+    // Live bots: keep stop-loss / take-profit orders resting on the exchange
+    exchangeProtection:         { type: Boolean, default: true }
+  },
+  // Live entry orders: how OrderManager works the order before falling back
+  execution: {
+    entryType:   { type: String, enum: ['market', 'limit', 'post_only'], default: 'limit' },
+    // 'touch' = cross at the ask (buys) / bid (sells); 'best_bid' = join our own side of the
+    // book (best ask for short entries); 'mid' = spread midpoint; 'signal' = the signal's entry price
+    priceRef:    { type: String, enum: ['touch', 'best_bid', 'mid', 'signal'], default: 'touch' },
+    timeoutSec:  { type: Number, default: 8, min: 1, max: 60 },     // total time across all attempts (ticks hold a 2 min lease)
+    chaseSteps:  { type: Number, default: 0, min: 0, max: 10 },     // re-prices after the first attempt
+    maxChasePct: { type: Number, default: 0.3, min: 0, max: 5 },    // max drift from the first limit price
+    fallback:    { type: String, enum: ['market', 'cancel'], default: 'market' } // for the unfilled rest
+  },
+  // Scale-out exits (services/bot/ExitLadder.js): legs close a share of the original size at
+  // a multiple of the initial risk; the rest is the runner. Replaces the strategy's TP1 / take profit.
+  exitLadder: {
+    enabled: { type: Boolean, default: false },
+    legs: {
+      type: [{
+        _id:        false,
+        rMultiple:  { type: Number, required: true, min: 0.1, max: 20 },
+        portion:    { type: Number, required: true, min: 0.01, max: 0.95 }, // of the original size
+        moveStopTo: { type: String, enum: ['none', 'breakeven', 'previous_target'], default: 'none' }
+      }],
+      default: [],
+      validate: [
+        { validator: legs => legs.length <= 5, message: 'An exit ladder has at most 5 legs' },
+        { validator: legs => legs.reduce((sum, l) => sum + l.portion, 0) < 1, message: 'Exit ladder portions must leave a runner (sum below 1)' }
+      ]
+    },
+    runnerTrailing: { type: Boolean, default: true } // trail the runner once the last leg fills
+  },
+  // Futures bots: margin bookkeeping and the liquidation guard (services/bot/FuturesMargin.js)
+  futures: {
+    marginMode:            { type: String, enum: ['isolated', 'cross'], default: 'isolated' },
+    maintenanceMarginRate: { type: Number, default: 0.005, min: 0, max: 0.1 },
+    // Act once price has covered all but this % of the entry → liquidation distance (0 = off)
+    liquidationGuardPct:   { type: Number, default: 25, min: 0, max: 90 },
+    // 'reduce' closes reducePortion first; within half the guard distance the position is closed
+    liquidationAction:     { type: String, enum: ['reduce', 'close'], default: 'reduce' },
+    reducePortion:         { type: Number, default: 0.5, min: 0.1, max: 0.9 }
+  },
+  // Trading windows (services/bot/TradingSchedule.js): outside them and on blackout dates the bot
+  // manages open positions but opens none. autoStartAt / autoStopAt apply even when disabled.
+  schedule: {
+    enabled:  { type: Boolean, default: false },
+    timezone: { type: String, default: 'UTC', validate: { validator: isValidTimeZone, message: 'Unknown timezone "{VALUE}"' } },
+    windows: {
+      type: [{
+        _id:   false,
+        days:  { type: [{ type: Number, min: 0, max: 6 }], default: [] }, // 0 = Sunday; empty = every day
+        start: { type: String, required: true, validate: [isValidClock, 'Window times are HH:MM'] },
+        end:   { type: String, required: true, validate: [isValidClock, 'Window times are HH:MM'] }  // before start = overnight
+      }],
+      default: []
+    },
+    blackoutDates: {
+      type: [{ type: String, match: [/^\d{4}-\d{2}-\d{2}$/, 'Blackout dates are YYYY-MM-DD'] }],
+      default: []
+    },
+    autoStartAt: { type: Date, default: null },
+    autoStopAt:  { type: Date, default: null }
+  },
+  // Stop taking entries for pauseMinutes after a volatility shock (0 disables a trigger)
+  volatilityPause: {
+    enabled:            { type: Boolean, default: false },
+    atrSpikeMultiplier: { type: Number, default: 3, min: 0, max: 20 },  // last candle's true range vs ATR(14)
+    btcMovePct:         { type: Number, default: 5, min: 0, max: 50 },  // BTC move within an hour
+    pauseMinutes:       { type: Number, default: 60, min: 1, max: 10080 }
+  },
+  volatilityPauseUntil:  { type: Date,   default: null },
+  volatilityPauseReason: { type: String, default: null },
+  // Watchlist bots: ATR-spike pauses per symbol, each on that symbol's own candles
+  volatilityPauseSymbols: {
+    type: Map,
+    of: new mongoose.Schema({ until: Date, reason: String }, { _id: false }),
+    default: {}
+  },
+  // Why the schedule / volatility pause currently blocks entries (mirrored in statusMessage)
+  entryBlock: { type: String, default: null },
+  // After downtime: 'catch_up' ticks once right away, 'skip' waits for the next candle close
+  missedTickPolicy: {
+    type: String,
+    enum: ['catch_up', 'skip'],
+    default: 'catch_up'
   },
   status: {
     type: String,
@@ -170,7 +289,8 @@ const botConfigSchema = new mongoose.Schema({
     rsi:         { type: Number, default: null },
     volumeRatio: { type: Number, default: null }, // current vol / 20-bar avg
     trend:       { type: String, default: null }, // 'bullish' | 'bearish' | 'neutral'
-    action:      { type: String, default: null }, // 'entry' | 'exit' | 'waiting'
+    action:      { type: String, default: null }, // 'entry' | 'exit' | 'waiting' | 'news_blocked' | 'schedule_blocked'
+    news:        { type: String, default: null }, // news filter outcome (blocked entry / tightened stop)
     conditionsMet:    { type: Number, default: 0 },
     totalConditions:  { type: Number, default: 0 }
   },
@@ -182,13 +302,32 @@ const botConfigSchema = new mongoose.Schema({
       currentPrice: { type: Number },
       rsi:          { type: Number },
       volumeRatio:  { type: Number },
-      action:       { type: String }  // 'entry' | 'exit' | 'waiting'
+      action:       { type: String }, // 'entry' | 'exit' | 'waiting' | 'news_blocked' | 'schedule_blocked'
+      news:         { type: String }
     }],
     default: []
   },
 
   // Pre-selected signal from manual mode setup (Mixed avoids subdoc 'type' field conflict)
   pendingSignalOverride: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  // Paper replay — stored candles fed through the live tick path at accelerated speed (demo only)
+  replay: {
+    active:     { type: Boolean, default: false },
+    from:       { type: Date,   default: null },   // first replayed candle close
+    to:         { type: Date,   default: null },   // last replayed candle close
+    speed:      { type: Number, default: 3600 },   // simulated seconds per real second
+    clock:      { type: Date,   default: null },   // candle close of the last replayed tick
+    ticks:      { type: Number, default: 0 },
+    totalTicks: { type: Number, default: 0 },
+    startedAt:  { type: Date,   default: null },
+    finishedAt: { type: Date,   default: null },
+    endReason:  { type: String, default: null },   // 'completed' | 'stopped' | 'paused' | 'error'
+    // A replay runs on its own ledger: the live stats are parked here and restored when it ends,
+    // and the replay's own stats are kept as its result
+    savedStats: { type: mongoose.Schema.Types.Mixed, default: null },
+    stats:      { type: mongoose.Schema.Types.Mixed, default: null }
+  },
 }, {
   timestamps: true
 });
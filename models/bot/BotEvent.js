@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+export const BOT_EVENT_TYPES  = ['tick', 'signal', 'risk_check', 'order', 'error', 'status'];
+export const BOT_EVENT_LEVELS = ['info', 'warn', 'error'];
+
+// Days a bot's journal is kept (BOT_EVENT_RETENTION_DAYS, default 30)
+export const BOT_EVENT_RETENTION_DAYS = parseInt(process.env.BOT_EVENT_RETENTION_DAYS) || 30;
+
+/**
+ * BotEvent — one entry of a bot's decision journal: every tick's outcome, the
+ * signals it considered, risk checks with their reasons, orders, errors and
+ * status changes. Written by services/bot/BotJournal.js.
+ */
+const botEventSchema = new mongoose.Schema({
+  botId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BotConfig',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type:    { type: String, enum: BOT_EVENT_TYPES, required: true },
+  level:   { type: String, enum: BOT_EVENT_LEVELS, default: 'info' },
+  message: { type: String, required: true, maxlength: 500 },
+  symbol:  { type: String, default: null },
+  data:    { type: mongoose.Schema.Types.Mixed, default: null },
+  // Bot clock: the replayed candle close during a replay, otherwise wall time
+  at:      { type: Date, required: true },
+  replay:  { type: Boolean, default: false }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+botEventSchema.index({ botId: 1, at: -1 });
+botEventSchema.index({ botId: 1, type: 1, at: -1 });
+// Retention runs on the write time — replayed events carry past `at` stamps
+botEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: BOT_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+const BotEvent = mongoose.model('BotEvent', botEventSchema);
+export default BotEvent;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * BotTemplate — a named, reusable bot configuration. Stored as a versioned
+ * export document (services/bot/BotConfigPorter.js) so templates saved under an
+ * older format are migrated the same way imported files are.
+ */
+const botTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 1000
+  },
+  // { format, version, name, config, customStrategy }
+  document: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Denormalised from document.config for listing
+  strategyId: { type: String, default: null },
+  symbol:     { type: String, default: null },
+  marketType: { type: String, default: null },
+  // Bot the template was saved from (null when saved from an imported file)
+  sourceBotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BotConfig',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+botTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const BotTemplate = mongoose.model('BotTemplate', botTemplateSchema);
+export default BotTemplate;
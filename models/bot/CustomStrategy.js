@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { validateRuleDocument } from '../../services/strategies/RuleBasedStrategy.js';
+
+/**
+ * CustomStrategy — a user-defined, rule-based strategy stored as JSON.
+ * Executed by RuleBasedStrategy for bots with strategyId 'custom_rules'.
+ */
+const customStrategySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 1000
+  },
+  // Tick / candle timeframe the rules are evaluated on
+  timeframe: {
+    type: String,
+    enum: ['5m', '15m', '1h', '4h', '1d'],
+    default: '1h'
+  },
+  supportedMarkets: {
+    type: [{ type: String, enum: ['spot', 'futures'] }],
+    default: ['spot', 'futures']
+  },
+  // Rule document — see services/strategies/RuleBasedStrategy.js for the format
+  rules: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Bumped every time the rules change so bot logs can reference a revision
+  version: { type: Number, default: 1 },
+  // Public strategies (admin-published) can be used by every user
+  isPublic: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+// Validate the rule document on every save
+customStrategySchema.pre('validate', function (next) {
+  const errors = validateRuleDocument(this.rules);
+  if (errors.length) this.invalidate('rules', errors.join('; '));
+  next();
+});
+
+customStrategySchema.index({ userId: 1, createdAt: -1 });
+customStrategySchema.index({ isPublic: 1 });
+
+const CustomStrategy = mongoose.model('CustomStrategy', customStrategySchema);
+export default CustomStrategy;
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+/**
+ * OptimizationJob — a parameter sweep (grid or random search) of a bot
+ * strategy over walk-forward train/test windows. Run asynchronously by
+ * backtesting/Optimizer.js; progress is pushed over Socket.IO.
+ */
+const metricsSchema = new mongoose.Schema({
+  score:        { type: Number, default: null },  // objective value (null = too few trades)
+  sharpeRatio:  { type: Number, default: 0 },
+  profitFactor: { type: Number, default: 0 },
+  maxDrawdown:  { type: Number, default: 0 },
+  netPnlPct:    { type: Number, default: 0 },
+  winRate:      { type: Number, default: 0 },
+  totalTrades:  { type: Number, default: 0 }
+}, { _id: false });
+
+const resultSchema = new mongoose.Schema({
+  params:        { type: mongoose.Schema.Types.Mixed, required: true },
+  inSample:      metricsSchema,
+  outOfSample:   metricsSchema,
+  overfit:       { type: Boolean, default: false },
+  overfitReason: { type: String, default: null }
+}, { _id: false });
+
+const optimizationJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Source bot (null when optimising an unsaved config)
+  botId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BotConfig',
+    default: null
+  },
+  // Snapshot of the bot config every candidate is applied on top of
+  baseConfig: { type: mongoose.Schema.Types.Mixed, required: true },
+  strategyId: { type: String, required: true },
+  symbol:     { type: String, required: true },
+  marketType: { type: String, enum: ['spot', 'futures'], default: 'spot' },
+  timeframe:  { type: String, default: null },
+
+  // { paramName: { min, max, step? } | { values: [...] } }
+  paramRanges: { type: mongoose.Schema.Types.Mixed, required: true },
+  searchMethod: { type: String, enum: ['grid', 'random'], default: 'grid' },
+  samples:      { type: Number, default: null },  // random search only
+  objective: {
+    type: String,
+    enum: ['sharpeRatio', 'profitFactor', 'maxDrawdown', 'netPnlPct'],
+    default: 'sharpeRatio'
+  },
+  walkForward: {
+    folds:    { type: Number, default: 3, min: 1, max: 6 },
+    trainPct: { type: Number, default: 0.7, min: 0.5, max: 0.9 }
+  },
+  minTrades: { type: Number, default: 5 },
+  // Candle history: 'store' + from/to makes the job reproducible
+  dataSource: { type: String, enum: ['live', 'store'], default: 'live' },
+  from:       { type: Number, default: null },
+  to:         { type: Number, default: null },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  progress: {
+    completed: { type: Number, default: 0 },
+    total:     { type: Number, default: 0 }
+  },
+
+  // Ranked by out-of-sample objective (top results only)
+  results: { type: [resultSchema], default: [] },
+  best:    { type: resultSchema, default: null },
+  // Per fold: candidate picked on the train window and how it did on the test window
+  folds: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  // Mean test score / mean train score of the per-fold picks (1 = no degradation)
+  walkForwardEfficiency: { type: Number, default: null },
+  candlesAnalysed: { type: Number, default: 0 },
+
+  // Worker lease (backtesting/Optimizer.js): a job whose worker stops renewing is re-run elsewhere
+  lockedBy:    { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+
+  error:      { type: String, default: null },
+  startedAt:  { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+optimizationJobSchema.index({ userId: 1, createdAt: -1 });
+
+const OptimizationJob = mongoose.model('OptimizationJob', optimizationJobSchema);
+export default OptimizationJob;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/**
+ * PortfolioRisk — one document per user: risk limits that apply across all of
+ * the user's bots and exchange accounts, plus the kill switch state.
+ * Enforced by services/bot/PortfolioRiskEngine.js. A null limit is disabled.
+ *
+ * Percentages are of the capital base: the summed totalCapital of the user's
+ * active bots (not stopped, or still holding positions).
+ */
+const portfolioRiskSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Demo bots are outside the portfolio unless this is on
+  includeDemo: { type: Boolean, default: false },
+
+  limits: {
+    maxTotalExposureUsd:  { type: Number, default: null, min: 0 },       // open notional, all bots
+    maxAssetPct:          { type: Number, default: null, min: 0 },       // one base asset
+    maxClusterPct:        { type: Number, default: null, min: 0 },       // one correlated cluster
+    dailyLossLimitPct:    { type: Number, default: null, min: 0, max: 100 }, // realized + unrealized today — engages the kill switch
+    maxAggregateLeverage: { type: Number, default: null, min: 0 }        // open notional / capital base
+  },
+  // Correlated asset groups; empty = the built-in clusters in PortfolioRiskEngine
+  clusters: {
+    type: [{
+      _id:    false,
+      name:   { type: String, required: true, trim: true, maxlength: 40 },
+      assets: [{ type: String, uppercase: true, trim: true }]
+    }],
+    default: []
+  },
+
+  killSwitch: {
+    engaged:      { type: Boolean, default: false },
+    reason:       { type: String, default: null },
+    engagedBy:    { type: String, enum: ['auto', 'user', null], default: null },
+    engagedAt:    { type: Date, default: null },
+    releasedAt:   { type: Date, default: null },
+    pausedBotIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'BotConfig' }]
+  }
+}, {
+  timestamps: true
+});
+
+const PortfolioRisk = mongoose.model('PortfolioRisk', portfolioRiskSchema);
+export default PortfolioRisk;
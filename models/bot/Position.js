@@ -13,6 +13,7 @@ const positionSchema = new mongoose.Schema({
     required: true
   },
   isDemo: { type: Boolean, default: false },
+  replay: { type: Boolean, default: false }, // opened by a paper replay — see Trade.replay
   exchange: { type: String, required: true },
   symbol: { type: String, required: true },
   portionIndex: { type: Number, required: true },
@@ -27,10 +28,60 @@ const positionSchema = new mongoose.Schema({
   trailingStopPrice: { type: Number, default: null },
   highestPriceSinceEntry: { type: Number, default: null }, // LONG: for trailing stop
   lowestPriceSinceEntry:  { type: Number, default: null }, // SHORT: for trailing stop
+  // Best / worst tick price while open — MAE / MFE in bot analytics
+  maxFavorablePrice: { type: Number, default: null },
+  maxAdversePrice:   { type: Number, default: null },
   // ── Ladder exit fields ────────────────────────────────────────────────────
   tp1Price:         { type: Number,  default: null  }, // 1:1 R:R target (50% close)
   tp1Hit:           { type: Boolean, default: false }, // has TP1 been taken
   remainingAmount:  { type: Number,  default: null  }, // open size after partial closes
+  // Scale-out targets from BotConfig.exitLadder, in order — see services/bot/ExitLadder.js
+  exitTargets: {
+    type: [{
+      _id:        false,
+      index:      { type: Number, required: true },
+      rMultiple:  { type: Number, required: true },
+      price:      { type: Number, required: true },
+      portion:    { type: Number, required: true },
+      amount:     { type: Number, required: true },
+      moveStopTo: { type: String, enum: ['none', 'breakeven', 'previous_target'], default: 'none' },
+      status:     { type: String, enum: ['pending', 'filled', 'cancelled'], default: 'pending' },
+      orderId:    { type: String, default: null }, // resting reduce-only limit (live futures)
+      fillPrice:  { type: Number, default: null },
+      pnl:        { type: Number, default: null },
+      tradeId:    { type: mongoose.Schema.Types.ObjectId, ref: 'Trade', default: null },
+      filledAt:   { type: Date,   default: null }
+    }],
+    default: undefined
+  },
+  // Stop tightened by the news filter — a stop-out is recorded as 'news_stop'
+  newsStop: {
+    active: { type: Boolean, default: false },
+    reason: { type: String,  default: null },
+    at:     { type: Date,    default: null }
+  },
+  // ── Exchange-side SL/TP (live bots) — see services/bot/ProtectiveOrders.js ──
+  protection: {
+    mode:              { type: String, enum: ['oco', 'separate', 'stop', 'none', null], default: null },
+    status:            { type: String, enum: ['active', 'failed', 'cancelled', 'filled', null], default: null },
+    stopOrderId:       { type: String, default: null },
+    takeProfitOrderId: { type: String, default: null },
+    orderListId:       { type: String, default: null }, // OCO list
+    stopPrice:         { type: Number, default: null },
+    takeProfitPrice:   { type: Number, default: null },
+    amount:            { type: Number, default: null },
+    lastError:         { type: String, default: null },
+    syncedAt:          { type: Date,   default: null }
+  },
+  // ── Futures margin (futures bots) — see services/bot/FuturesMargin.js ──
+  marginMode:        { type: String, enum: ['isolated', 'cross', null], default: null },
+  leverage:          { type: Number, default: null },
+  initialMargin:     { type: Number, default: null },
+  maintenanceMargin: { type: Number, default: null },
+  liquidationPrice:  { type: Number, default: null },
+  liquidationSource: { type: String, enum: ['exchange', 'computed', null], default: null },
+  fundingPaid:       { type: Number, default: 0 },    // cumulative; negative when funding was received
+  lastFundingAt:     { type: Date,   default: null },
   currentPrice: { type: Number, default: null },
   unrealizedPnL: { type: Number, default: 0 },
   unrealizedPnLPercent: { type: Number, default: 0 },
@@ -42,7 +93,7 @@ const positionSchema = new mongoose.Schema({
   },
   closeReason: {
     type: String,
-    enum: ['take_profit', 'take_profit_1', 'stop_loss', 'trailing_stop', 'manual', 'drawdown_limit'],
+    enum: ['take_profit', 'take_profit_1', 'take_profit_ladder', 'stop_loss', 'trailing_stop', 'manual', 'drawdown_limit', 'strategy_exit', 'replay_end', 'reconciled', 'news_stop', 'liquidation_guard'],
     default: null
   },
   closePrice: { type: Number, default: null },
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+/**
+ * ReconciliationReport — one run of services/bot/PositionReconciler.js over an
+ * exchange account: what the exchange holds versus the open Position records of
+ * the account's live bots, and what was done about each difference.
+ *
+ *   ghost_position   — open Position with nothing behind it on the exchange
+ *   orphan_position  — exchange holding / futures position no bot has a record of
+ *   amount_mismatch  — both exist but the sizes disagree
+ *   stale_order      — open order that is not one of our protective orders
+ */
+const discrepancySchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['ghost_position', 'orphan_position', 'amount_mismatch', 'stale_order'],
+    required: true
+  },
+  marketType: { type: String, enum: ['spot', 'futures'], default: 'spot' },
+  symbol:     { type: String, required: true },
+  side:       { type: String, enum: ['long', 'short', 'buy', 'sell', null], default: null },
+  botId:      { type: mongoose.Schema.Types.ObjectId, ref: 'BotConfig', default: null },
+  positionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Position', default: null },
+  orderId:    { type: String, default: null },
+  expected:   { type: Number, default: null },   // size per our records
+  actual:     { type: Number, default: null },   // size on the exchange
+  // 'closed' / 'adopted' = auto-healed; 'flagged' = left for the user
+  action:     { type: String, enum: ['closed', 'adopted', 'flagged'], default: 'flagged' },
+  detail:     { type: String, default: '' }
+}, { _id: false });
+
+const reconciliationReportSchema = new mongoose.Schema({
+  exchangeAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExchangeAccount',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  trigger:  { type: String, enum: ['scheduled', 'manual'], default: 'scheduled' },
+  autoHeal: { type: Boolean, default: false },
+  status:   { type: String, enum: ['ok', 'discrepancies', 'error'], required: true },
+  error:    { type: String, default: null },
+
+  checked: {
+    positions: { type: Number, default: 0 },
+    symbols:   { type: Number, default: 0 },
+    orders:    { type: Number, default: 0 }
+  },
+  discrepancies: { type: [discrepancySchema], default: [] },
+
+  startedAt:  { type: Date, required: true },
+  finishedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ exchangeAccountId: 1, createdAt: -1 });
+// Reports are diagnostics — keep 30 days
+reconciliationReportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+export default ReconciliationReport;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * TickSchedule — one document per running bot, shared by every API worker.
+ * services/bot/TickScheduler.js claims due schedules with a lease
+ * (lockedBy / lockedUntil) so each tick runs on exactly one worker.
+ * Replays hold a lease on their schedule for as long as their loop runs.
+ */
+const tickScheduleSchema = new mongoose.Schema({
+  botId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BotConfig',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'live' ticks are claimed by the scheduler poll; a 'replay' runs in the loop of the worker holding its lease
+  mode:       { type: String, enum: ['live', 'replay'], default: 'live' },
+  timeframe:  { type: String, required: true },
+  intervalMs: { type: Number, required: true },
+  // 'catch_up' = one tick as soon as possible after missed closes, 'skip' = wait for the next close
+  missedTickPolicy: { type: String, enum: ['catch_up', 'skip'], default: 'catch_up' },
+
+  nextRunAt:      { type: Date, required: true },
+  lastRunAt:      { type: Date, default: null },
+  lastDurationMs: { type: Number, default: null },
+  missedTicks:    { type: Number, default: 0 },
+  lastMissedAt:   { type: Date, default: null },
+
+  // Lease — a worker that dies mid-tick loses it once lockedUntil passes
+  lockedBy:    { type: String, default: null },
+  lockedUntil: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+tickScheduleSchema.index({ mode: 1, nextRunAt: 1 });
+
+const TickSchedule = mongoose.model('TickSchedule', tickScheduleSchema);
+export default TickSchedule;
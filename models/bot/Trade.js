@@ -19,6 +19,7 @@ const tradeSchema = new mongoose.Schema({
     default: null
   },
   isDemo: { type: Boolean, default: false },
+  replay: { type: Boolean, default: false }, // paper replay ledger — never counted by live queries
   exchange: { type: String, required: true },
   symbol: { type: String, required: true },
   side: {
@@ -28,9 +29,21 @@ const tradeSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['market', 'limit'],
+    enum: ['market', 'limit', 'mixed'],   // mixed = limit leg(s) plus a market fallback
     default: 'market'
   },
+  // Live fills that make up this trade (limit / post-only attempts, market fallback)
+  legs: {
+    type: [{
+      orderId: { type: String },
+      type:    { type: String, enum: ['limit', 'post_only', 'market'] },
+      price:   { type: Number },
+      amount:  { type: Number },
+      cost:    { type: Number },
+      fee:     { type: Number, default: 0 }
+    }],
+    default: undefined
+  },
   price: { type: Number, required: true },
   amount: { type: Number, required: true },
   cost: { type: Number, required: true },
@@ -47,9 +60,11 @@ const tradeSchema = new mongoose.Schema({
   orderId: { type: String, default: null },
   portionIndex: { type: Number, default: 0 },
   pnl: { type: Number, default: null },
+  funding: { type: Number, default: null }, // futures funding settled into pnl on close
+  exitLeg: { type: Number, default: null }, // Position.exitTargets index for scale-out legs
   triggerReason: {
     type: String,
-    enum: ['entry', 'take_profit', 'stop_loss', 'trailing_stop', 'dca', 'manual'],
+    enum: ['entry', 'take_profit', 'take_profit_1', 'take_profit_ladder', 'stop_loss', 'trailing_stop', 'dca', 'manual', 'strategy_exit', 'replay_end', 'reconciled', 'news_stop', 'liquidation_guard'],
     default: 'entry'
   },
   executedAt: { type: Date, default: Date.now }
@@ -62,4 +77,12 @@ tradeSchema.index({ userId: 1, executedAt: -1 });
 tradeSchema.index({ botId: 1, portionIndex: 1 });
 
 const Trade = mongoose.model('Trade', tradeSchema);
+
+/**
+ * Query filter for a bot's own ledger: its replay rows while a replay runs,
+ * otherwise only live rows (rows written before the flag existed count as live).
+ * Applies to Position queries too.
+ */
+export const ledgerFilter = (bot) => ({ replay: bot?.replay?.active ? true : { $ne: true } });
+
 export default Trade;
@@ -10,6 +10,8 @@
  *  - Volatility filter: skip if ATR/price > 3% (market too wild)
  */
 
+import { liquidationPrice } from '../services/bot/FuturesMargin.js';
+
 // ─── Constants ────────────────────────────────────────────────────────────────
 
 const ATR_SL_MULT    = 1.5;   // stop loss  = entry ± 1.5 × ATR
@@ -82,11 +84,10 @@ class RiskManager {
 
     // ── Futures liquidation distance check ────────────────────────────────
     if (marketType === 'futures' && leverage > 1) {
-      // Simplified: with cross-margin, liquidation ≈ entry × (1 - 1/leverage)
-      // For isolated margin it's essentially when full margin is lost.
-      const liqPrice = isLong
-        ? entry * (1 - 1 / leverage)
-        : entry * (1 + 1 / leverage);
+      // Isolated margin: liquidated once the margin less maintenance margin is lost
+      const liqPrice = liquidationPrice({
+        side: isLong ? 'long' : 'short', entryPrice: entry, amount: 1, margin: entry / leverage,
+      });
 
       const stopDistPct  = Math.abs(entry - stopLoss) / entry;
       const liqDistPct   = Math.abs(entry - liqPrice) / entry;
@@ -19,6 +19,14 @@ import {
 } from '../controllers/adminController.js';
 import { adminActivatePremium } from '../controllers/paymentController.js';
 import { listTransactions, getTransactionStats, getTransactionDetail } from '../controllers/transactionController.js';
+import {
+  listModelVersions,
+  getModelVersion,
+  retrainModel,
+  promoteModelVersion,
+  rollbackModel,
+} from '../controllers/adminSignalModelController.js';
+import { getSignalEnsemble, updateSignalEnsemble } from '../controllers/adminSignalEnsembleController.js';
 import Subscription from '../models/Subscription.js';
 import AppSettings, { getSettings } from '../models/AppSettings.js';
 import { authenticate, requireAdmin } from '../middleware/auth.js';
@@ -209,6 +217,17 @@ router.get('/transactions',       adminLimiter, listTransactions);
 router.get('/transactions/stats', adminLimiter, getTransactionStats);
 router.get('/transactions/:id',   adminLimiter, getTransactionDetail);
 
+// Signal model versions — list, retrain, promote, roll back
+router.get('/signal-model/versions',                   adminLimiter,       listModelVersions);
+router.get('/signal-model/versions/:version',          adminLimiter,       getModelVersion);
+router.post('/signal-model/retrain',                   adminActionLimiter, retrainModel);
+router.post('/signal-model/versions/:version/promote', adminActionLimiter, promoteModelVersion);
+router.post('/signal-model/rollback',                  adminActionLimiter, rollbackModel);
+
+// Signal ensemble — voter weights, thresholds and vetoes
+router.get('/signal-ensemble', adminLimiter,       getSignalEnsemble);
+router.put('/signal-ensemble', adminActionLimiter, updateSignalEnsemble);
+
 // ─── Partner Management ──────────────────────────────────────────────────────
 
 // List all partners with earnings summary
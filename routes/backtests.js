@@ -0,0 +1,15 @@
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import * as backtestRunController from '../controllers/backtestRunController.js';
+
+const router = express.Router();
+router.use(authenticate);
+
+// Persisted backtest runs (created by POST /api/signals/backtest and /api/bots/.../backtest)
+router.get('/', backtestRunController.listRuns);
+router.get('/compare', backtestRunController.compareRuns);   // before '/:id'
+router.get('/:id', backtestRunController.getRun);
+router.patch('/:id', backtestRunController.updateRun);
+router.delete('/:id', backtestRunController.deleteRun);
+
+export default router;
@@ -1,19 +1,55 @@
 import express from 'express';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requirePremium } from '../middleware/auth.js';
 import * as botController from '../controllers/botController.js';
+import * as optimizationController from '../controllers/optimizationController.js';
+import * as portfolioRiskController from '../controllers/portfolioRiskController.js';
+import * as botTemplateController from '../controllers/botTemplateController.js';
+import * as botEventController from '../controllers/botEventController.js';
+import * as botAnalyticsController from '../controllers/botAnalyticsController.js';
 
 const router = express.Router();
 router.use(authenticate);
 
 router.get('/', botController.listBots);
 router.post('/', botController.createBot);
+router.post('/backtest', requirePremium, botController.backtestConfig);   // before '/:id'
+
+// Parameter-sweep / walk-forward optimisation jobs — before '/:id'
+router.get('/optimizations', optimizationController.listOptimizations);
+router.post('/optimizations', requirePremium, optimizationController.createOptimization);
+router.get('/optimizations/:jobId', optimizationController.getOptimization);
+router.post('/optimizations/:jobId/cancel', optimizationController.cancelOptimization);
+router.delete('/optimizations/:jobId', optimizationController.deleteOptimization);
+
+// Portfolio-level risk limits and kill switch across all the user's bots — before '/:id'
+router.get('/portfolio-risk', portfolioRiskController.getPortfolioRisk);
+router.put('/portfolio-risk', portfolioRiskController.updatePortfolioRisk);
+router.post('/portfolio-risk/kill-switch', portfolioRiskController.setKillSwitch);
+
+// Saved configurations and versioned JSON import — before '/:id'
+router.get('/templates', botTemplateController.listTemplates);
+router.post('/templates', botTemplateController.createTemplate);
+router.delete('/templates/:templateId', botTemplateController.deleteTemplate);
+router.post('/templates/:templateId/bots', botTemplateController.createBotFromTemplate);
+router.post('/import', botTemplateController.importBot);
+
+// Performance comparison across all the user's bots — before '/:id'
+router.get('/analytics', botAnalyticsController.getFleetAnalytics);
+
 router.get('/:id', botController.getBotDetail);
 router.put('/:id', botController.updateBot);
+router.put('/:id/schedule', botController.updateBotSchedule);
 router.delete('/:id', botController.deleteBot);
 router.post('/:id/start', botController.startBot);
 router.post('/:id/stop', botController.stopBot);
+router.post('/:id/replay', botController.replayBot);
+router.post('/:id/clone', botTemplateController.cloneBot);
+router.get('/:id/export', botTemplateController.exportBot);
+router.post('/:id/backtest', requirePremium, botController.backtestBot);
 router.get('/:id/trades', botController.getBotTrades);
 router.get('/:id/positions', botController.getBotPositions);
+router.get('/:id/events', botEventController.getBotEvents);
+router.get('/:id/analytics', botAnalyticsController.getBotAnalytics);
 router.get('/:id/pending-signals', botController.getPendingSignals);
 router.post('/:id/execute-signal', botController.executeSignal);
 router.post('/:id/positions/:positionId/close', botController.closePosition);
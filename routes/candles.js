@@ -0,0 +1,18 @@
+import express from 'express';
+import multer from 'multer';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import * as candleController from '../controllers/candleController.js';
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 50 * 1024 * 1024 } });
+
+router.use(authenticate);
+
+// Offline candle store — read by any user (backtests), written by admins
+router.get('/series', candleController.listSeries);
+router.get('/', candleController.getCandles);
+router.post('/ingest', requireAdmin, candleController.ingestCandles);
+router.post('/import', requireAdmin, upload.single('file'), candleController.importCandles);
+router.delete('/series', requireAdmin, candleController.deleteSeries);
+
+export default router;
@@ -15,5 +15,7 @@ router.put('/:id', ctrl.updateAccount);
 router.delete('/:id', ctrl.deleteAccount);
 router.post('/:id/test', ctrl.testAccount);
 router.get('/:id/balance', ctrl.getBalance);
+router.post('/:id/reconcile', ctrl.reconcileAccount);
+router.get('/:id/reconciliation', ctrl.getReconciliationReports);
 
 export default router;
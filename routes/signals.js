@@ -3,11 +3,12 @@
  *
  * Public:
  *   GET  /api/signals          — current signals (spot or futures)
- *   GET  /api/signals/stats    — platform-level stats
+ *   GET  /api/signals/stats    — platform-level stats (incl. 30-day track record)
+ *   GET  /api/signals/accuracy — resolved-signal accuracy by pair, market, timeframe, source, confidence
  *
  * Protected (requires auth):
  *   GET  /api/signals/history  — recent persisted signals from DB
- *   POST /api/signals/backtest — run a backtest for a symbol
+ *   POST /api/signals/backtest — run a backtest for a symbol (saved — see /api/backtests)
  *
  * WebSocket rooms (join from client):
  *   socket.emit('join-signals', { tier: 'premium'|'free' })
@@ -19,6 +20,7 @@ import { authenticate as protect, optionalAuth, requirePremium } from '../middle
 import {
   getSignals,
   getStats,
+  getSignalAccuracy,
   getSignalHistory,
   runBacktest,
   analyzeSignal,
@@ -32,6 +34,7 @@ const router = express.Router();
 // ── Public endpoints (optional auth for gating) ────────────────────────────────
 router.get('/',       optionalAuth, getSignals);   // ?type=spot|futures  — gated for free users
 router.get('/stats',  getStats);
+router.get('/accuracy',           getSignalAccuracy);
 router.get('/pairs',              getAvailablePairs);
 router.get('/exchange-pairs',     getExchangePairs);
 router.get('/all-exchange-pairs', getAllExchangePairs);
@@ -1,8 +1,18 @@
 import express from 'express';
+import { authenticate } from '../middleware/auth.js';
 import { getStrategyCatalog, getStrategyById } from '../controllers/strategyController.js';
+import * as customStrategyController from '../controllers/customStrategyController.js';
 
 const router = express.Router();
 
+// User-defined rule strategies (auth required) — registered before '/:id'
+router.post('/custom/validate', authenticate, customStrategyController.validateCustomStrategy);
+router.get('/custom', authenticate, customStrategyController.listCustomStrategies);
+router.post('/custom', authenticate, customStrategyController.createCustomStrategy);
+router.get('/custom/:id', authenticate, customStrategyController.getCustomStrategy);
+router.put('/custom/:id', authenticate, customStrategyController.updateCustomStrategy);
+router.delete('/custom/:id', authenticate, customStrategyController.deleteCustomStrategy);
+
 // Public - no auth needed
 router.get('/', getStrategyCatalog);
 router.get('/:id', getStrategyById);
@@ -33,6 +33,8 @@ import listingsRoutes    from './routes/newListings.js';
 import alphaRoutes       from './routes/alpha.js';
 import tradeCallRoutes   from './routes/tradeCalls.js';
 import partnerRoutes     from './routes/partner.js';
+import backtestRoutes    from './routes/backtests.js';
+import candleRoutes      from './routes/candles.js';
 
 // Import services
 import emailService from './utils/emailService.js';
@@ -42,10 +44,16 @@ import { initializeBackgroundScan } from './services/Arbitrage/ArbitrageService.
 import { initializeTriangularScanner, runTriangularScan } from './services/Arbitrage/TriangularArbitrageScanner.js';
 // Bot Trading Engine
 import botEngine from './services/bot/BotEngine.js';
+import positionReconciler from './services/bot/PositionReconciler.js';
+import optimizer from './backtesting/Optimizer.js';
+// Offline OHLCV store (reproducible backtests / bot replay)
+import candleStore from './services/CandleStore.js';
 import BotConfig from './models/bot/BotConfig.js';
 // Hybrid Signal Engine (AI + rules + multi-timeframe)
 import hybridSignalEngine    from './services/HybridSignalEngine.js';
 import signalDeliveryService from './services/SignalDeliveryService.js';
+import signalOutcomeTracker  from './services/SignalOutcomeTracker.js';
+import signalModelRegistry   from './services/SignalModelRegistry.js';
 // JWT utils (for socket handshake verification)
 import { verifyToken } from './utils/jwt.js';
 // Trade call real-time price monitor
@@ -192,6 +200,8 @@ app.use('/api/listings',         listingsRoutes);
 app.use('/api/alpha',            alphaRoutes);
 app.use('/api/trade-calls',      tradeCallRoutes);
 app.use('/api/partner',          partnerRoutes);
+app.use('/api/backtests',        backtestRoutes);
+app.use('/api/candles',          candleRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -326,18 +336,19 @@ const startServer = async () => {
     console.log('🤖 Initializing Bot Trading Engine...');
     botEngine.setIO(io);
 
-    // ── One-time migration: remove all non-SmartSignal bots ──────────────────
-    // SmartSignal (smart_signal / ai_signal alias) is the only supported strategy.
-    // Any bot left over from the old multi-strategy era is deleted here.
+    // ── Cleanup: remove bots whose strategy is no longer supported ───────────
+    // Supported strategies are the BotConfig.strategyId enum; anything else
+    // cannot be ticked by BotEngine and is deleted here.
     try {
+      const supportedStrategies = BotConfig.schema.path('strategyId').enumValues;
       const removed = await BotConfig.deleteMany({
-        strategyId: { $nin: ['smart_signal', 'ai_signal'] }
+        strategyId: { $nin: supportedStrategies }
       });
       if (removed.deletedCount > 0) {
-        console.log(`🗑️  Migration: removed ${removed.deletedCount} legacy bot(s) (non-SmartSignal strategy)`);
+        console.log(`🗑️  Migration: removed ${removed.deletedCount} legacy bot(s) (unsupported strategy)`);
       }
     } catch (migErr) {
-      console.warn('⚠️  Migration warning (non-SmartSignal bot cleanup):', migErr.message);
+      console.warn('⚠️  Migration warning (unsupported strategy bot cleanup):', migErr.message);
     }
 
     // Pause LIVE bots using geo-blocked exchanges before trying to resume them.
@@ -373,9 +384,17 @@ const startServer = async () => {
       let resumed = 0;
       for (const bot of botsToResume) {
         try {
+          // Live bots still in TickSchedule keep ticking (on whichever worker claims them)
+          if (bot.status === 'running' && !bot.replay?.active && await botEngine.isRunning(bot._id)) continue;
+
           // Reset status to running before starting so startBot doesn't conflict
           await BotConfig.findByIdAndUpdate(bot._id, { status: 'running', statusMessage: '' });
-          await botEngine.startBot(bot._id);
+          if (bot.replay?.active) {
+            // Paper replays continue from their saved replay clock
+            await botEngine.resumeReplay(bot._id);
+          } else {
+            await botEngine.startBot(bot._id);
+          }
           console.log(`   ✅ Resumed bot: ${bot.name}`);
           resumed++;
         } catch (botErr) {
@@ -386,6 +405,39 @@ const startServer = async () => {
     } catch (botEngineError) {
       console.warn('⚠️  Bot engine initialization warning:', botEngineError.message);
     }
+    // Claim due ticks from the shared schedule (every worker runs this)
+    botEngine.startScheduler();
+
+    // Scheduled bot auto-start / auto-stop (schedule.autoStartAt / autoStopAt)
+    cron.schedule('* * * * *', async () => {
+      try {
+        const { started, stopped } = await botEngine.applyAutoSchedule();
+        if (started || stopped) console.log(`[BotEngine] Schedule: ${started} bot(s) started, ${stopped} stopped`);
+      } catch (err) {
+        console.warn('[BotEngine] Auto-schedule error:', err.message);
+      }
+    });
+
+    // Live position reconciliation — exchange holdings vs Position records, every 15 min
+    positionReconciler.setIO(io);
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        const checked = await positionReconciler.reconcileAll();
+        if (checked > 0) console.log(`[PositionReconciler] Reconciled ${checked} exchange account(s)`);
+      } catch (err) {
+        console.warn('[PositionReconciler] Reconciliation error:', err.message);
+      }
+    });
+    console.log('✅ Position reconciliation scheduled (every 15 min)');
+
+    // Strategy optimisation jobs — claimed from the DB, including any interrupted by a restart
+    optimizer.setIO(io);
+    try {
+      const waiting = await optimizer.resume();
+      if (waiting > 0) console.log(`✅ Optimizer: ${waiting} queued or interrupted job(s) waiting`);
+    } catch (optErr) {
+      console.warn('⚠️  Optimizer resume warning:', optErr.message);
+    }
 
     // Helper: run a full sweep and persist results to DB + emit via socket
     const runSweep = async () => {
@@ -413,6 +465,8 @@ const startServer = async () => {
                 confidenceScore: s.confidenceScore,
                 aiSource:        'rule-based',
                 reasons:         s.reasons    || [],
+                explanation:     s.explanation ?? null,
+                ensemble:        s.ensemble ?? null,
                 timestamp:       s.timestamp  ? new Date(s.timestamp) : new Date(),
               })),
               { ordered: false }
@@ -442,6 +496,18 @@ const startServer = async () => {
     cron.schedule('0 * * * *', runSweep);
     console.log('✅ Technical Analysis sweep scheduled every 1 hour (spot + futures)');
 
+    // Offline candle store — top up auto-updating series 5 min past every hour
+    // (after the hourly bar has closed; 5m/15m series catch up on each run)
+    cron.schedule('5 * * * *', async () => {
+      try {
+        const updated = await candleStore.ingestAll();
+        if (updated > 0) console.log(`[CandleStore] Hourly ingest updated ${updated} series`);
+      } catch (err) {
+        console.warn('[CandleStore] Hourly ingest error:', err.message);
+      }
+    });
+    console.log('✅ Candle store hourly ingest scheduled (5 min past each hour)');
+
     // Trade4Me — daily earnings accrual (runs at 1 AM UTC)
     cron.schedule('0 1 * * *', async () => {
       try {
@@ -464,20 +530,52 @@ const startServer = async () => {
     });
     console.log('✅ Trade4Me daily earnings accrual scheduled (1 AM UTC)');
 
-    // Nightly signal cleanup — delete signals older than 30 days at 2 AM UTC.
+    // Signal outcomes — walk active signals forward to hit_tp / hit_sl / expired every 15 min
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        const resolved = await signalOutcomeTracker.resolveOpen();
+        if (resolved > 0) console.log(`[SignalOutcome] Resolved ${resolved} signal(s)`);
+      } catch (err) {
+        console.warn('[SignalOutcome] Cron error:', err.message);
+      }
+    });
+    console.log('✅ Signal outcome tracker scheduled (every 15 min)');
+
+    // SignalModel retrain — Sundays 3 AM UTC; the new version is promoted only if it
+    // beats the serving model on the holdout set (see SignalModelRegistry)
+    if (process.env.DISABLE_AI !== 'true') {
+      cron.schedule('0 3 * * 0', async () => {
+        try {
+          if (!(await signalModelRegistry.claimRetrain())) return;   // another process has it
+          const version = await signalModelRegistry.retrain({ trigger: 'schedule' });
+          console.log(`[SignalModelRegistry] Weekly retrain: v${version.version} ${version.status}`);
+        } catch (err) {
+          console.warn('[SignalModelRegistry] Weekly retrain error:', err.message);
+        }
+      });
+      console.log('✅ SignalModel weekly retrain scheduled (Sundays 3 AM UTC)');
+    }
+
+    // Nightly signal cleanup at 2 AM UTC — unresolved signals go after 30 days,
+    // resolved ones are the track record and stay a year.
     // Prevents the Signal collection from growing unbounded on a budget MongoDB instance.
     cron.schedule('0 2 * * *', async () => {
       try {
-        const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-        const result = await SignalModel.deleteMany({ timestamp: { $lt: cutoff } });
+        const day    = 24 * 60 * 60 * 1000;
+        const result = await SignalModel.deleteMany({
+          $or: [
+            { outcome: null, timestamp: { $lt: new Date(Date.now() - 30 * day) } },
+            { timestamp: { $lt: new Date(Date.now() - 365 * day) } },
+          ],
+        });
         if (result.deletedCount > 0) {
-          console.log(`[Cleanup] Deleted ${result.deletedCount} signal(s) older than 30 days`);
+          console.log(`[Cleanup] Deleted ${result.deletedCount} expired signal(s)`);
         }
       } catch (err) {
         console.warn('[Cleanup] Signal cleanup error:', err.message);
       }
     });
-    console.log('✅ Nightly signal cleanup scheduled (30-day retention, runs at 2 AM UTC)');
+    console.log('✅ Nightly signal cleanup scheduled (30-day unresolved / 1-year resolved retention, 2 AM UTC)');
 
     // Subscription expiry reminder cron — runs daily at 9 AM UTC.
     // Sends email 7 days and 1 day before expiry; flags prevent duplicate sends.
@@ -595,6 +693,7 @@ const startServer = async () => {
 const gracefulShutdown = (signal) => {
   console.log(`\n🔴 Received ${signal}. Starting graceful shutdown...`);
   priceMonitor.stop();
+  botEngine.stopScheduler();
   
   // Check if server is listening before trying to close it
   if (server && server.listening) {
@@ -0,0 +1,316 @@
+/**
+ * CandleStore.js
+ * Offline OHLCV store backed by the `candles` collection.
+ *
+ * Series (symbol / timeframe / market) are filled either by incremental
+ * ingestion from MarketDataService or by CSV import, and served back by date
+ * range so backtests are reproducible and run without network access.
+ *
+ * Only closed bars are ingested — the bar still forming is never stored, so a
+ * stored range never changes once written.
+ */
+
+import Candle       from '../models/Candle.js';
+import CandleSeries from '../models/CandleSeries.js';
+import marketData, { TIMEFRAME_MS } from './MarketDataService.js';
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const INGEST_BATCH          = 1000;     // candles per exchange request
+const MAX_INGEST_BATCHES    = 200;      // safety cap per ingest call
+const DEFAULT_BACKFILL_BARS = 1000;     // first ingest of a new series without `since`
+const MAX_RANGE_BARS        = 100_000;  // cap per range read
+const WRITE_CHUNK           = 1000;
+
+const CSV_COLUMNS = {
+  timestamp: ['timestamp', 'time', 'date', 'datetime', 'open_time', 'opentime', 't'],
+  open:      ['open', 'o'],
+  high:      ['high', 'h'],
+  low:       ['low', 'l'],
+  close:     ['close', 'c'],
+  volume:    ['volume', 'vol', 'v'],
+};
+
+// ms / s / µs epoch numbers and ISO date strings → ms
+export function parseTimestamp(raw) {
+  const value = String(raw).trim();
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    const n = Number(value);
+    if (n > 1e14) return Math.floor(n / 1000); // microseconds
+    if (n < 1e11) return Math.floor(n * 1000); // seconds
+    return Math.floor(n);
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Parse the { dataSource, from, to } backtest options of a request body.
+ * from / to accept epoch ms|s or ISO dates and only apply to the 'store' source.
+ * @returns {{ error?: string, dataSource?: 'live'|'store', from?: number|null, to?: number|null }}
+ */
+export function parseHistoryOptions({ dataSource = 'live', from = null, to = null } = {}) {
+  if (!['live', 'store'].includes(dataSource)) return { error: 'dataSource must be live or store' };
+  if (dataSource === 'live') {
+    if (from != null || to != null) return { error: 'from / to require dataSource "store"' };
+    return { dataSource, from: null, to: null };
+  }
+
+  const fromMs = from != null ? parseTimestamp(from) : null;
+  const toMs   = to   != null ? parseTimestamp(to)   : null;
+  if ((from != null && fromMs === null) || (to != null && toMs === null)) {
+    return { error: 'from / to must be epoch timestamps or ISO dates' };
+  }
+  if (fromMs !== null && toMs !== null && fromMs >= toMs) return { error: 'from must be before to' };
+  return { dataSource, from: fromMs, to: toMs };
+}
+
+function validCandle(c) {
+  return [c.open, c.high, c.low, c.close, c.volume].every(Number.isFinite) &&
+    c.low > 0 &&
+    c.high >= Math.max(c.open, c.close) &&
+    c.low  <= Math.min(c.open, c.close);
+}
+
+// ─── Store ────────────────────────────────────────────────────────────────────
+
+class CandleStore {
+
+  _series(symbol, timeframe, marketType) {
+    return { symbol: symbol.toUpperCase(), timeframe, marketType };
+  }
+
+  _assertTimeframe(timeframe) {
+    if (!TIMEFRAME_MS[timeframe]) {
+      throw new Error(`Unsupported timeframe "${timeframe}" (supported: ${Object.keys(TIMEFRAME_MS).join(', ')})`);
+    }
+  }
+
+  /**
+   * Upsert candles into a series. Existing bars are overwritten.
+   * @returns {Promise<number>} bars inserted or changed
+   */
+  async _write(series, candles) {
+    let written = 0;
+    for (let i = 0; i < candles.length; i += WRITE_CHUNK) {
+      const ops = candles.slice(i, i + WRITE_CHUNK).map(c => ({
+        updateOne: {
+          filter: { ...series, timestamp: c.timestamp },
+          update: { $set: { open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume } },
+          upsert: true,
+        }
+      }));
+      const res = await Candle.bulkWrite(ops, { ordered: false });
+      written += (res.upsertedCount || 0) + (res.modifiedCount || 0);
+    }
+    return written;
+  }
+
+  // Recompute the coverage summary of a series
+  async _refreshSeries(series, extra = {}) {
+    const [first, last, count] = await Promise.all([
+      Candle.findOne(series).sort({ timestamp: 1 }).select('timestamp').lean(),
+      Candle.findOne(series).sort({ timestamp: -1 }).select('timestamp').lean(),
+      Candle.countDocuments(series),
+    ]);
+    return CandleSeries.findOneAndUpdate(series, {
+      ...extra,
+      firstTimestamp: first?.timestamp ?? null,
+      lastTimestamp:  last?.timestamp ?? null,
+      count,
+    }, { upsert: true, new: true, setDefaultsOnInsert: true });
+  }
+
+  /**
+   * Incrementally ingest closed bars from MarketDataService.
+   * Continues from the last stored bar unless `since` is given (backfill).
+   *
+   * @param {string} symbol
+   * @param {string} timeframe
+   * @param {'spot'|'futures'} [marketType]
+   * @param {{ since?: number, until?: number }} [opts] - ms timestamps
+   * @returns {Promise<{ symbol, timeframe, marketType, fetched: number, stored: number, firstTimestamp, lastTimestamp, count }>}
+   */
+  async ingest(symbol, timeframe, marketType = 'spot', { since = null, until = Date.now() } = {}) {
+    this._assertTimeframe(timeframe);
+    const series = this._series(symbol, timeframe, marketType);
+    const tfMs   = TIMEFRAME_MS[timeframe];
+    const latestClosedOpen = Math.floor(Date.now() / tfMs) * tfMs - tfMs;
+    const end    = Math.min(until, latestClosedOpen);
+
+    let start = since;
+    if (start == null) {
+      const last = await Candle.findOne(series).sort({ timestamp: -1 }).select('timestamp').lean();
+      start = last ? last.timestamp + tfMs : end - DEFAULT_BACKFILL_BARS * tfMs;
+    }
+
+    let fetched = 0;
+    let stored  = 0;
+    try {
+      for (let batch = 0; batch < MAX_INGEST_BATCHES && start <= end; batch++) {
+        const candles = await marketData.fetchCandlesSince(series.symbol, timeframe, start, marketType, INGEST_BATCH);
+        const closed  = candles.filter(c => c.timestamp <= end && validCandle(c));
+        if (!closed.length) break;
+
+        fetched += closed.length;
+        stored  += await this._write(series, closed);
+        start    = closed[closed.length - 1].timestamp + tfMs;
+      }
+    } catch (err) {
+      await this._refreshSeries(series, { lastIngestAt: new Date(), lastError: err.message.substring(0, 300) });
+      throw err;
+    }
+
+    const summary = await this._refreshSeries(series, { lastIngestAt: new Date(), lastError: null });
+    console.log(`[CandleStore] ${series.symbol} ${timeframe} ${marketType}: ${fetched} fetched, ${stored} stored`);
+    return {
+      ...series, fetched, stored,
+      firstTimestamp: summary.firstTimestamp,
+      lastTimestamp:  summary.lastTimestamp,
+      count:          summary.count,
+    };
+  }
+
+  /**
+   * Top up every series flagged autoUpdate (hourly cron).
+   * @returns {Promise<number>} series updated successfully
+   */
+  async ingestAll() {
+    const all = await CandleSeries.find({ autoUpdate: true }).lean();
+    let ok = 0;
+    for (const s of all) {
+      try {
+        await this.ingest(s.symbol, s.timeframe, s.marketType);
+        ok++;
+      } catch (err) {
+        console.warn(`[CandleStore] Ingest failed for ${s.symbol} ${s.timeframe} ${s.marketType}: ${err.message}`);
+      }
+    }
+    return ok;
+  }
+
+  /**
+   * Import candles from CSV text.
+   * A header row is optional; without one the columns are
+   * timestamp,open,high,low,close,volume. Timestamps may be epoch
+   * seconds / ms / µs or ISO dates. Delimiter: comma, semicolon or tab.
+   *
+   * @returns {Promise<{ imported: number, stored: number, skipped: number, errors: string[] }>}
+   */
+  async importCsv(text, { symbol, timeframe, marketType = 'spot' }) {
+    this._assertTimeframe(timeframe);
+    const series = this._series(symbol, timeframe, marketType);
+
+    const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (!lines.length) throw new Error('CSV is empty');
+
+    const delimiter = [',', ';', '\t'].find(d => lines[0].includes(d)) || ',';
+    const firstRow  = lines[0].split(delimiter).map(c => c.trim().replace(/^"|"$/g, '').toLowerCase());
+
+    // Column positions — from the header when present, else the default order
+    let columns = { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+    let rows    = lines;
+    if (parseTimestamp(firstRow[0]) === null) {
+      columns = {};
+      for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+        const idx = firstRow.findIndex(h => names.includes(h));
+        if (idx === -1 && field !== 'volume') throw new Error(`CSV header is missing a "${field}" column`);
+        columns[field] = idx;
+      }
+      rows = lines.slice(1);
+    }
+
+    const candles = [];
+    const errors  = [];
+    rows.forEach((line, i) => {
+      const cells = line.split(delimiter).map(c => c.trim().replace(/^"|"$/g, ''));
+      const candle = {
+        timestamp: parseTimestamp(cells[columns.timestamp]),
+        open:      parseFloat(cells[columns.open]),
+        high:      parseFloat(cells[columns.high]),
+        low:       parseFloat(cells[columns.low]),
+        close:     parseFloat(cells[columns.close]),
+        volume:    columns.volume >= 0 ? parseFloat(cells[columns.volume]) : 0,
+      };
+      if (candle.timestamp === null || !validCandle(candle)) {
+        if (errors.length < 10) errors.push(`Row ${i + 1}: invalid candle "${line.substring(0, 80)}"`);
+        return;
+      }
+      candles.push(candle);
+    });
+
+    const stored = candles.length ? await this._write(series, candles) : 0;
+    if (candles.length) await this._refreshSeries(series);
+
+    return { imported: candles.length, stored, skipped: rows.length - candles.length, errors };
+  }
+
+  /**
+   * Stored candles in [from, to] (inclusive, ms), oldest first.
+   * `warmup` extra bars before `from` are prepended (indicator history).
+   *
+   * @param {{ from?: number, to?: number, limit?: number, warmup?: number }} [opts]
+   *   Without `from`, the most recent `limit` bars up to `to` are returned.
+   */
+  async getRange(symbol, timeframe, marketType = 'spot', { from = null, to = null, limit = MAX_RANGE_BARS, warmup = 0 } = {}) {
+    const series = this._series(symbol, timeframe, marketType);
+    const cap    = Math.min(limit, MAX_RANGE_BARS);
+    const fields = 'timestamp open high low close volume -_id';
+
+    if (from == null) {
+      const filter = to != null ? { ...series, timestamp: { $lte: to } } : series;
+      const recent = await Candle.find(filter).sort({ timestamp: -1 }).limit(cap + warmup).select(fields).lean();
+      return recent.reverse();
+    }
+
+    const range = { $gte: from };
+    if (to != null) range.$lte = to;
+    const [before, candles] = await Promise.all([
+      warmup > 0
+        ? Candle.find({ ...series, timestamp: { $lt: from } }).sort({ timestamp: -1 }).limit(warmup).select(fields).lean()
+        : [],
+      Candle.find({ ...series, timestamp: range }).sort({ timestamp: 1 }).limit(cap).select(fields).lean(),
+    ]);
+    return [...before.reverse(), ...candles];
+  }
+
+  /**
+   * The `limit` most recent bars whose close is at or before `asOf` (ms) —
+   * what a live tick at that moment would have seen. Used by bot replay.
+   */
+  async getLatest(symbol, timeframe, marketType = 'spot', limit = 250, asOf = Date.now()) {
+    const lastOpen = asOf - TIMEFRAME_MS[timeframe];
+    return this.getRange(symbol, timeframe, marketType, { to: lastOpen, limit });
+  }
+
+  /**
+   * Missing bars between consecutive candles.
+   * @returns {{ from: number, to: number, missing: number }[]}
+   */
+  findGaps(candles, timeframe) {
+    const tfMs = TIMEFRAME_MS[timeframe];
+    const gaps = [];
+    for (let i = 1; i < candles.length; i++) {
+      const missing = Math.round((candles[i].timestamp - candles[i - 1].timestamp) / tfMs) - 1;
+      if (missing > 0) gaps.push({ from: candles[i - 1].timestamp + tfMs, to: candles[i].timestamp - tfMs, missing });
+    }
+    return gaps;
+  }
+
+  async setAutoUpdate(symbol, timeframe, marketType, autoUpdate) {
+    return CandleSeries.findOneAndUpdate(this._series(symbol, timeframe, marketType), { autoUpdate }, { new: true });
+  }
+
+  async listSeries(filter = {}) {
+    return CandleSeries.find(filter).sort({ symbol: 1, timeframe: 1, marketType: 1 }).lean();
+  }
+
+  async deleteSeries(symbol, timeframe, marketType = 'spot') {
+    const series = this._series(symbol, timeframe, marketType);
+    const { deletedCount } = await Candle.deleteMany(series);
+    await CandleSeries.deleteOne(series);
+    return deletedCount;
+  }
+}
+
+export default new CandleStore();
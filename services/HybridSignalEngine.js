@@ -6,9 +6,9 @@
  *  1. Fetch multi-timeframe OHLCV  (1m, 5m, 15m, 1h)
  *  2. Feature engineering on 1h (primary) candles
  *  3. AI model prediction         → buyProb / sellProb
- *  4. Gate: skip if AI confidence < 0.75
- *  5. Rule-based confirmation     (RSI, EMA, MACD, Volume, EMA200 trend filter)
- *  6. Multi-timeframe alignment   (at least 2 of 3 lower TFs agree)
+ *  4. Rule confirmation, TA indicator count and momentum points for both sides
+ *  5. SignalEnsemble decides the direction (weights / thresholds / vetoes in admin settings)
+ *  6. Multi-timeframe alignment   (at least 1 of 3 TFs agrees)
  *  7. Futures filters             (funding rate, leverage sizing)
  *  8. Cooldown + daily trade cap
  *  9. Risk management             (ATR SL/TP, liquidation distance, volatility check)
@@ -17,9 +17,13 @@
 
 import marketData    from './MarketDataService.js';
 import signalModel   from '../ai/SignalModel.js';
+import signalModelRegistry from './SignalModelRegistry.js';
 import riskManager   from '../risk/RiskManager.js';
-import SignalModel   from '../models/Signal.js';
-import { computeAllFeatures } from '../ai/FeatureEngineering.js';
+import signalEnsemble, { DIRECTIONS } from './SignalEnsemble.js';
+import { scoreTechnical } from './TechnicalAnalysisEngine.js';
+import { scoreMomentum } from './bot/SignalEngine.js';
+import SignalModel, { EXPLANATION_VERSION } from '../models/Signal.js';
+import { computeAllFeatures, FEATURE_SCHEMA } from '../ai/FeatureEngineering.js';
 import { calculateEMA, calculateRSI } from './bot/IndicatorEngine.js';
 
 // ─── Configuration ────────────────────────────────────────────────────────────
@@ -34,8 +38,6 @@ const FUTURES_PAIRS = [
   'XRPUSDT', 'ADAUSDT', 'DOGEUSDT', 'AVAXUSDT',
 ];
 
-const MIN_AI_CONFIDENCE    = 0.55;  // minimum AI probability to proceed
-const MIN_RULE_SCORE       = 0.28;  // minimum rule confirmation score (0-1)
 const COOLDOWN_MS          = 30 * 60_000;   // 30 minutes between same pair+type signals
 const MAX_SIGNALS_PER_DAY  = 20;
 const SIGNAL_CACHE_TTL_MS  = 3 * 60_000;   // 3-minute result cache
@@ -68,26 +70,35 @@ class HybridSignalEngine {
     } else {
       await signalModel.init();
 
-      // Only train if no saved weights were found on disk.
+      // The active SignalModelVersion wins over weights.json; train only when neither exists.
       // Re-training on every restart is the primary cause of OOM on constrained servers.
-      if (!signalModel.weightsLoadedFromDisk) {
-        console.log('[HybridSignalEngine] No saved weights found — training in background...');
-        this._trainInBackground().catch(err =>
-          console.warn('[HybridEngine] Background training failed:', err.message)
-        );
-      } else {
-        console.log('[HybridSignalEngine] Saved weights loaded — skipping training.');
+      const loaded = signalModel.isTFReady && await signalModelRegistry.loadActive().catch(err => {
+        console.warn('[HybridSignalEngine] Could not load the active model version:', err.message);
+        return false;
+      });
+      if (signalModel.isTFReady && !loaded && !signalModel.weightsLoadedFromDisk) {
+        // Every API process gets here on a fresh deploy; one trains, the rest pick its model up
+        const claimed = await signalModelRegistry.claimRetrain().catch(err => {
+          console.warn('[HybridSignalEngine] Could not claim the bootstrap retrain:', err.message);
+          return false;
+        });
+        if (claimed) {
+          console.log('[HybridSignalEngine] No trained model found — training in background...');
+          signalModelRegistry.retrain({ trigger: 'bootstrap' }).catch(err =>
+            console.warn('[HybridEngine] Background training failed:', err.message)
+          );
+        } else {
+          console.log('[HybridSignalEngine] No trained model found — another process is training it (or did within a day).');
+        }
+      } else if (signalModel.isModelReady) {
+        console.log(`[HybridSignalEngine] Model ${signalModel.activeVersion != null ? `v${signalModel.activeVersion}` : 'weights'} loaded — skipping training.`);
       }
+      if (signalModel.isTFReady) signalModelRegistry.watchActive();
     }
 
     console.log('[HybridSignalEngine] Initialized');
   }
 
-  async _trainInBackground() {
-    const candles = await marketData.fetchHistoricalCandles('BTCUSDT', '1h', 1000, 'spot');
-    await signalModel.train(candles);
-  }
-
   setIO(io) { this.io = io; }
 
   // ─── Public API ─────────────────────────────────────────────────────────
@@ -206,27 +217,37 @@ class HybridSignalEngine {
     // ── Step 3: AI prediction ────────────────────────────────────────────────
     const prediction = await signalModel.predict(lastFeat.normalized);
     const { buyProb, sellProb } = prediction;
-    const maxProb  = Math.max(buyProb, sellProb);
-    const aiType   = buyProb > sellProb ? 'LONG' : 'SHORT';
-
-    // Spot trading has no short-selling — skip SHORT signals for spot
-    if (marketType === 'spot' && aiType === 'SHORT') {
-      console.log(`[HybridEngine] ${symbol}/spot: ✗ SHORT signal skipped (spot cannot short)`);
-      return null;
-    }
 
-    // ── Step 4: Confidence gate ─────────────────────────────────────────────
-    if (maxProb < MIN_AI_CONFIDENCE) {
-      console.log(`[HybridEngine] ${symbol}/${marketType}: ✗ AI confidence ${maxProb.toFixed(3)} < ${MIN_AI_CONFIDENCE} (${aiType}, src:${prediction.source})`);
-      return null;
-    }
+    // ── Step 4: Every producer scores both sides ────────────────────────────
+    const rules = {
+      LONG:  this._ruleConfirmation(lastFeat, h1, 'LONG', ticker),
+      SHORT: this._ruleConfirmation(lastFeat, h1, 'SHORT', ticker),
+    };
+    const momentum = scoreMomentum({
+      closes:    h1.map(c => c.close),
+      volumes:   h1.map(c => c.volume),
+      candles:   h1,
+      change24h: ticker.priceChangePercent,
+    });
 
-    // ── Step 5: Rule-based confirmation ─────────────────────────────────────
-    const rule = this._ruleConfirmation(lastFeat, h1, aiType, ticker);
-    if (rule.score < MIN_RULE_SCORE) {
-      console.log(`[HybridEngine] ${symbol}/${marketType}: ✗ rule score ${rule.score.toFixed(3)} < ${MIN_RULE_SCORE} (${aiType})`);
+    // ── Step 5: Ensemble decision ───────────────────────────────────────────
+    // Spot trading has no short-selling — only LONG is tradable there
+    const ensemble = await signalEnsemble.decide(
+      {
+        ai:        prediction,
+        rules:     { LONG: rules.LONG.score, SHORT: rules.SHORT.score },
+        technical: scoreTechnical(h1),
+        momentum,
+      },
+      { directions: marketType === 'spot' ? ['LONG'] : DIRECTIONS },
+    );
+    if (!ensemble.direction) {
+      console.log(`[HybridEngine] ${symbol}/${marketType}: ✗ ensemble — ${ensemble.reason} (src:${prediction.source})`);
       return null;
     }
+    const aiType  = ensemble.direction;
+    const rule    = rules[aiType];
+    const maxProb = aiType === 'LONG' ? buyProb : sellProb;
 
     // ── Step 6: Multi-timeframe alignment ────────────────────────────────────
     const mtf = this._mtfAlignment(mtfData, aiType);
@@ -235,17 +256,32 @@ class HybridSignalEngine {
       return null;
     }
 
+    // Gates passed so far, recorded for the explanation
+    const risk = [
+      { check: 'ensemble', value: ensemble.score, comparator: '>=', threshold: ensemble.minScore, passed: true },
+      { check: 'mtf_alignment', value: mtf.alignedCount, comparator: '>=', threshold: 1, passed: true },
+    ];
+
     // ── Step 7: Futures-specific filters ────────────────────────────────────
     if (marketType === 'futures') {
       const fundingRate = await marketData.fetchFundingRate(symbol);
       if (aiType === 'LONG'  && fundingRate >  MAX_FUNDING_RATE) return null;
       if (aiType === 'SHORT' && fundingRate < -MAX_FUNDING_RATE) return null;
+      risk.push(aiType === 'LONG'
+        ? { check: 'funding_rate', value: fundingRate, comparator: '<=', threshold: MAX_FUNDING_RATE, passed: true }
+        : { check: 'funding_rate', value: fundingRate, comparator: '>=', threshold: -MAX_FUNDING_RATE, passed: true });
     }
 
     // ── Step 8: Cooldown & daily cap ────────────────────────────────────────
-    const coolKey = `${symbol}:${aiType}`;
-    if (Date.now() - (this._cooldown.get(coolKey) ?? 0) < COOLDOWN_MS) return null;
-    if (this._todayCount() >= MAX_SIGNALS_PER_DAY) return null;
+    const coolKey   = `${symbol}:${aiType}`;
+    const sinceLast = Date.now() - (this._cooldown.get(coolKey) ?? 0);
+    if (sinceLast < COOLDOWN_MS) return null;
+    const todayCount = this._todayCount();
+    if (todayCount >= MAX_SIGNALS_PER_DAY) return null;
+    risk.push(
+      { check: 'cooldown', value: this._cooldown.has(coolKey) ? Math.round(sinceLast / 60_000) : null, comparator: '>=', threshold: COOLDOWN_MS / 60_000, passed: true },
+      { check: 'daily_cap', value: todayCount, comparator: '<', threshold: MAX_SIGNALS_PER_DAY, passed: true },
+    );
 
     // ── Step 9: Risk management ──────────────────────────────────────────────
     const entry    = ticker.lastPrice;
@@ -258,11 +294,14 @@ class HybridSignalEngine {
       type: aiType, entry, atr, marketType, leverage,
     });
     if (!riskParams.valid) return null;
+    risk.push({ check: 'risk_params', value: riskParams.riskReward, comparator: null, threshold: null, passed: true });
 
     // ── Step 10: Build & deliver signal ─────────────────────────────────────
-    const confidenceScore = parseFloat(
-      (maxProb * 0.6 + rule.score * 0.4).toFixed(4)
-    );
+    // A calibrated model's confidence is the hit rate its signals at this
+    // probability have actually had; otherwise the ensemble's weighted score.
+    const rawConfidence   = ensemble.score;
+    const calibrated      = prediction.source === 'ai' ? signalModel.calibrate(maxProb) : null;
+    const confidenceScore = parseFloat((calibrated ?? rawConfidence).toFixed(4));
 
     const signal = {
       pair:            symbol.replace('USDT', '/USDT'),
@@ -275,13 +314,41 @@ class HybridSignalEngine {
       riskReward:      riskParams.riskReward,
       atr:             parseFloat(atr.toFixed(8)),
       confidenceScore,
+      rawConfidence:   parseFloat(rawConfidence.toFixed(4)),
       timeframe:       '1h',
       marketType,
       exchange:        'binance',
       aiProb:          { buy: buyProb, sell: sellProb, hold: prediction.holdProb },
       aiSource:        prediction.source,
+      modelVersion:    prediction.modelVersion ?? null,
       reasons:         rule.reasons,
       mtfAlignment:    mtf.summary,
+      ensemble:        ensembleSummary(ensemble),
+      explanation: {
+        version:    EXPLANATION_VERSION,
+        engine:     'hybrid',
+        indicators: rule.indicators,
+        ruleScore:  { score: rule.score, min: ensemble.voters.find(v => v.name === 'rules')?.threshold ?? null },
+        ai: {
+          buy:           round6(buyProb),
+          sell:          round6(sellProb),
+          hold:          round6(prediction.holdProb),
+          source:        prediction.source,
+          modelVersion:  prediction.modelVersion ?? null,
+          rawConfidence: parseFloat(rawConfidence.toFixed(4)),
+          calibrated:    calibrated != null ? parseFloat(calibrated.toFixed(4)) : null,
+        },
+        mtf: {
+          agreeing: mtf.alignedCount,
+          total:    mtf.total,
+          votes:    Object.entries(mtf.summary).map(([timeframe, state]) => {
+            const vote = state === 'bullish' ? 'LONG' : state === 'bearish' ? 'SHORT' : null;
+            return { timeframe, state, vote, agrees: vote === aiType };
+          }),
+        },
+        news: null,
+        risk,
+      },
       timestamp:       new Date().toISOString(),
     };
 
@@ -290,7 +357,7 @@ class HybridSignalEngine {
     this._incrementDailyCount();
 
     // Persist & deliver (non-blocking)
-    this._persistSignal(signal).catch(() => {});
+    this._persistSignal(signal, lastFeat.normalized).catch(() => {});
     if (this.deliveryService) {
       this.deliveryService.deliverSignal(signal).catch(() => {});
     }
@@ -300,9 +367,15 @@ class HybridSignalEngine {
 
   // ─── Rule confirmation ───────────────────────────────────────────────────
 
+  /**
+   * Score the AI direction against classic indicators. Each check that fires
+   * adds its weight; every check is also returned as an explanation entry
+   * (value, the condition for each side, vote, weight earned).
+   */
   _ruleConfirmation(feat, candles, direction, ticker) {
-    const reasons = [];
-    let score     = 0;
+    const reasons    = [];
+    const indicators = [];
+    let score        = 0;
 
     const {
       rsi, ema20, ema50, ema200,
@@ -312,93 +385,67 @@ class HybridSignalEngine {
 
     const price    = ticker.lastPrice;
     const change24 = ticker.priceChangePercent;
+    const isLong   = direction === 'LONG';
 
-    if (direction === 'LONG') {
-
-      // RSI oversold
-      if (rsi < 30) {
-        score += 0.30;
-        reasons.push(`RSI deeply oversold (${rsi.toFixed(1)})`);
-      } else if (rsi < 40) {
-        score += 0.15;
-        reasons.push(`RSI oversold (${rsi.toFixed(1)})`);
-      }
-
-      // Macro trend filter — price must be above EMA200
-      if (ema200 && price > ema200) {
-        score += 0.20;
-        reasons.push('Price above EMA200 (bullish macro trend)');
-      }
-
-      // EMA short-term structure
-      if (ema20 > ema50) {
-        score += 0.15;
-        reasons.push('EMA20 above EMA50 (short-term bullish)');
-      }
-
-      // MACD positive
-      if (macdLine > 0) {
-        score += 0.10;
-        reasons.push('MACD line positive');
-      }
-      if (macdHistogram > 0) {
-        score += 0.08;
-        reasons.push('MACD histogram positive (momentum building)');
-      }
-
-      // Volume spike
-      if (spikeScore > 0.4) {
-        score += 0.10;
-        reasons.push(`Volume spike (${volumeRatio.toFixed(1)}× average)`);
-      }
-
-      // 24h dip (mean-reversion opportunity)
-      if (change24 <= -5) {
-        score += 0.07;
-        reasons.push(`Sharp 24h dip (${change24.toFixed(1)}%)`);
-      }
-
-    } else {  // SHORT
-
-      if (rsi > 70) {
-        score += 0.30;
-        reasons.push(`RSI deeply overbought (${rsi.toFixed(1)})`);
-      } else if (rsi > 60) {
-        score += 0.15;
-        reasons.push(`RSI overbought (${rsi.toFixed(1)})`);
-      }
-
-      if (ema200 && price < ema200) {
-        score += 0.20;
-        reasons.push('Price below EMA200 (bearish macro trend)');
-      }
-
-      if (ema20 < ema50) {
-        score += 0.15;
-        reasons.push('EMA20 below EMA50 (short-term bearish)');
-      }
-
-      if (macdLine < 0) {
-        score += 0.10;
-        reasons.push('MACD line negative');
-      }
-      if (macdHistogram < 0) {
-        score += 0.08;
-        reasons.push('MACD histogram negative (downward momentum)');
-      }
-
-      if (spikeScore > 0.4) {
-        score += 0.10;
-        reasons.push(`Volume spike on selling (${volumeRatio.toFixed(1)}× average)`);
-      }
-
-      if (change24 >= 10) {
-        score += 0.07;
-        reasons.push(`Parabolic 24h rally (${change24.toFixed(1)}%) — potential reversal`);
+    const check = (key, label, value, conditions, fired, weight, reason) => {
+      if (fired) {
+        score += weight;
+        reasons.push(reason);
       }
-    }
+      indicators.push({
+        key, label,
+        value:  round6(value),
+        vote:   fired ? direction : null,
+        weight: fired ? weight : 0,
+        conditions,
+      });
+    };
 
-    return { score: parseFloat(score.toFixed(4)), reasons };
+    // RSI — deeply oversold / overbought earns twice the mild reading
+    const rsiDeep = isLong ? rsi < 30 : rsi > 70;
+    const rsiMild = isLong ? rsi < 40 : rsi > 60;
+    check('rsi', 'RSI(14)', rsi,
+      { LONG: { comparator: '<', threshold: 40 }, SHORT: { comparator: '>', threshold: 60 } },
+      rsiMild, rsiDeep ? 0.30 : 0.15,
+      `RSI ${rsiDeep ? 'deeply ' : ''}${isLong ? 'oversold' : 'overbought'} (${rsi.toFixed(1)})`);
+
+    // Macro trend filter — price on the trade's side of EMA200
+    check('price_vs_ema200', 'Price vs EMA200', price,
+      { LONG: { comparator: '>', threshold: round6(ema200) }, SHORT: { comparator: '<', threshold: round6(ema200) } },
+      !!ema200 && (isLong ? price > ema200 : price < ema200), 0.20,
+      isLong ? 'Price above EMA200 (bullish macro trend)' : 'Price below EMA200 (bearish macro trend)');
+
+    // EMA short-term structure
+    check('ema20_vs_ema50', 'EMA20 vs EMA50', ema20,
+      { LONG: { comparator: '>', threshold: round6(ema50) }, SHORT: { comparator: '<', threshold: round6(ema50) } },
+      isLong ? ema20 > ema50 : ema20 < ema50, 0.15,
+      isLong ? 'EMA20 above EMA50 (short-term bullish)' : 'EMA20 below EMA50 (short-term bearish)');
+
+    // MACD
+    check('macd_line', 'MACD line', macdLine,
+      { LONG: { comparator: '>', threshold: 0 }, SHORT: { comparator: '<', threshold: 0 } },
+      isLong ? macdLine > 0 : macdLine < 0, 0.10,
+      isLong ? 'MACD line positive' : 'MACD line negative');
+    check('macd_histogram', 'MACD histogram', macdHistogram,
+      { LONG: { comparator: '>', threshold: 0 }, SHORT: { comparator: '<', threshold: 0 } },
+      isLong ? macdHistogram > 0 : macdHistogram < 0, 0.08,
+      isLong ? 'MACD histogram positive (momentum building)' : 'MACD histogram negative (downward momentum)');
+
+    // Volume spike (spikeScore > 0.4 ⇔ volume above 1.8× average), either side
+    check('volume_spike', 'Volume vs average', volumeRatio,
+      { LONG: { comparator: '>', threshold: 1.8 }, SHORT: { comparator: '>', threshold: 1.8 } },
+      spikeScore > 0.4, 0.10,
+      `Volume spike${isLong ? '' : ' on selling'} (${volumeRatio.toFixed(1)}× average)`);
+
+    // 24h move — dip for mean-reversion longs, parabolic rally for shorts
+    check('change_24h', '24h change %', change24,
+      { LONG: { comparator: '<=', threshold: -5 }, SHORT: { comparator: '>=', threshold: 10 } },
+      isLong ? change24 <= -5 : change24 >= 10, 0.07,
+      isLong
+        ? `Sharp 24h dip (${change24.toFixed(1)}%)`
+        : `Parabolic 24h rally (${change24.toFixed(1)}%) — potential reversal`);
+
+    return { score: parseFloat(score.toFixed(4)), reasons, indicators };
   }
 
   // ─── Multi-timeframe alignment ───────────────────────────────────────────
@@ -441,7 +488,11 @@ class HybridSignalEngine {
 
   // ─── Persistence ─────────────────────────────────────────────────────────
 
-  async _persistSignal(signal) {
+  /**
+   * @param {Object} signal
+   * @param {number[]} features - normalized vector the model saw; training data once resolved
+   */
+  async _persistSignal(signal, features) {
     try {
       await SignalModel.create({
         pair:            signal.pair,
@@ -456,10 +507,16 @@ class HybridSignalEngine {
         exchange:        signal.exchange,
         timeframe:       signal.timeframe,
         confidenceScore: signal.confidenceScore,
+        rawConfidence:   signal.rawConfidence,
         aiProb:          signal.aiProb,
         aiSource:        signal.aiSource,
+        modelVersion:    signal.modelVersion,
+        features,
+        featureSchemaVersion: FEATURE_SCHEMA.version,
         reasons:         signal.reasons,
         mtfAlignment:    signal.mtfAlignment,
+        explanation:     signal.explanation,
+        ensemble:        signal.ensemble,
         timestamp:       signal.timestamp,
       });
     } catch (err) {
@@ -494,6 +551,16 @@ function delay(ms) {
   return new Promise(r => setTimeout(r, ms));
 }
 
+// What is stored on the Signal: the decision and each voter's contribution to it
+function ensembleSummary({ direction, score, minScore, minVoters, voters }) {
+  return { direction, score, minScore, minVoters, voters };
+}
+
+// Explanation values: enough precision to read, no float noise
+function round6(v) {
+  return typeof v === 'number' && Number.isFinite(v) ? Number(v.toPrecision(6)) : null;
+}
+
 function todayDateKey() {
   return new Date().toISOString().slice(0, 10);
 }
@@ -49,6 +49,17 @@ const CACHE_TTL = {
 
 const FUNDING_CACHE_TTL = 5 * 60_000;
 
+// Candle duration per timeframe (used for range / since requests)
+export const TIMEFRAME_MS = {
+  '1m':  60_000,
+  '5m':  5  * 60_000,
+  '15m': 15 * 60_000,
+  '30m': 30 * 60_000,
+  '1h':  60 * 60_000,
+  '4h':  4  * 60 * 60_000,
+  '1d':  24 * 60 * 60_000,
+};
+
 // 5 s for Binance — fast enough to fail over to Gate.io without a long stall.
 // Gate.io and KuCoin get a separate 10 s client (they're reliably accessible).
 const http    = axios.create({ timeout: 5_000 });
@@ -94,16 +105,21 @@ function toGateioSymbol(symbol) {
   return symbol.endsWith('USDT') ? symbol.slice(0, -4) + '_USDT' : symbol;
 }
 
-async function fetchFromGateio(symbol, timeframe, limit, marketType) {
+async function fetchFromGateio(symbol, timeframe, limit, marketType, since = null) {
   const pair = toGateioSymbol(symbol);
 
+  // Gate.io rejects `limit` together with from/to — a `since` request uses a window instead
+  const range = since != null
+    ? { from: Math.floor(since / 1000), to: Math.floor((since + limit * (TIMEFRAME_MS[timeframe] ?? 3_600_000)) / 1000) - 1 }
+    : { limit };
+
   let url, params;
   if (marketType === 'futures') {
     url    = GATEIO_FUTURES_URL;
-    params = { contract: pair, interval: timeframe, limit };
+    params = { contract: pair, interval: timeframe, ...range };
   } else {
     url    = GATEIO_SPOT_URL;
-    params = { currency_pair: pair, interval: timeframe, limit };
+    params = { currency_pair: pair, interval: timeframe, ...range };
   }
 
   const { data } = await httpExt.get(url, { params });
@@ -148,14 +164,15 @@ function toKucoinSymbol(symbol) {
   return symbol.endsWith('USDT') ? symbol.slice(0, -4) + '-USDT' : symbol;
 }
 
-async function fetchFromKucoin(symbol, timeframe, limit) {
+async function fetchFromKucoin(symbol, timeframe, limit, since = null) {
   const type = KUCOIN_TF[timeframe] ?? '1hour';
   const kcSymbol = toKucoinSymbol(symbol);
 
   // KuCoin doesn't accept a 'limit' param; use startAt/endAt window
-  const endAt   = Math.floor(Date.now() / 1000);
   const tfSec   = { '1min': 60, '5min': 300, '15min': 900, '30min': 1800, '1hour': 3600, '4hour': 14400, '1day': 86400 };
-  const startAt = endAt - (limit * (tfSec[type] ?? 3600)) - 3600; // small buffer
+  const span    = limit * (tfSec[type] ?? 3600);
+  const startAt = since != null ? Math.floor(since / 1000) : Math.floor(Date.now() / 1000) - span - 3600; // small buffer
+  const endAt   = since != null ? startAt + span - 1 : Math.floor(Date.now() / 1000);
 
   const { data } = await httpExt.get(KUCOIN_KLINES_URL, {
     params: { type, symbol: kcSymbol, startAt, endAt },
@@ -181,12 +198,14 @@ async function fetchFromKucoin(symbol, timeframe, limit) {
 
 // ─── Try all fallbacks in order ───────────────────────────────────────────────
 
-async function fetchCandlesWithFallback(symbol, timeframe, limit, marketType) {
+async function fetchCandlesWithFallback(symbol, timeframe, limit, marketType, since = null) {
   const hosts = marketType === 'futures' ? BINANCE_FUTURES_HOSTS : BINANCE_SPOT_HOSTS;
 
   // 1. Binance
   try {
-    const { data } = await fetchWithFallback(hosts, '/klines', { symbol, interval: timeframe, limit });
+    const params = { symbol, interval: timeframe, limit };
+    if (since != null) params.startTime = since;
+    const { data } = await fetchWithFallback(hosts, '/klines', params);
     return mapBinanceCandles(data);
   } catch (err) {
     const code    = err.response?.status;
@@ -199,7 +218,7 @@ async function fetchCandlesWithFallback(symbol, timeframe, limit, marketType) {
 
   // 2. Gate.io
   try {
-    const candles = await fetchFromGateio(symbol, timeframe, limit, marketType);
+    const candles = await fetchFromGateio(symbol, timeframe, limit, marketType, since);
     console.info(`[MarketData] Gate.io OK for ${symbol} ${timeframe}`);
     return candles;
   } catch (gErr) {
@@ -208,7 +227,7 @@ async function fetchCandlesWithFallback(symbol, timeframe, limit, marketType) {
 
   // 3. KuCoin (spot only — futures not supported)
   if (marketType !== 'futures') {
-    const candles = await fetchFromKucoin(symbol, timeframe, limit);
+    const candles = await fetchFromKucoin(symbol, timeframe, limit, since);
     console.info(`[MarketData] KuCoin OK for ${symbol} ${timeframe}`);
     return candles;
   }
@@ -348,6 +367,15 @@ class MarketDataService {
     return fetchCandlesWithFallback(symbol, timeframe, limit, marketType);
   }
 
+  /**
+   * Up to `limit` candles starting at `since` (ms, inclusive), oldest first.
+   * Uncached — used by CandleStore for incremental ingestion / backfill.
+   */
+  async fetchCandlesSince(symbol, timeframe, since, marketType = 'spot', limit = 1000) {
+    const candles = await fetchCandlesWithFallback(symbol, timeframe, limit, marketType, since);
+    return candles.filter(c => c.timestamp >= since);
+  }
+
   // ─── Cache management ─────────────────────────────────────────────────────
 
   clearCache(symbol = null) {
@@ -33,6 +33,7 @@ async function checkPairConflict(userId, symbol, excludeBotId = null) {
     botId:  { $in: botIds },
     symbol: normalized,
     status: 'open',
+    replay: { $ne: true },
   }).lean();
 
   if (!conflict) return { hasConflict: false, botName: null, positionSide: null, positionId: null };
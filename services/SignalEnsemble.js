@@ -0,0 +1,235 @@
+/**
+ * SignalEnsemble.js
+ * The one decision layer over every signal producer.
+ *
+ * Each producer — the AI model, HybridSignalEngine's rule confirmation, the
+ * TechnicalAnalysisEngine indicator count and bot/SignalEngine's momentum
+ * points — is a registered voter. A voter turns its producer's output (found on
+ * the context under the voter's name) into support for LONG and SHORT, 0-1.
+ * Weights, thresholds and veto rights come from AppSettings.signalEnsemble
+ * (admin-editable) over the defaults each voter registers with:
+ *
+ *   score[d] = Σ weight · support[d] / Σ weight   over voters with input
+ *
+ * A voter agrees with d when support[d] ≥ its threshold. d is accepted when
+ * every veto voter agrees, at least minVoters weighted voters agree and
+ * score[d] ≥ minScore; the best accepted direction wins and an exact tie
+ * between two accepted directions is no signal.
+ *
+ * Weight 0 runs a voter in shadow: its vote is stored on the Signal for
+ * attribution but never moves the decision.
+ */
+
+import { getSettings } from '../models/AppSettings.js';
+
+export const DIRECTIONS = ['LONG', 'SHORT'];
+
+const CONFIG_TTL_MS = 60_000;
+
+const DEFAULT_RULES = { minScore: 0, minVoters: 1 };
+
+const round4 = (v) => parseFloat(v.toFixed(4));
+
+class SignalEnsemble {
+  constructor() {
+    // Map: name => { voter, defaults }
+    this._voters      = new Map();
+    this._config      = null;
+    this._configTs    = 0;
+  }
+
+  /**
+   * Register a voter.
+   * @param {string} name - also the context key its producer output is read from
+   * @param {{ description: string, support: Function, prefer?: 'LONG'|'SHORT' }} voter
+   *   support(output) → { LONG, SHORT } (0-1); prefer breaks a tie in vote()
+   * @param {{ weight: number, threshold: number, veto: boolean }} defaults
+   */
+  register(name, voter, defaults) {
+    if (typeof voter?.support !== 'function') {
+      throw new Error(`Voter "${name}" must implement support(output)`);
+    }
+    this._voters.set(name, { voter, defaults });
+  }
+
+  has(name) {
+    return this._voters.has(name);
+  }
+
+  /**
+   * Effective configuration: registered defaults overlaid with the admin's settings.
+   * Cached for a minute; falls back to the defaults when settings can't be read.
+   */
+  async config() {
+    if (this._config && Date.now() - this._configTs < CONFIG_TTL_MS) return this._config;
+
+    let saved = null;
+    try {
+      saved = (await getSettings()).signalEnsemble;
+    } catch (err) {
+      console.warn('[SignalEnsemble] Settings unavailable, using defaults:', err.message);
+    }
+
+    const voters = {};
+    for (const [name, { defaults }] of this._voters) {
+      const override = saved?.voters?.get?.(name) ?? saved?.voters?.[name] ?? {};
+      voters[name] = {
+        weight:    override.weight    ?? defaults.weight,
+        threshold: override.threshold ?? defaults.threshold,
+        veto:      override.veto      ?? defaults.veto,
+      };
+    }
+
+    this._config = {
+      minScore:  saved?.minScore  ?? DEFAULT_RULES.minScore,
+      minVoters: saved?.minVoters ?? DEFAULT_RULES.minVoters,
+      voters,
+    };
+    this._configTs = Date.now();
+    return this._config;
+  }
+
+  /** Drop the cached config — call after the admin saves new settings. */
+  invalidate() {
+    this._config = null;
+  }
+
+  /** Registered voters with their descriptions and defaults, for the admin view. */
+  describe() {
+    return [...this._voters].map(([name, { voter, defaults }]) => ({
+      name, description: voter.description, defaults,
+    }));
+  }
+
+  /**
+   * A single voter's own call on its producer output, with its configured
+   * threshold — for producers that label signals standalone. Both sides
+   * passing with equal support is the voter's `prefer` side, else no call.
+   * @returns {Promise<'LONG'|'SHORT'|null>}
+   */
+  async vote(name, output) {
+    const entry = this._voters.get(name);
+    if (!entry || output == null) return null;
+    const { threshold } = (await this.config()).voters[name];
+    const support = entry.voter.support(output);
+    const passing = DIRECTIONS.filter(d => support[d] >= threshold);
+    if (passing.length === 2 && support.LONG === support.SHORT) return entry.voter.prefer ?? null;
+    return passing.sort((a, b) => support[b] - support[a])[0] ?? null;
+  }
+
+  /**
+   * Combine every voter that has input in `context`.
+   *
+   * @param {Object} context - producer outputs keyed by voter name
+   * @param {{ directions?: string[] }} [options] - directions the caller can trade (spot: LONG only)
+   * @returns {Promise<{
+   *   direction: 'LONG'|'SHORT'|null, score: number, scores: { LONG: number, SHORT: number },
+   *   minScore: number, minVoters: number, reason: string|null,
+   *   voters: { name, weight, threshold, veto, long, short, agrees, contribution }[],
+   * }>} voters are reported against the chosen direction (or the best scoring one when rejected)
+   */
+  async decide(context, { directions = DIRECTIONS } = {}) {
+    const config = await this.config();
+
+    const ballots = [];
+    for (const [name, { voter }] of this._voters) {
+      const output = context[name];
+      if (output == null) continue;
+      const support = voter.support(output);
+      ballots.push({
+        name,
+        ...config.voters[name],
+        support: { LONG: clamp01(support.LONG), SHORT: clamp01(support.SHORT) },
+      });
+    }
+
+    const totalWeight = ballots.reduce((sum, b) => sum + b.weight, 0);
+    const scores = {};
+    for (const d of DIRECTIONS) {
+      scores[d] = totalWeight > 0
+        ? round4(ballots.reduce((sum, b) => sum + b.weight * b.support[d], 0) / totalWeight)
+        : 0;
+    }
+
+    // Why each direction fails, or null when it is accepted
+    const rejection = (d) => {
+      if (totalWeight <= 0) return 'no weighted voter had input';
+      const vetoed = ballots.find(b => b.veto && b.support[d] < b.threshold);
+      if (vetoed) return `${vetoed.name} vetoed (${vetoed.support[d].toFixed(3)} < ${vetoed.threshold})`;
+      const agreeing = ballots.filter(b => b.weight > 0 && b.support[d] >= b.threshold).length;
+      if (agreeing < config.minVoters) return `${agreeing} voter(s) agree, need ${config.minVoters}`;
+      if (scores[d] < config.minScore) return `score ${scores[d]} < ${config.minScore}`;
+      return null;
+    };
+
+    const reasons  = Object.fromEntries(DIRECTIONS.map(d => [d, rejection(d)]));
+    const accepted = DIRECTIONS.filter(d => !reasons[d]);
+
+    let direction = null;
+    let reason    = null;
+    if (accepted.length === 2 && scores.LONG === scores.SHORT) {
+      reason = 'LONG and SHORT tied';
+    } else {
+      const best = accepted.sort((a, b) => scores[b] - scores[a])[0];
+      if (best && directions.includes(best)) direction = best;
+      else if (best) reason = `${best} not tradable here`;
+      else {
+        const top = directions.slice().sort((a, b) => scores[b] - scores[a])[0];
+        reason = `${top}: ${reasons[top]}`;
+      }
+    }
+
+    const reported = direction ?? directions.slice().sort((a, b) => scores[b] - scores[a])[0];
+    return {
+      direction,
+      score:     scores[reported],
+      scores,
+      minScore:  config.minScore,
+      minVoters: config.minVoters,
+      reason,
+      voters: ballots.map(b => ({
+        name:         b.name,
+        weight:       b.weight,
+        threshold:    b.threshold,
+        veto:         b.veto,
+        long:         round4(b.support.LONG),
+        short:        round4(b.support.SHORT),
+        agrees:       b.support[reported] >= b.threshold,
+        contribution: totalWeight > 0 ? round4((b.weight * b.support[reported]) / totalWeight) : 0,
+      })),
+    };
+  }
+}
+
+function clamp01(v) {
+  return Number.isFinite(v) ? Math.min(1, Math.max(0, v)) : 0;
+}
+
+const ensemble = new SignalEnsemble();
+
+// Defaults reproduce the gates each producer hard-coded before the ensemble:
+// AI ≥ 0.55 and rules ≥ 0.28 with confidence 0.6·ai + 0.4·rules, 3 of 6
+// indicators for technical signals, 35 momentum points with BUY winning a tie.
+// Technical and momentum only vote standalone until an admin weights them in.
+ensemble.register('ai', {
+  description: 'SignalModel probabilities (buy / sell)',
+  support: (prediction) => ({ LONG: prediction.buyProb, SHORT: prediction.sellProb }),
+}, { weight: 0.6, threshold: 0.55, veto: true });
+
+ensemble.register('rules', {
+  description: 'HybridSignalEngine rule confirmation score per direction',
+  support: (scores) => ({ LONG: scores.LONG, SHORT: scores.SHORT }),
+}, { weight: 0.4, threshold: 0.28, veto: true });
+
+ensemble.register('technical', {
+  description: 'TechnicalAnalysisEngine share of agreeing indicators (3 of 6 = 0.5)',
+  support: ({ longScore, shortScore, maxScore }) => ({ LONG: longScore / maxScore, SHORT: shortScore / maxScore }),
+}, { weight: 0, threshold: 0.5, veto: false });
+
+ensemble.register('momentum', {
+  description: 'bot/SignalEngine momentum points / 100 (RSI, EMA50/200 trend, volume, 24h move)',
+  support: ({ buyScore, sellScore }) => ({ LONG: buyScore / 100, SHORT: sellScore / 100 }),
+  prefer:  'LONG',
+}, { weight: 0, threshold: 0.35, veto: false });
+
+export default ensemble;
@@ -0,0 +1,433 @@
+/**
+ * SignalModelRegistry.js
+ * Retraining, versioning and promotion of the SignalModel (ai/SignalModel.js).
+ *
+ * Every retrain fits a new model and stores it as a SignalModelVersion with its
+ * training window, feature schema, metrics, weights and holdout set. Training data
+ * comes from the platform's own resolved signals (features captured at signal
+ * time, labelled by whether they hit their take-profit); until there are enough of
+ * them, from forward-return labels on candles of several symbols and timeframes.
+ * Classes are weighted by inverse frequency.
+ *
+ * The holdout is the most recent 15% of the data, never seen in training; the
+ * candidate and the model currently serving are both scored on it, and a candidate
+ * with a higher holdout loss is rejected instead of promoted. On outcome data the
+ * candidate's probability for the signal's direction is also calibrated on the
+ * holdout against the observed hit rate, which becomes the signals' confidenceScore.
+ * Retired versions stay available for rollback.
+ */
+
+import SignalModelVersion from '../models/SignalModelVersion.js';
+import AppSettings, { getSettings } from '../models/AppSettings.js';
+import Signal from '../models/Signal.js';
+import signalModel from '../ai/SignalModel.js';
+import marketData from './MarketDataService.js';
+import { buildTrainingData, buildOutcomeTrainingData, FEATURE_SCHEMA, LABEL_LOOKAHEAD } from '../ai/FeatureEngineering.js';
+import { fitIsotonic, applyCalibration, brierScore } from '../ai/Calibration.js';
+
+const TRAIN_SYMBOLS      = ['BTCUSDT', 'ETHUSDT', 'SOLUSDT', 'BNBUSDT', 'XRPUSDT'];
+const TRAIN_TIMEFRAMES   = ['1h', '4h'];
+const CANDLES_PER_SERIES = 1000;
+const HOLDOUT_FRACTION   = 0.15;
+const MIN_SAMPLES        = 200;
+const MAX_OUTCOME_SIGNALS = 50_000;   // most recent resolved signals used
+const MIN_CALIBRATION_SAMPLES = 50;
+const CLASSES = ['buy', 'sell', 'hold'];
+const RETRAIN_CLAIM_GAP_MS = 24 * 60 * 60_000;   // one scheduled / bootstrap retrain per day across processes
+const ACTIVE_SYNC_MS = 60_000;   // how soon other processes serve a promote, rollback or retrain
+const VERSION_ATTEMPTS = 3;
+
+const round = (v, dp = 4) => (v == null ? null : parseFloat(v.toFixed(dp)));
+const roundMetrics = (m) => m && Object.fromEntries(Object.entries(m).map(([k, v]) => [k, k === 'samples' ? v : round(v)]));
+
+class SignalModelRegistry {
+  constructor() {
+    this.training     = false;
+    this._syncTimer   = null;
+    this._unloadable  = null;   // active version last refused for its feature schema
+  }
+
+  /**
+   * Serve the active version's weights if there is one and it is not serving
+   * already (on startup, then every ACTIVE_SYNC_MS via watchActive()).
+   * @returns {Promise<boolean>} whether a stored version is now serving
+   */
+  async loadActive() {
+    const current = await SignalModelVersion.findOne({ status: 'active' }).select('version featureSchema').lean();
+    if (!current) return false;
+    if (signalModel.activeVersion === current.version) return true;
+    if (current.featureSchema?.version !== FEATURE_SCHEMA.version) {
+      if (this._unloadable !== current.version) {
+        console.warn(`[SignalModelRegistry] Active v${current.version} uses feature schema v${current.featureSchema?.version} — not loaded`);
+      }
+      this._unloadable = current.version;
+      return false;
+    }
+
+    const active = await SignalModelVersion.findOne({ version: current.version, status: 'active' }).select('+weights');
+    if (!active) return false;   // superseded between the two reads — the next sync picks up its successor
+    await signalModel.activate(active.weights, active.version, active.calibration?.points);
+    return true;
+  }
+
+  /**
+   * Follow the active version in this process. Promotions, rollbacks and
+   * retrains happen in whichever API process handled them; the others pick the
+   * change up here.
+   */
+  watchActive() {
+    if (this._syncTimer) return;
+    this._syncTimer = setInterval(async () => {
+      const before = signalModel.activeVersion;
+      try {
+        if (await this.loadActive() && signalModel.activeVersion !== before) {
+          console.log(`[SignalModelRegistry] Now serving v${signalModel.activeVersion} (was ${before != null ? `v${before}` : 'untracked weights'})`);
+        }
+      } catch (err) {
+        console.warn('[SignalModelRegistry] Active version sync failed:', err.message);
+      }
+    }, ACTIVE_SYNC_MS);
+  }
+
+  /**
+   * Claim a scheduled or bootstrap retrain for this process. Every API process
+   * runs the cron and the startup check; only the one whose conditional update
+   * lands trains, the others serve its model once it is active (watchActive()).
+   * @returns {Promise<boolean>}
+   */
+  async claimRetrain(now = new Date()) {
+    await getSettings();   // the singleton has to exist for the conditional update to match
+    const claimed = await AppSettings.findOneAndUpdate(
+      { key: 'global', signalModelRetrainClaimedAt: { $not: { $gt: new Date(now.getTime() - RETRAIN_CLAIM_GAP_MS) } } },
+      { signalModelRetrainClaimedAt: now }
+    );
+    return !!claimed;
+  }
+
+  /**
+   * Train a new version and promote it when it beats the serving model on the holdout set.
+   * @param {Object} [opts]
+   * @param {string[]} [opts.symbols]
+   * @param {string[]} [opts.timeframes]
+   * @param {'auto'|'outcomes'|'candles'} [opts.source] - auto: outcomes once there are enough
+   * @param {'schedule'|'admin'|'bootstrap'} [opts.trigger]
+   * @param {boolean} [opts.autoPromote] - false leaves a passing model as 'candidate'
+   * @param {string|null} [opts.userId] - admin who asked for it
+   * @returns {Promise<Object>} the SignalModelVersion (lean, without weights)
+   */
+  async retrain({ symbols = TRAIN_SYMBOLS, timeframes = TRAIN_TIMEFRAMES, source = 'auto', trigger = 'schedule', autoPromote = true, userId = null } = {}) {
+    if (!signalModel.isTFReady) throw new Error('TensorFlow.js is not available — AI training is disabled');
+    if (this.training) throw new Error('A retrain is already running');
+    this.training = true;
+
+    let record;
+    try {
+      record = await this._createVersion({
+        trigger,
+        dataset:       { symbols, timeframes },
+        featureSchema: FEATURE_SCHEMA,
+      });
+
+      let dataset = source === 'candles' ? null : await this._buildOutcomeDataset();
+      if (!dataset || (source === 'auto' && dataset.train.X.length < MIN_SAMPLES)) {
+        dataset = await this._buildDataset(symbols, timeframes);
+      }
+      const classWeight = this._classWeights(dataset.classCounts);
+
+      record.trainingWindow = dataset.window;
+      record.dataset = {
+        source:         dataset.source,
+        symbols:        dataset.symbols,
+        timeframes:     dataset.timeframes,
+        samples:        dataset.train.X.length,
+        holdoutSamples: dataset.holdout.X.length,
+        classCounts:    dataset.classCounts,
+        classWeights:   Object.fromEntries(CLASSES.map((c, i) => [c, round(classWeight[i])])),
+      };
+      if (dataset.train.X.length < MIN_SAMPLES || !dataset.holdout.X.length) {
+        record.status = 'failed';
+        record.statusReason = `Not enough ${dataset.source === 'outcomes' ? 'resolved signals' : 'samples'} to train (${dataset.train.X.length}, need ≥${MIN_SAMPLES})`;
+        await record.save();
+        return this._public(record);
+      }
+
+      const fitted  = await signalModel.fit(dataset.train, { classWeight });
+      const probs   = signalModel.predictBatch(fitted.model, dataset.holdout.X);
+      const holdout = signalModel.score(probs, dataset.holdout.y);
+      const weights = signalModel.exportWeights(fitted.model);
+      fitted.model.dispose();
+
+      record.calibration = dataset.holdout.direction ? this._calibrate(probs, dataset.holdout) : null;
+
+      record.metrics = {
+        train:      roundMetrics(fitted.train),
+        validation: roundMetrics(fitted.validation),
+        holdout:    roundMetrics(holdout),
+      };
+      record.weights   = weights;
+      record.holdout   = { X: dataset.holdout.X, y: dataset.holdout.y };
+      record.trainedAt = new Date();
+      record.comparison = this._compare(holdout, dataset.holdout);
+
+      if (!record.comparison.passed) {
+        record.status = 'rejected';
+        record.statusReason = this._refusal(record.comparison, holdout);
+      } else {
+        record.status = 'candidate';
+      }
+      await record.save();
+
+      if (record.status === 'candidate' && autoPromote) {
+        await this._activate(record, userId);
+      }
+      console.log(`[SignalModelRegistry] v${record.version} ${record.status} — holdout loss ${record.metrics.holdout.loss}, acc ${record.metrics.holdout.accuracy}`);
+      return this._public(record);
+    } catch (err) {
+      if (record) {
+        record.status = 'failed';
+        record.statusReason = err.message.substring(0, 300);
+        await record.save().catch(() => {});
+      }
+      throw err;
+    } finally {
+      this.training = false;
+    }
+  }
+
+  /**
+   * Store a new version numbered after the latest one. Another process can take
+   * the same number between the read and the insert; the unique index refuses
+   * the second insert and it is retried with the next number.
+   */
+  async _createVersion(fields) {
+    for (let attempt = 1; ; attempt++) {
+      const last = await SignalModelVersion.findOne().sort({ version: -1 }).select('version').lean();
+      try {
+        return await SignalModelVersion.create({ ...fields, version: (last?.version ?? 0) + 1 });
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= VERSION_ATTEMPTS) throw err;
+      }
+    }
+  }
+
+  /**
+   * Make `version` the serving model.
+   *   candidate / rejected — re-scored against the serving model on its holdout
+   *                          set first; refused if it does worse
+   *   retired              — a rollback to a model that served before; no re-check
+   * @returns {Promise<{ promoted: boolean, reason?: string, version: Object }>}
+   */
+  async promote(version, { userId = null } = {}) {
+    if (!signalModel.isTFReady) throw new Error('TensorFlow.js is not available — AI models cannot be served');
+    const record = await SignalModelVersion.findOne({ version }).select('+weights +holdout');
+    if (!record) throw new Error(`Model version ${version} not found`);
+    if (['training', 'failed'].includes(record.status)) throw new Error(`Model v${version} is ${record.status} and cannot be promoted`);
+    if (record.status === 'active') throw new Error(`Model v${version} is already active`);
+    if (record.featureSchema?.version !== FEATURE_SCHEMA.version) {
+      throw new Error(`Model v${version} was trained on feature schema v${record.featureSchema?.version} (current v${FEATURE_SCHEMA.version})`);
+    }
+
+    if (record.status !== 'retired') {
+      const model = this._modelOf(record);
+      let holdout;
+      try {
+        holdout = signalModel.evaluate(model, record.holdout.X, record.holdout.y);
+      } finally {
+        model.dispose();
+      }
+      record.comparison = this._compare(holdout, record.holdout);
+      if (!record.comparison.passed) {
+        record.status = 'rejected';
+        record.statusReason = this._refusal(record.comparison, holdout);
+        await record.save();
+        return { promoted: false, reason: record.statusReason, version: this._public(record) };
+      }
+    }
+
+    await this._activate(record, userId);
+    return { promoted: true, version: this._public(record) };
+  }
+
+  /**
+   * Go back to the model that served before the current one.
+   */
+  async rollback({ userId = null } = {}) {
+    const previous = await SignalModelVersion.findOne({ status: 'retired', promotedAt: { $ne: null } })
+      .sort({ retiredAt: -1 })
+      .select('version')
+      .lean();
+    if (!previous) throw new Error('No previously active model to roll back to');
+    return this.promote(previous.version, { userId });
+  }
+
+  // ─── Private ────────────────────────────────────────────────────────────
+
+  /**
+   * Resolved signals with features on the current schema, oldest first; the newest
+   * HOLDOUT_FRACTION is the holdout. Training signals still open when the holdout
+   * starts are dropped — their outcome was decided on holdout-period prices.
+   */
+  async _buildOutcomeDataset() {
+    const signals = (await Signal.find({
+      status: { $in: ['hit_tp', 'hit_sl', 'expired'] },
+      featureSchemaVersion: FEATURE_SCHEMA.version,
+    })
+      .select('+features type status pair timeframe timestamp outcome.closedAt')
+      .sort({ timestamp: -1 })
+      .limit(MAX_OUTCOME_SIGNALS)
+      .lean()).reverse();
+
+    const cut = Math.floor(signals.length * (1 - HOLDOUT_FRACTION));
+    const holdoutStart = signals[cut]?.timestamp;
+    const trainSignals = signals.slice(0, cut).filter(s => !s.outcome?.closedAt || s.outcome.closedAt <= holdoutStart);
+
+    const train   = buildOutcomeTrainingData(trainSignals);
+    const holdout = buildOutcomeTrainingData(signals.slice(cut));
+
+    return {
+      source:      'outcomes',
+      train:       { X: train.X, y: train.y },
+      holdout,
+      classCounts: this._classCounts(train.y),
+      symbols:     [...new Set(signals.map(s => s.pair.replace('/', '')))],
+      timeframes:  [...new Set(signals.map(s => s.timeframe))],
+      window:      { from: signals[0]?.timestamp ?? null, to: signals[signals.length - 1]?.timestamp ?? null },
+    };
+  }
+
+  /**
+   * Fetch every symbol × timeframe series and split each one in time: the last
+   * HOLDOUT_FRACTION of its samples is the holdout. The LABEL_LOOKAHEAD samples
+   * before the cut are dropped — their labels are priced from holdout candles.
+   */
+  async _buildDataset(symbols, timeframes) {
+    const train   = { X: [], y: [] };
+    const holdout = { X: [], y: [] };
+    const used    = new Set();
+    let from = null;
+    let to   = null;
+
+    for (const symbol of symbols) {
+      for (const tf of timeframes) {
+        let candles;
+        try {
+          candles = await marketData.fetchHistoricalCandles(symbol, tf, CANDLES_PER_SERIES, 'spot');
+        } catch (err) {
+          console.warn(`[SignalModelRegistry] ${symbol} ${tf} skipped: ${err.message}`);
+          continue;
+        }
+        const data = candles?.length ? buildTrainingData(candles) : null;
+        if (!data || data.X.length < 50) continue;
+
+        const cut = Math.floor(data.X.length * (1 - HOLDOUT_FRACTION));
+        train.X.push(...data.X.slice(0, cut - LABEL_LOOKAHEAD));
+        train.y.push(...data.y.slice(0, cut - LABEL_LOOKAHEAD));
+        holdout.X.push(...data.X.slice(cut));
+        holdout.y.push(...data.y.slice(cut));
+
+        used.add(symbol);
+        const first = new Date(candles[0].timestamp);
+        const last  = new Date(candles[candles.length - 1].timestamp);
+        if (!from || first < from) from = first;
+        if (!to   || last  > to)   to   = last;
+      }
+    }
+
+    return {
+      source:      'candles',
+      train,
+      holdout,
+      classCounts: this._classCounts(train.y),
+      symbols:     [...used],
+      timeframes,
+      window:      { from, to },
+    };
+  }
+
+  _classCounts(labels) {
+    const counts = { buy: 0, sell: 0, hold: 0 };
+    for (const label of labels) counts[CLASSES[label.indexOf(1)]]++;
+    return counts;
+  }
+
+  /**
+   * Inverse-frequency loss weights by class index, so a rare class (wins, or
+   * holds on trending candles) counts as much as a common one. Absent classes get 1.
+   */
+  _classWeights(counts) {
+    const total = CLASSES.reduce((sum, c) => sum + counts[c], 0);
+    return Object.fromEntries(CLASSES.map((c, i) => [i, counts[c] ? total / (CLASSES.length * counts[c]) : 1]));
+  }
+
+  /**
+   * Isotonic map from the candidate's probability for each holdout signal's
+   * direction to whether it hit its take-profit. Brier scores are on the same
+   * holdout (before → after), so `after` is in-sample.
+   */
+  _calibrate(probs, holdout) {
+    const pairs = probs.map((p, i) => ({
+      x: p[holdout.direction[i]],
+      y: holdout.y[i][holdout.direction[i]],
+    }));
+    if (pairs.length < MIN_CALIBRATION_SAMPLES) return null;
+
+    const points = fitIsotonic(pairs);
+    return {
+      method:      'isotonic',
+      samples:     pairs.length,
+      points:      points.map(({ x, y }) => ({ x: round(x), y: round(y) })),
+      brierBefore: round(brierScore(pairs)),
+      brierAfter:  round(brierScore(pairs.map(({ x, y }) => ({ x: applyCalibration(points, x), y })))),
+    };
+  }
+
+  /**
+   * Score the serving model on `holdoutSet` and compare with the candidate's
+   * holdout metrics. Lower cross-entropy loss wins; a tie passes.
+   */
+  _compare(candidate, holdoutSet) {
+    const current = signalModel.evaluate(signalModel.isModelReady ? signalModel.model : null, holdoutSet.X, holdoutSet.y);
+    return {
+      againstVersion: signalModel.isModelReady ? signalModel.activeVersion : null,
+      holdout:        roundMetrics(current),
+      passed:         candidate.loss <= current.loss,
+    };
+  }
+
+  _refusal(comparison, candidate) {
+    const against = comparison.againstVersion != null ? `v${comparison.againstVersion}` : 'the serving model';
+    return `Holdout loss ${round(candidate.loss)} is worse than ${against} (${comparison.holdout.loss})`;
+  }
+
+  /** A throwaway TF model with the record's weights, for scoring — dispose it after. */
+  _modelOf(record) {
+    const model   = signalModel._buildModel();
+    const tensors = record.weights.map(w => signalModel.tf.tensor(w.values, w.shape));
+    model.setWeights(tensors);
+    tensors.forEach(t => t.dispose());
+    return model;
+  }
+
+  async _activate(record, userId) {
+    await signalModel.activate(record.weights, record.version, record.calibration?.points);
+
+    const now = new Date();
+    await SignalModelVersion.updateMany(
+      { status: 'active', version: { $ne: record.version } },
+      { $set: { status: 'retired', retiredAt: now } }
+    );
+    record.status       = 'active';
+    record.statusReason = '';
+    record.promotedAt   = now;
+    record.promotedBy   = userId;
+    record.retiredAt    = null;
+    await record.save();
+  }
+
+  _public(record) {
+    const { weights, holdout, ...rest } = record.toObject();
+    return rest;
+  }
+}
+
+export default new SignalModelRegistry();
@@ -0,0 +1,259 @@
+/**
+ * SignalOutcomeTracker.js
+ * Resolves persisted signals to hit_tp / hit_sl / expired and reports the track record.
+ *
+ * Every active signal is walked forward through the candles that followed it
+ * (a finer timeframe than the signal's own, so the first level touched is known
+ * to within a few minutes). The result, time to resolution, max favourable /
+ * adverse excursion and realised R multiple are written to Signal.outcome.
+ *
+ * A candle that touches both the stop and the target counts as hit_sl — the
+ * order inside a candle is unknown, so the pessimistic reading wins.
+ */
+
+import SignalModel from '../models/Signal.js';
+import marketDataService, { TIMEFRAME_MS } from './MarketDataService.js';
+
+const EXPIRY_BARS   = 24;    // signal lifetime in candles of its own timeframe
+const BATCH_SIZE    = 200;   // signals resolved per run, oldest first
+const STALE_MS      = 24 * 60 * 60_000;  // past expiry + this with no usable candles → expired without a price
+const SUMMARY_TTL   = 5 * 60_000;
+const SUMMARY_DAYS  = 30;
+
+// Signal timeframe → candles used to walk its outcome
+const RESOLUTION_TF = {
+  '1m':  '1m',
+  '5m':  '1m',
+  '15m': '5m',
+  '30m': '5m',
+  '1h':  '5m',
+  '4h':  '15m',
+  '1d':  '1h',
+};
+
+const STATS_GROUPS = {
+  byPair:       '$pair',
+  byMarketType: '$marketType',
+  byTimeframe:  '$timeframe',
+  byAiSource:   '$aiSource',
+  byConfidence: { $min: [9, { $floor: { $multiply: ['$confidenceScore', 10] } }] },
+};
+
+const round = (v, dp = 2) => (v == null ? null : parseFloat(v.toFixed(dp)));
+
+const confidenceLabel = (bucket) => `${(bucket / 10).toFixed(1)}-${((bucket + 1) / 10).toFixed(1)}`;
+
+class SignalOutcomeTracker {
+  constructor() {
+    this.running       = false;
+    this._summaryCache = null;
+    this._summaryTs    = 0;
+  }
+
+  expiresAt(signal) {
+    const barMs = TIMEFRAME_MS[signal.timeframe] ?? TIMEFRAME_MS['1h'];
+    return new Date(new Date(signal.timestamp).getTime() + EXPIRY_BARS * barMs);
+  }
+
+  /**
+   * Resolve up to BATCH_SIZE active signals. Signals sharing a pair, market and
+   * resolution timeframe share one candle fetch.
+   * @returns {Promise<number>} signals resolved
+   */
+  async resolveOpen(now = new Date()) {
+    if (this.running) return 0;
+    this.running = true;
+    try {
+      const signals = await SignalModel.find({ status: 'active', timestamp: { $lte: now } })
+        .sort({ timestamp: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+
+      const groups = new Map();
+      for (const signal of signals) {
+        const tf  = RESOLUTION_TF[signal.timeframe] || '5m';
+        const key = `${signal.pair}:${signal.marketType}:${tf}`;
+        if (!groups.has(key)) groups.set(key, { tf, signals: [] });
+        groups.get(key).signals.push(signal);
+      }
+
+      let resolved = 0;
+      for (const { tf, signals: group } of groups.values()) {
+        const [first] = group;
+        const symbol  = first.pair.replace('/', '');
+        let candles = [];
+        try {
+          candles = await marketDataService.fetchCandlesSince(symbol, tf, new Date(first.timestamp).getTime(), first.marketType);
+        } catch (err) {
+          console.warn(`[SignalOutcome] ${symbol} ${tf} candles unavailable: ${err.message}`);
+        }
+
+        const updates = [];
+        for (const signal of group) {
+          // Signals that can never be walked (delisted pair, data gap) must not block the batch
+          const expires = this.expiresAt(signal);
+          const outcome = this.resolve(signal, candles, now, TIMEFRAME_MS[tf]) ||
+            (now - expires > STALE_MS ? { result: 'expired', closedAt: expires } : null);
+          if (!outcome) continue;
+          updates.push({
+            updateOne: {
+              filter: { _id: signal._id, status: 'active' },
+              update: { $set: { status: outcome.result, outcome } },
+            },
+          });
+        }
+        if (updates.length) {
+          const result = await SignalModel.bulkWrite(updates, { ordered: false });
+          resolved += result.modifiedCount ?? updates.length;
+        }
+      }
+
+      if (resolved > 0) this._summaryCache = null;
+      return resolved;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Outcome of one signal from the candles after it, or null while it is still open
+   * (no level hit, not expired yet, or the candles don't reach that far).
+   * @param {Object} signal
+   * @param {Object[]} candles - oldest first
+   * @param {Date} now
+   * @param {number} barMs - duration of one candle
+   */
+  resolve(signal, candles, now, barMs) {
+    const { entry, stopLoss, takeProfit } = signal;
+    const isLong  = signal.type === 'LONG';
+    const opened  = new Date(signal.timestamp).getTime();
+    const expires = this.expiresAt(signal).getTime();
+    const move    = (price) => (isLong ? price - entry : entry - price);
+    const pct     = (price) => (move(price) / entry) * 100;
+    const risk    = Math.abs(entry - stopLoss);
+
+    const finish = (result, closePrice, closedAt, best, worst) => ({
+      result,
+      closePrice,
+      pnlPercent:      round(pct(closePrice), 4),
+      closedAt:        new Date(closedAt),
+      minutesToClose:  Math.round((closedAt - opened) / 60_000),
+      maxFavorablePct: round(Math.max(0, pct(best)), 4),
+      maxAdversePct:   round(Math.min(0, pct(worst)), 4),
+      rMultiple:       risk > 0 ? round(move(closePrice) / risk, 3) : null,
+    });
+
+    let best  = entry;
+    let worst = entry;
+    let last  = null;
+    for (const c of candles) {
+      // Candles from the signal on — the one it was issued in may have crossed a level before it
+      if (c.timestamp < opened) continue;
+      if (c.timestamp >= expires) return finish('expired', last ? last.close : c.open, expires, best, worst);
+
+      const hitSl = isLong ? c.low <= stopLoss : c.high >= stopLoss;
+      const hitTp = isLong ? c.high >= takeProfit : c.low <= takeProfit;
+      if (hitSl) return finish('hit_sl', stopLoss, c.timestamp, best, isLong ? Math.min(worst, stopLoss) : Math.max(worst, stopLoss));
+      if (hitTp) return finish('hit_tp', takeProfit, c.timestamp, isLong ? Math.max(best, takeProfit) : Math.min(best, takeProfit), worst);
+
+      best  = isLong ? Math.max(best, c.high) : Math.min(best, c.low);
+      worst = isLong ? Math.min(worst, c.low) : Math.max(worst, c.high);
+      last  = c;
+    }
+
+    // Past expiry but the fetched candles stop short of it — close at the last price seen
+    if (now.getTime() >= expires + barMs && last && last.timestamp + barMs >= expires) {
+      return finish('expired', last.close, expires, best, worst);
+    }
+    return null;
+  }
+
+  /**
+   * Accuracy of resolved signals, overall and grouped by pair, market type,
+   * timeframe, aiSource and confidence bucket (0.1 wide).
+   * winRate is hit_tp over signals that hit a level; expired ones count in
+   * expiredRate and in the R / P&L averages.
+   * @param {{ from?: Date|null, to?: Date|null, marketType?: string, timeframe?: string, aiSource?: string, pair?: string }} [filter]
+   */
+  async stats({ from = null, to = null, marketType, timeframe, aiSource, pair } = {}) {
+    const match = { status: { $in: ['hit_tp', 'hit_sl', 'expired'] } };
+    if (from || to) {
+      match['outcome.closedAt'] = {};
+      if (from) match['outcome.closedAt'].$gte = from;
+      if (to)   match['outcome.closedAt'].$lte = to;
+    }
+    if (marketType) match.marketType = marketType;
+    if (timeframe)  match.timeframe  = timeframe;
+    if (aiSource)   match.aiSource   = aiSource;
+    if (pair)       match.pair       = pair;
+
+    const group = (key) => [
+      {
+        $group: {
+          _id:       key,
+          total:     { $sum: 1 },
+          hitTp:     { $sum: { $cond: [{ $eq: ['$status', 'hit_tp'] }, 1, 0] } },
+          hitSl:     { $sum: { $cond: [{ $eq: ['$status', 'hit_sl'] }, 1, 0] } },
+          expired:   { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+          avgR:      { $avg: '$outcome.rMultiple' },
+          totalR:    { $sum: '$outcome.rMultiple' },
+          avgPnlPct: { $avg: '$outcome.pnlPercent' },
+          avgMinutes: { $avg: '$outcome.minutesToClose' },
+          avgMfePct: { $avg: '$outcome.maxFavorablePct' },
+          avgMaePct: { $avg: '$outcome.maxAdversePct' },
+        },
+      },
+      { $sort: { total: -1 } },
+    ];
+
+    const facets = { overall: group(null) };
+    for (const [name, key] of Object.entries(STATS_GROUPS)) facets[name] = group(key);
+
+    const [result] = await SignalModel.aggregate([{ $match: match }, { $facet: facets }]);
+
+    const format = (row) => {
+      const decided = row.hitTp + row.hitSl;
+      return {
+        total:          row.total,
+        hitTp:          row.hitTp,
+        hitSl:          row.hitSl,
+        expired:        row.expired,
+        winRate:        decided ? round((row.hitTp / decided) * 100) : null,
+        expiredRate:    round((row.expired / row.total) * 100),
+        avgR:           round(row.avgR, 3),
+        totalR:         round(row.totalR, 3),
+        avgPnlPercent:  round(row.avgPnlPct, 3),
+        avgMinutesToClose: round(row.avgMinutes, 0),
+        avgMfePct:      round(row.avgMfePct, 3),
+        avgMaePct:      round(row.avgMaePct, 3),
+      };
+    };
+
+    const stats = {
+      overall: result.overall[0] ? format(result.overall[0]) : null,
+    };
+    for (const name of Object.keys(STATS_GROUPS)) {
+      stats[name] = result[name].map(row => ({
+        key: name === 'byConfidence' ? confidenceLabel(row._id) : row._id,
+        ...format(row),
+      }));
+    }
+    stats.byConfidence.sort((a, b) => a.key.localeCompare(b.key));
+    return stats;
+  }
+
+  /**
+   * Headline track record over the last 30 days (cached 5 min) for the public stats.
+   */
+  async summary() {
+    const now = Date.now();
+    if (this._summaryCache && now - this._summaryTs < SUMMARY_TTL) return this._summaryCache;
+
+    const { overall } = await this.stats({ from: new Date(now - SUMMARY_DAYS * 24 * 60 * 60 * 1000) });
+    this._summaryCache = { days: SUMMARY_DAYS, ...(overall || { total: 0 }) };
+    this._summaryTs    = now;
+    return this._summaryCache;
+  }
+}
+
+export default new SignalOutcomeTracker();
@@ -7,8 +7,11 @@
  * Weights:
  *   MTF Alignment    35%
  *   Confidence       25%
- *   Momentum         25%  (RSI + MACD from reasons[])
+ *   Momentum         25%  (RSI + MACD votes)
  *   Volume           15%
+ *
+ * Reads the structured Signal.explanation; signals stored before it existed
+ * fall back to mtfAlignment and keyword matches in reasons[].
  */
 
 const MIN_SCORE = 65; // minimum composite score to qualify (0–100)
@@ -17,40 +20,27 @@ const MIN_SCORE = 65; // minimum composite score to qualify (0–100)
  * Score a single signal. Returns { score, breakdown } where score is 0–100.
  */
 function scoreSignal(sig) {
+  const factors = sig.explanation ? fromExplanation(sig) : fromReasons(sig);
+
   // ── 1. MTF Alignment (35 pts) ───────────────────────────────────────────
-  let mtfScore = 0;
-  const mtf = sig.mtfAlignment;
-  if (mtf && typeof mtf === 'object') {
-    const values   = Object.values(mtf);
-    const total    = values.length;
-    const aligned  = values.filter(v => v === 'bullish' || v === 'bearish').length;
-    mtfScore = total > 0 ? (aligned / total) * 35 : 17; // neutral if no data
-  } else {
-    mtfScore = 17; // no MTF data — give half weight
-  }
+  const mtfScore = factors.mtfShare != null ? factors.mtfShare * 35 : 17; // no MTF data — half weight
 
   // ── 2. Confidence (25 pts) ──────────────────────────────────────────────
   const confScore = (sig.confidenceScore || 0) * 25;
 
-  // ── 3. Momentum (25 pts) — RSI + MACD mentions in reasons[] ────────────
-  const reasons = (sig.reasons || []).map(r => r.toLowerCase());
+  // ── 3. Momentum (25 pts) — RSI + MACD ─────────────────────────────────
   let momentumScore = 0;
 
   // RSI contribution (12.5 pts max)
-  const hasRsiStrong = reasons.some(r => r.includes('deeply') && r.includes('rsi'));
-  const hasRsiNormal = reasons.some(r => r.includes('rsi'));
-  if (hasRsiStrong) momentumScore += 12.5;
-  else if (hasRsiNormal) momentumScore += 7;
+  if (factors.rsiStrong) momentumScore += 12.5;
+  else if (factors.rsi)  momentumScore += 7;
 
   // MACD contribution (12.5 pts max)
-  const hasMacdMomentum = reasons.some(r => r.includes('histogram') && r.includes('macd'));
-  const hasMacdBasic    = reasons.some(r => r.includes('macd'));
-  if (hasMacdMomentum) momentumScore += 12.5;
-  else if (hasMacdBasic) momentumScore += 7;
+  if (factors.macdHistogram) momentumScore += 12.5;
+  else if (factors.macd)     momentumScore += 7;
 
   // ── 4. Volume (15 pts) ──────────────────────────────────────────────────
-  const hasVolumeSpike = reasons.some(r => r.includes('volume spike') || r.includes('volume'));
-  const volumeScore    = hasVolumeSpike ? 15 : 0;
+  const volumeScore = factors.volumeSpike ? 15 : 0;
 
   // ── Bonus: Risk:Reward ≥ 2 (+5 pts) ─────────────────────────────────────
   const rrBonus = (sig.riskReward || 0) >= 2 ? 5 : 0;
@@ -70,6 +60,46 @@ function scoreSignal(sig) {
   };
 }
 
+/**
+ * Scoring factors from the explanation's indicator votes — an indicator counts
+ * only when it voted for the signal's own direction.
+ */
+function fromExplanation(sig) {
+  const { indicators = [], mtf } = sig.explanation;
+  const voted = (key) => indicators.find(i => i.key === key && i.vote === sig.type);
+  const rsi   = voted('rsi');
+
+  return {
+    mtfShare:      mtf?.votes?.length ? mtf.votes.filter(v => v.vote === sig.type).length / mtf.votes.length : null,
+    rsi:           !!rsi,
+    rsiStrong:     !!rsi && (sig.type === 'LONG' ? rsi.value < 30 : rsi.value > 70),
+    macd:          !!voted('macd_line'),
+    macdHistogram: !!voted('macd_histogram'),
+    volumeSpike:   !!voted('volume_spike'),
+  };
+}
+
+/** Legacy signals: mtfAlignment map + keyword matches in reasons[]. */
+function fromReasons(sig) {
+  const reasons = (sig.reasons || []).map(r => r.toLowerCase());
+  const mtf     = sig.mtfAlignment;
+  let mtfShare  = null;
+  if (mtf && typeof mtf === 'object') {
+    const values  = Object.values(mtf);
+    const aligned = values.filter(v => v === 'bullish' || v === 'bearish').length;
+    mtfShare = values.length > 0 ? aligned / values.length : null;
+  }
+
+  return {
+    mtfShare,
+    rsi:           reasons.some(r => r.includes('rsi')),
+    rsiStrong:     reasons.some(r => r.includes('deeply') && r.includes('rsi')),
+    macd:          reasons.some(r => r.includes('macd')),
+    macdHistogram: reasons.some(r => r.includes('histogram') && r.includes('macd')),
+    volumeSpike:   reasons.some(r => r.includes('volume spike') || r.includes('volume')),
+  };
+}
+
 /**
  * Score and rank an array of signals.
  * Returns only signals with score >= MIN_SCORE, sorted best-first.
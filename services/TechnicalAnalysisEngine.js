@@ -3,7 +3,9 @@
  *
  * Pure-JS technical analysis engine — no native bindings required.
  * Computes RSI, EMA, MACD, Bollinger Bands, ATR from OHLCV candles
- * and produces a LONG / SHORT signal when ≥3 indicators agree.
+ * and counts the indicators agreeing on each side. The count is the
+ * 'technical' voter of SignalEnsemble, which decides LONG / SHORT (by default
+ * when ≥3 of 6 agree).
  *
  * Entry point:  analyzeSymbol(symbol, timeframe, marketType)
  * Returns:      { signal, pair, type, entry, stopLoss, takeProfit, … } or null signal
@@ -11,6 +13,8 @@
 
 import marketDataService from './MarketDataService.js';
 import { getSentiment } from './GateNewsService.js';
+import { EXPLANATION_VERSION } from '../models/Signal.js';
+import signalEnsemble from './SignalEnsemble.js';
 
 // ─── Pure-JS indicator helpers ─────────────────────────────────────────────────
 
@@ -89,25 +93,27 @@ function calcATR(candles, period = 14) {
   return atrVal;
 }
 
-// ─── Main analysis function ────────────────────────────────────────────────────
+/** Explanation values: enough precision to read, no float noise. */
+function round6(v) {
+  return typeof v === 'number' && Number.isFinite(v) ? Number(v.toPrecision(6)) : null;
+}
+
+/** Same condition on each side, mirrored: LONG when value > up, SHORT when value < down. */
+function band(up, down = up) {
+  return { LONG: { comparator: '>', threshold: round6(up) }, SHORT: { comparator: '<', threshold: round6(down) } };
+}
+
+// ─── Indicator scoring ─────────────────────────────────────────────────────────
 
 /**
- * Analyse a single symbol and return a trading signal or a neutral result.
+ * Score the indicators on candles (oldest first, ≥ 50): one point per indicator
+ * agreeing with each side. The producer behind the ensemble's 'technical' voter.
  *
- * @param {string} symbol     e.g. 'BTCUSDT'
- * @param {string} timeframe  '15m' | '1h' | '4h' | '1d'
- * @param {string} marketType 'spot' | 'futures'
- * @returns {Promise<object>} signal result
+ * @param {Object[]} candles
+ * @returns {{ price, longScore, shortScore, maxScore, bullish: string[], bearish: string[],
+ *             votes: Object[], volRatio, atrVal, indicators: Object }}
  */
-export async function analyzeSymbol(symbol, timeframe = '1h', marketType = 'spot') {
-  const candles = await marketDataService.fetchCandles(symbol, timeframe, marketType);
-
-  if (!candles || candles.length < 50) {
-    throw new Error(
-      `Insufficient candle data for ${symbol} (got ${candles?.length ?? 0}, need ≥ 50)`
-    );
-  }
-
+export function scoreTechnical(candles) {
   const closes  = candles.map(c => c.close);
   const volumes = candles.map(c => c.volume);
   const price   = closes[closes.length - 1];
@@ -134,6 +140,9 @@ export async function analyzeSymbol(symbol, timeframe = '1h', marketType = 'spot
   let shortScore = 0;
   const bullish  = [];
   const bearish  = [];
+  const votes    = [];   // explanation entries, one per indicator
+  const record   = (key, label, value, conditions, vote) =>
+    votes.push({ key, label, value: round6(value), vote, weight: vote ? 1 : 0, conditions });
 
   // 1 · RSI
   //   LONG fires below 38 (oversold) — conservative entry
@@ -142,22 +151,28 @@ export async function analyzeSymbol(symbol, timeframe = '1h', marketType = 'spot
   if (rsiVal !== null) {
     if (rsiVal < 38)      { longScore++;  bullish.push(`RSI oversold (${rsiVal.toFixed(1)})`); }
     else if (rsiVal > 62) { shortScore++; bearish.push(`RSI overbought (${rsiVal.toFixed(1)})`); }
+    record('rsi', 'RSI(14)', rsiVal,
+      { LONG: { comparator: '<', threshold: 38 }, SHORT: { comparator: '>', threshold: 62 } },
+      rsiVal < 38 ? 'LONG' : rsiVal > 62 ? 'SHORT' : null);
   }
 
   // 2 · EMA20 vs EMA50 (short-term momentum)
   if (ema20 > ema50) { longScore++;  bullish.push('EMA20 above EMA50 (bullish)'); }
   else               { shortScore++; bearish.push('EMA20 below EMA50 (bearish)'); }
+  record('ema20_vs_ema50', 'EMA20 vs EMA50', ema20, band(ema50), ema20 > ema50 ? 'LONG' : 'SHORT');
 
   // 3 · EMA200 major trend (only if enough data)
   if (ema200 !== null) {
     if (price > ema200) { longScore++;  bullish.push('Price above EMA200 (uptrend)'); }
     else                { shortScore++; bearish.push('Price below EMA200 (downtrend)'); }
+    record('price_vs_ema200', 'Price vs EMA200', price, band(ema200), price > ema200 ? 'LONG' : 'SHORT');
   }
 
   // 4 · MACD histogram direction
   if (macdObj) {
     if (macdObj.histogram > 0) { longScore++;  bullish.push('MACD histogram positive'); }
     else                       { shortScore++; bearish.push('MACD histogram negative'); }
+    record('macd_histogram', 'MACD histogram', macdObj.histogram, band(0), macdObj.histogram > 0 ? 'LONG' : 'SHORT');
   }
 
   // 5 · Bollinger Bands position (0 = at lower band, 1 = at upper band)
@@ -167,32 +182,19 @@ export async function analyzeSymbol(symbol, timeframe = '1h', marketType = 'spot
     const bbPos   = bbRange > 0 ? (price - bbObj.lower) / bbRange : 0.5;
     if (bbPos < 0.25)      { longScore++;  bullish.push(`Near lower Bollinger Band (${(bbPos * 100).toFixed(0)}%)`); }
     else if (bbPos > 0.70) { shortScore++; bearish.push(`Near upper Bollinger Band (${(bbPos * 100).toFixed(0)}%)`); }
+    record('bollinger_position', 'Bollinger position (0 = lower, 1 = upper)', bbPos,
+      { LONG: { comparator: '<', threshold: 0.25 }, SHORT: { comparator: '>', threshold: 0.70 } },
+      bbPos < 0.25 ? 'LONG' : bbPos > 0.70 ? 'SHORT' : null);
   }
 
   // 6 · 10-candle price momentum
   //   SHORT threshold lowered to -0.3% (was -0.5%) — catches mild pullbacks
   if (mom10 > 0.005)       { longScore++;  bullish.push(`Positive price momentum (+${(mom10 * 100).toFixed(2)}%)`); }
   else if (mom10 < -0.003) { shortScore++; bearish.push(`Negative price momentum (${(mom10 * 100).toFixed(2)}%)`); }
+  record('momentum_10', '10-candle momentum', mom10, band(0.005, -0.003),
+    mom10 > 0.005 ? 'LONG' : mom10 < -0.003 ? 'SHORT' : null);
 
   const maxScore = ema200 !== null ? 6 : 5;
-  const MIN_SCORE = 3;
-
-  // ── Decision ───────────────────────────────────────────────────────────────
-  let signalType = null;
-  let rawConf    = 0;
-
-  if (longScore >= MIN_SCORE && longScore > shortScore) {
-    signalType = 'LONG';
-    rawConf    = longScore / maxScore;
-  } else if (shortScore >= MIN_SCORE && shortScore > longScore && marketType === 'futures') {
-    // SHORT is only valid for futures — spot trading has no shorting mechanism
-    signalType = 'SHORT';
-    rawConf    = shortScore / maxScore;
-  }
-
-  // High volume adds small confidence boost
-  if (volRatio > 1.5) rawConf = Math.min(1, rawConf + 0.05);
-  const confidence = Math.round(rawConf * 100) / 100;
 
   // Indicator summary (always included in response)
   const indicators = {
@@ -214,6 +216,65 @@ export async function analyzeSymbol(symbol, timeframe = '1h', marketType = 'spot
     volRatio: +volRatio.toFixed(2),
   };
 
+  return { price, longScore, shortScore, maxScore, bullish, bearish, votes, volRatio, atrVal, indicators };
+}
+
+// ─── Main analysis function ────────────────────────────────────────────────────
+
+/**
+ * Analyse a single symbol and return a trading signal or a neutral result.
+ *
+ * @param {string} symbol     e.g. 'BTCUSDT'
+ * @param {string} timeframe  '15m' | '1h' | '4h' | '1d'
+ * @param {string} marketType 'spot' | 'futures'
+ * @returns {Promise<object>} signal result
+ */
+export async function analyzeSymbol(symbol, timeframe = '1h', marketType = 'spot') {
+  const candles = await marketDataService.fetchCandles(symbol, timeframe, marketType);
+
+  if (!candles || candles.length < 50) {
+    throw new Error(
+      `Insufficient candle data for ${symbol} (got ${candles?.length ?? 0}, need ≥ 50)`
+    );
+  }
+
+  const technical = scoreTechnical(candles);
+  const { price, longScore, shortScore, maxScore, bullish, bearish, votes, volRatio, atrVal, indicators } = technical;
+
+  // ── Decision ───────────────────────────────────────────────────────────────
+  // The 'technical' voter labels these signals on its own threshold — the
+  // ensemble's minScore / minVoters are for combined decisions, which a single
+  // voter could never satisfy once an admin raises them.
+  // SHORT is only valid for futures — spot trading has no shorting mechanism
+  const voter       = (await signalEnsemble.config()).voters.technical;
+  const voted       = await signalEnsemble.vote('technical', technical);
+  const tradable    = voted === 'LONG' || marketType === 'futures';
+  let signalType    = tradable ? voted : null;
+  const support     = { LONG: longScore / maxScore, SHORT: shortScore / maxScore };
+  let rawConf       = signalType ? support[signalType] : 0;
+  const noSignalWhy = !voted ? `below the technical threshold ${voter.threshold}` : !tradable ? `${voted} not tradable on spot` : null;
+  const ensemble    = {
+    direction: signalType,
+    score:     round6(rawConf),
+    minScore:  null,
+    minVoters: null,
+    voters: [{
+      name: 'technical', weight: voter.weight, threshold: voter.threshold, veto: voter.veto,
+      long: round6(support.LONG), short: round6(support.SHORT),
+      agrees: !!signalType, contribution: round6(rawConf),
+    }],
+  };
+
+  // High volume adds small confidence boost
+  if (volRatio > 1.5) rawConf = Math.min(1, rawConf + 0.05);
+  votes.push({
+    key: 'volume_spike', label: 'Volume vs 20-candle average', value: round6(volRatio),
+    vote:   signalType && volRatio > 1.5 ? signalType : null,
+    weight: signalType && volRatio > 1.5 ? 0.05 : 0,   // confidence boost, not an agreeing indicator
+    conditions: { LONG: { comparator: '>', threshold: 1.5 }, SHORT: { comparator: '>', threshold: 1.5 } },
+  });
+  const confidence = Math.round(rawConf * 100) / 100;
+
   // ── News sentiment filter (Gate.io) ───────────────────────────────────────
   // Fetch non-blocking — if Gate.io is unreachable, news is neutral and the
   // signal passes through unchanged.
@@ -232,6 +293,34 @@ export async function analyzeSymbol(symbol, timeframe = '1h', marketType = 'spot
     console.warn(`[TAEngine] News sentiment check failed for ${symbol}: ${newsErr.message}`);
   }
 
+  const proposed   = signalType ?? (longScore >= shortScore ? 'LONG' : 'SHORT');
+  const minAgreeing = Math.ceil(voter.threshold * maxScore);
+  const explanation = {
+    version:    EXPLANATION_VERSION,
+    engine:     'technical',
+    indicators: votes,
+    ruleScore:  { score: proposed === 'LONG' ? longScore : shortScore, min: minAgreeing },
+    ai:         null,
+    mtf:        null,
+    news: {
+      score:      newsSentiment.score,
+      sentiment:  newsSentiment.sentiment,
+      suppresses: newsSentiment.suppresses,
+      articles:   newsSentiment.articles?.length ?? 0,
+    },
+    risk: [
+      {
+        check: 'min_agreeing', value: proposed === 'LONG' ? longScore : shortScore,
+        comparator: '>=', threshold: minAgreeing,
+        passed: (proposed === 'LONG' ? longScore : shortScore) >= minAgreeing,
+      },
+      ...(proposed === 'SHORT'
+        ? [{ check: 'short_allowed', value: marketType, comparator: '==', threshold: 'futures', passed: marketType === 'futures' }]
+        : []),
+      { check: 'news_filter', value: newsSentiment.suppresses, comparator: '!=', threshold: proposed, passed: newsSentiment.suppresses !== proposed },
+    ],
+  };
+
   // ── Neutral result (no signal) ─────────────────────────────────────────────
   if (!signalType) {
     return {
@@ -246,7 +335,9 @@ export async function analyzeSymbol(symbol, timeframe = '1h', marketType = 'spot
       indicators,
       newsSentiment,
       reasons:      [],
-      message:      `Market is neutral — ${longScore} bullish vs ${shortScore} bearish indicators (need ≥ ${MIN_SCORE} to agree)`,
+      explanation,
+      ensemble,
+      message:      `Market is neutral — ${longScore} bullish vs ${shortScore} bearish indicators (${noSignalWhy ?? 'suppressed by news'})`,
       timestamp:    new Date().toISOString(),
     };
   }
@@ -283,6 +374,8 @@ export async function analyzeSymbol(symbol, timeframe = '1h', marketType = 'spot
     indicators,
     newsSentiment,
     reasons:         signalType === 'LONG' ? bullish : bearish,
+    explanation,
+    ensemble,
     timestamp:       new Date().toISOString(),
   };
 }
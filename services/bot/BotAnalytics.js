@@ -0,0 +1,322 @@
+import BotConfig from '../../models/bot/BotConfig.js';
+import Position from '../../models/bot/Position.js';
+import Trade from '../../models/bot/Trade.js';
+
+const DAY_MS           = 86_400_000;
+const PERIODS_PER_YEAR = 365;   // crypto trades every day — daily returns annualise over 365
+const MAX_TRADE_ROWS   = 500;   // per-trade MAE / MFE rows returned for one bot
+const WEEKDAYS         = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const POSITION_FIELDS = 'botId symbol side entryPrice amount cost status openedAt closedAt closePrice realizedPnL unrealizedPnL ' +
+  'maxFavorablePrice maxAdversePrice highestPriceSinceEntry lowestPriceSinceEntry';
+
+const round = (v, digits = 2) => (Number.isFinite(v) ? parseFloat(v.toFixed(digits)) : null);
+const dayOf = (date) => Math.floor(new Date(date).getTime() / DAY_MS) * DAY_MS;
+const sum   = (values) => values.reduce((a, b) => a + b, 0);
+
+/**
+ * Win / loss stats of a group of closed trades.
+ */
+function tradeStats(results) {
+  const wins        = results.filter(r => r.pnl > 0);
+  const grossProfit = sum(wins.map(r => r.pnl));
+  const grossLoss   = Math.abs(sum(results.filter(r => r.pnl <= 0).map(r => r.pnl)));
+  const pnl         = grossProfit - grossLoss;
+  return {
+    trades:       results.length,
+    wins:         wins.length,
+    losses:       results.length - wins.length,
+    winRate:      results.length ? round((wins.length / results.length) * 100, 1) : 0,
+    pnl:          round(pnl),
+    avgPnl:       results.length ? round(pnl / results.length) : 0,
+    profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss, 3) : grossProfit > 0 ? 999 : 0,
+  };
+}
+
+/**
+ * BotAnalytics - performance analytics computed from a bot's Trade and Position
+ * history (BotConfig.stats only keeps running totals): daily equity curve,
+ * risk-adjusted ratios, drawdown depth and duration, expectancy, hold times,
+ * per-trade MAE / MFE and breakdowns by symbol, weekday, hour and side.
+ *
+ * A trade here is a closed position; its P&L is the sum of its closing trades
+ * (partial and ladder exits included). Days and hours are UTC. Ratios use daily
+ * returns on the realised equity curve, annualised over 365 days.
+ */
+class BotAnalytics {
+  /**
+   * Analytics for one bot.
+   * @param {Object} bot - BotConfig (document or lean)
+   * @param {{ from?: Date|null, to?: Date|null, now?: Date }} [range]
+   */
+  async forBot(bot, { from = null, to = null, now = new Date() } = {}) {
+    const history = await this._load([bot._id], { from, to });
+    return this.compute(bot, history.get(bot._id.toString()), { from, to, now });
+  }
+
+  /**
+   * Side-by-side comparison of a user's bots plus the combined fleet.
+   * @param {string} userId
+   * @param {{ isDemo?: boolean, from?: Date|null, to?: Date|null, now?: Date }} [opts]
+   */
+  async forFleet(userId, { isDemo, from = null, to = null, now = new Date() } = {}) {
+    const bots = await BotConfig.find({ userId, ...(isDemo !== undefined && { isDemo }) })
+      .select('name strategyId symbol marketType isDemo status stats.startingCapital capitalAllocation.totalCapital')
+      .lean();
+    const history = await this._load(bots.map(b => b._id), { from, to });
+    const opts    = { from, to, now, tradeRows: false };
+
+    const rows = bots.map(bot => {
+      const { summary, ratios, drawdown } = this.compute(bot, history.get(bot._id.toString()), opts);
+      return {
+        botId: bot._id, name: bot.name, strategyId: bot.strategyId, symbol: bot.symbol,
+        marketType: bot.marketType, isDemo: bot.isDemo, status: bot.status,
+        ...summary, ...ratios, ...drawdown,
+      };
+    }).sort((a, b) => b.totalPnL - a.totalPnL);
+
+    const combined = { trades: [], positions: [] };
+    for (const h of history.values()) {
+      combined.trades.push(...h.trades);
+      combined.positions.push(...h.positions);
+    }
+    combined.trades.sort((a, b) => a.executedAt - b.executedAt);
+    const startingCapital = sum(bots.map(b => this._startingCapital(b)));
+    const fleet = this.compute({ stats: { startingCapital } }, combined, opts);
+
+    return { bots: rows, fleet };
+  }
+
+  /**
+   * Closing trades and positions of the given bots, grouped by bot id.
+   * Closed positions are filtered by close time; open ones are always included.
+   */
+  async _load(botIds, { from, to }) {
+    const range = (from || to) ? { ...(from && { $gte: from }), ...(to && { $lte: to }) } : null;
+    const [trades, positions] = await Promise.all([
+      Trade.find({ botId: { $in: botIds }, replay: { $ne: true }, positionId: { $ne: null }, pnl: { $ne: null }, ...(range && { executedAt: range }) })
+        .select('botId positionId symbol pnl executedAt')
+        .sort({ executedAt: 1 })
+        .lean(),
+      Position.find({
+        botId: { $in: botIds },
+        replay: { $ne: true },
+        $or: [{ status: 'open' }, { status: 'closed', ...(range && { closedAt: range }) }],
+      }).select(POSITION_FIELDS).lean(),
+    ]);
+
+    const grouped = new Map(botIds.map(id => [id.toString(), { trades: [], positions: [] }]));
+    for (const t of trades) grouped.get(t.botId.toString())?.trades.push(t);
+    for (const p of positions) grouped.get(p.botId.toString())?.positions.push(p);
+    return grouped;
+  }
+
+  _startingCapital(bot) {
+    return bot.stats?.startingCapital || bot.capitalAllocation?.totalCapital || 0;
+  }
+
+  /**
+   * Analytics from loaded history (no database access).
+   * @param {Object} bot - supplies the starting capital
+   * @param {{ trades: Object[], positions: Object[] }} history - closing trades sorted by executedAt
+   * @param {{ from?, to?, now?, tradeRows?: boolean }} [opts] - tradeRows: include per-trade MAE / MFE rows
+   */
+  compute(bot, { trades = [], positions = [] } = {}, { from = null, to = null, now = new Date(), tradeRows = true } = {}) {
+    const startingCapital = this._startingCapital(bot);
+
+    const pnlByPosition = new Map();
+    for (const t of trades) {
+      if (!t.positionId) continue;
+      const id = t.positionId.toString();
+      pnlByPosition.set(id, (pnlByPosition.get(id) || 0) + t.pnl);
+    }
+
+    const results = positions
+      .filter(p => p.status === 'closed' && p.closedAt)
+      .map(p => {
+        const pnl = pnlByPosition.get(p._id.toString()) ?? p.realizedPnL ?? 0;
+        return {
+          positionId: p._id,
+          symbol:     p.symbol,
+          side:       p.side || 'long',
+          openedAt:   p.openedAt,
+          closedAt:   p.closedAt,
+          holdHours:  (new Date(p.closedAt) - new Date(p.openedAt)) / 3_600_000,
+          pnl,
+          pnlPct:     p.cost ? (pnl / p.cost) * 100 : 0,
+          ...this._excursion(p),
+        };
+      })
+      .sort((a, b) => new Date(a.closedAt) - new Date(b.closedAt));
+
+    const open          = positions.filter(p => p.status === 'open');
+    const unrealizedPnL = sum(open.map(p => p.unrealizedPnL || 0));
+    const curve         = this._equityCurve(trades, startingCapital, { from, to, now });
+
+    const overall = tradeStats(results);
+    const wins    = results.filter(r => r.pnl > 0);
+    const losses  = results.filter(r => r.pnl <= 0);
+    const avgWin  = wins.length ? sum(wins.map(r => r.pnl)) / wins.length : 0;
+    const avgLoss = losses.length ? sum(losses.map(r => r.pnl)) / losses.length : 0;
+    const winRate = results.length ? wins.length / results.length : 0;
+    const mean    = (values) => (values.length ? sum(values) / values.length : null);
+    const realizedPnL = sum(trades.map(t => t.pnl));
+
+    const summary = {
+      startingCapital:  round(startingCapital),
+      equity:           round(startingCapital + realizedPnL),
+      totalPnL:         round(realizedPnL),
+      totalReturnPct:   startingCapital > 0 ? round((realizedPnL / startingCapital) * 100) : null,
+      unrealizedPnL:    round(unrealizedPnL),
+      openPositions:    open.length,
+      totalTrades:      overall.trades,
+      winningTrades:    overall.wins,
+      losingTrades:     overall.losses,
+      winRate:          overall.winRate,
+      profitFactor:     overall.profitFactor,
+      avgWin:           round(avgWin),
+      avgLoss:          round(avgLoss),
+      // Expected P&L per trade: winRate · avgWin + lossRate · avgLoss
+      expectancy:       round(winRate * avgWin + (1 - winRate) * avgLoss),
+      expectancyPct:    round(mean(results.map(r => r.pnlPct)) ?? 0),
+      avgHoldHours:     round(mean(results.map(r => r.holdHours)) ?? 0),
+      avgWinHoldHours:  round(mean(wins.map(r => r.holdHours)) ?? 0),
+      avgLossHoldHours: round(mean(losses.map(r => r.holdHours)) ?? 0),
+      avgMaePct:        round(mean(results.map(r => r.maePct))),
+      avgMfePct:        round(mean(results.map(r => r.mfePct))),
+    };
+
+    const bucket = (keyOf, keys = null) => {
+      const groups = new Map((keys || []).map(k => [k, []]));
+      for (const r of results) {
+        const key = keyOf(r);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(r);
+      }
+      return [...groups].map(([key, group]) => ({ key, ...tradeStats(group) }));
+    };
+
+    const analytics = {
+      summary,
+      ratios:      this._ratios(curve, startingCapital),
+      drawdown:    this._drawdown(curve),
+      equityCurve: curve.map(({ date, pnl, equity }) => ({ date, pnl: round(pnl), equity: round(equity) })),
+      breakdown: {
+        bySymbol:  bucket(r => r.symbol, bot.watchlist?.map(w => w.symbol)).sort((a, b) => b.pnl - a.pnl),
+        byWeekday: bucket(r => WEEKDAYS[new Date(r.closedAt).getUTCDay()], WEEKDAYS),
+        byHour:    bucket(r => new Date(r.closedAt).getUTCHours(), [...Array(24).keys()]),
+        bySide:    bucket(r => r.side, ['long', 'short']),
+      },
+    };
+    if (tradeRows) {
+      analytics.trades = results.slice(-MAX_TRADE_ROWS).reverse().map(r => ({
+        ...r,
+        holdHours: round(r.holdHours),
+        pnl:       round(r.pnl),
+        pnlPct:    round(r.pnlPct),
+        maePct:    round(r.maePct),
+        mfePct:    round(r.mfePct),
+      }));
+    }
+    return analytics;
+  }
+
+  /**
+   * Maximum adverse / favourable excursion of a closed position, in % of the entry
+   * price (MAE ≤ 0 ≤ MFE). Uses the extremes tracked on ticks; the close price
+   * bounds them for positions opened before tracking (or closed between ticks).
+   */
+  _excursion(p) {
+    const isShort = p.side === 'short';
+    const prices = [
+      p.entryPrice, p.closePrice, p.maxFavorablePrice, p.maxAdversePrice,
+      isShort ? p.lowestPriceSinceEntry : p.highestPriceSinceEntry,
+    ].filter(v => v > 0);
+    const move = (price) => ((isShort ? p.entryPrice - price : price - p.entryPrice) / p.entryPrice) * 100;
+    return {
+      maePct: Math.min(...prices.map(move)),
+      mfePct: Math.max(...prices.map(move)),
+    };
+  }
+
+  /**
+   * Realised equity at the end of every UTC day from the first trade (or `from`)
+   * to `to` / now, days without trades included.
+   * @returns {{ date: string, day: number, pnl: number, equity: number }[]}
+   */
+  _equityCurve(trades, startingCapital, { from, to, now }) {
+    if (!trades.length && !from) return [];
+    const pnlByDay = new Map();
+    for (const t of trades) {
+      const day = dayOf(t.executedAt);
+      pnlByDay.set(day, (pnlByDay.get(day) || 0) + t.pnl);
+    }
+
+    const first = from ? dayOf(from) : dayOf(trades[0].executedAt);
+    const last  = Math.max(first, dayOf(to || now));
+    const curve = [];
+    let equity = startingCapital;
+    for (let day = first; day <= last; day += DAY_MS) {
+      const pnl = pnlByDay.get(day) || 0;
+      equity += pnl;
+      curve.push({ date: new Date(day).toISOString().slice(0, 10), day, pnl, equity });
+    }
+    return curve;
+  }
+
+  /**
+   * Sharpe, Sortino and Calmar ratios of the daily equity curve
+   * (null until there are two days of history).
+   */
+  _ratios(curve, startingCapital) {
+    if (curve.length < 2 || !(startingCapital > 0)) return { sharpeRatio: null, sortinoRatio: null, calmarRatio: null, cagrPct: null };
+
+    const returns = curve.map((point, i) => {
+      const prev = i === 0 ? startingCapital : curve[i - 1].equity;
+      return prev > 0 ? point.pnl / prev : 0;
+    });
+    const mean     = sum(returns) / returns.length;
+    const stdDev   = Math.sqrt(sum(returns.map(r => (r - mean) ** 2)) / returns.length);
+    const downside = Math.sqrt(sum(returns.map(r => Math.min(r, 0) ** 2)) / returns.length);
+    const annualise = Math.sqrt(PERIODS_PER_YEAR);
+
+    const final = curve[curve.length - 1].equity;
+    const years = curve.length / PERIODS_PER_YEAR;
+    const cagr  = final > 0 ? (final / startingCapital) ** (1 / years) - 1 : -1;
+    const { maxDrawdownPct } = this._drawdown(curve);
+
+    return {
+      sharpeRatio:  stdDev > 0 ? round((mean / stdDev) * annualise) : 0,
+      sortinoRatio: downside > 0 ? round((mean / downside) * annualise) : 0,
+      calmarRatio:  maxDrawdownPct > 0 ? round((cagr * 100) / maxDrawdownPct) : 0,
+      cagrPct:      round(cagr * 100),
+    };
+  }
+
+  /**
+   * Deepest peak-to-trough decline of the daily equity curve and the longest time
+   * (days) spent below a previous peak — still counting when not yet recovered.
+   */
+  _drawdown(curve) {
+    if (!curve.length) return { maxDrawdownPct: 0, maxDrawdownDurationDays: 0, currentDrawdownPct: 0 };
+    let peak = curve[0].equity - curve[0].pnl, peakDay = curve[0].day; // starting capital
+    let maxDrawdownPct = 0, maxDurationDays = 0;
+    for (const { day, equity } of curve) {
+      if (equity >= peak) {
+        peak = equity;
+        peakDay = day;
+        continue;
+      }
+      if (peak > 0) maxDrawdownPct = Math.max(maxDrawdownPct, ((peak - equity) / peak) * 100);
+      maxDurationDays = Math.max(maxDurationDays, (day - peakDay) / DAY_MS);
+    }
+    const last = curve[curve.length - 1];
+    return {
+      maxDrawdownPct:          round(maxDrawdownPct),
+      maxDrawdownDurationDays: maxDurationDays,
+      currentDrawdownPct:      peak > 0 ? round(((peak - last.equity) / peak) * 100) : 0,
+    };
+  }
+}
+
+export default new BotAnalytics();
@@ -0,0 +1,146 @@
+export const EXPORT_FORMAT  = 'bot-config';
+export const EXPORT_VERSION = 2;
+
+// What makes up a bot's configuration — everything else on BotConfig (status, stats,
+// logs, pending signals, replay state) is runtime state and never leaves the account
+export const CONFIG_FIELDS = [
+  'exchange', 'symbol', 'watchlist', 'watchlistRanking', 'marketType', 'strategyId', 'customStrategyId',
+  'strategyParams', 'capitalAllocation', 'riskParams', 'execution', 'futures', 'exitLadder', 'schedule',
+  'volatilityPause', 'executionMode', 'cooldownMinutes', 'missedTickPolicy',
+];
+const REQUIRED_FIELDS = ['exchange', 'symbol', 'strategyId'];
+const OBJECT_FIELDS   = ['strategyParams', 'capitalAllocation', 'riskParams', 'execution', 'futures', 'exitLadder', 'schedule', 'volatilityPause'];
+
+// Rule strategy definition embedded in exports of 'custom_rules' bots (see CustomStrategy)
+export const CUSTOM_STRATEGY_FIELDS = ['name', 'description', 'timeframe', 'supportedMarkets', 'rules'];
+
+const pick = (obj, keys) => Object.fromEntries(keys.filter(k => obj[k] !== undefined && obj[k] !== null).map(k => [k, obj[k]]));
+
+// JSON round trip (ObjectIds → strings, Dates → ISO) without subdocument _ids
+const plain = (value) => JSON.parse(JSON.stringify(value ?? null), (key, v) => (key === '_id' ? undefined : v));
+
+const configOf = (bot) => {
+  const config = plain(pick(bot, CONFIG_FIELDS));
+  // One-off start / stop times belong to the bot, not to copies of its config
+  if (config.schedule) config.schedule = { ...config.schedule, autoStartAt: null, autoStopAt: null };
+  return config;
+};
+
+/**
+ * Upgrades from each older format to the next, keyed by the version they read.
+ * Exports are migrated step by step up to EXPORT_VERSION on import.
+ */
+const MIGRATIONS = {
+  // v1 — no export format yet: a raw BotConfig document as returned by GET /api/bots/:id
+  // (data.bot). Keep its configuration and drop the runtime state.
+  1: (doc) => ({
+    format:         EXPORT_FORMAT,
+    version:        2,
+    name:           doc.name,
+    config:         configOf(doc),
+    customStrategy: null,
+  }),
+};
+
+/**
+ * BotConfigPorter - the portable, versioned JSON form of a bot configuration,
+ * shared by bot export/import, cloning and saved templates (BotTemplate):
+ *
+ *   { format: 'bot-config', version: 2, name, exportedAt,
+ *     config: { exchange, symbol, strategyId, strategyParams, riskParams, ... },
+ *     customStrategy: { name, timeframe, supportedMarkets, rules } | null }
+ *
+ * Pure functions — no database access. botTemplateController turns a document
+ * back into a bot (strategy params, custom strategy and exchange account checks).
+ */
+class BotConfigPorter {
+  /**
+   * Configuration part of a bot (document or plain object).
+   */
+  toConfig(bot) {
+    return configOf(bot.toObject ? bot.toObject() : bot);
+  }
+
+  /**
+   * Export document for a bot.
+   * @param {Object} bot
+   * @param {Object|null} [customStrategy] - the bot's CustomStrategy, embedded so it can be imported elsewhere
+   */
+  toDocument(bot, customStrategy = null) {
+    return {
+      format:         EXPORT_FORMAT,
+      version:        EXPORT_VERSION,
+      name:           bot.name,
+      exportedAt:     new Date().toISOString(),
+      config:         this.toConfig(bot),
+      customStrategy: customStrategy ? plain(pick(customStrategy.toObject ? customStrategy.toObject() : customStrategy, CUSTOM_STRATEGY_FIELDS)) : null,
+    };
+  }
+
+  /**
+   * Bring any supported document up to EXPORT_VERSION and check its shape.
+   * Accepts current and older exports, raw bot documents and the
+   * { success, data: { bot } } response they were copied from.
+   * @returns {{ document?: Object, migratedFrom?: number, error?: string, errors?: string[] }}
+   */
+  migrate(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { error: 'Expected a bot config JSON object' };
+    }
+    let doc = input.data?.bot && !input.format ? input.data.bot : input;
+
+    let version;
+    if (doc.format === undefined) {
+      if (!doc.strategyId) return { error: 'Not a bot config export: missing "format"' };
+      version = 1;
+    } else if (doc.format !== EXPORT_FORMAT) {
+      return { error: `Unsupported format "${doc.format}" — expected "${EXPORT_FORMAT}"` };
+    } else {
+      version = doc.version;
+      if (!Number.isInteger(version) || version < 1) return { error: 'Invalid export version' };
+      if (version > EXPORT_VERSION) {
+        return { error: `Export version ${version} is newer than this server supports (${EXPORT_VERSION})` };
+      }
+    }
+
+    const migratedFrom = version;
+    for (; version < EXPORT_VERSION; version++) doc = MIGRATIONS[version](doc);
+
+    const errors = this.validate(doc);
+    if (errors.length) return { error: 'Invalid bot config', errors };
+    return { document: { ...doc, config: plain(doc.config) }, migratedFrom };
+  }
+
+  /**
+   * Shape checks for a current-version document. Field values are validated
+   * against BotConfig and the strategy's parameter schema when a bot is built.
+   * @returns {string[]}
+   */
+  validate(doc) {
+    const errors = [];
+    const config = doc.config;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return ['config must be an object'];
+
+    for (const key of Object.keys(config)) {
+      if (!CONFIG_FIELDS.includes(key)) errors.push(`config.${key} is not a bot config field`);
+    }
+    for (const key of REQUIRED_FIELDS) {
+      if (typeof config[key] !== 'string' || !config[key].trim()) errors.push(`config.${key} is required`);
+    }
+    for (const key of OBJECT_FIELDS) {
+      if (config[key] != null && (typeof config[key] !== 'object' || Array.isArray(config[key]))) {
+        errors.push(`config.${key} must be an object`);
+      }
+    }
+    if (!(config.capitalAllocation?.totalCapital > 0)) errors.push('config.capitalAllocation.totalCapital is required');
+
+    const cs = doc.customStrategy;
+    if (cs != null && (typeof cs !== 'object' || typeof cs.name !== 'string' || !cs.rules)) {
+      errors.push('customStrategy must be { name, rules, ... }');
+    }
+    if (doc.name != null && typeof doc.name !== 'string') errors.push('name must be a string');
+    return errors;
+  }
+}
+
+export default new BotConfigPorter();
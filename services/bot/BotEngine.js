@@ -1,28 +1,27 @@
 import BotConfig from '../../models/bot/BotConfig.js';
 import Position from '../../models/bot/Position.js';
-import Trade from '../../models/bot/Trade.js';
+import Trade, { ledgerFilter } from '../../models/bot/Trade.js';
 import Notification from '../../models/Notification.js';
 import orderManager from './OrderManager.js';
 import riskEngine from './RiskEngine.js';
+import portfolioRisk from './PortfolioRiskEngine.js';
+import newsFilter from './NewsFilter.js';
+import futuresMargin from './FuturesMargin.js';
+import exitLadder from './ExitLadder.js';
+import botJournal from './BotJournal.js';
+import tradingSchedule from './TradingSchedule.js';
+import watchlist from './Watchlist.js';
 import demoSimulator from './DemoSimulator.js';
 import exchangeConnector from './ExchangeConnector.js';
 import ExchangeAccount from '../../models/ExchangeAccount.js';
 import { calculateRSI, calcVolumeMA, detectTrend } from './IndicatorEngine.js';
 import marketDataService from '../MarketDataService.js';
+import candleStore from '../CandleStore.js';
+import backtestEngine from '../../backtesting/BacktestEngine.js';
+import tickScheduler, { nextCandleClose, LEASE_MS } from './TickScheduler.js';
 
-// Strategy map
-import smartSignal from '../strategies/SmartSignalStrategy.js';
-
-const STRATEGY_MAP = {
-  smart_signal: smartSignal,
-  ai_signal:    smartSignal,   // legacy alias — existing bots keep working
-};
-
-// Timeframe per strategy (how often the tick loop fires)
-const TIMEFRAME_MAP = {
-  smart_signal: '5m',
-  ai_signal:    '5m',
-};
+// Strategy registry (built-in classes + user-defined rule strategies)
+import strategyRegistry from '../strategies/StrategyRegistry.js';
 
 // Tick interval in ms
 const TICK_INTERVAL_MS = {
@@ -36,14 +35,28 @@ const TICK_INTERVAL_MS = {
 
 /**
  * BotEngine - singleton orchestrator for all running bots.
- * Manages setInterval-based tick loops per bot.
+ * Live ticks are scheduled on candle closes by the MongoDB-backed TickScheduler
+ * (safe across several workers); replays run an in-process loop under a lease.
  */
 const MAX_CONSECUTIVE_ERRORS = 5; // stop bot only after this many consecutive failures
 
+// Paper replay pacing
+const DEFAULT_REPLAY_SPEED = 3600;   // simulated seconds per real second (1h candle/sec)
+const MIN_REPLAY_STEP_MS   = 100;    // fastest tick rate — a tick does several DB round trips
+const MAX_REPLAY_TICKS     = 20_000;
+const REPLAY_WARMUP_BARS   = 30;     // _tick skips analysis with fewer candles than this
+
+// Fresh stats for a replay run (capital fields are seeded separately)
+const REPLAY_STATS_RESET = {
+  totalTrades: 0, winningTrades: 0, losingTrades: 0, totalPnL: 0, totalPnLPercent: 0,
+  maxDrawdown: 0, lastTradeAt: null, grossProfit: 0, grossLoss: 0, profitFactor: 0,
+  winRate: 0, consecutiveLosses: 0,
+};
+
 class BotEngine {
   constructor() {
-    // Map: botId (string) => { intervalId, timeframe }
-    this.runningBots = new Map();
+    // Map: botId (string) => { intervalId, timeframe, replay, busy, leaseRenewAt } — replays looping in this process
+    this.replayLoops = new Map();
     // Map: botId (string) => consecutive error count
     this._errorCounts = new Map();
     this.io = null;
@@ -54,18 +67,42 @@ class BotEngine {
   }
 
   /**
-   * Start a bot by ID. Loads config, registers interval, fires first tick.
+   * Start claiming scheduled ticks (and orphaned replays) on this worker.
+   */
+  startScheduler() {
+    tickScheduler.start({
+      tick:        (botId) => this._tick(botId),
+      adoptReplay: (botId) => this.resumeReplay(botId),
+    });
+  }
+
+  /**
+   * Stop claiming work (shutdown). Leases held here expire and other workers take over.
+   */
+  stopScheduler() {
+    tickScheduler.stop();
+    for (const id of [...this.replayLoops.keys()]) this._clearReplayLoop(id);
+  }
+
+  /**
+   * Start a bot by ID. Loads config and schedules its ticks — the first one
+   * right away, then just after each candle close of its timeframe.
    */
   async startBot(botId) {
     const id = botId.toString();
-    if (this.runningBots.has(id)) {
+    if (await this.isRunning(id)) {
       throw new Error('Bot is already running');
     }
 
     const bot = await BotConfig.findById(botId);
     if (!bot) throw new Error('Bot not found');
+    if (bot.replay?.active) throw new Error('Bot has an active replay — stop it first');
+    if (await portfolioRisk.isHalted(bot)) throw new Error('Portfolio kill switch is engaged — release it before starting bots');
+
+    const resolved = await strategyRegistry.resolve(bot);
+    if (!resolved) throw new Error(`Unknown strategy: ${bot.strategyId}`);
 
-    const timeframe = TIMEFRAME_MAP[bot.strategyId] || '1h';
+    const timeframe = resolved.timeframe || '1h';
     const intervalMs = TICK_INTERVAL_MS[timeframe] || 3_600_000;
 
     // Update status + initialize capital stats on first start
@@ -73,6 +110,7 @@ class BotEngine {
       status: 'running',
       startedAt: new Date(),
       statusMessage: '',
+      entryBlock: null,
     };
     if (!bot.stats.startingCapital) {
       // First start — seed stats so drawdown check works correctly from tick 1
@@ -82,14 +120,10 @@ class BotEngine {
     }
     await BotConfig.findByIdAndUpdate(botId, capitalUpdate);
 
-    // Register interval
-    const intervalId = setInterval(() => this._tick(id), intervalMs);
-    this.runningBots.set(id, { intervalId, timeframe });
+    await tickScheduler.schedule(bot, { timeframe, intervalMs });
+    await botJournal.record(bot, 'status', `Started on ${timeframe} candle closes`, { data: { status: 'running', timeframe } });
 
-    // Fire first tick immediately (don't await - run async in background)
-    this._tick(id).catch(err => console.error(`[BotEngine] Initial tick error for ${id}:`, err.message));
-
-    console.log(`[BotEngine] Started bot ${bot.name} (${id}) on ${timeframe} interval`);
+    console.log(`[BotEngine] Started bot ${bot.name} (${id}) on ${timeframe} candle closes`);
   }
 
   /**
@@ -97,42 +131,405 @@ class BotEngine {
    */
   async stopBot(botId) {
     const id = botId.toString();
-    const entry = this.runningBots.get(id);
-    if (entry) {
-      clearInterval(entry.intervalId);
-      this.runningBots.delete(id);
-    }
+    const entry = this.replayLoops.get(id);
+    await this._unschedule(id);
     this._errorCounts.delete(id);
-    await BotConfig.findByIdAndUpdate(botId, {
+    const bot = await BotConfig.findByIdAndUpdate(botId, {
       status: 'stopped',
       stoppedAt: new Date()
     });
+    if (bot) await botJournal.record(bot, 'status', 'Stopped', { data: { status: 'stopped' } });
+    // A replay step in flight wraps up the replay itself once its tick returns
+    if (!entry?.busy) await this._finishReplay(id);
     console.log(`[BotEngine] Stopped bot ${id}`);
   }
 
-  isRunning(botId) {
-    return this.runningBots.has(botId.toString());
+  /**
+   * Start and stop bots whose schedule.autoStartAt / autoStopAt has passed (server.js
+   * runs this every minute). Each time is cleared as it is claimed, so it is applied
+   * once and by one worker.
+   * @returns {Promise<{ started: number, stopped: number }>}
+   */
+  async applyAutoSchedule(now = new Date()) {
+    const due = await BotConfig.find({
+      $or: [{ 'schedule.autoStartAt': { $lte: now } }, { 'schedule.autoStopAt': { $lte: now } }]
+    }).select('_id').lean();
+
+    let started = 0, stopped = 0;
+    for (const { _id } of due) {
+      // Start first: a window that opened and closed while the server was down ends stopped
+      if (await this._applyAutoStart(_id, now)) started++;
+      if (await this._applyAutoStop(_id, now)) stopped++;
+    }
+    return { started, stopped };
+  }
+
+  async _applyAutoStart(botId, now) {
+    const bot = await BotConfig.findOneAndUpdate(
+      { _id: botId, 'schedule.autoStartAt': { $lte: now } },
+      { 'schedule.autoStartAt': null }
+    );
+    if (!bot || bot.status !== 'stopped') return false;
+
+    await botJournal.record(bot, 'status', 'Scheduled auto-start', { data: { autoStartAt: bot.schedule.autoStartAt } });
+    try {
+      await this.startBot(botId);
+      return true;
+    } catch (err) {
+      console.warn(`[BotEngine] Scheduled start of bot ${botId} failed: ${err.message}`);
+      await BotConfig.findByIdAndUpdate(botId, { statusMessage: `Scheduled start failed: ${err.message.substring(0, 150)}` });
+      await botJournal.record(bot, 'error', `Scheduled start failed: ${err.message}`, { level: 'error' });
+      await this._notify(bot, 'bot_error', `Scheduled start failed: ${bot.name}`, err.message, 'high');
+      return false;
+    }
+  }
+
+  async _applyAutoStop(botId, now) {
+    const bot = await BotConfig.findOneAndUpdate(
+      { _id: botId, 'schedule.autoStopAt': { $lte: now } },
+      { 'schedule.autoStopAt': null }
+    );
+    if (!bot || !['running', 'paused'].includes(bot.status) || bot.replay?.active) return false;
+
+    await botJournal.record(bot, 'status', 'Scheduled auto-stop', { data: { autoStopAt: bot.schedule.autoStopAt } });
+    await this.stopBot(botId);
+    await BotConfig.findByIdAndUpdate(botId, { statusMessage: 'Stopped by its schedule' });
+    console.log(`[BotEngine] Bot ${botId} stopped by its schedule`);
+    return true;
+  }
+
+  /**
+   * Engage the portfolio kill switch and pause every running bot it covers.
+   * @param {string} userId
+   * @param {string} reason
+   * @param {'auto'|'user'} [engagedBy]
+   * @returns {Promise<string[]|null>} paused bot ids, or null when it was already engaged
+   */
+  async engageKillSwitch(userId, reason, engagedBy = 'auto') {
+    const botIds = await portfolioRisk.engage(userId, reason, engagedBy);
+    if (!botIds) return null;
+
+    for (const id of botIds) {
+      await this._unschedule(id);
+      this._errorCounts.delete(id);
+      const bot = await BotConfig.findByIdAndUpdate(id, { status: 'paused', statusMessage: `Kill switch: ${reason}` });
+      if (bot) await botJournal.record(bot, 'status', `Paused by the kill switch: ${reason}`, { level: 'warn', data: { status: 'paused', reason, engagedBy } });
+    }
+    console.warn(`[BotEngine] Kill switch engaged for user ${userId} (${engagedBy}): ${reason} — ${botIds.length} bot(s) paused`);
+    await this._notify({ _id: 'portfolio', userId }, 'bot_paused',
+      'Portfolio kill switch engaged',
+      `${reason}. ${botIds.length} bot(s) paused and new entries are blocked until you release the kill switch.`,
+      'high'
+    );
+    return botIds;
+  }
+
+  /**
+   * Validate a replay request and work out its candle-close schedule.
+   * Replay is for demo bots running candle-based strategies, over a range
+   * covered by the offline CandleStore.
+   * @param {Object} bot - BotConfig document
+   * @param {{ from: number, to: number }} range - epoch ms
+   * @returns {Promise<{ error: string }|{ timeframe, from: number, to: number, totalTicks: number }>}
+   */
+  async planReplay(bot, { from, to }) {
+    if (!bot.isDemo) return { error: 'Replay is only available for demo bots' };
+    if (bot.symbol === 'MULTI' || !backtestEngine.canReplay(bot.strategyId)) {
+      return { error: 'Signal-following bots cannot be replayed on candles' };
+    }
+
+    const resolved = await strategyRegistry.resolve(bot);
+    if (!resolved) return { error: `Unknown strategy: ${bot.strategyId}` };
+    const timeframe = resolved.timeframe || '1h';
+    const tfMs      = TICK_INTERVAL_MS[timeframe] || 3_600_000;
+
+    // Ticks land on candle closes, like a live bot started on the boundary
+    const first = Math.ceil(from / tfMs) * tfMs;
+    const last  = Math.floor(to / tfMs) * tfMs;
+    const totalTicks = Math.floor((last - first) / tfMs) + 1;
+    if (totalTicks < 1) return { error: `Replay range is shorter than one ${timeframe} candle` };
+    if (totalTicks > MAX_REPLAY_TICKS) {
+      return { error: `Replay range is too long (${totalTicks} ${timeframe} ticks, max ${MAX_REPLAY_TICKS})` };
+    }
+
+    const marketType = bot.marketType || 'spot';
+    const [warmup, closing] = await Promise.all([
+      candleStore.getLatest(bot.symbol, timeframe, marketType, REPLAY_WARMUP_BARS, first),
+      candleStore.getLatest(bot.symbol, timeframe, marketType, 1, last),
+    ]);
+    if (warmup.length < REPLAY_WARMUP_BARS || !closing.length || closing[0].timestamp < last - tfMs) {
+      return {
+        error: `The candle store does not cover ${bot.symbol} ${timeframe} (${marketType}) for this range ` +
+          `plus ${REPLAY_WARMUP_BARS} warm-up bars — ingest or import the series first`
+      };
+    }
+
+    return { timeframe, from: first, to: last, totalTicks };
+  }
+
+  /**
+   * Start a paper replay: feed the bot stored candles from plan.from to plan.to
+   * through the real _tick path, one candle close per step, with DemoSimulator
+   * filling at replayed prices. The replay runs on its own ledger: its trades
+   * and positions are flagged `replay`, fills never touch the DemoAccount, and
+   * its stats start from the configured capital while the live stats are
+   * parked in replay.savedStats. Positions still open when the replay ends are
+   * closed at the last replayed price.
+   * @param {string|ObjectId} botId
+   * @param {{ from: number, to: number, totalTicks: number }} plan - from planReplay()
+   * @param {number} [speed] - simulated seconds per real second
+   */
+  async startReplay(botId, plan, speed = DEFAULT_REPLAY_SPEED) {
+    const id = botId.toString();
+    if (await this.isRunning(id)) {
+      throw new Error('Bot is already running');
+    }
+
+    const bot = await BotConfig.findById(botId);
+    if (!bot) throw new Error('Bot not found');
+    const capital = bot.capitalAllocation.totalCapital;
+    const savedStats = bot.stats?.toObject?.() ?? bot.stats ?? null;
+
+    const replayBot = await BotConfig.findByIdAndUpdate(botId, {
+      status: 'running',
+      startedAt: new Date(),
+      statusMessage: '',
+      entryBlock: null,
+      volatilityPauseUntil: null,
+      volatilityPauseSymbols: {},
+      stats: { ...REPLAY_STATS_RESET, startingCapital: capital, currentCapital: capital, peakCapital: capital },
+      tickLog: [],
+      replay: {
+        active: true,
+        from: new Date(plan.from),
+        to: new Date(plan.to),
+        speed,
+        clock: null,
+        ticks: 0,
+        totalTicks: plan.totalTicks,
+        startedAt: new Date(),
+        finishedAt: null,
+        endReason: null,
+        savedStats,
+        stats: null,
+      },
+    }, { new: true });
+
+    await botJournal.record(replayBot, 'status', `Replay started: ${plan.totalTicks} ticks at ${speed}x`, {
+      at: new Date(plan.from), data: { status: 'running', from: new Date(plan.from), to: new Date(plan.to), speed },
+    });
+    await this.resumeReplay(botId);
+    console.log(`[BotEngine] Replaying bot ${bot.name} (${id}): ${plan.totalTicks} ticks at ${speed}x`);
+  }
+
+  /**
+   * (Re)register the replay loop of a bot whose replay is active — also used
+   * on server start and by the scheduler to continue from the saved clock.
+   * Only the worker holding the replay's lease runs its loop.
+   */
+  async resumeReplay(botId) {
+    const id = botId.toString();
+    if (this.replayLoops.has(id)) return;
+
+    const bot = await BotConfig.findById(botId);
+    if (!bot?.replay?.active) {
+      await tickScheduler.unschedule(id);
+      throw new Error('Bot has no active replay');
+    }
+
+    const resolved = await strategyRegistry.resolve(bot);
+    if (!resolved) throw new Error(`Unknown strategy: ${bot.strategyId}`);
+    const timeframe  = resolved.timeframe || '1h';
+    const intervalMs = TICK_INTERVAL_MS[timeframe] || 3_600_000;
+    if (!(await tickScheduler.acquireReplayLease(bot, { timeframe, intervalMs }))) {
+      throw new Error('Replay is running on another worker');
+    }
+
+    const stepMs = Math.max(MIN_REPLAY_STEP_MS, Math.round(intervalMs / bot.replay.speed));
+    const entry  = { timeframe, replay: true, busy: false, leaseRenewAt: Date.now() + LEASE_MS / 4 };
+    entry.intervalId = setInterval(() => this._replayStep(id, entry), stepMs);
+    this.replayLoops.set(id, entry);
+  }
+
+  /**
+   * Advance a replay by one candle close. Overlapping steps are skipped while
+   * the previous tick is still running.
+   */
+  async _replayStep(id, entry) {
+    if (entry.busy) return;
+    entry.busy = true;
+    try {
+      const bot = await BotConfig.findById(id).select('userId replay').lean();
+      if (!bot?.replay?.active) {
+        this._clearReplayLoop(id); // finished by a stop on another worker
+        return;
+      }
+      if (Date.now() >= entry.leaseRenewAt) {
+        if (!(await tickScheduler.renewLease(id))) {
+          this._clearReplayLoop(id);
+          return;
+        }
+        entry.leaseRenewAt = Date.now() + LEASE_MS / 4;
+      }
+
+      const tfMs = TICK_INTERVAL_MS[entry.timeframe] || 3_600_000;
+      const next = bot.replay.clock ? bot.replay.clock.getTime() + tfMs : bot.replay.from.getTime();
+      if (next > bot.replay.to.getTime()) {
+        await this._finishReplay(id, 'completed');
+        return;
+      }
+
+      await this._tick(id, { asOf: next });
+
+      // Stopped, paused or errored out during the tick
+      if (this.replayLoops.get(id) !== entry) {
+        await this._finishReplay(id);
+        return;
+      }
+
+      const ticks = bot.replay.ticks + 1;
+      await BotConfig.findByIdAndUpdate(id, { 'replay.clock': new Date(next), 'replay.ticks': ticks });
+      if (this.io) {
+        this.io.to(`user:${bot.userId.toString()}`).emit('bot:replay', {
+          botId: id,
+          clock: new Date(next).toISOString(),
+          ticks,
+          totalTicks: bot.replay.totalTicks,
+          progress: parseFloat(((ticks / bot.replay.totalTicks) * 100).toFixed(1)),
+        });
+      }
+    } catch (err) {
+      console.error(`[BotEngine] Replay step error for bot ${id}:`, err.message);
+    } finally {
+      entry.busy = false;
+    }
+  }
+
+  /**
+   * End a replay: stop its loop, close leftover positions at the last replayed
+   * price (so they never leak into a live run), keep the replay's stats as its
+   * result, restore the live stats and report the result.
+   * @param {string} id
+   * @param {string} [reason] - defaults to the status the bot ended in
+   */
+  async _finishReplay(id, reason = null) {
+    await this._unschedule(id);
+
+    let bot = await BotConfig.findById(id);
+    if (!bot?.replay?.active) return;
+
+    const clock = bot.replay.clock || bot.replay.from;
+    const leftovers = await Position.find({ botId: bot._id, status: 'open', replay: true });
+    for (const position of leftovers) {
+      try {
+        await orderManager.closePosition(bot, position, 'replay_end', { price: position.currentPrice || position.entryPrice, at: clock });
+      } catch (err) {
+        console.error(`[BotEngine] Could not close replay position ${position._id}:`, err.message);
+      }
+    }
+
+    const endReason = reason || (bot.status === 'running' ? 'stopped' : bot.status);
+    const replayStats = (await BotConfig.findById(id).select('stats').lean())?.stats || {};
+    const update = {
+      'replay.active': false, 'replay.finishedAt': new Date(), 'replay.endReason': endReason,
+      'replay.stats': replayStats, 'replay.savedStats': null,
+    };
+    if (bot.replay.savedStats) update.stats = bot.replay.savedStats;
+    if (endReason === 'completed') {
+      Object.assign(update, { status: 'stopped', stoppedAt: new Date(), statusMessage: 'Replay completed' });
+    }
+    await botJournal.record(bot, 'status', `Replay ${endReason}`, { at: clock, data: { status: endReason, ticks: bot.replay.ticks } });
+    bot = await BotConfig.findByIdAndUpdate(id, update, { new: true });
+
+    const { totalTrades = 0, totalPnL = 0, winRate = 0 } = replayStats;
+    await this._notify(bot, 'bot_replay_finished',
+      `Replay ${endReason}: ${bot.name}`,
+      `${bot.replay.ticks}/${bot.replay.totalTicks} ticks replayed — ${totalTrades} trades, ` +
+      `P&L ${totalPnL >= 0 ? '+' : ''}${totalPnL.toFixed(2)} ${bot.capitalAllocation.currency}, win rate ${winRate}%.`
+    );
+    if (this.io) {
+      this.io.to(`user:${bot.userId.toString()}`).emit('bot:replay', {
+        botId: id,
+        clock: clock.toISOString(),
+        ticks: bot.replay.ticks,
+        totalTicks: bot.replay.totalTicks,
+        progress: parseFloat(((bot.replay.ticks / bot.replay.totalTicks) * 100).toFixed(1)),
+        finished: true,
+        endReason,
+      });
+    }
+    console.log(`[BotEngine] Replay of bot ${id} ended: ${endReason}`);
+  }
+
+  /**
+   * Whether the bot is scheduled (live or replay) on any worker.
+   */
+  async isRunning(botId) {
+    return tickScheduler.isScheduled(botId.toString());
+  }
+
+  /**
+   * Batch isRunning for bot lists.
+   * @returns {Promise<Set<string>>}
+   */
+  async runningIds(botIds) {
+    return tickScheduler.scheduledIds(botIds);
+  }
+
+  /**
+   * Stop ticking a bot on every worker: drop its schedule and any local replay loop.
+   */
+  async _unschedule(id) {
+    this._clearReplayLoop(id);
+    await tickScheduler.unschedule(id);
+  }
+
+  _clearReplayLoop(id) {
+    const entry = this.replayLoops.get(id);
+    if (entry) {
+      clearInterval(entry.intervalId);
+      this.replayLoops.delete(id);
+    }
   }
 
   /**
    * Main tick function - called on each interval for a running bot.
+   * @param {string} botId
+   * @param {{ asOf?: number|null }} [opts] - asOf: replay clock (ms). The tick then
+   *   sees stored candles up to that moment and demo orders fill at the replayed close.
    */
-  async _tick(botId) {
+  async _tick(botId, { asOf = null } = {}) {
     let bot;
+    let journal = null; // this tick's BotEvents, written when it ends
     try {
-      const now = new Date();
+      const replaying = asOf != null;
+      const now = replaying ? new Date(asOf) : new Date();
       bot = await BotConfig.findById(botId);
       if (!bot || bot.status !== 'running') {
         await this.stopBot(botId);
         return;
       }
+      journal = botJournal.tick(bot, now);
+
+      if (!replaying && bot.schedule?.autoStopAt && bot.schedule.autoStopAt <= now) {
+        if (await this._applyAutoStop(botId, now)) return;
+      }
 
-      const timeframe  = TIMEFRAME_MAP[bot.strategyId] || '1h';
+      const resolved = await strategyRegistry.resolve(bot);
+      if (!resolved) {
+        console.error(`[BotEngine] Unknown strategy: ${bot.strategyId}`);
+        journal.add('error', `Unknown strategy: ${bot.strategyId}`, { level: 'error' });
+        return;
+      }
+      const { strategy } = resolved;
+      const timeframe  = resolved.timeframe            || '1h';
       const intervalMs = TICK_INTERVAL_MS[timeframe]   || 3_600_000;
-      const isMultiPair = bot.symbol === 'MULTI';
+      const isWatchlist = watchlist.enabled(bot);
+      const isMultiPair = bot.symbol === 'MULTI' && !isWatchlist;  // signal-following across pairs
 
       // ── Execute pre-selected signal from manual setup (before candle fetch) ──
-      const pso = bot.pendingSignalOverride;
+      // (live-only: a replay never executes a signal picked for the current market)
+      const pso = replaying ? null : bot.pendingSignalOverride;
       if (pso) {
         // Always clear first — prevents re-execution on next tick if anything fails
         await BotConfig.findByIdAndUpdate(botId, { $unset: { pendingSignalOverride: '' } });
@@ -212,6 +609,7 @@ class BotEngine {
               remainingAmount:amount,
               currentPrice:   livePrice,
               status:         'open',
+              ...futuresMargin.entryFields(bot, { side: positionSide, entryPrice: livePrice, amount, leverage }),
             });
 
             // 6. Link trade → position
@@ -225,11 +623,16 @@ class BotEngine {
 
             this._emitTrade(bot, isShort ? 'sell' : 'buy', livePrice, amount, position._id, null, tradeSymbol);
             console.log(`[BotEngine] PSO executed: ${tradeSymbol} ${direction} @ $${livePrice} (pos: ${position._id})`);
+            journal.add('order', `Opened ${positionSide} from the pre-selected signal at ${livePrice}`, {
+              symbol: tradeSymbol, data: { side: positionSide, price: livePrice, amount, positionId: position._id },
+            });
           } catch (psErr) {
             console.error(`[BotEngine] PSO execution failed for bot ${botId}:`, psErr.message);
+            journal.add('error', `Pre-selected signal failed: ${psErr.message}`, { level: 'error' });
           }
         } else if (expired) {
           console.log(`[BotEngine] PSO expired for bot ${botId}, skipping`);
+          journal.add('signal', 'Pre-selected signal expired before execution', { level: 'warn' });
         }
       }
 
@@ -240,12 +643,30 @@ class BotEngine {
       let currentRSI   = null;
       let volumeRatio  = null;
       let trend        = null;
+      const candlesBySymbol = new Map();
 
-      if (!isMultiPair) {
-        // ── Single-pair strategy (DCA) ─────────────────────────────────────
-        candles = await this._fetchCandles(bot, timeframe);
+      if (isWatchlist) {
+        // ── Watchlist: the strategy's candles for every symbol ──
+        for (const entry of bot.watchlist) {
+          try {
+            const symbolCandles = await this._fetchCandles(bot, timeframe, asOf, entry.symbol);
+            if (symbolCandles?.length >= 30) candlesBySymbol.set(entry.symbol, symbolCandles);
+            else journal.add('tick', `${entry.symbol} skipped: insufficient candle data`, { level: 'warn', symbol: entry.symbol });
+          } catch (candleErr) {
+            journal.add('error', `${entry.symbol} candles unavailable: ${candleErr.message}`, { level: 'warn', symbol: entry.symbol });
+          }
+        }
+        if (!candlesBySymbol.size) {
+          console.warn(`[BotEngine] No candle data for any watchlist symbol of bot ${botId}`);
+          journal.add('tick', 'Skipped: no candle data for any watchlist symbol', { level: 'warn' });
+          return;
+        }
+      } else if (!isMultiPair) {
+        // ── Single-pair strategy (grid, DCA, breakout, EMA, RSI, scalper, swing) ──
+        candles = await this._fetchCandles(bot, timeframe, asOf);
         if (!candles || candles.length < 30) {
           console.warn(`[BotEngine] Insufficient candle data for bot ${botId}`);
+          journal.add('tick', `Skipped: insufficient candle data (${candles?.length || 0} candles)`, { level: 'warn' });
           return;
         }
         const closes = candles.map(c => c.close);
@@ -259,9 +680,11 @@ class BotEngine {
         volumeRatio = avgVol > 0 ? parseFloat((volumes[lastIdx] / avgVol).toFixed(2)) : null;
         trend       = detectTrend(candles, 50, 200);
       }
+      // Last close of a watchlist symbol (the pair's price for other bots)
+      const priceOf = (symbol) => (isWatchlist ? candlesBySymbol.get(symbol)?.at(-1).close ?? null : currentPrice);
 
       // Load open positions
-      const openPositions = await Position.find({ botId: bot._id, status: 'open' });
+      let openPositions = await Position.find({ botId: bot._id, status: 'open', ...ledgerFilter(bot) });
 
       // Update unrealized P&L and trailing stops for all open positions
       for (const position of openPositions) {
@@ -273,19 +696,150 @@ class BotEngine {
           } catch {
             currentPrice = position.currentPrice || position.entryPrice;
           }
+        } else if (isWatchlist) {
+          currentPrice = priceOf(position.symbol) ?? position.currentPrice ?? position.entryPrice;
         }
 
         position.currentPrice = currentPrice;
+        if (bot.marketType === 'futures') {
+          // Demo bots pay funding at the live rate (not replayable); live bots book the exchange's below
+          if (bot.isDemo && !replaying) await futuresMargin.accrueFunding(position, now);
+          futuresMargin.updateLiquidation(bot, position);
+        }
         const isShort   = position.side === 'short';
         const priceDiff = isShort
           ? position.entryPrice - currentPrice
           : currentPrice - position.entryPrice;
-        position.unrealizedPnL        = priceDiff * position.amount - position.entryFee;
+        if (position.maxFavorablePrice == null || (isShort ? currentPrice < position.maxFavorablePrice : currentPrice > position.maxFavorablePrice)) {
+          position.maxFavorablePrice = currentPrice;
+        }
+        if (position.maxAdversePrice == null || (isShort ? currentPrice > position.maxAdversePrice : currentPrice < position.maxAdversePrice)) {
+          position.maxAdversePrice = currentPrice;
+        }
+        position.unrealizedPnL        = priceDiff * (position.remainingAmount ?? position.amount) - position.entryFee - (position.fundingPaid || 0);
         position.unrealizedPnLPercent = (priceDiff / position.entryPrice) * 100;
         riskEngine.updateTrailingStop(position, currentPrice, bot.strategyParams);
         await position.save();
       }
 
+      // News filter (live only — headlines can't be replayed): one assessment per symbol per tick
+      const newsFilterOn = !replaying && bot.riskParams?.enableNewsFilter;
+      const newsNotes    = [];
+      const newsBySymbol = new Map();
+      const assessNews   = async (symbol) => {
+        if (!newsBySymbol.has(symbol)) newsBySymbol.set(symbol, await newsFilter.assess(symbol));
+        return newsBySymbol.get(symbol);
+      };
+
+      // Tighten stops when a fresh catalyst goes against an open position
+      if (newsFilterOn && bot.riskParams.newsTightenStops) {
+        for (const position of openPositions) {
+          const news = await assessNews(position.symbol);
+          if (newsFilter.tightenStop(position, news, position.currentPrice, bot.riskParams.newsStopBufferPct ?? 1)) {
+            await position.save();
+            newsNotes.push(`Stop tightened on ${position.symbol} to ${position.stopLossPrice}: ${news.reason}`);
+            journal.add('risk_check', `News stop: tightened to ${position.stopLossPrice} — ${news.reason}`, {
+              symbol: position.symbol, data: { check: 'news_stop', positionId: position._id, stopLossPrice: position.stopLossPrice },
+            });
+            console.log(`[BotEngine] News stop for bot ${botId} (pos: ${position._id}): ${news.reason}`);
+          }
+        }
+      }
+
+      // Live bots: book exchange-side SL/TP fills and move the resting orders with the stops
+      if (!replaying) {
+        // Scale-out legs resting on the exchange first, so the bracket is resized to what is left
+        const legFills = await orderManager.syncExitLadder(bot, openPositions);
+        for (const l of legFills) {
+          this._emitTrade(bot, 'sell', l.price, l.amount, l.position._id, l.partialPnL, l.position.symbol);
+          console.log(`[BotEngine] Exit target ${l.index} filled on the exchange for bot ${botId} (pos: ${l.position._id})`);
+          journal.add('order', `Exit target ${l.index + 1} filled on the exchange at ${l.price}`, {
+            symbol: l.position.symbol, data: { reason: 'take_profit_ladder', price: l.price, amount: l.amount, pnl: l.partialPnL, positionId: l.position._id },
+          });
+        }
+        if (legFills.length) bot = await BotConfig.findById(botId);
+
+        const { open, closed } = await orderManager.syncProtection(bot, openPositions);
+        for (const c of closed) {
+          this._emitTrade(bot, 'sell', c.price, c.amount, c.position._id, c.realizedPnL, c.position.symbol);
+          console.log(`[BotEngine] ${c.reason} filled on the exchange for bot ${botId} (pos: ${c.position._id})`);
+          journal.add('order', `Closed by the exchange ${c.reason.replace(/_/g, ' ')} at ${c.price}`, {
+            symbol: c.position.symbol, data: { reason: c.reason, price: c.price, amount: c.amount, pnl: c.realizedPnL, positionId: c.position._id },
+          });
+        }
+        if (closed.length) {
+          openPositions = open;
+          bot = await BotConfig.findById(botId);
+        }
+        await orderManager.syncFuturesState(bot, openPositions);
+      }
+
+      // Futures: reduce or close positions closing in on their liquidation price
+      if (bot.marketType === 'futures') {
+        const { reducePortion } = futuresMargin.settings(bot);
+        const liquidated = [];
+        let guarded = 0;
+        for (const position of openPositions) {
+          const action = futuresMargin.guardAction(bot, position, position.currentPrice);
+          if (!action) continue;
+          const price     = position.currentPrice;
+          const openSize  = position.remainingAmount ?? position.amount;
+          const guardFill = replaying ? { price, at: now } : null;
+          const distance  = ((Math.abs(price - position.liquidationPrice) / price) * 100).toFixed(2);
+          try {
+            let pnl;
+            if (action === 'reduce') {
+              ({ partialPnL: pnl } = await orderManager.partialClosePosition(bot, position, {
+                portion: reducePortion, reason: 'liquidation_guard', moveSlToBreakeven: false,
+              }, guardFill));
+            } else {
+              ({ realizedPnL: pnl } = await orderManager.closePosition(bot, position, 'liquidation_guard', guardFill));
+              liquidated.push(position);
+            }
+            guarded++;
+            this._emitTrade(bot, 'sell', price, action === 'reduce' ? openSize * reducePortion : openSize, position._id, pnl, position.symbol, now);
+            console.warn(`[BotEngine] Liquidation guard (${action}) for bot ${botId} (pos: ${position._id}): ${distance}% from ${position.liquidationPrice}`);
+            journal.add('order', `Liquidation guard ${action === 'reduce' ? 'reduced' : 'closed'} the ${position.side} ${distance}% from liquidation`, {
+              level: 'warn', symbol: position.symbol,
+              data: { reason: 'liquidation_guard', action, price, liquidationPrice: position.liquidationPrice, pnl, positionId: position._id },
+            });
+            await this._notify(bot, 'bot_error',
+              `Liquidation guard: ${bot.name}`,
+              `${position.symbol} ${position.side} at ${price} was ${distance}% from its liquidation price ${position.liquidationPrice.toFixed(4)} — ` +
+              (action === 'reduce' ? `closed ${Math.round(reducePortion * 100)}% of it.` : 'closed it.'),
+              'high'
+            );
+          } catch (orderErr) {
+            console.error(`[BotEngine] Liquidation guard ${action} failed for bot ${botId}:`, orderErr.message);
+            journal.add('error', `Liquidation guard ${action} failed: ${orderErr.message}`, { level: 'error', symbol: position.symbol });
+          }
+        }
+        if (liquidated.length) openPositions = openPositions.filter(p => !liquidated.includes(p));
+        if (guarded) bot = await BotConfig.findById(botId);
+      }
+
+      // Scale-out ladders: take the targets the price has reached (not those resting on the exchange)
+      let legsTaken = 0;
+      for (const position of openPositions) {
+        for (const target of exitLadder.due(position, position.currentPrice)) {
+          try {
+            const { partialPnL } = await orderManager.partialClosePosition(bot, position, { target: target.index },
+              replaying ? { price: position.currentPrice, at: now } : null);
+            this._emitTrade(bot, 'sell', position.currentPrice, target.amount, position._id, partialPnL, position.symbol, now);
+            journal.add('order', `Exit target ${target.index + 1} (${target.rMultiple}R) taken at ${position.currentPrice}`, {
+              symbol: position.symbol,
+              data: { reason: 'take_profit_ladder', price: position.currentPrice, amount: target.amount, pnl: partialPnL, positionId: position._id },
+            });
+            legsTaken++;
+          } catch (orderErr) {
+            console.error(`[BotEngine] Exit target ${target.index} failed for bot ${botId} (pos: ${position._id}):`, orderErr.message);
+            journal.add('error', `Exit target ${target.index + 1} failed: ${orderErr.message}`, { level: 'error', symbol: position.symbol });
+            break;
+          }
+        }
+      }
+      if (legsTaken) bot = await BotConfig.findById(botId);
+
       // Update bot capital tracking
       // Use totalCapital as the base if startingCapital was never seeded (old bots)
       const startingCapital = bot.stats.startingCapital || bot.capitalAllocation.totalCapital;
@@ -302,23 +856,129 @@ class BotEngine {
       bot = await BotConfig.findById(botId);
 
 
+      // Trading windows, blackout dates and volatility pauses block new entries (positions are still managed)
+      let entryBlock = tradingSchedule.windowBlock(bot, now);
+      const shock = await tradingSchedule.volatilityPause(bot, candles, now, { replaying });
+      if (shock?.triggered) {
+        await BotConfig.findByIdAndUpdate(botId, { volatilityPauseUntil: shock.until, volatilityPauseReason: shock.reason });
+        journal.add('risk_check', `Volatility pause for ${bot.volatilityPause.pauseMinutes ?? 60} min: ${shock.reason}`, {
+          level: 'warn', data: { check: 'volatility', allowed: false, reason: shock.reason, until: shock.until },
+        });
+        console.warn(`[BotEngine] Volatility pause for bot ${botId}: ${shock.reason}`);
+      }
+      if (!entryBlock && shock) entryBlock = `Volatility pause until ${shock.until.toISOString().slice(11, 16)} UTC — ${shock.reason}`;
+
+      // Watchlist bots pause per symbol on that symbol's candles (the bot-wide check above only sees BTC)
+      const symbolPauses = isWatchlist ? tradingSchedule.symbolPauses(bot, candlesBySymbol, now) : { paused: new Map() };
+      for (const [symbol, pause] of symbolPauses.paused) {
+        if (!pause.triggered) continue;
+        journal.add('risk_check', `Volatility pause on ${symbol} for ${bot.volatilityPause.pauseMinutes ?? 60} min: ${pause.reason}`, {
+          level: 'warn', symbol, data: { check: 'volatility', allowed: false, reason: pause.reason, until: pause.until },
+        });
+      }
+      if (symbolPauses.changed) {
+        await BotConfig.findByIdAndUpdate(botId, {
+          volatilityPauseSymbols: Object.fromEntries([...symbolPauses.paused].map(([symbol, { reason, until }]) => [symbol, { reason, until }])),
+        });
+      }
+      if (entryBlock !== (bot.entryBlock || null)) {
+        await BotConfig.findByIdAndUpdate(botId, { entryBlock, statusMessage: entryBlock || '' });
+        journal.add('status', entryBlock ? `Entries paused: ${entryBlock}` : 'Entries resumed', {
+          level: entryBlock ? 'warn' : 'info', data: { entryBlock },
+        });
+      }
+
       // Run strategy
-      const strategy = STRATEGY_MAP[bot.strategyId];
-      if (!strategy) {
-        console.error(`[BotEngine] Unknown strategy: ${bot.strategyId}`);
-        return;
+      let signals = [];
+      if (isWatchlist) {
+        // Each symbol sees its own candles, positions and capital share
+        for (const entry of bot.watchlist) {
+          const symbolCandles = candlesBySymbol.get(entry.symbol);
+          if (!symbolCandles) continue;
+          const symbolSignals = await strategy.analyze(
+            watchlist.scope(bot, entry), symbolCandles, openPositions.filter(p => p.symbol === entry.symbol), replaying ? { now: asOf } : {}
+          );
+          signals.push(...symbolSignals.map(signal => ({ ...signal, symbol: signal.symbol || entry.symbol })));
+        }
+      } else {
+        signals = await strategy.analyze(bot, candles, openPositions, replaying ? { now: asOf } : {});
+      }
+      for (const signal of signals) {
+        journal.add('signal', this._describeSignal(signal), {
+          symbol: signal.symbol || (signal.action === 'buy' ? bot.symbol : null),
+          data: {
+            action: signal.action, side: signal.side || null, reason: signal.reason || null, amount: signal.amount ?? null,
+            portion: signal.portion ?? null, positionId: signal.positionId ?? null,
+            confidence: signal.confidence ?? null, score: signal.score ?? null,
+            stopLossPrice: signal.stopLossPrice ?? null, takeProfitPrice: signal.takeProfitPrice ?? null,
+          },
+        });
       }
 
-      const signals = await strategy.analyze(bot, candles, openPositions);
+      // Drop entries the news goes against: bearish news blocks longs, bullish blocks shorts
+      let newsBlocked = 0;
+      if (newsFilterOn) {
+        const kept = [];
+        for (const signal of signals) {
+          const side = signal.side || 'long';
+          const news = signal.action === 'buy' ? await assessNews(signal.symbol || bot.symbol) : null;
+          if (news?.blocks === side) {
+            newsBlocked++;
+            newsNotes.push(`${side} entry on ${signal.symbol || bot.symbol} blocked: ${news.reason}`);
+            journal.add('risk_check', `Blocked ${side} entry: ${news.reason}`, {
+              level: 'warn', symbol: signal.symbol || bot.symbol, data: { check: 'news', allowed: false, reason: news.reason, score: news.score },
+            });
+            continue;
+          }
+          kept.push(signal);
+        }
+        signals = kept;
+      }
+      const newsNote = newsNotes.length ? newsNotes.join('; ').substring(0, 300) : null;
+
+      let scheduleBlocked = 0;
+      if (entryBlock) {
+        for (const signal of signals.filter(s => s.action === 'buy')) {
+          scheduleBlocked++;
+          journal.add('risk_check', `Blocked ${signal.side || 'long'} entry: ${entryBlock}`, {
+            level: 'warn', symbol: signal.symbol || bot.symbol, data: { check: 'schedule', allowed: false, reason: entryBlock },
+          });
+        }
+        signals = signals.filter(s => s.action !== 'buy');
+      }
+      if (symbolPauses.paused.size) {
+        signals = signals.filter((signal) => {
+          const pause = signal.action === 'buy' && symbolPauses.paused.get(signal.symbol);
+          if (!pause) return true;
+          const reason = `Volatility pause until ${pause.until.toISOString().slice(11, 16)} UTC — ${pause.reason}`;
+          scheduleBlocked++;
+          journal.add('risk_check', `Blocked ${signal.side || 'long'} entry: ${reason}`, {
+            level: 'warn', symbol: signal.symbol, data: { check: 'schedule', allowed: false, reason },
+          });
+          return false;
+        });
+      }
+
+      // Watchlist: best entries first, within per-symbol limits and the capital still free
+      if (isWatchlist) {
+        const ranked = watchlist.rank(bot, signals.filter(s => s.action === 'buy'), candlesBySymbol);
+        const { accepted, rejected } = watchlist.allocate(bot, ranked, openPositions, priceOf);
+        for (const { signal, reason } of rejected) {
+          journal.add('risk_check', `Skipped ${signal.symbol} entry: ${reason}`, {
+            level: 'warn', symbol: signal.symbol, data: { check: 'watchlist', allowed: false, reason },
+          });
+        }
+        signals = [...signals.filter(s => s.action !== 'buy'), ...accepted];
+      }
 
       // Determine tick action label for the log
       const hasBuy  = signals.some(s => s.action === 'buy');
       const hasSell = signals.some(s => s.action === 'sell');
-      const tickAction = hasBuy ? 'entry' : hasSell ? 'exit' : 'waiting';
+      const tickAction = hasBuy ? 'entry' : hasSell ? 'exit' : newsBlocked ? 'news_blocked' : scheduleBlocked ? 'schedule_blocked' : 'waiting';
 
       // Build and persist lastAnalysis + tickLog
-      const nextTickAt = new Date(Date.now() + intervalMs);
-      const tickEntry  = { timestamp: now, currentPrice, rsi: currentRSI, volumeRatio, action: tickAction };
+      const nextTickAt = replaying ? new Date(now.getTime() + intervalMs) : nextCandleClose(now.getTime(), intervalMs);
+      const tickEntry  = { timestamp: now, currentPrice, rsi: currentRSI, volumeRatio, action: tickAction, news: newsNote };
 
       await BotConfig.findByIdAndUpdate(botId, {
         lastAnalysis: {
@@ -328,50 +988,88 @@ class BotEngine {
           rsi: currentRSI,
           volumeRatio,
           trend,
-          action: tickAction
+          action: tickAction,
+          news: newsNote
         },
-        // Push new entry, keep only last 10
+        // Push new entry, keep only last 10 (the full history is the BotEvent journal)
         $push: { tickLog: { $each: [tickEntry], $slice: -10 } }
       });
+      journal.add('tick', `${tickAction}: ${signals.length} signal(s), ${openPositions.length} open position(s)`, {
+        symbol: bot.symbol === 'MULTI' ? null : bot.symbol,
+        data: { action: tickAction, price: currentPrice, rsi: currentRSI, volumeRatio, trend, signals: signals.length, openPositions: openPositions.length, news: newsNote },
+      });
 
       // Execute signals
       // openedThisTick prevents race condition: risk check accounts for positions
       // queued earlier in this same loop iteration that haven't been saved yet.
       let openedThisTick = 0;
       let hadClose = false;
+      const fill = replaying ? { price: currentPrice, at: now } : null;
 
       for (const signal of signals) {
         if (signal.action === 'buy') {
-          const riskCheck = await riskEngine.checkCanOpenPosition(bot, openedThisTick);
+          const tradeSymbol = signal.symbol || bot.symbol;
+          const journalCheck = (check, { allowed, reason }) => journal.add('risk_check',
+            allowed ? `${check} risk check passed` : `${check} risk check blocked the entry: ${reason}`,
+            { level: allowed ? 'info' : 'warn', symbol: tradeSymbol, data: { check, allowed, reason } });
+
+          let riskCheck = await riskEngine.checkCanOpenPosition(bot, openedThisTick, now);
+          journalCheck('bot', riskCheck);
+          if (riskCheck.allowed && !replaying) {
+            riskCheck = await portfolioRisk.checkCanOpen(bot, {
+              symbol: tradeSymbol,
+              amount: signal.amount,
+              price:  signal.entryPrice || priceOf(tradeSymbol),
+            });
+            journalCheck('portfolio', riskCheck);
+            if (!riskCheck.allowed) console.log(`[BotEngine] Entry blocked for bot ${botId}: ${riskCheck.reason}`);
+          }
           if (riskCheck.allowed) {
             try {
-              const tradeSymbol = signal.symbol || bot.symbol;
-              const { position } = await orderManager.openPosition(bot, signal, tradeSymbol);
-              this._emitTrade(bot, 'buy', position.entryPrice, signal.amount, position._id, null, tradeSymbol);
+              const { position } = await orderManager.openPosition(bot, signal, tradeSymbol, fill);
+              this._emitTrade(bot, 'buy', position.entryPrice, signal.amount, position._id, null, tradeSymbol, now);
+              journal.add('order', `Opened ${position.side} at ${position.entryPrice}`, {
+                symbol: tradeSymbol,
+                data: { side: position.side, price: position.entryPrice, amount: position.amount, stopLossPrice: position.stopLossPrice, positionId: position._id },
+              });
+              if (position.protection?.status === 'failed') {
+                await this._notify(bot, 'bot_error',
+                  `Position unprotected: ${bot.name}`,
+                  `Could not place the exchange stop-loss for ${tradeSymbol}: ${position.protection.lastError}. ` +
+                  'The bot still checks its stop on every tick.',
+                  'high'
+                );
+              }
               openedThisTick++;
             } catch (orderErr) {
               console.error(`[BotEngine] Buy order failed for bot ${botId}:`, orderErr.message);
+              journal.add('error', `Buy order failed: ${orderErr.message}`, { level: 'error', symbol: tradeSymbol });
             }
           }
         } else if (signal.action === 'sell') {
           const position = openPositions.find(p =>
             p._id.toString() === signal.positionId?.toString() ||
-            p.portionIndex === signal.portionIndex
+            (p.portionIndex === signal.portionIndex && (!isWatchlist || p.symbol === signal.symbol))
           );
           if (position) {
             try {
-              const { realizedPnL } = await orderManager.closePosition(bot, position, signal.reason);
-              this._emitTrade(bot, 'sell', position.currentPrice, position.amount, position._id, realizedPnL, position.symbol);
+              const { realizedPnL } = await orderManager.closePosition(bot, position, signal.reason, fill);
+              this._emitTrade(bot, 'sell', position.currentPrice, position.amount, position._id, realizedPnL, position.symbol, now);
+              journal.add('order', `Closed ${position.side} (${signal.reason || 'signal'}) at ${position.currentPrice}`, {
+                symbol: position.symbol,
+                data: { reason: signal.reason || null, price: position.currentPrice, pnl: realizedPnL, positionId: position._id },
+              });
               hadClose = true;
             } catch (orderErr) {
               console.error(`[BotEngine] Sell order failed for bot ${botId}:`, orderErr.message);
+              journal.add('error', `Sell order failed: ${orderErr.message}`, { level: 'error', symbol: position.symbol });
             }
           }
         } else if (signal.action === 'partial_sell') {
           // Ladder exit: close first half at TP1, move SL to breakeven
           const position = openPositions.find(p =>
             p._id.toString() === signal.positionId?.toString() ||
-            p.portionIndex === signal.portionIndex
+            (p.portionIndex === signal.portionIndex && (!isWatchlist || p.symbol === signal.symbol))
           );
           if (position) {
             try {
@@ -379,11 +1077,16 @@ class BotEngine {
                 portion:           signal.portion || 0.5,
                 reason:            signal.reason  || 'take_profit_1',
                 moveSlToBreakeven: signal.moveSlToBreakeven ?? true,
+              }, fill);
+              this._emitTrade(bot, 'sell', position.currentPrice, position.amount * (signal.portion || 0.5), position._id, partialPnL, position.symbol, now);
+              journal.add('order', `Closed ${Math.round((signal.portion || 0.5) * 100)}% of the ${position.side} (${signal.reason || 'take_profit_1'}) at ${position.currentPrice}`, {
+                symbol: position.symbol,
+                data: { reason: signal.reason || 'take_profit_1', portion: signal.portion || 0.5, price: position.currentPrice, pnl: partialPnL, positionId: position._id },
               });
-              this._emitTrade(bot, 'sell', position.currentPrice, position.amount * (signal.portion || 0.5), position._id, partialPnL, position.symbol);
               hadClose = true;
             } catch (orderErr) {
               console.error(`[BotEngine] Partial sell failed for bot ${botId}:`, orderErr.message);
+              journal.add('error', `Partial sell failed: ${orderErr.message}`, { level: 'error', symbol: position.symbol });
             }
           }
         }
@@ -394,6 +1097,16 @@ class BotEngine {
         bot = await BotConfig.findById(botId);
       }
 
+      // Account-wide daily loss across all the user's bots — pauses all of them
+      if (!replaying) {
+        const breach = await portfolioRisk.checkDailyLoss(bot.userId);
+        if (breach) {
+          journal.add('risk_check', `Kill switch: ${breach}`, { level: 'warn', data: { check: 'portfolio_daily_loss', allowed: false, reason: breach } });
+          await this.engageKillSwitch(bot.userId, breach, 'auto');
+          return;
+        }
+      }
+
       // Check if bot should be paused (drawdown + consecutive loss limits)
       const pauseReason = riskEngine.shouldPauseBot(bot);
       if (pauseReason) {
@@ -401,12 +1114,9 @@ class BotEngine {
           status: 'paused',
           statusMessage: pauseReason
         });
-        const entry = this.runningBots.get(botId);
-        if (entry) {
-          clearInterval(entry.intervalId);
-          this.runningBots.delete(botId);
-        }
+        await this._unschedule(botId);
         console.warn(`[BotEngine] Bot ${botId} paused: ${pauseReason}`);
+        journal.add('status', `Paused: ${pauseReason}`, { level: 'warn', data: { status: 'paused', reason: pauseReason } });
         await this._notify(bot, 'bot_paused',
           `Bot paused: ${bot.name}`,
           `Risk limit reached — ${pauseReason}. The bot has been paused to protect your capital.`,
@@ -418,19 +1128,19 @@ class BotEngine {
       if (this._errorCounts.has(botId)) {
         this._errorCounts.delete(botId);
         // Clear the transient error message from the previous failure
-        await BotConfig.findByIdAndUpdate(botId, { statusMessage: '' }).catch(() => {});
+        await BotConfig.findByIdAndUpdate(botId, { statusMessage: entryBlock || '' }).catch(() => {});
       }
 
       // Emit real-time tick update (includes analysis for BotDetail page)
       if (this.io) {
-        const openCount = await Position.countDocuments({ botId: bot._id, status: 'open' });
+        const openCount = await Position.countDocuments({ botId: bot._id, status: 'open', ...ledgerFilter(bot) });
         this.io.to(`user:${bot.userId.toString()}`).emit('bot:tick', {
           botId,
           currentPrice,
           openPositions: openCount,
           status: bot.status,
           unrealizedPnL: unrealizedTotal,
-          lastAnalysis: { timestamp: now, nextTickAt, currentPrice, rsi: currentRSI, volumeRatio, trend, action: tickAction },
+          lastAnalysis: { timestamp: now, nextTickAt, currentPrice, rsi: currentRSI, volumeRatio, trend, action: tickAction, news: newsNote },
           tickEntry
         });
       }
@@ -440,6 +1150,7 @@ class BotEngine {
       this._errorCounts.set(botId, errCount);
 
       console.error(`[BotEngine] Tick error for bot ${botId} (${errCount}/${MAX_CONSECUTIVE_ERRORS}):`, err.message);
+      journal?.add('error', `Tick error (${errCount}/${MAX_CONSECUTIVE_ERRORS}): ${err.message}`, { level: 'error' });
 
       if (errCount >= MAX_CONSECUTIVE_ERRORS) {
         // Too many consecutive failures — stop the bot
@@ -448,11 +1159,8 @@ class BotEngine {
           status: 'error',
           statusMessage: `Stopped after ${errCount} consecutive errors: ${err.message.substring(0, 150)}`
         });
-        const entry = this.runningBots.get(botId);
-        if (entry) {
-          clearInterval(entry.intervalId);
-          this.runningBots.delete(botId);
-        }
+        journal?.add('status', `Stopped after ${errCount} consecutive errors`, { level: 'error', data: { status: 'error' } });
+        await this._unschedule(botId);
         this._errorCounts.delete(botId);
         if (bot) {
           await this._notify(bot, 'bot_error',
@@ -462,7 +1170,7 @@ class BotEngine {
           );
         }
       } else {
-        // Transient error — log it but keep the interval alive
+        // Transient error — log it but keep the bot scheduled
         await BotConfig.findByIdAndUpdate(botId, {
           statusMessage: `Last error (${errCount}/${MAX_CONSECUTIVE_ERRORS}): ${err.message.substring(0, 150)}`
         }).catch(() => {});
@@ -475,13 +1183,25 @@ class BotEngine {
           });
         }
       }
+    } finally {
+      await journal?.flush();
     }
   }
 
-  async _fetchCandles(bot, timeframe) {
+  /**
+   * Fetch the candles a tick analyses.
+   * @param {number|null} [asOf] - replay clock (ms). When set, candles come from the
+   *   offline CandleStore as they stood at that moment instead of the live market.
+   * @param {string} [symbol] - a watchlist symbol (defaults to the bot's pair)
+   */
+  async _fetchCandles(bot, timeframe, asOf = null, symbol = bot.symbol) {
+    if (asOf != null) {
+      return await candleStore.getLatest(symbol, timeframe, bot.marketType || 'spot', 250, asOf);
+    }
+
     if (bot.isDemo) {
       console.log(`[BotEngine] Demo candles for "${bot.name}" (configured exchange: ${bot.exchange}) via MarketDataService`);
-      return await marketDataService.fetchCandles(bot.symbol, timeframe, bot.marketType || 'spot', 250);
+      return await marketDataService.fetchCandles(symbol, timeframe, bot.marketType || 'spot', 250);
     }
 
     // Binance and Bybit public OHLCV endpoints may be geo-blocked on the server.
@@ -490,7 +1210,7 @@ class BotEngine {
     const GEO_BLOCKED_CANDLES = ['binance', 'bybit'];
     if (GEO_BLOCKED_CANDLES.includes(bot.exchange?.toLowerCase())) {
       console.log(`[BotEngine] ${bot.exchange} candles via MarketDataService (geo-blocked public data)`);
-      return await marketDataService.fetchCandles(bot.symbol, timeframe, bot.marketType || 'spot', 250);
+      return await marketDataService.fetchCandles(symbol, timeframe, bot.marketType || 'spot', 250);
     }
 
     const exchangeAccount = await ExchangeAccount
@@ -503,7 +1223,7 @@ class BotEngine {
 
     // Try fetching candles from the exchange; fall back to MarketDataService on failure
     try {
-      const ohlcv = await exchange.fetchOHLCV(bot.symbol, timeframe, undefined, 250);
+      const ohlcv = await exchange.fetchOHLCV(symbol, timeframe, undefined, 250);
       return ohlcv.map(c => ({
         timestamp: c[0], open: c[1], high: c[2], low: c[3], close: c[4], volume: c[5]
       }));
@@ -512,11 +1232,22 @@ class BotEngine {
         `[BotEngine] fetchOHLCV failed for ${bot.exchange} (${candleErr.message}) ` +
         `— falling back to MarketDataService`
       );
-      return await marketDataService.fetchCandles(bot.symbol, timeframe, bot.marketType || 'spot', 250);
+      return await marketDataService.fetchCandles(symbol, timeframe, bot.marketType || 'spot', 250);
     }
   }
 
-  _emitTrade(bot, side, price, amount, positionId, pnl = null, symbol = null) {
+  /**
+   * One-line summary of a strategy signal for the journal.
+   */
+  _describeSignal(signal) {
+    const symbol = signal.symbol ? ` ${signal.symbol}` : '';
+    const reason = signal.reason ? ` (${signal.reason})` : '';
+    if (signal.action === 'buy') return `Signal: buy ${signal.side || 'long'}${symbol}${reason}`;
+    if (signal.action === 'partial_sell') return `Signal: close ${Math.round((signal.portion || 0.5) * 100)}%${symbol}${reason}`;
+    return `Signal: ${signal.action}${symbol}${reason}`;
+  }
+
+  _emitTrade(bot, side, price, amount, positionId, pnl = null, symbol = null, at = new Date()) {
     if (!this.io) return;
     this.io.to(`user:${bot.userId.toString()}`).emit('bot:trade', {
       botId:     bot._id.toString(),
@@ -527,12 +1258,14 @@ class BotEngine {
       amount,
       positionId: positionId?.toString(),
       pnl,
-      timestamp: new Date().toISOString()
+      timestamp: at.toISOString()
     });
   }
 
   async _notify(bot, type, title, message, priority = 'medium') {
     try {
+      // Replay notifications are labelled so they are not mistaken for live activity
+      if (bot.replay?.active && !title.startsWith('Replay')) title = `[Replay] ${title}`;
       const notification = await Notification.create({ userId: bot.userId, type, title, message, priority });
       if (this.io) {
         this.io.to(`user:${bot.userId.toString()}`).emit('notification:new', notification.toObject());
@@ -0,0 +1,74 @@
+import BotEvent from '../../models/bot/BotEvent.js';
+
+/**
+ * Events of one tick, buffered and written together when the tick ends.
+ */
+class TickJournal {
+  constructor(bot, at) {
+    this.bot    = bot;
+    this.at     = at;
+    this.events = [];
+  }
+
+  /**
+   * @param {string} type    - BotEvent type
+   * @param {string} message
+   * @param {{ data?: Object, level?: string, symbol?: string }} [opts]
+   */
+  add(type, message, { data = null, level = 'info', symbol = null } = {}) {
+    this.events.push({ type, message, data, level, symbol });
+  }
+
+  async flush() {
+    const events = this.events.splice(0);
+    if (events.length) await botJournal._write(this.bot, events, this.at);
+  }
+}
+
+/**
+ * BotJournal - writes the BotEvent journal. A bot must keep trading when its
+ * journal can't be written, so writes never throw (failures are logged).
+ */
+class BotJournal {
+  /**
+   * Start buffering the events of a tick.
+   * @param {Object} bot
+   * @param {Date}   at - tick clock (replay clock during a replay)
+   * @returns {TickJournal}
+   */
+  tick(bot, at) {
+    return new TickJournal(bot, at);
+  }
+
+  /**
+   * Record a single event outside a tick (status changes).
+   * @param {Object} bot
+   * @param {string} type
+   * @param {string} message
+   * @param {{ data?: Object, level?: string, symbol?: string, at?: Date }} [opts]
+   */
+  async record(bot, type, message, { at = new Date(), ...opts } = {}) {
+    await this._write(bot, [{ type, message, level: 'info', ...opts }], at);
+  }
+
+  async _write(bot, events, at) {
+    try {
+      await BotEvent.insertMany(events.map(e => ({
+        botId:   bot._id,
+        userId:  bot.userId,
+        type:    e.type,
+        level:   e.level || 'info',
+        message: e.message.substring(0, 500),
+        symbol:  e.symbol || null,
+        data:    e.data ?? null,
+        at,
+        replay:  !!bot.replay?.active,
+      })), { ordered: false });
+    } catch (err) {
+      console.warn(`[BotJournal] Could not write ${events.length} event(s) for bot ${bot._id}: ${err.message}`);
+    }
+  }
+}
+
+const botJournal = new BotJournal();
+export default botJournal;
@@ -1,7 +1,7 @@
 import marketDataService from '../MarketDataService.js';
 import DemoAccount from '../../models/DemoAccount.js';
 
-const TAKER_FEE_RATE = 0.001; // 0.1% simulated taker fee
+export const TAKER_FEE_RATE = 0.001; // 0.1% simulated taker fee
 
 // Tiered spread simulation — major pairs are liquid (tight spread),
 // altcoins are illiquid (wide spread). This makes demo P&L realistic
@@ -15,7 +15,7 @@ const MID_PAIRS    = new Set(['ADAUSDT','DOTUSDT','AVAXUSDT','MATICUSDT','LINKUS
  *   Mid caps     → 0.15% (normal)
  *   Altcoins     → 0.40% (wide — reflects real illiquidity)
  */
-function getSpreadRate(sym) {
+export function getSpreadRate(sym) {
   const s = sym.toUpperCase().replace('/', '');
   if (MAJOR_PAIRS.has(s)) return 0.0005;
   if (MID_PAIRS.has(s))   return 0.0015;
@@ -35,19 +35,21 @@ class DemoSimulator {
    * @param {string|ObjectId} userId
    * @param {{ exchange: string, symbol: string, side: 'buy'|'sell'|'short', amount: number, marketType: string }} params
    *   side = 'short' means futures short entry — no balance debit (P&L settled on close).
+   *   Replay passes `price` (the replayed market price) and `executedAt` (the replay clock)
+   *   so the fill happens in simulated time instead of at the live ticker.
    * @returns {Promise<{ price, amount, cost, fee, executedAt }>}
    */
-  async executeOrder(userId, { exchange, symbol, side, amount, marketType = 'spot' }) {
+  async executeOrder(userId, { exchange, symbol, side, amount, marketType = 'spot', price: marketPrice = null, executedAt = new Date() }) {
     // Normalize: 'BTC/USDT' → 'BTCUSDT' (MarketDataService uses Binance REST format)
     const sym = symbol.replace('/', '');
 
     let price;
     try {
-      const ticker = await marketDataService.fetchTicker(sym, marketType);
+      const lastPrice = marketPrice ?? (await marketDataService.fetchTicker(sym, marketType)).lastPrice;
       // Apply tiered spread: major pairs get tight spread, altcoins get wide spread.
       // This makes demo P&L realistic — real slippage on altcoins can be 0.3-0.5%.
       const spread = getSpreadRate(sym);
-      price = side === 'buy' ? ticker.lastPrice * (1 + spread) : ticker.lastPrice * (1 - spread);
+      price = side === 'buy' ? lastPrice * (1 + spread) : lastPrice * (1 - spread);
     } catch {
       throw new Error(`Cannot fetch price for ${symbol}`);
     }
@@ -91,7 +93,7 @@ class DemoSimulator {
         currency: 'USDT',
         rate: TAKER_FEE_RATE
       },
-      executedAt: new Date()
+      executedAt
     };
   }
 
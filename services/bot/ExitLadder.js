@@ -0,0 +1,77 @@
+/**
+ * ExitLadder - multi-leg scale-out exits (BotConfig.exitLadder).
+ *
+ * Each leg closes a share of the original size at a multiple of the initial risk
+ * (entry → stop), e.g. 30% at 1R and 30% at 2R; what the legs leave is the runner,
+ * which rides the trailing stop once the last leg fills. Targets are stored in
+ * order on Position.exitTargets. Demo and spot bots take them on the tick; live
+ * futures bots rest each leg on the exchange as a reduce-only limit (OrderManager).
+ */
+class ExitLadder {
+  enabled(bot) {
+    return !!(bot.exitLadder?.enabled && bot.exitLadder.legs?.length);
+  }
+
+  /**
+   * Ordered targets for a new position, or null when the bot has no ladder
+   * (or the stop gives no risk distance to measure R by).
+   * @param {Object} bot
+   * @param {{ side: string, entryPrice: number, stopLossPrice: number, amount: number }} entry
+   */
+  build(bot, { side, entryPrice, stopLossPrice, amount }) {
+    if (!this.enabled(bot)) return null;
+    const risk = side === 'short' ? stopLossPrice - entryPrice : entryPrice - stopLossPrice;
+    if (!(risk > 0)) return null;
+
+    return [...bot.exitLadder.legs]
+      .sort((a, b) => a.rMultiple - b.rMultiple)
+      .map((leg, index) => ({
+        index,
+        rMultiple:  leg.rMultiple,
+        price:      side === 'short' ? entryPrice - leg.rMultiple * risk : entryPrice + leg.rMultiple * risk,
+        portion:    leg.portion,
+        amount:     amount * leg.portion,
+        moveStopTo: leg.moveStopTo || 'none',
+        status:     'pending',
+      }));
+  }
+
+  /**
+   * Pending targets the price has reached, in ladder order.
+   * @param {boolean} [includeResting] - also targets resting on the exchange
+   */
+  due(position, price, includeResting = false) {
+    const isShort = position.side === 'short';
+    return (position.exitTargets || []).filter(t =>
+      t.status === 'pending' &&
+      (includeResting || !t.orderId) &&
+      (isShort ? price <= t.price : price >= t.price)
+    );
+  }
+
+  /**
+   * Position changes once target `index` has filled: the stop move the leg asks
+   * for (only ever tightening) and, after the last leg, the runner's trailing stop.
+   * @returns {{ stopLossPrice: number, trailingStopActive?: boolean }}
+   */
+  afterFill(bot, position, index) {
+    const targets = position.exitTargets;
+    const target  = targets[index];
+    const isShort = position.side === 'short';
+
+    let stop = position.stopLossPrice;
+    const moveTo = target.moveStopTo === 'breakeven'
+      ? position.entryPrice
+      : target.moveStopTo === 'previous_target'
+        ? (index > 0 ? targets[index - 1].price : position.entryPrice)
+        : null;
+    if (moveTo != null && (isShort ? moveTo < stop : moveTo > stop)) stop = moveTo;
+
+    const update = { stopLossPrice: stop };
+    const last = targets.every(t => t.index === index || t.status !== 'pending');
+    if (last && bot.exitLadder?.runnerTrailing !== false) update.trailingStopActive = true;
+    return update;
+  }
+}
+
+export default new ExitLadder();
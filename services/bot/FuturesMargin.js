@@ -0,0 +1,127 @@
+import marketDataService from '../MarketDataService.js';
+
+export const DEFAULT_MAINTENANCE_MARGIN_RATE = 0.005; // 0.5% — Binance USDT-M lowest tier
+const FUNDING_INTERVAL_MS = 8 * 3_600_000;             // funding settles at 00:00 / 08:00 / 16:00 UTC
+
+/**
+ * Liquidation price of a linear (USDT-margined) position: where margin, less
+ * funding paid, plus unrealised P&L falls to the maintenance margin.
+ *   long:  margin − funding + (P − entry)·amount = mmr·P·amount
+ *   short: margin − funding + (entry − P)·amount = mmr·P·amount
+ * With no funding this is entry·(1 − 1/leverage)/(1 − mmr) for longs.
+ * @param {{ side: 'long'|'short', entryPrice: number, amount: number, margin: number,
+ *           maintenanceMarginRate?: number, fundingPaid?: number }} p
+ * @returns {number|null}
+ */
+export function liquidationPrice({ side, entryPrice, amount, margin, maintenanceMarginRate = DEFAULT_MAINTENANCE_MARGIN_RATE, fundingPaid = 0 }) {
+  if (!entryPrice || !amount || !margin) return null;
+  const notional = entryPrice * amount;
+  const equity   = margin - fundingPaid;
+  const price = side === 'short'
+    ? (notional + equity) / (amount * (1 + maintenanceMarginRate))
+    : (notional - equity) / (amount * (1 - maintenanceMarginRate));
+  return price > 0 ? price : 0;
+}
+
+/**
+ * FuturesMargin - margin, funding and liquidation bookkeeping for futures positions.
+ * Computed values are used for demo bots and as a fallback; OrderManager
+ * overwrites them with what the exchange reports for live bots.
+ */
+class FuturesMargin {
+  /**
+   * Bot futures settings with defaults.
+   */
+  settings(bot) {
+    const f = bot.futures || {};
+    return {
+      marginMode:            f.marginMode || 'isolated',
+      maintenanceMarginRate: f.maintenanceMarginRate ?? DEFAULT_MAINTENANCE_MARGIN_RATE,
+      liquidationGuardPct:   f.liquidationGuardPct ?? 25,
+      liquidationAction:     f.liquidationAction || 'reduce',
+      reducePortion:         f.reducePortion ?? 0.5,
+    };
+  }
+
+  /**
+   * Margin / liquidation fields for a new futures position ({} for spot bots).
+   * @param {Object} bot
+   * @param {{ side: string, entryPrice: number, amount: number, leverage?: number, openedAt?: Date }} entry
+   */
+  entryFields(bot, { side, entryPrice, amount, leverage, openedAt = new Date() }) {
+    if (bot.marketType !== 'futures') return {};
+    const { marginMode, maintenanceMarginRate } = this.settings(bot);
+    const lev    = Math.max(1, leverage || bot.strategyParams?.leverage || 1);
+    const margin = (entryPrice * amount) / lev;
+    return {
+      marginMode,
+      leverage:          lev,
+      initialMargin:     margin,
+      maintenanceMargin: entryPrice * amount * maintenanceMarginRate,
+      liquidationPrice:  liquidationPrice({ side, entryPrice, amount, margin, maintenanceMarginRate }),
+      liquidationSource: 'computed',
+      fundingPaid:       0,
+      lastFundingAt:     openedAt,
+    };
+  }
+
+  /**
+   * Recompute the liquidation price after funding or a partial close — unless the
+   * exchange reported it. Mutates the position.
+   */
+  updateLiquidation(bot, position) {
+    if (!position.initialMargin || position.liquidationSource === 'exchange') return;
+    const { maintenanceMarginRate } = this.settings(bot);
+    const open  = position.remainingAmount ?? position.amount;
+    const share = open / position.amount;  // a partial close releases margin pro rata
+    position.liquidationPrice = liquidationPrice({
+      side: position.side,
+      entryPrice: position.entryPrice,
+      amount: open,
+      margin: position.initialMargin * share,
+      maintenanceMarginRate,
+      fundingPaid: position.fundingPaid || 0,
+    });
+    position.maintenanceMargin = (position.currentPrice || position.entryPrice) * open * maintenanceMarginRate;
+  }
+
+  /**
+   * Demo bots: charge (or credit) the funding settlements passed since the last
+   * one, at the current funding rate. Longs pay a positive rate, shorts receive it.
+   * Mutates the position.
+   * @returns {Promise<number>} funding booked this call
+   */
+  async accrueFunding(position, now = new Date()) {
+    const last    = (position.lastFundingAt || position.openedAt || now).getTime();
+    const periods = Math.floor(now.getTime() / FUNDING_INTERVAL_MS) - Math.floor(last / FUNDING_INTERVAL_MS);
+    if (periods <= 0) return 0;
+
+    const rate     = await marketDataService.fetchFundingRate(position.symbol.split(':')[0].replace('/', ''));
+    const notional = (position.currentPrice || position.entryPrice) * (position.remainingAmount ?? position.amount);
+    const payment  = rate * notional * periods * (position.side === 'short' ? -1 : 1);
+
+    position.fundingPaid   = (position.fundingPaid || 0) + payment;
+    position.lastFundingAt = now;
+    return payment;
+  }
+
+  /**
+   * Emergency action when price has covered most of the way to liquidation:
+   * within liquidationGuardPct of the entry→liquidation distance, and 'close'
+   * (whatever the setting) once within half of it.
+   * @returns {'reduce'|'close'|null}
+   */
+  guardAction(bot, position, price) {
+    const liq = position.liquidationPrice;
+    if (!liq || !price) return null;
+    const { liquidationGuardPct, liquidationAction } = this.settings(bot);
+    if (!liquidationGuardPct) return null;
+
+    const total = Math.abs(position.entryPrice - liq);
+    const left  = position.side === 'short' ? liq - price : price - liq;
+    if (total <= 0 || left > total * (liquidationGuardPct / 100)) return null;
+    return liquidationAction === 'close' || left <= total * (liquidationGuardPct / 200) ? 'close' : 'reduce';
+  }
+}
+
+export default new FuturesMargin();
@@ -27,6 +27,25 @@ export function calculateEMA(closes, period) {
   return result;
 }
 
+/**
+ * Calculate Simple Moving Average
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {number[]} SMA values (null for first period-1 entries)
+ */
+export function calculateSMA(values, period) {
+  if (!values || values.length < period) return values.map(() => null);
+  const result = new Array(values.length).fill(null);
+
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
 /**
  * Calculate RSI (Wilder's smoothing method)
  * @param {number[]} closes
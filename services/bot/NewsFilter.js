@@ -0,0 +1,82 @@
+import { getSentiment } from '../GateNewsService.js';
+import { getNewsAlerts } from '../CryptoPanicAlertService.js';
+
+const CATALYST_WINDOW_MS     = 6 * 60 * 60_000; // CryptoPanic headlines older than this are priced in
+const BEARISH_CATALYST_SCORE = 80;              // risk_event (hack, delisting, SEC...) scores 85
+const BULLISH_CATALYST_SCORE = 72;              // listings, burns, price surges
+
+/**
+ * NewsFilter - news gate for bots with riskParams.enableNewsFilter.
+ * Combines Gate.io keyword sentiment (GateNewsService) with recent high-impact
+ * CryptoPanic headlines tagged with the coin:
+ *   - strongly bearish news blocks long entries, strongly bullish blocks shorts
+ *   - a fresh bearish catalyst can tighten stops on open longs (bullish on shorts)
+ * Both sources degrade to neutral when unreachable, so the filter never blocks a tick.
+ */
+class NewsFilter {
+  /**
+   * @param {string} symbol - 'BTCUSDT' or 'BTC/USDT'
+   * @returns {Promise<{ score: number, blocks: 'long'|'short'|null, catalyst: Object|null, reason: string|null }>}
+   */
+  async assess(symbol) {
+    const coin = symbol.replace(/[/:]?(USDT|USDC|BUSD|FDUSD)$/i, '').split('/')[0].toUpperCase();
+
+    const [gate, alerts] = await Promise.all([
+      getSentiment(symbol).catch(() => null),
+      getNewsAlerts().catch(() => []),
+    ]);
+
+    const since = Date.now() - CATALYST_WINDOW_MS;
+    const catalyst = alerts.find(a =>
+      a.coins.some(c => c.code?.toUpperCase() === coin) &&
+      new Date(a.publishedAt).getTime() >= since &&
+      ((a.sentiment === 'bearish' && a.impactScore >= BEARISH_CATALYST_SCORE) ||
+       (a.sentiment === 'bullish' && a.impactScore >= BULLISH_CATALYST_SCORE))
+    ) || null;
+
+    const score = gate?.score ?? 0;
+    let blocks = null;
+    let reason = null;
+    if (catalyst) {
+      blocks = catalyst.sentiment === 'bearish' ? 'long' : 'short';
+      reason = `${catalyst.sentiment} ${catalyst.impactType.replace('_', ' ')}: ${catalyst.title}`;
+    } else if (gate?.suppresses) {
+      blocks = gate.suppresses === 'LONG' ? 'long' : 'short';
+      reason = `${gate.sentiment} news sentiment (score ${score})` + (gate.articles?.[0] ? `: ${gate.articles[0].title}` : '');
+    }
+
+    return {
+      score,
+      blocks,
+      catalyst: catalyst && {
+        title:       catalyst.title,
+        type:        catalyst.impactType,
+        sentiment:   catalyst.sentiment,
+        publishedAt: catalyst.publishedAt,
+      },
+      reason: reason && reason.substring(0, 160),
+    };
+  }
+
+  /**
+   * Tighten a position's stop to `bufferPct` from the current price when a fresh
+   * catalyst goes against it. Mutates the position; the caller saves it.
+   * @returns {boolean} whether the stop moved
+   */
+  tightenStop(position, news, currentPrice, bufferPct) {
+    const isShort = position.side === 'short';
+    if (!news.catalyst || news.blocks !== (isShort ? 'short' : 'long')) return false;
+
+    const tightened = isShort
+      ? currentPrice * (1 + bufferPct / 100)
+      : currentPrice * (1 - bufferPct / 100);
+    const tighter = isShort ? tightened < position.stopLossPrice : tightened > position.stopLossPrice;
+    if (!tighter) return false;
+
+    position.stopLossPrice = tightened;
+    position.newsStop = { active: true, reason: news.reason, at: new Date() };
+    return true;
+  }
+}
+
+export default new NewsFilter();
@@ -1,37 +1,80 @@
-import demoSimulator from './DemoSimulator.js';
+import demoSimulator, { getSpreadRate, TAKER_FEE_RATE } from './DemoSimulator.js';
 import exchangeConnector from './ExchangeConnector.js';
 import ExchangeAccount from '../../models/ExchangeAccount.js';
 import Trade from '../../models/bot/Trade.js';
 import Position from '../../models/bot/Position.js';
 import BotConfig from '../../models/bot/BotConfig.js';
+import protectiveOrders from './ProtectiveOrders.js';
+import futuresMargin from './FuturesMargin.js';
+import exitLadder from './ExitLadder.js';
+
+// How live exits (and entries without a bot policy) are worked: a limit at the
+// touch for 8 seconds, then market for whatever is left
+const DEFAULT_POLICY = {
+  entryType: 'limit', priceRef: 'touch', timeoutSec: 8, chaseSteps: 0, maxChasePct: 0.3, fallback: 'market',
+};
+const POLL_MS        = 1_500;
+const MAX_TIMEOUT_SEC = 60;   // BotConfig.execution.timeoutSec cap — a tick works its orders well inside the scheduler lease
+const FILL_TOLERANCE = 0.01;  // leftovers under 1% of the order are not worth a market order
+
+const sleep  = (ms) => new Promise(r => setTimeout(r, ms));
+const isOpen = (order) => !['closed', 'canceled', 'expired', 'rejected'].includes(order.status);
 
 /**
  * OrderManager - routes orders to demo or live execution.
  * Creates Trade records and manages Position lifecycle in DB.
+ *
+ * Every public method takes an optional trailing `fill` ({ price, at }) used by
+ * bot replay: demo orders fill at the replayed price and are stamped with the
+ * replay clock instead of the live ticker and wall clock. Replays keep their own
+ * ledger — their Trade / Position rows are flagged `replay` and their fills and
+ * P&L never reach the DemoAccount.
+ *
+ * Live positions are protected by exchange-side SL/TP orders (ProtectiveOrders),
+ * placed on open, re-placed on partial closes and stop moves, and pulled before
+ * any bot-initiated close.
+ *
+ * Scale-out ladder legs (ExitLadder) are partial closes booked one trade per leg;
+ * live futures bots rest them on the exchange as reduce-only limits.
+ *
+ * Futures positions carry margin, liquidation price and accrued funding
+ * (FuturesMargin); funding is settled into realized P&L on every close.
  */
 class OrderManager {
   /**
    * Place a buy order and open a new position.
    * @param {Object} bot - BotConfig document
-   * @param {{ portionIndex, amount, takeProfitPrice, stopLossPrice, triggerReason }} signal
+   * @param {{ portionIndex, amount, takeProfitPrice, stopLossPrice, triggerReason, entryPrice, leverage }} signal
+   *   entryPrice is the limit price for live bots with execution.priceRef 'signal';
+   *   leverage (futures) defaults to strategyParams.leverage
+   * @param {string} [symbolOverride]
+   * @param {{ price: number, at: Date }|null} [fill] - replay fill
    * @returns {Promise<{ trade, position }>}
    */
-  async openPosition(bot, { portionIndex, amount, takeProfitPrice, stopLossPrice, tp1Price = null, triggerReason = 'entry', reason, side: signalSide }, symbolOverride) {
+  async openPosition(bot, { portionIndex, amount, takeProfitPrice, stopLossPrice, tp1Price = null, triggerReason = 'entry', reason, side: signalSide, entryPrice = null, leverage = null }, symbolOverride, fill = null) {
     const symbol       = symbolOverride || bot.symbol;
     const positionSide = signalSide || 'long';
     // 'short' entry passes 'short' to DemoSimulator (no balance debit); long uses 'buy'
     const execSide     = positionSide === 'short' ? 'short' : 'buy';
-    const execution    = await this._executeOrder(bot, execSide, amount, symbol);
+    const policy       = { ...DEFAULT_POLICY, ...(bot.execution?.toObject?.() ?? bot.execution) };
+    const entryLeverage = leverage || bot.strategyParams?.leverage || 1;
+    if (bot.marketType === 'futures' && !bot.isDemo) await this._prepareFutures(bot, symbol, entryLeverage);
+    const execution    = await this._executeOrder(bot, execSide, amount, symbol, fill, { policy, refPrice: entryPrice });
+    const executedAt   = fill?.at || new Date();
+    // A scale-out ladder replaces the strategy's TP1 and take profit
+    const exitTargets  = exitLadder.build(bot, { side: positionSide, entryPrice: execution.price, stopLossPrice, amount: execution.amount });
 
     // Create trade record
     const trade = await Trade.create({
       botId: bot._id,
       userId: bot.userId,
       isDemo: bot.isDemo,
+      replay: !!bot.replay?.active,
       exchange: bot.exchange,
       symbol,
       side: positionSide === 'short' ? 'sell' : 'buy',
-      type: 'market',
+      type: execution.orderType || 'market',
+      legs: execution.legs,
       price: execution.price,
       amount: execution.amount,
       cost: execution.cost,
@@ -39,7 +82,8 @@ class OrderManager {
       status: 'closed',
       orderId: execution.orderId || null,
       portionIndex,
-      triggerReason
+      triggerReason,
+      executedAt
     });
 
     // Create position record
@@ -47,6 +91,7 @@ class OrderManager {
       botId: bot._id,
       userId: bot.userId,
       isDemo: bot.isDemo,
+      replay: !!bot.replay?.active,
       exchange: bot.exchange,
       symbol,
       portionIndex,
@@ -55,11 +100,16 @@ class OrderManager {
       amount: execution.amount,
       cost: execution.cost,
       entryFee: execution.fee?.cost || 0,
-      takeProfitPrice:  takeProfitPrice || null,
+      takeProfitPrice:  exitTargets ? null : takeProfitPrice || null,
       stopLossPrice,
-      tp1Price:         tp1Price || null,
+      tp1Price:         exitTargets ? null : tp1Price || null,
+      exitTargets:      exitTargets || undefined,
       remainingAmount:  execution.amount, // ladder tracking starts at full amount
-      currentPrice:     execution.price
+      currentPrice:     execution.price,
+      openedAt:         executedAt,
+      ...futuresMargin.entryFields(bot, {
+        side: positionSide, entryPrice: execution.price, amount: execution.amount, leverage: entryLeverage, openedAt: executedAt,
+      })
     });
 
     // Link trade to position
@@ -68,9 +118,15 @@ class OrderManager {
     // Update bot stats
     await BotConfig.findByIdAndUpdate(bot._id, {
       $inc: { 'stats.totalTrades': 1 },
-      'stats.lastTradeAt': new Date()
+      'stats.lastTradeAt': executedAt
     });
 
+    if (this._protects(bot)) {
+      const { exchange, ccxtSymbol } = await this._liveConnection(bot, symbol);
+      await protectiveOrders.place(exchange, ccxtSymbol, bot, position);
+    }
+    if (exitTargets && this._restsLadder(bot)) await this._placeExitTargets(bot, position);
+
     return { trade, position };
   }
 
@@ -78,24 +134,49 @@ class OrderManager {
    * Partially close a position (ladder exit).
    * Closes `portion` (0–1) of the remaining open amount, marks tp1Hit,
    * and moves the stop loss to breakeven. Position stays open.
+   * With `target` it takes that Position.exitTargets leg instead (its amount,
+   * reason 'take_profit_ladder' and the stop move ExitLadder gives it).
+   * A 'liquidation_guard' reduction only shrinks the position: no tp1Hit, no trailing.
    *
    * @param {Object} bot
    * @param {Object} position  - Position document
-   * @param {{ portion: number, reason: string, moveSlToBreakeven: boolean }} opts
+   * @param {{ portion: number, reason: string, moveSlToBreakeven: boolean, target?: number }} opts
+   * @param {{ price: number, at: Date }|null} [fill] - replay fill
    * @returns {Promise<{ trade, partialPnL }>}
    */
-  async partialClosePosition(bot, position, { portion = 0.5, reason = 'take_profit_1', moveSlToBreakeven = true } = {}) {
+  async partialClosePosition(bot, position, { portion = 0.5, reason = 'take_profit_1', moveSlToBreakeven = true, target = null } = {}, fill = null) {
     const openAmount  = position.remainingAmount ?? position.amount;
-    const closeAmount = openAmount * portion;
-    const isShort     = position.side === 'short';
-    const execSide    = isShort ? 'buy' : 'sell';
+    const closeAmount = target != null ? Math.min(position.exitTargets[target].amount, openAmount) : openAmount * portion;
+    const execSide    = position.side === 'short' ? 'buy' : 'sell';
+
+    // The resting SL/TP covers the full size — pull it first (or find it already filled)
+    const released = await this._releaseProtection(bot, position);
+    if (released) {
+      throw new Error(`Position ${position._id} was already closed on the exchange (${released.reason})`);
+    }
+
+    const execution  = await this._executeOrder(bot, execSide, closeAmount, position.symbol, fill);
+    const executedAt = fill?.at || new Date();
+    return this._recordPartial(bot, position, {
+      closeAmount, execution, executedAt, target,
+      moveSlToBreakeven: target == null && moveSlToBreakeven,
+      reason: target != null ? 'take_profit_ladder' : reason,
+    });
+  }
 
-    const execution = await this._executeOrder(bot, execSide, closeAmount, position.symbol);
+  /**
+   * Book a partial close that has been executed (by partialClosePosition, or a
+   * ladder leg that filled on the exchange): trade record, position, bot stats.
+   */
+  async _recordPartial(bot, position, { closeAmount, execution, executedAt, reason, moveSlToBreakeven = false, target = null }) {
+    const openAmount = position.remainingAmount ?? position.amount;
+    const isShort    = position.side === 'short';
 
-    const fees = position.entryFee * portion + (execution.fee?.cost || 0);
+    const fees = position.entryFee * (closeAmount / position.amount) + (execution.fee?.cost || 0);
+    const funding = (position.fundingPaid || 0) * (closeAmount / openAmount);  // closed share of the accrued funding
     const partialPnL = isShort
-      ? (position.entryPrice - execution.price) * closeAmount - fees
-      : (execution.price - position.entryPrice) * closeAmount - fees;
+      ? (position.entryPrice - execution.price) * closeAmount - fees - funding
+      : (execution.price - position.entryPrice) * closeAmount - fees - funding;
 
     // Record the partial trade
     const trade = await Trade.create({
@@ -103,10 +184,12 @@ class OrderManager {
       userId:       bot.userId,
       positionId:   position._id,
       isDemo:       bot.isDemo,
+      replay:       !!bot.replay?.active,
       exchange:     bot.exchange,
       symbol:       position.symbol,
-      side:         'sell',
-      type:         'limit',
+      side:         isShort ? 'buy' : 'sell',
+      type:         execution.orderType || 'limit',
+      legs:         execution.legs,
       price:        execution.price,
       amount:       closeAmount,
       cost:         execution.cost,
@@ -115,17 +198,35 @@ class OrderManager {
       orderId:      execution.orderId || null,
       portionIndex: position.portionIndex,
       pnl:          partialPnL,
-      triggerReason: reason
+      funding:      position.initialMargin ? funding : null,
+      exitLeg:      target,
+      triggerReason: reason,
+      executedAt
     });
 
     // Update position: reduce remaining amount, mark TP1 hit, move SL to breakeven
     const newSL = moveSlToBreakeven ? position.entryPrice : position.stopLossPrice;
-    await Position.findByIdAndUpdate(position._id, {
+    const update = {
       remainingAmount:  openAmount - closeAmount,
-      tp1Hit:           true,
       stopLossPrice:    newSL,  // breakeven — now risk-free
-      trailingStopActive: true, // activate trailing on remaining half
-    });
+      fundingPaid:      (position.fundingPaid || 0) - funding,
+    };
+    if (target != null) {
+      Object.assign(update, exitLadder.afterFill(bot, position, target));
+      const targets = position.exitTargets.map(t => (t.toObject ? t.toObject() : { ...t }));
+      Object.assign(targets[target], {
+        status: 'filled', orderId: null, fillPrice: execution.price, pnl: partialPnL, tradeId: trade._id, filledAt: executedAt,
+      });
+      update.exitTargets = targets;
+    } else if (reason !== 'liquidation_guard') {
+      update.tp1Hit = true;
+      update.trailingStopActive = true; // activate trailing on remaining half
+    }
+    Object.assign(position, update);
+    futuresMargin.updateLiquidation(bot, position);
+    update.liquidationPrice  = position.liquidationPrice;
+    update.maintenanceMargin = position.maintenanceMargin;
+    await Position.findByIdAndUpdate(position._id, update);
 
     // Accumulate partial P&L in bot stats (counted as a trade)
     const isWin = partialPnL > 0;
@@ -150,14 +251,23 @@ class OrderManager {
         'stats.profitFactor':      parseFloat(profitFactor.toFixed(3)),
         'stats.winRate':           parseFloat(winRate.toFixed(1)),
         'stats.consecutiveLosses': newConsecutive,
-        'stats.lastTradeAt':       new Date(),
+        'stats.lastTradeAt':       executedAt,
       }
     });
 
-    if (bot.isDemo) {
+    if (bot.isDemo && !bot.replay?.active) {
       await demoSimulator.recordPnL(bot.userId, partialPnL);
     }
 
+    // Re-protect the remaining size at the new (breakeven) stop. A ladder leg that
+    // filled on the exchange left the bracket in place — syncProtection resizes it.
+    if (this._protects(bot) && !protectiveOrders.isActive(position)) {
+      const updated = await Position.findById(position._id);
+      const { exchange, ccxtSymbol } = await this._liveConnection(bot, position.symbol);
+      await protectiveOrders.place(exchange, ccxtSymbol, bot, updated);
+      position.protection = updated.protection;
+    }
+
     return { trade, partialPnL, consecutiveLosses: newConsecutive };
   }
 
@@ -166,18 +276,315 @@ class OrderManager {
    * @param {Object} bot - BotConfig document
    * @param {Object} position - Position document
    * @param {string} closeReason
+   * @param {{ price: number, at: Date }|null} [fill] - replay fill
    * @returns {Promise<{ trade, realizedPnL }>}
    */
-  async closePosition(bot, position, closeReason) {
-    const isShort  = position.side === 'short';
+  async closePosition(bot, position, closeReason, fill = null) {
+    // Pull resting ladder legs (booking any that filled, so only the rest is sold), then
+    // the exchange-side SL/TP — if one already filled, that fill is the close
+    await this._releaseExitTargets(bot, position);
+    const released = await this._releaseProtection(bot, position);
+    if (released) return released.result;
+
     // Cover short = buy back; close long = sell
-    const execSide = isShort ? 'buy' : 'sell';
-    const execution = await this._executeOrder(bot, execSide, position.amount, position.symbol);
+    const execSide   = position.side === 'short' ? 'buy' : 'sell';
+    const openAmount = position.remainingAmount ?? position.amount;
+    const execution  = await this._executeOrder(bot, execSide, openAmount, position.symbol, fill);
+    return this._recordClose(bot, position, closeReason, execution, fill?.at || new Date(), openAmount);
+  }
+
+  /**
+   * Live bots: record positions whose exchange-side stop-loss / take-profit
+   * filled since the last tick (or while the server was down), and move the
+   * resting orders along with breakeven / trailing stops.
+   * @param {Object} bot
+   * @param {Object[]} positions - open Position documents (trailing stops already updated)
+   * @returns {Promise<{ open: Object[], closed: { position, reason, price, amount, realizedPnL }[] }>}
+   */
+  async syncProtection(bot, positions) {
+    if (!this._protects(bot)) return { open: positions, closed: [] };
+
+    const open = [];
+    const closed = [];
+    for (const position of positions) {
+      try {
+        const { exchange, ccxtSymbol } = await this._liveConnection(bot, position.symbol);
+        const fill = protectiveOrders.isActive(position)
+          ? await protectiveOrders.checkFills(exchange, ccxtSymbol, position)
+          : null;
+        const synced = fill || await protectiveOrders.sync(exchange, ccxtSymbol, bot, position);
+        if (!synced) {
+          open.push(position);
+          continue;
+        }
+        const { result, execution } = await this._recordProtectionFill(bot, position, synced);
+        closed.push({ position, reason: synced.reason, price: execution.price, amount: execution.amount, realizedPnL: result.realizedPnL });
+      } catch (err) {
+        console.warn(`[OrderManager] Protection sync failed for position ${position._id}:`, err.message);
+        open.push(position);
+      }
+    }
+    return { open, closed };
+  }
+
+  /**
+   * Live futures bots: take liquidation price, margin mode and margins from the
+   * exchange position, and book funding settled since the last sync from the
+   * exchange's funding history. The exchange nets a symbol into one position, so
+   * margins and funding are split across the bot's positions on it by size.
+   * @param {Object} bot
+   * @param {Object[]} positions - open Position documents (updated in place)
+   */
+  async syncFuturesState(bot, positions) {
+    if (bot.isDemo || bot.marketType !== 'futures') return;
+
+    const bySymbol = new Map();
+    for (const p of positions) bySymbol.set(p.symbol, [...(bySymbol.get(p.symbol) || []), p]);
+
+    for (const [symbol, group] of bySymbol) {
+      try {
+        const { exchange, ccxtSymbol } = await this._liveConnection(bot, symbol);
+        const [live] = (await exchange.fetchPositions([ccxtSymbol])).filter(p => Math.abs(p.contracts || 0) > 0);
+        const since   = Math.min(...group.map(p => (p.lastFundingAt || p.openedAt).getTime()));
+        const history = exchange.has?.fetchFundingHistory ? await exchange.fetchFundingHistory(ccxtSymbol, since) : [];
+        const total   = group.reduce((sum, p) => sum + (p.remainingAmount ?? p.amount), 0);
+
+        for (const position of group) {
+          const share  = (position.remainingAmount ?? position.amount) / total;
+          const update = {};
+          if (live?.liquidationPrice) {
+            Object.assign(update, {
+              liquidationPrice:  live.liquidationPrice,
+              liquidationSource: 'exchange',
+              ...(live.marginMode        && { marginMode: live.marginMode }),
+              ...(live.leverage          && { leverage: live.leverage }),
+              ...(live.initialMargin     && { initialMargin: live.initialMargin * share }),
+              ...(live.maintenanceMargin && { maintenanceMargin: live.maintenanceMargin * share }),
+            });
+          }
+          // Funding history amounts are signed from the account's view: negative = paid
+          const after   = (position.lastFundingAt || position.openedAt).getTime();
+          const settled = history.filter(h => h.timestamp > after);
+          if (settled.length) {
+            update.fundingPaid   = (position.fundingPaid || 0) - settled.reduce((sum, h) => sum + (h.amount || 0), 0) * share;
+            update.lastFundingAt = new Date(Math.max(...settled.map(h => h.timestamp)));
+          }
+          if (Object.keys(update).length) {
+            Object.assign(position, update);
+            await Position.findByIdAndUpdate(position._id, update);
+          }
+        }
+      } catch (err) {
+        console.warn(`[OrderManager] Futures state sync failed for ${symbol}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Live futures bots: book scale-out legs whose resting limit orders filled since
+   * the last tick. Legs cancelled on the exchange fall back to the tick.
+   * @param {Object} bot
+   * @param {Object[]} positions - open Position documents
+   * @returns {Promise<{ position, index, price, amount, partialPnL }[]>}
+   */
+  async syncExitLadder(bot, positions) {
+    if (!this._restsLadder(bot)) return [];
+
+    const filled = [];
+    for (const position of positions) {
+      try {
+        for (const leg of await this._checkExitTargets(bot, position)) filled.push({ position, ...leg });
+      } catch (err) {
+        console.warn(`[OrderManager] Exit ladder sync failed for position ${position._id}:`, err.message);
+      }
+    }
+    return filled;
+  }
+
+  /**
+   * Book a live position that no longer exists on the exchange (found by
+   * PositionReconciler). A protective order that filled is recorded as the close;
+   * otherwise the position is closed at `price` with reason 'reconciled'.
+   * @returns {Promise<{ reason: string, price: number, realizedPnL: number }>}
+   */
+  async recordExternalClose(bot, position, price) {
+    const released = await this._releaseProtection(bot, position).catch(() => null);
+    if (released) {
+      return { reason: released.result.trade.triggerReason, price: released.execution.price, realizedPnL: released.result.realizedPnL };
+    }
+
+    const amount    = position.remainingAmount ?? position.amount;
+    const execution = { price, amount, cost: price * amount, fee: { cost: 0, currency: 'USDT', rate: 0 } };
+    const result    = await this._recordClose(bot, position, 'reconciled', execution, new Date(), amount);
+    return { reason: 'reconciled', price, realizedPnL: result.realizedPnL };
+  }
+
+  /**
+   * Take over an exchange holding that has no Position record (PositionReconciler):
+   * records the entry trade and position, and protects it like a new entry.
+   * @param {Object} bot
+   * @param {{ symbol, side, amount, entryPrice, stopLossPrice, takeProfitPrice? }} holding
+   * @returns {Promise<{ trade, position }>}
+   */
+  async adoptPosition(bot, { symbol, side, amount, entryPrice, stopLossPrice, takeProfitPrice = null }) {
+    const last = await Position.findOne({ botId: bot._id, status: 'open' }).sort({ portionIndex: -1 }).select('portionIndex').lean();
+    const portionIndex = (last?.portionIndex ?? -1) + 1;
+    const executedAt   = new Date();
+
+    const trade = await Trade.create({
+      botId: bot._id,
+      userId: bot.userId,
+      isDemo: bot.isDemo,
+      exchange: bot.exchange,
+      symbol,
+      side: side === 'short' ? 'sell' : 'buy',
+      type: 'market',
+      price: entryPrice,
+      amount,
+      cost: entryPrice * amount,
+      status: 'closed',
+      portionIndex,
+      triggerReason: 'reconciled',
+      executedAt
+    });
+
+    const position = await Position.create({
+      botId: bot._id,
+      userId: bot.userId,
+      isDemo: bot.isDemo,
+      exchange: bot.exchange,
+      symbol,
+      portionIndex,
+      side,
+      entryPrice,
+      amount,
+      cost: entryPrice * amount,
+      takeProfitPrice,
+      stopLossPrice,
+      remainingAmount: amount,
+      currentPrice: entryPrice,
+      openedAt: executedAt,
+      ...futuresMargin.entryFields(bot, { side, entryPrice, amount, openedAt: executedAt })
+    });
+    await Trade.findByIdAndUpdate(trade._id, { positionId: position._id });
+
+    if (this._protects(bot)) {
+      const { exchange, ccxtSymbol } = await this._liveConnection(bot, symbol);
+      await protectiveOrders.place(exchange, ccxtSymbol, bot, position);
+    }
+
+    return { trade, position };
+  }
+
+  _restsLadder(bot) {
+    return !bot.isDemo && bot.marketType === 'futures';
+  }
+
+  /**
+   * Internal: rest each pending ladder leg on the exchange as a reduce-only limit.
+   * A leg the exchange refuses stays tick-managed.
+   */
+  async _placeExitTargets(bot, position) {
+    const { exchange, ccxtSymbol } = await this._liveConnection(bot, position.symbol);
+    const exitSide = position.side === 'short' ? 'buy' : 'sell';
+    const targets  = position.exitTargets.map(t => (t.toObject ? t.toObject() : { ...t }));
+    for (const t of targets.filter(t => t.status === 'pending' && !t.orderId)) {
+      try {
+        const order = await exchange.createOrder(ccxtSymbol, 'limit', exitSide, t.amount, t.price, { reduceOnly: true });
+        t.orderId = order.id;
+      } catch (err) {
+        console.warn(`[OrderManager] Could not rest exit target ${t.index} of position ${position._id} (taken on the tick instead):`, err.message);
+      }
+    }
+    position.exitTargets = targets;
+    await Position.findByIdAndUpdate(position._id, { exitTargets: targets });
+  }
+
+  /**
+   * Internal: book resting ladder legs that filled; with `cancel`, pull the rest.
+   * An order that is still open (possibly part-filled) is booked once it completes.
+   * @returns {Promise<{ index, price, amount, partialPnL }[]>}
+   */
+  async _checkExitTargets(bot, position, { cancel = false } = {}) {
+    const resting = (position.exitTargets || []).filter(t => t.status === 'pending' && t.orderId);
+    if (bot.isDemo || !resting.length) return [];
+
+    const { exchange, ccxtSymbol } = await this._liveConnection(bot, position.symbol);
+    const filled = [];
+    for (const { index, orderId } of resting) {
+      let order = await exchange.fetchOrder(orderId, ccxtSymbol);
+      if (cancel && isOpen(order)) {
+        await exchange.cancelOrder(orderId, ccxtSymbol).catch(() => {});
+        order = await exchange.fetchOrder(orderId, ccxtSymbol);
+      }
+      if (isOpen(order)) continue;
+
+      if ((order.filled || 0) > 0) {
+        const execution = this._toExecution(order, order.filled);
+        const { partialPnL } = await this._recordPartial(bot, position, {
+          closeAmount: execution.amount, execution, executedAt: execution.executedAt, reason: 'take_profit_ladder', target: index,
+        });
+        filled.push({ index, price: execution.price, amount: execution.amount, partialPnL });
+      } else {
+        // Cancelled unfilled — by us, or by hand on the exchange
+        const targets = position.exitTargets.map(t => (t.toObject ? t.toObject() : { ...t }));
+        targets[index].orderId = null;
+        position.exitTargets = targets;
+        await Position.findByIdAndUpdate(position._id, { exitTargets: targets });
+      }
+    }
+    return filled;
+  }
+
+  async _releaseExitTargets(bot, position) {
+    return this._checkExitTargets(bot, position, { cancel: true });
+  }
 
-    const fees = position.entryFee + (execution.fee?.cost || 0);
+  // After a close: pull whatever ladder orders still rest (reduce-only, so nothing can over-fill meanwhile)
+  async _cancelExitOrders(bot, position) {
+    const resting = (position.exitTargets || []).filter(t => t.status === 'pending' && t.orderId);
+    if (bot.isDemo || !resting.length) return;
+    const { exchange, ccxtSymbol } = await this._liveConnection(bot, position.symbol);
+    for (const t of resting) await exchange.cancelOrder(t.orderId, ccxtSymbol).catch(() => {});
+  }
+
+  _protects(bot) {
+    return !bot.isDemo && bot.riskParams?.exchangeProtection !== false;
+  }
+
+  /**
+   * Cancel a live position's protective orders before the bot closes it.
+   * @returns {Promise<{ result, execution }|null>} the recorded close when a leg had already filled
+   */
+  async _releaseProtection(bot, position) {
+    if (bot.isDemo || !protectiveOrders.isActive(position)) return null;
+    const { exchange, ccxtSymbol } = await this._liveConnection(bot, position.symbol);
+    const fill = await protectiveOrders.cancel(exchange, ccxtSymbol, position);
+    return fill ? this._recordProtectionFill(bot, position, fill) : null;
+  }
+
+  async _recordProtectionFill(bot, position, { reason, order }) {
+    const amount    = order.filled || position.protection?.amount || position.remainingAmount || position.amount;
+    const execution = this._toExecution(order, amount);
+    const result    = await this._recordClose(bot, position, reason, execution, execution.executedAt, amount);
+    return { result, execution };
+  }
+
+  /**
+   * Book a close that has been executed: trade record, position, bot stats.
+   * @param {number} [closeAmount] - size that was closed (an exchange stop covers only the remaining size)
+   */
+  async _recordClose(bot, position, closeReason, execution, executedAt, closeAmount = position.amount) {
+    const isShort = position.side === 'short';
+    // Stopped out on a stop the news filter tightened
+    if (position.newsStop?.active && (closeReason === 'stop_loss' || closeReason === 'trailing_stop')) {
+      closeReason = 'news_stop';
+    }
+    const fees = position.entryFee * (closeAmount / position.amount) + (execution.fee?.cost || 0);
+    const funding = position.fundingPaid || 0;  // partial closes already settled their share
     const realizedPnL = isShort
-      ? (position.entryPrice - execution.price) * position.amount - fees
-      : (execution.price - position.entryPrice) * position.amount - fees;
+      ? (position.entryPrice - execution.price) * closeAmount - fees - funding
+      : (execution.price - position.entryPrice) * closeAmount - fees - funding;
 
     // Create closing trade record
     const trade = await Trade.create({
@@ -185,10 +592,12 @@ class OrderManager {
       userId: bot.userId,
       positionId: position._id,
       isDemo: bot.isDemo,
+      replay: !!bot.replay?.active,
       exchange: bot.exchange,
       symbol: position.symbol,   // use actual traded pair (bot.symbol may be 'MULTI')
-      side: 'sell',
-      type: 'market',
+      side: isShort ? 'buy' : 'sell',   // short covers are buys — closing trades are the ones with pnl
+      type: execution.orderType || 'market',
+      legs: execution.legs,
       price: execution.price,
       amount: execution.amount,
       cost: execution.cost,
@@ -197,17 +606,25 @@ class OrderManager {
       orderId: execution.orderId || null,
       portionIndex: position.portionIndex,
       pnl: realizedPnL,
-      triggerReason: closeReason
+      funding: position.initialMargin ? funding : null,
+      triggerReason: closeReason,
+      executedAt
     });
 
-    // Close position record
+    // Close position record; ladder legs still pending won't fill now
+    await this._cancelExitOrders(bot, position).catch(err =>
+      console.warn(`[OrderManager] Could not cancel exit targets of position ${position._id}:`, err.message)
+    );
     await Position.findByIdAndUpdate(position._id, {
       status: 'closed',
       closePrice: execution.price,
       closeReason,
-      closedAt: new Date(),
+      closedAt: executedAt,
       realizedPnL,
-      currentPrice: execution.price
+      currentPrice: execution.price,
+      ...(position.exitTargets?.length && {
+        exitTargets: position.exitTargets.map(t => ({ ...(t.toObject ? t.toObject() : t), ...(t.status === 'pending' && { status: 'cancelled', orderId: null }) }))
+      })
     });
 
     // Update bot stats atomically
@@ -239,12 +656,12 @@ class OrderManager {
         'stats.profitFactor':      parseFloat(profitFactor.toFixed(3)),
         'stats.winRate':           parseFloat(winRate.toFixed(1)),
         'stats.consecutiveLosses': newConsecutive,
-        'stats.lastTradeAt':       new Date(),
+        'stats.lastTradeAt':       executedAt,
       }
     });
 
     // Record P&L on demo account if applicable
-    if (bot.isDemo) {
+    if (bot.isDemo && !bot.replay?.active) {
       await demoSimulator.recordPnL(bot.userId, realizedPnL);
     }
 
@@ -253,10 +670,18 @@ class OrderManager {
 
   /**
    * Internal: route order to demo or live exchange.
+   * Live orders are worked per `policy` (see DEFAULT_POLICY / BotConfig.execution):
+   * limit or post-only attempts, re-priced `chaseSteps` times within `timeoutSec`,
+   * then the unfilled rest goes to market (or is dropped with fallback 'cancel').
+   * @param {{ policy?: Object, refPrice?: number|null }} [opts] - refPrice feeds priceRef 'signal'
    */
-  async _executeOrder(bot, side, amount, symbolOverride) {
+  async _executeOrder(bot, side, amount, symbolOverride, fill = null, { policy = DEFAULT_POLICY, refPrice = null } = {}) {
     const symbol = symbolOverride || bot.symbol;
 
+    if (bot.isDemo && bot.replay?.active) {
+      if (!fill) throw new Error('Replay orders need a replay fill');
+      return this._replayFill(side, amount, symbol, fill);
+    }
     if (bot.isDemo) {
       return await demoSimulator.executeOrder(bot.userId, {
         exchange:   bot.exchange,
@@ -264,10 +689,195 @@ class OrderManager {
         side,
         amount,
         marketType: bot.marketType || 'spot',
+        ...(fill && { price: fill.price, executedAt: fill.at }),
       });
     }
+    if (fill) throw new Error('Replay fills are only supported for demo bots');
 
     // Live order via CCXT
+    const { exchange, ccxtSymbol } = await this._liveConnection(bot, symbol);
+
+    // CCXT only accepts 'buy' or 'sell' — map futures-short entry 'short' → 'sell'
+    const ccxtSide = side === 'short' ? 'sell' : side;
+
+    const legs = [];
+    if (policy.entryType !== 'market') {
+      try {
+        await this._workLimitOrder(exchange, ccxtSymbol, ccxtSide, amount, policy, refPrice, legs);
+      } catch (limitErr) {
+        console.warn(`[OrderManager] Limit order attempt failed: ${limitErr.message}`);
+      }
+    }
+
+    const filled    = legs.reduce((sum, l) => sum + l.amount, 0);
+    const remaining = amount - filled;
+    if (remaining > amount * FILL_TOLERANCE) {
+      if (policy.fallback === 'cancel') {
+        if (!legs.length) throw new Error(`${policy.entryType} order for ${ccxtSymbol} not filled within ${policy.timeoutSec}s`);
+        console.warn(`[OrderManager] ${ccxtSymbol}: ${filled}/${amount} filled, rest cancelled`);
+      } else {
+        if (legs.length) console.warn(`[OrderManager] ${ccxtSymbol}: ${filled}/${amount} filled by limit, ${remaining} at market`);
+        const order = await exchange.createMarketOrder(ccxtSymbol, ccxtSide, remaining);
+        legs.push(this._leg(order, 'market', remaining));
+      }
+    }
+
+    return this._combineLegs(legs);
+  }
+
+  /**
+   * Internal: fill a replay order at the replayed price with DemoSimulator's
+   * spread and taker fee, without touching the DemoAccount.
+   */
+  _replayFill(side, amount, symbol, fill) {
+    const spread = getSpreadRate(symbol);
+    const price  = side === 'buy' ? fill.price * (1 + spread) : fill.price * (1 - spread);
+    const cost   = price * amount;
+    return {
+      price,
+      amount,
+      cost,
+      fee: { cost: cost * TAKER_FEE_RATE, currency: 'USDT', rate: TAKER_FEE_RATE },
+      executedAt: fill.at,
+    };
+  }
+
+  /**
+   * Internal: work a limit / post-only order through 1 + chaseSteps attempts,
+   * pushing every (partial) fill onto `legs`. Stops once the amount is filled.
+   */
+  async _workLimitOrder(exchange, ccxtSymbol, side, amount, policy, refPrice, legs) {
+    const attempts  = 1 + (policy.chaseSteps || 0);
+    const stepMs    = (Math.min(policy.timeoutSec, MAX_TIMEOUT_SEC) * 1_000) / attempts;
+    const postOnly  = policy.entryType === 'post_only';
+    const params    = postOnly ? { postOnly: true } : {};
+    const type      = postOnly ? 'post_only' : 'limit';
+    let firstPrice  = null;
+
+    for (let i = 0; i < attempts; i++) {
+      const remaining = amount - legs.reduce((sum, l) => sum + l.amount, 0);
+      if (remaining <= amount * FILL_TOLERANCE) return;
+
+      let price = await this._limitPrice(exchange, ccxtSymbol, side, policy, i === 0 ? refPrice : null);
+      if (!price) return;
+      if (firstPrice === null) {
+        firstPrice = price;
+      } else {
+        // Chase, but never further than maxChasePct from where we started
+        const cap = firstPrice * (policy.maxChasePct / 100);
+        price = Math.min(Math.max(price, firstPrice - cap), firstPrice + cap);
+      }
+
+      let order;
+      try {
+        order = await exchange.createLimitOrder(ccxtSymbol, side, remaining, price, params);
+      } catch (err) {
+        // Post-only orders that would cross are rejected — try again at the next step's price
+        if (!postOnly) throw err;
+        console.warn(`[OrderManager] Post-only order at ${price} rejected: ${err.message}`);
+        await sleep(stepMs);
+        continue;
+      }
+
+      const deadline = Date.now() + stepMs;
+      while (Date.now() < deadline && isOpen(order)) {
+        await sleep(Math.min(POLL_MS, Math.max(0, deadline - Date.now())));
+        order = await exchange.fetchOrder(order.id, ccxtSymbol);
+      }
+
+      if (isOpen(order)) {
+        await exchange.cancelOrder(order.id, ccxtSymbol).catch(() => {});
+        // Re-read: it may have (partly) filled between the last poll and the cancel
+        order = await exchange.fetchOrder(order.id, ccxtSymbol).catch(() => order);
+      }
+      if ((order.filled || 0) > 0) legs.push(this._leg(order, type, order.filled));
+    }
+  }
+
+  /**
+   * Internal: limit price for an attempt.
+   * 'touch' crosses the spread (post-only can't, so it joins its own side);
+   * 'best_bid' joins our own side — best bid for buys, best ask for sells;
+   * 'signal' uses the signal's entry price on the first attempt, then the touch.
+   */
+  async _limitPrice(exchange, ccxtSymbol, side, policy, refPrice) {
+    if (policy.priceRef === 'signal' && refPrice) return refPrice;
+
+    const ticker = await exchange.fetchTicker(ccxtSymbol);
+    const bid = ticker.bid || ticker.last;
+    const ask = ticker.ask || ticker.last;
+    const own   = side === 'buy' ? bid : ask;
+    const touch = side === 'buy' ? ask : bid;
+
+    switch (policy.priceRef) {
+      case 'best_bid': return own;
+      case 'mid':      return bid && ask ? (bid + ask) / 2 : ticker.last;
+      default:         return policy.entryType === 'post_only' ? own : touch;
+    }
+  }
+
+  /**
+   * Internal: one filled leg of an order.
+   */
+  _leg(order, type, amount) {
+    const price = order.average || order.price || order.fills?.[0]?.price;
+    return {
+      orderId: order.id,
+      type,
+      price,
+      amount,
+      cost:    order.cost || price * amount,
+      fee:     order.fee?.cost || 0,
+      feeCurrency: order.fee?.currency || 'USDT',
+      executedAt:  order.timestamp ? new Date(order.timestamp) : new Date(),
+    };
+  }
+
+  /**
+   * Internal: merge filled legs into one execution result (volume-weighted price, summed fees).
+   */
+  _combineLegs(legs) {
+    const amount  = legs.reduce((sum, l) => sum + l.amount, 0);
+    const cost    = legs.reduce((sum, l) => sum + l.cost, 0);
+    const feeCost = legs.reduce((sum, l) => sum + l.fee, 0);
+    const types   = new Set(legs.map(l => (l.type === 'market' ? 'market' : 'limit')));
+    const last    = legs[legs.length - 1];
+
+    return {
+      price:     cost / amount,
+      amount,
+      cost,
+      fee:       { cost: feeCost, currency: legs[0].feeCurrency, rate: cost > 0 ? feeCost / cost : 0 },
+      orderId:   last.orderId,
+      orderType: types.size > 1 ? 'mixed' : [...types][0],
+      legs:      legs.map(({ orderId, type, price, amount, cost, fee }) => ({ orderId, type, price, amount, cost, fee })),
+      executedAt: last.executedAt
+    };
+  }
+
+  /**
+   * Internal: apply the bot's margin mode and leverage before a live futures entry.
+   * Best effort — when the exchange refuses (e.g. mode locked by an open position)
+   * its current setting stays, and syncFuturesState reads it back.
+   */
+  async _prepareFutures(bot, symbol, leverage) {
+    const { exchange, ccxtSymbol } = await this._liveConnection(bot, symbol);
+    const { marginMode } = futuresMargin.settings(bot);
+    if (exchange.has?.setMarginMode) {
+      await exchange.setMarginMode(marginMode, ccxtSymbol)
+        .catch(err => console.warn(`[OrderManager] ${ccxtSymbol}: could not set ${marginMode} margin: ${err.message}`));
+    }
+    if (exchange.has?.setLeverage) {
+      await exchange.setLeverage(leverage, ccxtSymbol)
+        .catch(err => console.warn(`[OrderManager] ${ccxtSymbol}: could not set ${leverage}x leverage: ${err.message}`));
+    }
+  }
+
+  /**
+   * Internal: authenticated ccxt instance for a live bot plus the exchange's symbol.
+   * @returns {Promise<{ exchange: Object, ccxtSymbol: string }>}
+   */
+  async _liveConnection(bot, symbol) {
     const exchangeAccount = await ExchangeAccount
       .findById(bot.exchangeAccountId)
       .select('+apiKeyEncrypted +apiSecretEncrypted +apiPassphraseEncrypted');
@@ -291,48 +901,13 @@ class OrderManager {
     const market = exchange.marketsById?.[symbol] || exchange.markets?.[symbol];
     const ccxtSymbol = market?.symbol || symbol;
 
-    // CCXT only accepts 'buy' or 'sell' — map futures-short entry 'short' → 'sell'
-    const ccxtSide = side === 'short' ? 'sell' : side;
-
-    // ── Prefer limit orders at current best price for better execution ──────
-    // Limit orders save 0.05-0.15% per trade vs market orders. We place a
-    // limit at the current ask (buy) or bid (sell) and wait up to 8 seconds
-    // for a fill. If unfilled, we cancel and fall back to a market order.
-    let order;
-    try {
-      const ticker = await exchange.fetchTicker(ccxtSymbol);
-      const limitPrice = ccxtSide === 'buy'
-        ? ticker.ask || ticker.last        // buy at ask
-        : ticker.bid || ticker.last;       // sell at bid
-
-      if (limitPrice) {
-        order = await exchange.createLimitOrder(ccxtSymbol, ccxtSide, amount, limitPrice);
-
-        // Wait up to 8 seconds for the limit order to fill
-        const deadline = Date.now() + 8_000;
-        while (Date.now() < deadline) {
-          await new Promise(r => setTimeout(r, 1_500));
-          order = await exchange.fetchOrder(order.id, ccxtSymbol);
-          if (order.status === 'closed' || order.filled >= amount * 0.99) break;
-        }
-
-        // If still not filled, cancel and fall through to market order
-        if (order.status !== 'closed' && (order.filled || 0) < amount * 0.99) {
-          console.warn(`[OrderManager] Limit order ${order.id} not filled after 8s, falling back to market`);
-          await exchange.cancelOrder(order.id, ccxtSymbol).catch(() => {});
-          order = null; // trigger market fallback below
-        }
-      }
-    } catch (limitErr) {
-      console.warn(`[OrderManager] Limit order attempt failed: ${limitErr.message} — using market order`);
-      order = null;
-    }
-
-    // Fallback: market order (if limit failed or timed out)
-    if (!order || order.status !== 'closed') {
-      order = await exchange.createMarketOrder(ccxtSymbol, ccxtSide, amount);
-    }
+    return { exchange, ccxtSymbol };
+  }
 
+  /**
+   * Internal: normalise a ccxt order into an execution result.
+   */
+  _toExecution(order, amount) {
     return {
       price: order.average || order.price || order.fills?.[0]?.price,
       amount: order.filled || amount,
@@ -0,0 +1,216 @@
+import PortfolioRisk from '../../models/bot/PortfolioRisk.js';
+import BotConfig from '../../models/bot/BotConfig.js';
+import Position from '../../models/bot/Position.js';
+import Trade from '../../models/bot/Trade.js';
+
+// Built-in correlated clusters (used when the user has not defined their own)
+export const DEFAULT_CLUSTERS = [
+  { name: 'majors', assets: ['BTC', 'ETH'] },
+  { name: 'layer1', assets: ['SOL', 'AVAX', 'ADA', 'DOT', 'NEAR', 'ATOM', 'APT', 'SUI', 'SEI', 'TON', 'TRX', 'BNB'] },
+  { name: 'layer2', assets: ['ARB', 'OP', 'MATIC', 'POL', 'IMX', 'STRK', 'MNT'] },
+  { name: 'defi',   assets: ['UNI', 'AAVE', 'LINK', 'MKR', 'CRV', 'LDO', 'COMP', 'SNX', 'PENDLE', 'JUP'] },
+  { name: 'meme',   assets: ['DOGE', 'SHIB', 'PEPE', 'FLOKI', 'BONK', 'WIF', 'BOME', 'MEME'] },
+  { name: 'ai',     assets: ['FET', 'RNDR', 'RENDER', 'AGIX', 'TAO', 'WLD', 'ARKM'] },
+];
+
+const QUOTE_SUFFIXES = ['USDT', 'USDC', 'FDUSD', 'BUSD', 'USD'];
+
+/**
+ * Base asset of a stored symbol: 'BTCUSDT', 'BTC/USDT' and 'BTC/USDT:USDT' → 'BTC'.
+ */
+export function baseAsset(symbol) {
+  const s = String(symbol).toUpperCase();
+  if (s.includes('/')) return s.split('/')[0];
+  const quote = QUOTE_SUFFIXES.find(q => s.endsWith(q) && s.length > q.length);
+  return quote ? s.slice(0, -quote.length) : s;
+}
+
+/**
+ * PortfolioRiskEngine - user-level risk across every bot and exchange account.
+ * RiskEngine guards one bot; this adds total exposure, per-asset and per-cluster
+ * concentration, aggregate leverage and an account-wide daily loss limit.
+ * The daily loss limit engages the kill switch (BotEngine pauses every bot);
+ * the other limits block new entries.
+ */
+class PortfolioRiskEngine {
+  /**
+   * The user's settings, or null when none were saved (no portfolio limits).
+   */
+  async getSettings(userId) {
+    return PortfolioRisk.findOne({ userId }).lean();
+  }
+
+  _inScope(bot, settings) {
+    return !bot.isDemo || settings.includeDemo;
+  }
+
+  _clusterOf(asset, settings) {
+    const clusters = settings.clusters?.length ? settings.clusters : DEFAULT_CLUSTERS;
+    return clusters.find(c => c.assets.includes(asset))?.name || null;
+  }
+
+  /**
+   * Current portfolio state for a user.
+   * @param {string} userId
+   * @param {Object} [settings] - PortfolioRisk (defaults when omitted)
+   * @param {Date}   [now]
+   */
+  async snapshot(userId, settings = {}, now = new Date()) {
+    const scope = { userId, ...(settings.includeDemo ? {} : { isDemo: false }) };
+    const bots  = await BotConfig.find(scope).select('status capitalAllocation.totalCapital').lean();
+    const ids   = bots.map(b => b._id);
+
+    const positions = await Position.find({ botId: { $in: ids }, status: 'open', replay: { $ne: true } })
+      .select('botId symbol amount remainingAmount entryPrice currentPrice unrealizedPnL')
+      .lean();
+    const holding = new Set(positions.map(p => p.botId.toString()));
+
+    const capitalBase = bots
+      .filter(b => b.status !== 'stopped' || holding.has(b._id.toString()))
+      .reduce((sum, b) => sum + (b.capitalAllocation?.totalCapital || 0), 0);
+
+    const byAsset = {};
+    const byCluster = {};
+    let totalExposure = 0;
+    let unrealizedPnL = 0;
+    for (const p of positions) {
+      const notional = (p.currentPrice || p.entryPrice) * (p.remainingAmount ?? p.amount);
+      const asset    = baseAsset(p.symbol);
+      const cluster  = this._clusterOf(asset, settings);
+      totalExposure += notional;
+      unrealizedPnL += p.unrealizedPnL || 0;
+      byAsset[asset] = (byAsset[asset] || 0) + notional;
+      if (cluster) byCluster[cluster] = (byCluster[cluster] || 0) + notional;
+    }
+
+    const utcMidnight = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const [realized] = await Trade.aggregate([
+      { $match: { botId: { $in: ids }, replay: { $ne: true }, positionId: { $ne: null }, pnl: { $ne: null }, executedAt: { $gte: utcMidnight } } },
+      { $group: { _id: null, total: { $sum: '$pnl' } } }
+    ]);
+    const realizedToday = realized?.total ?? 0;
+
+    return {
+      capitalBase,
+      totalExposure,
+      leverage: capitalBase > 0 ? totalExposure / capitalBase : 0,
+      byAsset,
+      byCluster,
+      realizedToday,
+      unrealizedPnL,
+      dailyPnL: realizedToday + unrealizedPnL,
+      openPositions: positions.length,
+      bots: bots.length,
+    };
+  }
+
+  /**
+   * Can this bot open a position of `amount` at `price` without breaching a portfolio limit?
+   * @param {Object} bot
+   * @param {{ symbol: string, amount: number, price: number }} order
+   * @returns {Promise<{ allowed: boolean, reason: string|null }>}
+   */
+  async checkCanOpen(bot, { symbol, amount, price }) {
+    const settings = await this.getSettings(bot.userId);
+    if (!settings || !this._inScope(bot, settings)) return { allowed: true, reason: null };
+    if (settings.killSwitch?.engaged) return { allowed: false, reason: 'portfolio_kill_switch' };
+
+    const l = settings.limits || {};
+    if ([l.maxTotalExposureUsd, l.maxAssetPct, l.maxClusterPct, l.dailyLossLimitPct, l.maxAggregateLeverage].every(v => v == null)) {
+      return { allowed: true, reason: null };
+    }
+
+    const snap     = await this.snapshot(bot.userId, settings);
+    const capital  = Math.max(snap.capitalBase, bot.capitalAllocation?.totalCapital || 0);
+    const notional = amount * price;
+    const asset    = baseAsset(symbol);
+    const cluster  = this._clusterOf(asset, settings);
+    const pct      = (usd) => (capital > 0 ? (usd / capital) * 100 : Infinity);
+
+    if (l.dailyLossLimitPct != null && snap.dailyPnL < -(capital * l.dailyLossLimitPct) / 100) {
+      return { allowed: false, reason: 'portfolio_daily_loss_limit' };
+    }
+    if (l.maxTotalExposureUsd != null && snap.totalExposure + notional > l.maxTotalExposureUsd) {
+      return { allowed: false, reason: 'portfolio_exposure_cap' };
+    }
+    if (l.maxAggregateLeverage != null && capital > 0 && (snap.totalExposure + notional) / capital > l.maxAggregateLeverage) {
+      return { allowed: false, reason: 'portfolio_leverage_ceiling' };
+    }
+    if (l.maxAssetPct != null && pct((snap.byAsset[asset] || 0) + notional) > l.maxAssetPct) {
+      return { allowed: false, reason: `portfolio_asset_limit_${asset}` };
+    }
+    if (l.maxClusterPct != null && cluster && pct((snap.byCluster[cluster] || 0) + notional) > l.maxClusterPct) {
+      return { allowed: false, reason: `portfolio_cluster_limit_${cluster}` };
+    }
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Whether the kill switch keeps this bot from running.
+   */
+  async isHalted(bot) {
+    const settings = await this.getSettings(bot.userId);
+    return !!(settings?.killSwitch?.engaged && this._inScope(bot, settings));
+  }
+
+  /**
+   * Daily loss breach that should engage the kill switch, if any. Once the user
+   * releases it, it stays off for the rest of the UTC day (entries stay blocked).
+   * @returns {Promise<string|null>} reason
+   */
+  async checkDailyLoss(userId, now = new Date()) {
+    const settings = await this.getSettings(userId);
+    const limit = settings?.limits?.dailyLossLimitPct;
+    if (limit == null || settings.killSwitch?.engaged) return null;
+    const utcMidnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    if (settings.killSwitch?.releasedAt && settings.killSwitch.releasedAt.getTime() >= utcMidnight) return null;
+
+    const snap = await this.snapshot(userId, settings, now);
+    if (snap.capitalBase <= 0 || snap.dailyPnL >= -(snap.capitalBase * limit) / 100) return null;
+    return `Portfolio daily loss ${((-snap.dailyPnL / snap.capitalBase) * 100).toFixed(1)}% reached the ${limit}% limit`;
+  }
+
+  /**
+   * Engage the kill switch. Returns the ids of the running bots to pause,
+   * or null when it was already engaged.
+   * @param {string} userId
+   * @param {string} reason
+   * @param {'auto'|'user'} engagedBy
+   * @returns {Promise<string[]|null>}
+   */
+  async engage(userId, reason, engagedBy) {
+    const settings = (await this.getSettings(userId)) || {};
+    const running  = await BotConfig.find({
+      userId,
+      status: 'running',
+      'replay.active': { $ne: true },
+      ...(settings.includeDemo ? {} : { isDemo: false }),
+    }).select('_id').lean();
+    const botIds = running.map(b => b._id);
+
+    const updated = await PortfolioRisk.findOneAndUpdate(
+      { userId, 'killSwitch.engaged': { $ne: true } },
+      { killSwitch: { engaged: true, reason, engagedBy, engagedAt: new Date(), releasedAt: null, pausedBotIds: botIds } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).catch(err => {
+      // Upsert raced an engaged document: already engaged
+      if (err.code === 11000) return null;
+      throw err;
+    });
+    return updated ? botIds.map(String) : null;
+  }
+
+  /**
+   * Release the kill switch.
+   * @returns {Promise<string[]|null>} ids of the bots it paused (they stay paused), null when not engaged
+   */
+  async release(userId) {
+    const prev = await PortfolioRisk.findOneAndUpdate(
+      { userId, 'killSwitch.engaged': true },
+      { 'killSwitch.engaged': false, 'killSwitch.releasedAt': new Date() }
+    ).lean();
+    return prev ? (prev.killSwitch.pausedBotIds || []).map(String) : null;
+  }
+}
+
+export default new PortfolioRiskEngine();
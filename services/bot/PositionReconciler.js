@@ -0,0 +1,364 @@
+import ExchangeAccount from '../../models/ExchangeAccount.js';
+import BotConfig from '../../models/bot/BotConfig.js';
+import Position from '../../models/bot/Position.js';
+import Trade from '../../models/bot/Trade.js';
+import Notification from '../../models/Notification.js';
+import ReconciliationReport from '../../models/bot/ReconciliationReport.js';
+import exchangeConnector from './ExchangeConnector.js';
+import orderManager from './OrderManager.js';
+
+const AMOUNT_TOLERANCE = 0.02;     // 2% — base-asset fees and lot-size rounding
+const DUST_USD         = 5;        // holdings worth less than this are ignored
+const SETTLE_MS        = 2 * 60_000; // symbols traded this recently are re-checked next run instead of healed
+const ADOPT_STOP_PCT   = 5;        // stop-loss placed on adopted positions, % from entry
+const MIN_GAP_MS       = 5 * 60_000; // scheduled runs skip accounts reconciled this recently (by any worker)
+
+/**
+ * PositionReconciler - compares what an exchange account actually holds with
+ * the open Position records of its live bots.
+ *
+ * Spot: base-asset balances of the symbols the account's bots trade.
+ * Futures: exchange positions per symbol and side.
+ * Open orders: anything resting that is not one of our protective orders.
+ *
+ * With reconciliation.autoHeal on the account, ghost positions are closed and
+ * orphans adopted by the one bot trading that symbol; otherwise (or when it is
+ * ambiguous) they are only flagged. Every run is stored as a ReconciliationReport.
+ */
+class PositionReconciler {
+  constructor() {
+    this.io = null;
+    this._running = new Set(); // exchangeAccountIds being reconciled
+  }
+
+  setIO(io) {
+    this.io = io;
+  }
+
+  /**
+   * Reconcile every exchange account that has live bots which are running or hold positions.
+   * @returns {Promise<number>} accounts reconciled
+   */
+  async reconcileAll() {
+    const withPositions = await Position.distinct('botId', { status: 'open', isDemo: false });
+    const accountIds = await BotConfig.distinct('exchangeAccountId', {
+      isDemo: false,
+      exchangeAccountId: { $ne: null },
+      $or: [{ status: { $in: ['running', 'paused', 'error'] } }, { _id: { $in: withPositions } }]
+    });
+
+    let done = 0;
+    for (const accountId of accountIds) {
+      // Claim the account so only one API worker reconciles it per cron run
+      const claimed = await ExchangeAccount.findOneAndUpdate(
+        { _id: accountId, isValid: true, 'reconciliation.lastRunAt': { $not: { $gt: new Date(Date.now() - MIN_GAP_MS) } } },
+        { 'reconciliation.lastRunAt': new Date() }
+      );
+      if (!claimed) continue;
+      try {
+        await this.reconcileAccount(accountId, { trigger: 'scheduled' });
+        done++;
+      } catch (err) {
+        console.warn(`[PositionReconciler] Account ${accountId}: ${err.message}`);
+      }
+    }
+    return done;
+  }
+
+  /**
+   * Reconcile one exchange account.
+   * @param {string} accountId
+   * @param {{ trigger?: 'scheduled'|'manual', autoHeal?: boolean }} [opts] - autoHeal defaults to the account setting
+   * @returns {Promise<Object>} the saved ReconciliationReport
+   */
+  async reconcileAccount(accountId, { trigger = 'manual', autoHeal } = {}) {
+    const key = accountId.toString();
+    if (this._running.has(key)) throw new Error('Reconciliation already running for this account');
+    this._running.add(key);
+
+    try {
+      const account = await ExchangeAccount
+        .findById(accountId)
+        .select('+apiKeyEncrypted +apiSecretEncrypted +apiPassphraseEncrypted');
+      if (!account) throw new Error('Exchange account not found');
+
+      const heal = autoHeal ?? account.reconciliation?.autoHeal ?? false;
+      const report = {
+        exchangeAccountId: account._id,
+        userId: account.userId,
+        trigger,
+        autoHeal: heal,
+        status: 'ok',
+        checked: { positions: 0, symbols: 0, orders: 0 },
+        discrepancies: [],
+        startedAt: new Date(),
+      };
+
+      try {
+        const bots = await BotConfig.find({ exchangeAccountId: account._id, isDemo: false });
+        // Records first: a position opened after the exchange snapshot can only look like a ghost,
+        // and ghosts are only healed once the symbol has settled
+        const positions = await Position.find({ botId: { $in: bots.map(b => b._id) }, status: 'open' });
+        report.checked.positions = positions.length;
+
+        const exchange = await exchangeConnector.getConnection(account);
+        const ctx = { account, exchange, bots, positions, heal, report, params: {} };
+
+        for (const marketType of ['spot', 'futures']) {
+          const typeBots = bots.filter(b => (b.marketType || 'spot') === marketType);
+          if (!typeBots.length) continue;
+          const groups = this._groupBySymbol(exchange, marketType, typeBots, positions);
+          report.checked.symbols += groups.size;
+          ctx.params = { type: this._ccxtType(exchange, marketType) };
+
+          if (marketType === 'spot') await this._reconcileSpot(ctx, groups);
+          else                       await this._reconcileFutures(ctx, groups);
+          await this._reconcileOrders(ctx, marketType, groups);
+        }
+      } catch (err) {
+        console.error(`[PositionReconciler] Account ${account._id} failed:`, err.message);
+        report.status = 'error';
+        report.error  = err.message.substring(0, 300);
+      }
+
+      if (report.status !== 'error' && report.discrepancies.length) report.status = 'discrepancies';
+      report.finishedAt = new Date();
+
+      const saved = await ReconciliationReport.create(report);
+      await ExchangeAccount.findByIdAndUpdate(account._id, {
+        'reconciliation.lastRunAt':  report.finishedAt,
+        'reconciliation.lastStatus': report.status,
+      });
+      await this._notify(account, saved);
+      return saved;
+    } finally {
+      this._running.delete(key);
+    }
+  }
+
+  // ccxt account type for a market. Passed per call — the pooled instance is shared with
+  // OrderManager, so its defaultType must never change under a running order.
+  _ccxtType(exchange, marketType) {
+    if (marketType !== 'futures') return 'spot';
+    return exchange.id === 'bybit' ? 'linear' : 'future';
+  }
+
+  // Spot or contract market for a stored symbol ('BTCUSDT' or 'BTC/USDT')
+  _market(exchange, symbol, marketType) {
+    const byId = exchange.marketsById?.[symbol];
+    const candidates = [...(Array.isArray(byId) ? byId : [byId]), exchange.markets?.[symbol]].filter(Boolean);
+    if (marketType === 'futures') {
+      const spot = candidates.find(m => !m.contract);
+      if (spot) candidates.push(exchange.markets?.[`${spot.symbol}:${spot.settle || spot.quote}`]);
+      return candidates.find(m => m?.contract) || null;
+    }
+    return candidates.find(m => !m.contract) || null;
+  }
+
+  /**
+   * Open positions and candidate bots per unified ccxt symbol; `symbol` is the
+   * pair as bots and positions name it (BTCUSDT).
+   * @returns {Map<string, { market, symbol: string, positions: Object[], bots: Object[] }>}
+   */
+  _groupBySymbol(exchange, marketType, typeBots, positions) {
+    const groups = new Map();
+    const groupFor = (symbol) => {
+      const market = this._market(exchange, symbol, marketType);
+      const key = market?.symbol || symbol;
+      if (!groups.has(key)) groups.set(key, { market, symbol, positions: [], bots: [] });
+      return groups.get(key);
+    };
+
+    for (const bot of typeBots) {
+      if (bot.symbol === 'MULTI') {
+        for (const entry of bot.watchlist || []) groupFor(entry.symbol).bots.push(bot);
+      } else if (bot.symbol) {
+        groupFor(bot.symbol).bots.push(bot);
+      }
+    }
+    const botIds = new Set(typeBots.map(b => b._id.toString()));
+    for (const position of positions) {
+      if (botIds.has(position.botId.toString())) groupFor(position.symbol).positions.push(position);
+    }
+    return groups;
+  }
+
+  async _reconcileSpot(ctx, groups) {
+    const balance = await ctx.exchange.fetchBalance(ctx.params);
+
+    for (const [symbol, group] of groups) {
+      if (!group.market) {
+        this._flag(ctx, { kind: 'amount_mismatch', marketType: 'spot', symbol, detail: 'Symbol not listed on the exchange' });
+        continue;
+      }
+      const held     = balance.total?.[group.market.base] || 0;
+      const expected = group.positions.reduce((sum, p) => sum + this._size(p), 0);
+      if (!held && !expected) continue;
+
+      const price = (await ctx.exchange.fetchTicker(symbol)).last;
+      if (held * price < DUST_USD && expected * price < DUST_USD) continue;
+
+      if (expected > 0 && held * price < DUST_USD) {
+        await this._closeGhosts(ctx, 'spot', symbol, group.positions, price, held);
+      } else if (held < expected * (1 - AMOUNT_TOLERANCE)) {
+        this._flag(ctx, {
+          kind: 'amount_mismatch', marketType: 'spot', symbol, side: 'long', expected, actual: held,
+          detail: `Records hold ${expected} ${group.market.base}, exchange balance is ${held}`,
+        });
+      } else if (held > expected * (1 + AMOUNT_TOLERANCE) && (held - expected) * price >= DUST_USD) {
+        await this._adoptOrphan(ctx, 'spot', symbol, group, {
+          side: 'long', amount: held - expected, entryPrice: price, expected, actual: held,
+        });
+      }
+    }
+  }
+
+  async _reconcileFutures(ctx, groups) {
+    const live = (await ctx.exchange.fetchPositions(undefined, ctx.params)).filter(p => Math.abs(p.contracts || 0) > 0);
+
+    // Exchange positions on symbols no bot of this account trades still count as orphans
+    for (const p of live) {
+      if (!groups.has(p.symbol)) groups.set(p.symbol, { market: ctx.exchange.markets?.[p.symbol] || null, positions: [], bots: [] });
+    }
+
+    for (const [symbol, group] of groups) {
+      for (const side of ['long', 'short']) {
+        const records  = group.positions.filter(p => (p.side || 'long') === side);
+        const onEx     = live.find(p => p.symbol === symbol && p.side === side);
+        const expected = records.reduce((sum, p) => sum + this._size(p), 0);
+        const actual   = Math.abs(onEx?.contracts || 0);
+        if (!expected && !actual) continue;
+
+        if (!actual) {
+          const price = (await ctx.exchange.fetchTicker(symbol)).last;
+          await this._closeGhosts(ctx, 'futures', symbol, records, price, 0);
+        } else if (!expected) {
+          await this._adoptOrphan(ctx, 'futures', symbol, group, {
+            side, amount: actual, entryPrice: onEx.entryPrice || onEx.markPrice, expected, actual,
+          });
+        } else if (Math.abs(actual - expected) > expected * AMOUNT_TOLERANCE) {
+          this._flag(ctx, {
+            kind: 'amount_mismatch', marketType: 'futures', symbol, side, expected, actual,
+            detail: `Records hold ${expected} contracts ${side}, exchange position is ${actual}`,
+          });
+        }
+      }
+    }
+  }
+
+  async _reconcileOrders(ctx, marketType, groups) {
+    if (!ctx.exchange.has?.fetchOpenOrders) return;
+    const ours = new Set(ctx.positions.flatMap(p => [p.protection?.stopOrderId, p.protection?.takeProfitOrderId]).filter(Boolean));
+
+    for (const [symbol, group] of groups) {
+      if (!group.market) continue;
+      const orders = await ctx.exchange.fetchOpenOrders(symbol, undefined, undefined, ctx.params);
+      ctx.report.checked.orders += orders.length;
+      for (const order of orders.filter(o => !ours.has(String(o.id)))) {
+        this._flag(ctx, {
+          kind: 'stale_order', marketType, symbol, side: order.side, orderId: String(order.id), actual: order.remaining ?? order.amount,
+          detail: `${order.type} ${order.side} ${order.amount} @ ${order.price ?? order.stopPrice ?? 'market'} not placed by a bot protection order`,
+        });
+      }
+    }
+  }
+
+  async _closeGhosts(ctx, marketType, symbol, records, price, actual) {
+    const settled = await this._settled(records.map(p => p.botId), records[0]?.symbol || symbol);
+
+    for (const position of records) {
+      const entry = {
+        kind: 'ghost_position', marketType, symbol, side: position.side || 'long',
+        botId: position.botId, positionId: position._id, expected: this._size(position), actual,
+      };
+      if (!ctx.heal || !settled) {
+        this._flag(ctx, { ...entry, detail: settled ? 'No matching holding on the exchange' : 'Traded moments ago — re-checked next run' });
+        continue;
+      }
+
+      // A bot tick may have closed it in the meantime
+      const fresh = await Position.findOne({ _id: position._id, status: 'open' });
+      const bot   = ctx.bots.find(b => b._id.equals(position.botId));
+      if (!fresh || !bot) continue;
+      try {
+        const closed = await orderManager.recordExternalClose(bot, fresh, price);
+        ctx.report.discrepancies.push({ ...entry, action: 'closed', detail: `Closed at ${closed.price} (${closed.reason})` });
+      } catch (err) {
+        this._flag(ctx, { ...entry, detail: `Auto-close failed: ${err.message}` });
+      }
+    }
+  }
+
+  async _adoptOrphan(ctx, marketType, symbol, group, { side, amount, entryPrice, expected, actual }) {
+    const entry = { kind: 'orphan_position', marketType, symbol, side, expected, actual };
+    const [bot] = group.bots;
+
+    if (!ctx.heal) return this._flag(ctx, { ...entry, detail: `${amount} held on the exchange without a position record` });
+    if (group.bots.length !== 1) {
+      return this._flag(ctx, {
+        ...entry,
+        detail: group.bots.length ? `${group.bots.length} bots trade ${symbol} — adopt manually` : `No bot on this account trades ${symbol}`,
+      });
+    }
+    if (!(await this._settled([bot._id], group.symbol))) {
+      return this._flag(ctx, { ...entry, botId: bot._id, detail: 'Traded moments ago — re-checked next run' });
+    }
+
+    const stopLossPrice = side === 'short'
+      ? entryPrice * (1 + ADOPT_STOP_PCT / 100)
+      : entryPrice * (1 - ADOPT_STOP_PCT / 100);
+    try {
+      const { position } = await orderManager.adoptPosition(bot, {
+        symbol: group.symbol, side, amount, entryPrice, stopLossPrice,
+      });
+      ctx.report.discrepancies.push({
+        ...entry, botId: bot._id, positionId: position._id, action: 'adopted',
+        detail: `Adopted ${amount} at ${entryPrice} with a ${ADOPT_STOP_PCT}% stop-loss`,
+      });
+    } catch (err) {
+      this._flag(ctx, { ...entry, botId: bot._id, detail: `Adopt failed: ${err.message}` });
+    }
+  }
+
+  // No bot traded the symbol recently — otherwise the snapshot may predate an in-flight order
+  async _settled(botIds, symbol) {
+    const since = new Date(Date.now() - SETTLE_MS);
+    return !(await Trade.exists({ botId: { $in: botIds }, symbol, executedAt: { $gte: since } }));
+  }
+
+  _size(position) {
+    return position.remainingAmount ?? position.amount;
+  }
+
+  _flag(ctx, discrepancy) {
+    ctx.report.discrepancies.push({ ...discrepancy, action: 'flagged' });
+  }
+
+  async _notify(account, report) {
+    const positional = report.discrepancies.filter(d => d.kind !== 'stale_order');
+    if (report.status !== 'error' && !positional.length) return;
+
+    const count = (action) => positional.filter(d => d.action === action).length;
+    const message = report.status === 'error'
+      ? `Could not reconcile ${account.label} (${account.exchange}): ${report.error}`
+      : `${account.label} (${account.exchange}): ${count('closed')} ghost position(s) closed, ` +
+        `${count('adopted')} orphan(s) adopted, ${count('flagged')} flagged for review. See the reconciliation report.`;
+
+    try {
+      const notification = await Notification.create({
+        userId: account.userId,
+        type: 'bot_error',
+        title: 'Position reconciliation',
+        message: message.substring(0, 500),
+        priority: count('flagged') || report.status === 'error' ? 'high' : 'medium',
+      });
+      if (this.io) {
+        this.io.to(`user:${account.userId.toString()}`).emit('notification:new', notification.toObject());
+      }
+    } catch (err) {
+      console.warn(`[PositionReconciler] Failed to create notification for account ${account._id}: ${err.message}`);
+    }
+  }
+}
+
+export default new PositionReconciler();
@@ -0,0 +1,244 @@
+import Position from '../../models/bot/Position.js';
+
+// Re-place the exchange stop only when it moves by more than this (trailing stops move every tick)
+const RESYNC_THRESHOLD = 0.001;
+
+// Exchanges whose ccxt stop-loss / take-profit orders are separate "trigger" orders
+// that must be fetched and cancelled with { trigger: true }
+const TRIGGER_ORDER_EXCHANGES = new Set(['okx', 'bitget', 'kucoin', 'kucoinfutures', 'gate', 'gateio', 'mexc']);
+
+/**
+ * The stop the position is actually protected by: the trailing stop once it is
+ * active and tighter than the original (or breakeven) stop loss.
+ */
+export function effectiveStop(position) {
+  const { stopLossPrice, trailingStopActive, trailingStopPrice } = position;
+  if (!trailingStopActive || !trailingStopPrice) return stopLossPrice;
+  return position.side === 'short'
+    ? Math.min(stopLossPrice, trailingStopPrice)
+    : Math.max(stopLossPrice, trailingStopPrice);
+}
+
+/**
+ * ProtectiveOrders - exchange-side stop-loss / take-profit orders for live positions,
+ * so a position stays protected between ticks and while the server is down.
+ *
+ *   'oco'      — one OCO order list (Binance spot): the exchange cancels the other leg
+ *   'separate' — reduce-only stop-loss and take-profit orders (futures). A take-profit
+ *                that can't be placed leaves the stop working; sync() retries the TP alone
+ *   'stop'     — stop-loss only: two spot sell orders would lock the same balance twice,
+ *                so the take-profit stays tick-managed
+ *
+ * State lives in Position.protection. OrderManager records fills found here.
+ */
+class ProtectiveOrders {
+  isActive(position) {
+    return position.protection?.status === 'active';
+  }
+
+  _mode(exchange, bot, position) {
+    const canStop = exchange.has?.createStopLossOrder || exchange.has?.createStopOrder || exchange.has?.createTriggerOrder;
+    if (bot.marketType === 'futures') return canStop ? 'separate' : 'none';
+    if (position.side === 'long' && position.takeProfitPrice && typeof exchange.privatePostOrderListOco === 'function') {
+      return 'oco';
+    }
+    return canStop ? 'stop' : 'none';
+  }
+
+  _params(exchange) {
+    return TRIGGER_ORDER_EXCHANGES.has(exchange.id) ? { trigger: true } : {};
+  }
+
+  // Plain copy of position.protection (a nested path on Position documents)
+  _state(position) {
+    const p = position.protection;
+    return p?.toObject ? p.toObject() : p ? { ...p } : null;
+  }
+
+  async _save(position, protection) {
+    position.protection = protection;
+    await Position.findByIdAndUpdate(position._id, { protection });
+  }
+
+  /**
+   * Place protective orders for an open position. Never throws — a failure is
+   * recorded on position.protection (status 'failed' + lastError; a take-profit
+   * failure alone only sets lastError).
+   * @param {Object} exchange   - authenticated ccxt instance
+   * @param {string} ccxtSymbol
+   * @param {Object} bot
+   * @param {Object} position   - Position document
+   */
+  async place(exchange, ccxtSymbol, bot, position) {
+    const mode       = this._mode(exchange, bot, position);
+    const exitSide   = position.side === 'short' ? 'buy' : 'sell';
+    const amount     = position.remainingAmount ?? position.amount;
+    const stopPrice  = effectiveStop(position);
+    const tpPrice    = position.takeProfitPrice || null;
+    const protection = {
+      mode, status: 'active', amount, stopPrice, takeProfitPrice: null,
+      stopOrderId: null, takeProfitOrderId: null, orderListId: null,
+      lastError: null, syncedAt: new Date(),
+    };
+
+    try {
+      if (mode === 'none') throw new Error(`${exchange.id} does not support stop orders through ccxt`);
+
+      if (mode === 'oco') {
+        const market = exchange.market(ccxtSymbol);
+        const res = await exchange.privatePostOrderListOco({
+          symbol:         market.id,
+          side:           'SELL',
+          quantity:       exchange.amountToPrecision(ccxtSymbol, amount),
+          aboveType:      'LIMIT_MAKER',
+          abovePrice:     exchange.priceToPrecision(ccxtSymbol, tpPrice),
+          belowType:      'STOP_LOSS',
+          belowStopPrice: exchange.priceToPrecision(ccxtSymbol, stopPrice),
+        });
+        const reports = res.orderReports || [];
+        protection.orderListId       = String(res.orderListId);
+        protection.stopOrderId       = String(reports.find(o => o.type?.startsWith('STOP'))?.orderId ?? '') || null;
+        protection.takeProfitOrderId = String(reports.find(o => o.type === 'LIMIT_MAKER')?.orderId ?? '') || null;
+        protection.takeProfitPrice   = tpPrice;
+      } else {
+        const reduceOnly = bot.marketType === 'futures' ? { reduceOnly: true } : {};
+        const stop = await exchange.createOrder(ccxtSymbol, 'market', exitSide, amount, undefined, {
+          stopLossPrice: stopPrice, ...reduceOnly,
+        });
+        protection.stopOrderId = stop.id;
+
+        if (mode === 'separate' && tpPrice) await this._placeTakeProfit(exchange, ccxtSymbol, bot, position, protection, tpPrice);
+      }
+    } catch (err) {
+      console.error(`[ProtectiveOrders] Could not protect position ${position._id} on ${exchange.id}:`, err.message);
+      Object.assign(protection, { status: 'failed', stopOrderId: null, lastError: err.message.substring(0, 200) });
+    }
+
+    await this._save(position, protection);
+    return protection;
+  }
+
+  /**
+   * Place the take-profit leg of a 'separate' bracket onto `protection`. A failure
+   * is kept in lastError and leaves the bracket active on its stop alone.
+   */
+  async _placeTakeProfit(exchange, ccxtSymbol, bot, position, protection, tpPrice) {
+    try {
+      const tp = await exchange.createOrder(ccxtSymbol, 'market', position.side === 'short' ? 'buy' : 'sell', protection.amount, undefined, {
+        takeProfitPrice: tpPrice, ...(bot.marketType === 'futures' && { reduceOnly: true }),
+      });
+      Object.assign(protection, { takeProfitOrderId: tp.id, takeProfitPrice: tpPrice, lastError: null });
+    } catch (err) {
+      console.warn(`[ProtectiveOrders] Take-profit not placed for position ${position._id} on ${exchange.id}:`, err.message);
+      Object.assign(protection, { takeProfitOrderId: null, takeProfitPrice: null, lastError: `Take-profit: ${err.message}`.substring(0, 200) });
+    }
+  }
+
+  /**
+   * Look for a filled protective leg.
+   * @returns {Promise<{ reason: string, order: Object }|null>}
+   */
+  async checkFills(exchange, ccxtSymbol, position) {
+    const p = this._state(position);
+    const params = p.mode === 'oco' ? {} : this._params(exchange);
+    const legs = [
+      { id: p.stopOrderId,       reason: position.trailingStopActive ? 'trailing_stop' : 'stop_loss' },
+      { id: p.takeProfitOrderId, reason: 'take_profit' },
+    ].filter(l => l.id);
+
+    let cancelledOutside = false;
+    for (const leg of legs) {
+      const order = await exchange.fetchOrder(leg.id, ccxtSymbol, params);
+      if (order.status === 'closed' || (order.filled || 0) > 0) {
+        // Separate orders don't cancel each other — pull the survivor
+        if (p.mode === 'separate') {
+          for (const other of legs.filter(l => l !== leg)) {
+            await exchange.cancelOrder(other.id, ccxtSymbol, params).catch(() => {});
+          }
+        }
+        await this._save(position, { ...p, status: 'filled', syncedAt: new Date() });
+        return { reason: leg.reason, order };
+      }
+      if (order.status === 'canceled' || order.status === 'expired' || order.status === 'rejected') cancelledOutside = true;
+    }
+
+    if (cancelledOutside) {
+      // Cancelled on the exchange by hand: drop the rest, sync() re-places the bracket
+      await this._cancelLegs(exchange, ccxtSymbol, p).catch(() => {});
+      await this._save(position, {
+        ...p, status: 'cancelled', lastError: 'Protective order cancelled on the exchange', syncedAt: new Date(),
+      });
+    }
+    return null;
+  }
+
+  async _cancelLegs(exchange, ccxtSymbol, p) {
+    if (p.mode === 'oco') {
+      await exchange.privateDeleteOrderList({ symbol: exchange.market(ccxtSymbol).id, orderListId: p.orderListId });
+      return;
+    }
+    const params = this._params(exchange);
+    for (const id of [p.stopOrderId, p.takeProfitOrderId].filter(Boolean)) {
+      await exchange.cancelOrder(id, ccxtSymbol, params);
+    }
+  }
+
+  /**
+   * Cancel a position's protective orders. A leg that filled in the meantime
+   * is returned instead, so the caller records that close rather than selling twice.
+   * @returns {Promise<{ reason: string, order: Object }|null>}
+   */
+  async cancel(exchange, ccxtSymbol, position) {
+    const p = this._state(position);
+    if (!p || p.status !== 'active') return null;
+
+    const fill = await this.checkFills(exchange, ccxtSymbol, position);
+    if (fill) return fill;
+    if (position.protection.status !== 'active') return null; // legs were cancelled outside
+
+    try {
+      await this._cancelLegs(exchange, ccxtSymbol, p);
+    } catch (err) {
+      // Filled between the check and the cancel?
+      const late = await this.checkFills(exchange, ccxtSymbol, position).catch(() => null);
+      if (late) return late;
+      console.warn(`[ProtectiveOrders] Cancel failed for position ${position._id}:`, err.message);
+    }
+
+    await this._save(position, { ...p, status: 'cancelled', syncedAt: new Date() });
+    return null;
+  }
+
+  /**
+   * Keep the exchange bracket in line with the position: re-place it after a
+   * partial close, a breakeven / trailing stop move, or a failed placement.
+   * @returns {Promise<{ reason: string, order: Object }|null>} a fill found while re-placing
+   */
+  async sync(exchange, ccxtSymbol, bot, position) {
+    const p = this._state(position);
+    if (p?.status === 'filled') return null;
+
+    if (p?.status === 'active') {
+      const amount   = position.remainingAmount ?? position.amount;
+      const stop     = effectiveStop(position);
+      const stopMove = Math.abs(stop - p.stopPrice) / p.stopPrice;
+      const tpWanted = p.mode === 'stop' ? p.takeProfitPrice : (position.takeProfitPrice || null);
+      const inPlace  = stopMove <= RESYNC_THRESHOLD && Math.abs(amount - p.amount) <= amount * 1e-6;
+      if (inPlace && tpWanted === p.takeProfitPrice) return null;
+      // Only the take-profit is missing (its placement failed) — retry it, keep the stop
+      if (inPlace && p.mode === 'separate' && tpWanted && !p.takeProfitOrderId) {
+        await this._placeTakeProfit(exchange, ccxtSymbol, bot, position, p, tpWanted);
+        p.syncedAt = new Date();
+        await this._save(position, p);
+        return null;
+      }
+      const fill = await this.cancel(exchange, ccxtSymbol, position);
+      if (fill) return fill;
+    }
+
+    await this.place(exchange, ccxtSymbol, bot, position);
+    return null;
+  }
+}
+
+export default new ProtectiveOrders();
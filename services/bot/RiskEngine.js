@@ -1,5 +1,5 @@
 import Position from '../../models/bot/Position.js';
-import Trade from '../../models/bot/Trade.js';
+import Trade, { ledgerFilter } from '../../models/bot/Trade.js';
 
 /**
  * RiskEngine - enforces all risk rules for bots.
@@ -9,11 +9,24 @@ class RiskEngine {
    * Check if a new position can be opened.
    * @param {Object} bot          - BotConfig document
    * @param {number} pendingOpens - buy signals already queued this tick (prevents race condition)
+   * @param {Date}   [now]        - tick time (the replay clock when replaying)
    * @returns {Promise<{ allowed: boolean, reason: string|null }>}
    */
-  async checkCanOpenPosition(bot, pendingOpens = 0) {
+  async checkCanOpenPosition(bot, pendingOpens = 0, now = new Date()) {
+    const openCount = await Position.countDocuments({ botId: bot._id, status: 'open', ...ledgerFilter(bot) });
+    const dailyPnL  = await this.getDailyPnL(bot, now);
+    return this.evaluateOpenChecks(bot, { openCount, pendingOpens, dailyPnL });
+  }
+
+  /**
+   * Pure version of checkCanOpenPosition — the caller supplies the counts.
+   * Shared by the live tick path and the backtest ledger.
+   * @param {Object} bot
+   * @param {{ openCount: number, pendingOpens?: number, dailyPnL: number }} state
+   * @returns {{ allowed: boolean, reason: string|null }}
+   */
+  evaluateOpenChecks(bot, { openCount, pendingOpens = 0, dailyPnL }) {
     // 1. Max open positions check (atomic: includes positions opened this tick)
-    const openCount = await Position.countDocuments({ botId: bot._id, status: 'open' });
     if (openCount + pendingOpens >= bot.capitalAllocation.maxOpenPositions) {
       return { allowed: false, reason: 'max_positions_reached' };
     }
@@ -25,7 +38,6 @@ class RiskEngine {
     }
 
     // 3. Daily loss limit check (UTC midnight — consistent across all server timezones)
-    const dailyPnL = await this.getDailyPnL(bot._id);
     const dailyLossLimit = (bot.capitalAllocation.totalCapital * bot.riskParams.dailyLossLimitPercent) / 100;
     if (dailyPnL < -dailyLossLimit) {
       return { allowed: false, reason: 'daily_loss_limit_reached' };
@@ -49,20 +61,22 @@ class RiskEngine {
   }
 
   /**
-   * Sum today's realized P&L for a bot.
+   * Sum today's realized P&L on a bot's ledger (its replay trades while replaying).
    * Uses UTC midnight so the reset is consistent regardless of server timezone.
+   * @param {Object} bot
+   * @param {Date} [now] - day to sum (the replay clock when replaying)
    */
-  async getDailyPnL(botId) {
-    const now = new Date();
+  async getDailyPnL(bot, now = new Date()) {
     const utcMidnight = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
 
     const result = await Trade.aggregate([
       {
         $match: {
-          botId,
-          side: 'sell',
+          botId: bot._id,
+          ...ledgerFilter(bot),
+          positionId: { $ne: null },
           pnl: { $ne: null },
-          executedAt: { $gte: utcMidnight }
+          executedAt: { $gte: utcMidnight, $lt: new Date(utcMidnight.getTime() + 86_400_000) }
         }
       },
       { $group: { _id: null, total: { $sum: '$pnl' } } }
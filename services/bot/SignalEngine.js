@@ -16,6 +16,7 @@ import {
   detectTrend,
   calcVolumeMA,
 } from './IndicatorEngine.js';
+import signalEnsemble from '../SignalEnsemble.js';
 
 const CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
@@ -65,6 +66,56 @@ async function fetchTicker(marketType, symbol) {
   return data;
 }
 
+/**
+ * Momentum points for each side — the producer behind the ensemble's 'momentum' voter.
+ * @param {{ closes: number[], volumes: number[], candles: { high, low, close }[], change24h: number }} input
+ * @returns {{ buyScore, sellScore, buyPoints, sellPoints, rsi, ema50, ema200, trend, volumeRatio }|null}
+ *   scores are 0-100; null when the indicators can't be computed yet
+ */
+export function scoreMomentum({ closes, volumes, candles, change24h }) {
+  const lastIdx = closes.length - 1;
+  const rsi     = calculateRSI(closes, 14)[lastIdx];
+  const ema50   = calculateEMA(closes, 50)[lastIdx];
+  const ema200  = calculateEMA(closes, 200)[lastIdx];
+  if (rsi == null || ema50 == null) return null;
+
+  const volumeAvg   = calcVolumeMA(volumes, 20);
+  const volumeRatio = volumeAvg > 0 ? volumes[lastIdx] / volumeAvg : 1;
+  const trend       = detectTrend(candles, 50, 200);
+
+  const buyPoints  = [];
+  const sellPoints = [];
+
+  // RSI
+  if (rsi < 30)      buyPoints.push({ pts: 40, reason: `RSI deeply oversold (${rsi.toFixed(1)})` });
+  else if (rsi < 38) buyPoints.push({ pts: 25, reason: `RSI oversold (${rsi.toFixed(1)})` });
+  if (rsi > 70)      sellPoints.push({ pts: 40, reason: `RSI deeply overbought (${rsi.toFixed(1)})` });
+  else if (rsi > 62) sellPoints.push({ pts: 25, reason: `RSI overbought (${rsi.toFixed(1)})` });
+
+  // Trend (EMA50 vs EMA200)
+  if (trend === 'uptrend')   buyPoints.push({ pts: 25, reason: 'EMA50 > EMA200 uptrend' });
+  if (trend === 'downtrend') sellPoints.push({ pts: 25, reason: 'EMA50 < EMA200 downtrend' });
+
+  // Volume spike
+  if (volumeRatio >= 1.3) buyPoints.push({ pts: 15, reason: `Volume spike (${volumeRatio.toFixed(1)}× avg)` });
+
+  // 24h momentum extremes
+  if (change24h <= -8)  buyPoints.push({ pts: 15, reason: `Sharp 24h dip (${change24h.toFixed(1)}%)` });
+  if (change24h >= 12)  sellPoints.push({ pts: 15, reason: `Strong 24h rally (${change24h.toFixed(1)}%)` });
+
+  return {
+    buyScore:  buyPoints.reduce((a, b) => a + b.pts, 0),
+    sellScore: sellPoints.reduce((a, b) => a + b.pts, 0),
+    buyPoints,
+    sellPoints,
+    rsi,
+    ema50,
+    ema200,
+    trend,
+    volumeRatio,
+  };
+}
+
 /* ────────────────────────────────────────────────────────── */
 
 class SignalEngine {
@@ -117,60 +168,28 @@ class SignalEngine {
         close: parseFloat(c[4]),
       }));
 
-      const rsiArr   = calculateRSI(closes, 14);
-      const ema50    = calculateEMA(closes, 50);
-      const ema200   = calculateEMA(closes, 200);
-      const lastIdx  = closes.length - 1;
-
-      const currentRSI    = rsiArr[lastIdx];
-      const currentEMA50  = ema50[lastIdx];
-      const currentEMA200 = ema200[lastIdx];
-
-      if (currentRSI == null || currentEMA50 == null) return null;
-
-      const currentPrice  = parseFloat(ticker.lastPrice);
-      const change24h     = parseFloat(ticker.priceChangePercent);
-      const volume24h     = parseFloat(ticker.quoteVolume);
-      const volumeAvg     = calcVolumeMA(volumes, 20);
-      const volumeRatio   = volumeAvg > 0 ? volumes[lastIdx] / volumeAvg : 1;
-
-      const trend = detectTrend(ohlcArr, 50, 200);
-
-      // ── Multi-factor scoring ──────────────────────────────────────────
-      const buyPoints  = [];
-      const sellPoints = [];
-
-      // RSI
-      if (currentRSI < 30)      buyPoints.push({ pts: 40, reason: `RSI deeply oversold (${currentRSI.toFixed(1)})` });
-      else if (currentRSI < 38) buyPoints.push({ pts: 25, reason: `RSI oversold (${currentRSI.toFixed(1)})` });
-      if (currentRSI > 70)      sellPoints.push({ pts: 40, reason: `RSI deeply overbought (${currentRSI.toFixed(1)})` });
-      else if (currentRSI > 62) sellPoints.push({ pts: 25, reason: `RSI overbought (${currentRSI.toFixed(1)})` });
-
-      // Trend (EMA50 vs EMA200)
-      if (trend === 'uptrend')   buyPoints.push({ pts: 25, reason: 'EMA50 > EMA200 uptrend' });
-      if (trend === 'downtrend') sellPoints.push({ pts: 25, reason: 'EMA50 < EMA200 downtrend' });
-
-      // Volume spike
-      if (volumeRatio >= 1.3) buyPoints.push({ pts: 15, reason: `Volume spike (${volumeRatio.toFixed(1)}× avg)` });
+      const currentPrice = parseFloat(ticker.lastPrice);
+      const change24h    = parseFloat(ticker.priceChangePercent);
+      const volume24h    = parseFloat(ticker.quoteVolume);
 
-      // 24h momentum extremes
-      if (change24h <= -8)  buyPoints.push({ pts: 15, reason: `Sharp 24h dip (${change24h.toFixed(1)}%)` });
-      if (change24h >= 12)  sellPoints.push({ pts: 15, reason: `Strong 24h rally (${change24h.toFixed(1)}%)` });
+      const momentum = scoreMomentum({ closes, volumes, candles: ohlcArr, change24h });
+      if (!momentum) return null;
+      const { buyScore, sellScore, buyPoints, sellPoints, rsi: currentRSI, ema50: currentEMA50, ema200: currentEMA200, trend } = momentum;
 
-      const buyScore  = buyPoints.reduce((a, b) => a + b.pts, 0);
-      const sellScore = sellPoints.reduce((a, b) => a + b.pts, 0);
+      // BUY / SELL at the momentum voter's configured threshold
+      const vote = await signalEnsemble.vote('momentum', momentum);
 
       let signal     = 'NEUTRAL';
       let strength   = 50;
       let reason     = 'Waiting for a clearer setup';
       let confidence = 'LOW';
 
-      if (buyScore >= 35 && buyScore >= sellScore) {
+      if (vote === 'LONG') {
         signal     = 'BUY';
         strength   = Math.min(98, 45 + buyScore);
         reason     = buyPoints.map(p => p.reason).join(' · ');
         confidence = buyScore >= 60 ? 'HIGH' : 'MEDIUM';
-      } else if (sellScore >= 35) {
+      } else if (vote === 'SHORT') {
         signal     = 'SELL';
         strength   = Math.min(98, 45 + sellScore);
         reason     = sellPoints.map(p => p.reason).join(' · ');
@@ -0,0 +1,216 @@
+import os from 'os';
+import crypto from 'crypto';
+import TickSchedule from '../../models/bot/TickSchedule.js';
+
+const POLL_MS        = parseInt(process.env.BOT_SCHEDULER_POLL_MS) || 5_000;
+const CONCURRENCY    = parseInt(process.env.BOT_TICK_CONCURRENCY)  || 4;   // ticks run in parallel per worker
+export const LEASE_MS = 2 * 60_000;  // a tick (or replay) not renewed within this is taken over
+const CLOSE_DELAY_MS = 3_000;        // tick just after the close so the exchange has published the bar
+
+/**
+ * Next candle close after `t` (plus the publish delay). Closes sit on UTC
+ * multiples of the interval — 5m at :00/:05/..., 4h at 00/04/08... UTC, 1d at midnight.
+ * @param {number} t - epoch ms
+ * @param {number} intervalMs
+ * @returns {Date}
+ */
+export function nextCandleClose(t, intervalMs) {
+  return new Date(Math.floor(t / intervalMs) * intervalMs + intervalMs + CLOSE_DELAY_MS);
+}
+
+/**
+ * TickScheduler - MongoDB-backed bot tick scheduling.
+ * Every worker polls the TickSchedule collection and claims due bots with a
+ * lease, so a bot ticks once per candle close however many API instances run,
+ * and schedules survive restarts. Also adopts replays whose worker went away.
+ */
+class TickScheduler {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this._timer    = null;
+    this._active   = 0;
+    this._handlers = null;
+  }
+
+  /**
+   * Start polling.
+   * @param {{ tick: (botId: string) => Promise, adoptReplay: (botId: string) => Promise }} handlers
+   */
+  start(handlers) {
+    if (this._timer) return;
+    this._handlers = handlers;
+    this._timer = setInterval(() => this.poke(), POLL_MS);
+    this.poke();
+    console.log(`[TickScheduler] Worker ${this.workerId} polling every ${POLL_MS / 1000}s`);
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Schedule a bot's live ticks: the first one right away, then on candle closes.
+   */
+  async schedule(bot, { timeframe, intervalMs }) {
+    await TickSchedule.findOneAndUpdate(
+      { botId: bot._id },
+      {
+        userId: bot.userId,
+        mode: 'live',
+        timeframe,
+        intervalMs,
+        missedTickPolicy: bot.missedTickPolicy || 'catch_up',
+        nextRunAt: new Date(),
+        lockedBy: null,
+        lockedUntil: null,
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+    this.poke();
+  }
+
+  async unschedule(botId) {
+    await TickSchedule.deleteOne({ botId });
+  }
+
+  async isScheduled(botId) {
+    return !!(await TickSchedule.exists({ botId }));
+  }
+
+  /**
+   * Which of the given bots are scheduled (live or replay) on any worker.
+   * @returns {Promise<Set<string>>}
+   */
+  async scheduledIds(botIds) {
+    const rows = await TickSchedule.find({ botId: { $in: botIds } }).select('botId').lean();
+    return new Set(rows.map(r => r.botId.toString()));
+  }
+
+  /**
+   * Take (or keep) the lease on a bot's replay schedule.
+   * @returns {Promise<boolean>} false when another worker holds a live lease
+   */
+  async acquireReplayLease(bot, { timeframe, intervalMs }) {
+    const now = new Date();
+    try {
+      await TickSchedule.findOneAndUpdate(
+        { botId: bot._id, $or: [{ lockedBy: this.workerId }, { lockedUntil: { $not: { $gt: now } } }] },
+        {
+          userId: bot.userId,
+          mode: 'replay',
+          timeframe,
+          intervalMs,
+          nextRunAt: now,
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + LEASE_MS),
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+      return true;
+    } catch (err) {
+      // Upsert hit the unique botId index: the schedule exists and is leased elsewhere
+      if (err.code === 11000) return false;
+      throw err;
+    }
+  }
+
+  /**
+   * Extend a lease this worker holds.
+   * @returns {Promise<boolean>} false when the lease is gone (bot stopped or taken over)
+   */
+  async renewLease(botId) {
+    const { matchedCount } = await TickSchedule.updateOne(
+      { botId, lockedBy: this.workerId },
+      { lockedUntil: new Date(Date.now() + LEASE_MS) }
+    );
+    return matchedCount > 0;
+  }
+
+  /**
+   * Run due work while there is some, up to CONCURRENCY claims in parallel.
+   */
+  poke() {
+    if (!this._handlers || this._active >= CONCURRENCY) return;
+    this._active++;
+    this._drain()
+      .catch(err => console.error('[TickScheduler] Poll error:', err.message))
+      .finally(() => { this._active--; });
+  }
+
+  async _drain() {
+    let job;
+    while ((job = await this._claim())) {
+      this.poke(); // more may be due — let a free slot take the next one
+      await this._run(job);
+    }
+  }
+
+  /**
+   * Atomically lease the most overdue live tick, or a replay whose worker stopped renewing.
+   */
+  _claim() {
+    const now  = new Date();
+    const free = { $not: { $gt: now } };
+    return TickSchedule.findOneAndUpdate(
+      {
+        $or: [
+          { mode: 'live', nextRunAt: { $lte: now }, lockedUntil: free },
+          { mode: 'replay', lockedUntil: free },
+        ]
+      },
+      { lockedBy: this.workerId, lockedUntil: new Date(now.getTime() + LEASE_MS) },
+      { sort: { nextRunAt: 1 }, new: true }
+    );
+  }
+
+  async _run(job) {
+    const botId = job.botId.toString();
+
+    if (job.mode === 'replay') {
+      try {
+        await this._handlers.adoptReplay(botId);
+        console.log(`[TickScheduler] Adopted replay of bot ${botId}`);
+      } catch (err) {
+        console.error(`[TickScheduler] Could not adopt replay of bot ${botId}:`, err.message);
+      }
+      return;
+    }
+
+    const startedAt = Date.now();
+    const missed    = Math.floor((startedAt - job.nextRunAt.getTime()) / job.intervalMs);
+    const update    = { $set: { lockedBy: null, lockedUntil: null } };
+
+    if (missed > 0) {
+      update.$inc = { missedTicks: missed };
+      update.$set.lastMissedAt = new Date(startedAt);
+      console.warn(`[TickScheduler] Bot ${botId} missed ${missed} ${job.timeframe} close(s) — policy: ${job.missedTickPolicy}`);
+    }
+
+    // One catch-up tick covers every missed close: a live tick always analyses the latest candles.
+    // The lease is renewed while the tick runs so a slow one (order chasing, exchange retries)
+    // is never taken over and ticked twice.
+    if (missed === 0 || job.missedTickPolicy === 'catch_up') {
+      const renewal = setInterval(() => {
+        this.renewLease(job.botId)
+          .then(held => { if (!held) console.warn(`[TickScheduler] Lost the lease on bot ${botId} mid-tick`); })
+          .catch(err => console.error(`[TickScheduler] Lease renewal failed for bot ${botId}:`, err.message));
+      }, LEASE_MS / 4);
+      try {
+        await this._handlers.tick(botId);
+      } catch (err) {
+        console.error(`[TickScheduler] Tick failed for bot ${botId}:`, err.message);
+      } finally {
+        clearInterval(renewal);
+      }
+      update.$set.lastRunAt      = new Date(startedAt);
+      update.$set.lastDurationMs = Date.now() - startedAt;
+    }
+
+    update.$set.nextRunAt = nextCandleClose(Date.now(), job.intervalMs);
+    // Only while still leased here — a stop or pause during the tick removed the schedule
+    await TickSchedule.updateOne({ _id: job._id, lockedBy: this.workerId }, update);
+  }
+}
+
+export default new TickScheduler();
@@ -0,0 +1,171 @@
+import marketDataService from '../MarketDataService.js';
+import { calculateATR } from './IndicatorEngine.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HHMM     = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const formatters = new Map();
+
+/**
+ * Is `timeZone` an IANA zone this runtime knows ('UTC', 'Europe/London', ...)?
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock date, weekday (0 = Sunday) and minute of the day of `date` in `timeZone`.
+ */
+export function localTime(date, timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit',
+    });
+    formatters.set(timeZone, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    date:    `${p.year}-${p.month}-${p.day}`,
+    weekday: WEEKDAYS.indexOf(p.weekday),
+    minutes: parseInt(p.hour) * 60 + parseInt(p.minute),
+  };
+}
+
+const toMinutes = (hhmm) => {
+  const [, h, m] = HHMM.exec(hhmm);
+  return parseInt(h) * 60 + parseInt(m);
+};
+
+export const isValidClock = (value) => HHMM.test(value);
+
+/**
+ * TradingSchedule - when a running bot may open positions (BotConfig.schedule and
+ * BotConfig.volatilityPause). Outside its trading windows, on blackout dates and
+ * during a volatility pause the bot keeps managing open positions (stops, exits)
+ * but takes no new entries; BotEngine shows the reason in statusMessage.
+ * Auto-start / auto-stop times are applied by BotEngine.applyAutoSchedule().
+ */
+class TradingSchedule {
+  /**
+   * Why the schedule blocks entries at `now`, or null when trading is allowed.
+   * Windows use the schedule's timezone; one whose end is before its start runs
+   * past midnight (22:00–02:00 belongs to the day it starts on).
+   */
+  windowBlock(bot, now) {
+    const s = bot.schedule;
+    if (!s?.enabled) return null;
+    const tz    = s.timezone || 'UTC';
+    const local = localTime(now, tz);
+
+    if (s.blackoutDates?.includes(local.date)) return `Blackout date ${local.date} (${tz})`;
+    if (!s.windows?.length) return null;
+
+    const onDay = (days, weekday) => !days?.length || days.includes(weekday);
+    const open = s.windows.some(w => {
+      const start = toMinutes(w.start);
+      const end   = toMinutes(w.end);
+      if (start === end) return onDay(w.days, local.weekday);
+      if (start < end)   return onDay(w.days, local.weekday) && local.minutes >= start && local.minutes < end;
+      return (onDay(w.days, local.weekday) && local.minutes >= start) ||
+             (onDay(w.days, (local.weekday + 6) % 7) && local.minutes < end);
+    });
+    return open ? null : `Outside trading hours (${tz})`;
+  }
+
+  /**
+   * Volatility pause: still running from an earlier trigger, or triggered now by
+   *   - an ATR spike: the last candle's true range ≥ atrSpikeMultiplier × ATR(14)
+   *   - BTC moving ≥ btcMovePct within the last hour (live only — not replayable)
+   * @param {Object} bot
+   * @param {Object[]} candles - the tick's candles (empty for multi-pair and watchlist
+   *   bots — watchlist symbols get their own ATR check in symbolPauses())
+   * @param {Date} now
+   * @param {{ replaying?: boolean }} [opts]
+   * @returns {Promise<{ reason: string, until: Date, triggered: boolean }|null>}
+   */
+  async volatilityPause(bot, candles, now, { replaying = false } = {}) {
+    const v = bot.volatilityPause;
+    if (!v?.enabled) return null;
+    if (bot.volatilityPauseUntil && new Date(bot.volatilityPauseUntil) > now) {
+      return { reason: bot.volatilityPauseReason || 'Volatility pause', until: new Date(bot.volatilityPauseUntil), triggered: false };
+    }
+
+    let reason = this._atrSpike(candles, v.atrSpikeMultiplier);
+    if (!reason && v.btcMovePct > 0 && !replaying) {
+      const move = await this._btcHourlyMove();
+      if (move != null && Math.abs(move) >= v.btcMovePct) reason = `BTC moved ${move > 0 ? '+' : ''}${move.toFixed(1)}% in the last hour`;
+    }
+    if (!reason) return null;
+    return { reason, until: new Date(now.getTime() + (v.pauseMinutes ?? 60) * 60_000), triggered: true };
+  }
+
+  /**
+   * Watchlist bots: the ATR-spike pause per symbol, each on its own candles. A
+   * spike pauses entries on that symbol only, for pauseMinutes.
+   * @param {Object} bot
+   * @param {Map<string, Object[]>} candlesBySymbol
+   * @param {Date} now
+   * @returns {{ paused: Map<string, { reason: string, until: Date, triggered: boolean }>, changed: boolean }}
+   *   paused: every symbol in a pause at `now`; changed: whether the stored pauses need saving
+   */
+  symbolPauses(bot, candlesBySymbol, now) {
+    const v = bot.volatilityPause;
+    const saved = bot.volatilityPauseSymbols instanceof Map
+      ? bot.volatilityPauseSymbols
+      : new Map(Object.entries(bot.volatilityPauseSymbols || {}));
+    const paused = new Map();
+    if (!v?.enabled) return { paused, changed: saved.size > 0 };
+
+    for (const [symbol, p] of saved) {
+      if (p?.until && new Date(p.until) > now) {
+        paused.set(symbol, { reason: p.reason || 'Volatility pause', until: new Date(p.until), triggered: false });
+      }
+    }
+    let triggered = false;
+    for (const [symbol, candles] of candlesBySymbol) {
+      if (paused.has(symbol)) continue;
+      const reason = this._atrSpike(candles, v.atrSpikeMultiplier);
+      if (!reason) continue;
+      paused.set(symbol, { reason, until: new Date(now.getTime() + (v.pauseMinutes ?? 60) * 60_000), triggered: true });
+      triggered = true;
+    }
+    return { paused, changed: triggered || paused.size !== saved.size };
+  }
+
+  /**
+   * Why the last candle is an ATR spike (true range ≥ multiplier × ATR(14)), or null.
+   */
+  _atrSpike(candles, multiplier) {
+    if (!(multiplier > 0) || !(candles?.length > 16)) return null;
+    const atr  = calculateATR(candles, 14);
+    const last = candles.length - 1;
+    const prevClose = candles[last - 1].close;
+    const tr = Math.max(candles[last].high - candles[last].low, Math.abs(candles[last].high - prevClose), Math.abs(candles[last].low - prevClose));
+    const ratio = atr[last - 1] > 0 ? tr / atr[last - 1] : 0;
+    return ratio >= multiplier ? `ATR spike: last candle range ${ratio.toFixed(1)}x ATR(14)` : null;
+  }
+
+  /**
+   * BTC % change over the last hour of 5m candles, or null when unavailable.
+   */
+  async _btcHourlyMove() {
+    try {
+      const candles = await marketDataService.fetchCandles('BTCUSDT', '5m', 'spot');
+      if (!candles || candles.length < 13) return null;
+      const from = candles[candles.length - 13].close;
+      return from > 0 ? ((candles[candles.length - 1].close - from) / from) * 100 : null;
+    } catch (err) {
+      console.warn(`[TradingSchedule] BTC candles unavailable: ${err.message}`);
+      return null;
+    }
+  }
+}
+
+export default new TradingSchedule();
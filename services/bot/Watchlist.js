@@ -0,0 +1,119 @@
+import { calcVolumeMA } from './IndicatorEngine.js';
+
+const MOMENTUM_BARS = 24;
+
+/**
+ * Watchlist - multi-pair bots for candle strategies (BotConfig.watchlist, symbol 'MULTI').
+ *
+ * BotEngine runs the strategy once per watchlist symbol on a scoped copy of the bot:
+ * `symbol` is that pair and `capitalAllocation.totalCapital` its weighted share, so
+ * strategies written for one pair size and tag their signals unchanged. Entries
+ * are then ranked and checked against per-symbol position limits and the capital
+ * still free, best first.
+ */
+class Watchlist {
+  enabled(bot) {
+    return bot.symbol === 'MULTI' && bot.watchlist?.length > 0;
+  }
+
+  /**
+   * Capital share of each symbol: totalCapital × weight / sum of weights.
+   * @returns {Map<string, number>}
+   */
+  allocations(bot) {
+    const total   = bot.capitalAllocation.totalCapital;
+    const weights = bot.watchlist.reduce((sum, w) => sum + (w.weight ?? 1), 0);
+    return new Map(bot.watchlist.map(w => [w.symbol, (total * (w.weight ?? 1)) / weights]));
+  }
+
+  /**
+   * The bot as the strategy should see it for one watchlist entry.
+   */
+  scope(bot, entry) {
+    const plain = bot.toObject ? bot.toObject() : bot;
+    return {
+      ...plain,
+      symbol: entry.symbol,
+      capitalAllocation: {
+        ...plain.capitalAllocation,
+        totalCapital:     this.allocations(bot).get(entry.symbol),
+        maxOpenPositions: entry.maxOpenPositions ?? plain.capitalAllocation.maxOpenPositions,
+      },
+    };
+  }
+
+  /**
+   * Order entry signals best first by the bot's watchlistRanking:
+   *   'weight'   — higher weight first (then watchlist order)
+   *   'momentum' — stronger return over the last 24 candles first
+   *   'volume'   — higher volume vs its 20-candle average first
+   * @param {Object} bot
+   * @param {Object[]} buys - entry signals tagged with their symbol
+   * @param {Map<string, Object[]>} candlesBySymbol
+   */
+  rank(bot, buys, candlesBySymbol) {
+    const order = new Map(bot.watchlist.map((w, i) => [w.symbol, i]));
+    const score = (symbol) => {
+      const candles = candlesBySymbol.get(symbol) || [];
+      const last = candles.length - 1;
+      switch (bot.watchlistRanking) {
+        case 'momentum': {
+          const from = candles[Math.max(0, last - MOMENTUM_BARS)]?.close;
+          return from > 0 ? candles[last].close / from - 1 : -Infinity;
+        }
+        case 'volume': {
+          const avg = calcVolumeMA(candles.map(c => c.volume), 20);
+          return avg > 0 ? candles[last].volume / avg : -Infinity;
+        }
+        default:
+          return bot.watchlist.find(w => w.symbol === symbol)?.weight ?? 1;
+      }
+    };
+    return [...buys].sort((a, b) => (score(b.symbol) - score(a.symbol)) || (order.get(a.symbol) - order.get(b.symbol)));
+  }
+
+  /**
+   * Split ranked entries into those that fit and those that don't: each symbol
+   * stays within its maxOpenPositions, and an entry must fit in the capital not
+   * already committed to open positions (margin for futures).
+   * @param {Object} bot
+   * @param {Object[]} buys - ranked entry signals
+   * @param {Object[]} openPositions
+   * @param {(symbol: string) => number|null} priceOf
+   * @returns {{ accepted: Object[], rejected: { signal: Object, reason: string }[] }}
+   */
+  allocate(bot, buys, openPositions, priceOf) {
+    const limits = new Map(bot.watchlist.map(w => [w.symbol, w.maxOpenPositions ?? Infinity]));
+    const counts = new Map();
+    for (const p of openPositions) counts.set(p.symbol, (counts.get(p.symbol) || 0) + 1);
+
+    const committed = openPositions.reduce((sum, p) => {
+      const open = (p.remainingAmount ?? p.amount) / p.amount;
+      return sum + (p.initialMargin ?? p.cost) * open;
+    }, 0);
+    let free = bot.capitalAllocation.totalCapital - committed;
+
+    const accepted = [];
+    const rejected = [];
+    for (const signal of buys) {
+      const count = counts.get(signal.symbol) || 0;
+      if (count >= (limits.get(signal.symbol) ?? Infinity)) {
+        rejected.push({ signal, reason: `${signal.symbol} already has ${count} open position(s) (limit ${limits.get(signal.symbol)})` });
+        continue;
+      }
+      const price    = signal.entryPrice || priceOf(signal.symbol);
+      const leverage = bot.marketType === 'futures' ? Math.max(1, signal.leverage || bot.strategyParams?.leverage || 1) : 1;
+      const needed   = price ? (signal.amount * price) / leverage : 0;
+      if (needed > free) {
+        rejected.push({ signal, reason: `Not enough free capital for ${signal.symbol} (${needed.toFixed(2)} needed, ${Math.max(0, free).toFixed(2)} free)` });
+        continue;
+      }
+      free -= needed;
+      counts.set(signal.symbol, count + 1);
+      accepted.push(signal);
+    }
+    return { accepted, rejected };
+  }
+}
+
+export default new Watchlist();
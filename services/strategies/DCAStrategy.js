@@ -3,11 +3,16 @@
  * Buys a fixed dollar amount at regular time intervals regardless of price.
  * Simple and effective for long-term accumulation.
  */
-import Trade from '../../models/bot/Trade.js';
+import Trade, { ledgerFilter } from '../../models/bot/Trade.js';
 import riskEngine from '../bot/RiskEngine.js';
 
 class DCAStrategy {
-  async analyze(bot, candles, openPositions) {
+  /**
+   * @param {Object} [context] - supplied by the backtester / replay instead of wall-clock + DB state
+   * @param {number} [context.now]       - current time (ms)
+   * @param {number|null} [context.lastBuyAt] - time of the last buy (ms), null if none
+   */
+  async analyze(bot, candles, openPositions, context = {}) {
     if (candles.length < 2) return [];
 
     const signals = [];
@@ -33,9 +38,17 @@ class DCAStrategy {
 
     // Check if it's time for the next DCA buy
     const intervalMs = (params.dcaIntervalHours || 24) * 60 * 60 * 1000;
-    const lastBuy = await Trade.findOne({ botId: bot._id, side: 'buy' }).sort({ executedAt: -1 });
-    const lastBuyTime = lastBuy?.executedAt?.getTime() || 0;
-    const timeSinceLastBuy = Date.now() - lastBuyTime;
+    let lastBuyTime;
+    if (context.lastBuyAt !== undefined) {
+      lastBuyTime = context.lastBuyAt || 0;
+    } else {
+      const filter  = { botId: bot._id, side: 'buy', pnl: null, ...ledgerFilter(bot) };   // entries only — short covers are buys too
+      if (context.now != null) filter.executedAt = { $lte: new Date(context.now) };
+      if (bot.watchlist?.length) filter.symbol = bot.symbol;   // each watchlist pair keeps its own schedule
+      const lastBuy = await Trade.findOne(filter).sort({ executedAt: -1 });
+      lastBuyTime = lastBuy?.executedAt?.getTime() || 0;
+    }
+    const timeSinceLastBuy = (context.now ?? Date.now()) - lastBuyTime;
 
     if (timeSinceLastBuy >= intervalMs) {
       const dcaAmount = params.dcaAmountPerOrder || 100;
@@ -0,0 +1,389 @@
+/**
+ * RuleBasedStrategy - generic interpreter for user-defined JSON rule documents.
+ *
+ * A rule document describes entry/exit conditions built from IndicatorEngine
+ * primitives and is stored in the CustomStrategy collection, so new strategies
+ * can be shipped without a server deploy. The interpreter emits the same
+ * buy/sell signal objects as the hard-coded strategies.
+ *
+ * Rule document:
+ *   {
+ *     side:         'long' | 'short',                 (short = futures bots only)
+ *     entry:        { all: [cond, ...] } | { any: [cond, ...] },
+ *     exit?:        group,                            (closes with reason 'strategy_exit')
+ *     stopLoss:     { type: 'atr', multiplier, period? } | { type: 'percent', value },
+ *     takeProfit?:  { type: 'atr', multiplier, period? } | { type: 'percent', value } | { type: 'rr', value },
+ *     sizing?:      { type: 'portion', portions } | { type: 'risk', riskPercent },
+ *     maxPositions?: number
+ *   }
+ *
+ * Condition: { left: operand, op: '>'|'>='|'<'|'<='|'crosses_above'|'crosses_below', right: operand|number }
+ * Groups ({ all } / { any }) may be nested inside conditions up to MAX_DEPTH levels.
+ *
+ * Operand: { indicator, period?, multiplier? } where indicator is one of
+ *   close open high low volume   — raw candle fields
+ *   rsi ema sma atr volume_ma    — period-based series
+ *   atr_band_upper atr_band_lower — EMA(period) ± bandMultiplier × ATR(atrPeriod)
+ *   value                         — constant ({ indicator: 'value', value: 30 })
+ * `multiplier` scales the operand, e.g. volume > 1.5 × volume_ma.
+ */
+import {
+  calculateEMA,
+  calculateSMA,
+  calculateRSI,
+  calculateATR
+} from '../bot/IndicatorEngine.js';
+import riskEngine from '../bot/RiskEngine.js';
+
+export const RULE_INDICATORS = [
+  'close', 'open', 'high', 'low', 'volume',
+  'rsi', 'ema', 'sma', 'atr', 'volume_ma',
+  'atr_band_upper', 'atr_band_lower',
+  'value'
+];
+
+export const RULE_OPERATORS = ['>', '>=', '<', '<=', 'crosses_above', 'crosses_below'];
+
+const DEFAULT_PERIODS = { rsi: 14, ema: 20, sma: 20, atr: 14, volume_ma: 20, atr_band_upper: 20, atr_band_lower: 20 };
+
+// Candles fetched per tick are capped at 250 — leave room for the cross check
+const MAX_PERIOD       = 240;
+const MAX_DEPTH        = 3;
+const MAX_CONDITIONS   = 20;
+const MAX_POSITIONS    = 20;
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+function validatePeriod(value, path, errors) {
+  if (value === undefined) return;
+  if (!Number.isInteger(value) || value < 2 || value > MAX_PERIOD) {
+    errors.push(`${path} must be an integer between 2 and ${MAX_PERIOD}`);
+  }
+}
+
+function validatePositive(value, path, errors, { required = true } = {}) {
+  if (value === undefined && !required) return;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    errors.push(`${path} must be a positive number`);
+  }
+}
+
+function validateOperand(operand, path, errors) {
+  if (typeof operand === 'number') {
+    if (!Number.isFinite(operand)) errors.push(`${path} must be a finite number`);
+    return;
+  }
+  if (!operand || typeof operand !== 'object') {
+    errors.push(`${path} must be a number or an indicator operand`);
+    return;
+  }
+  if (!RULE_INDICATORS.includes(operand.indicator)) {
+    errors.push(`${path}.indicator must be one of: ${RULE_INDICATORS.join(', ')}`);
+    return;
+  }
+  if (operand.indicator === 'value') {
+    if (typeof operand.value !== 'number' || !Number.isFinite(operand.value)) {
+      errors.push(`${path}.value must be a number`);
+    }
+    return;
+  }
+  validatePeriod(operand.period, `${path}.period`, errors);
+  validatePeriod(operand.atrPeriod, `${path}.atrPeriod`, errors);
+  validatePositive(operand.multiplier, `${path}.multiplier`, errors, { required: false });
+  validatePositive(operand.bandMultiplier, `${path}.bandMultiplier`, errors, { required: false });
+}
+
+function validateGroup(group, path, errors, depth, counter) {
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    errors.push(`${path} must be an object with an "all" or "any" array`);
+    return;
+  }
+  const key = Array.isArray(group.all) ? 'all' : Array.isArray(group.any) ? 'any' : null;
+  if (!key) {
+    errors.push(`${path} must contain an "all" or "any" array`);
+    return;
+  }
+  if (group[key].length === 0) {
+    errors.push(`${path}.${key} must contain at least one condition`);
+    return;
+  }
+  if (depth > MAX_DEPTH) {
+    errors.push(`${path} nests deeper than ${MAX_DEPTH} levels`);
+    return;
+  }
+
+  group[key].forEach((cond, i) => {
+    const condPath = `${path}.${key}[${i}]`;
+    if (cond && (Array.isArray(cond.all) || Array.isArray(cond.any))) {
+      validateGroup(cond, condPath, errors, depth + 1, counter);
+      return;
+    }
+    counter.count += 1;
+    if (!cond || typeof cond !== 'object') {
+      errors.push(`${condPath} must be a condition object`);
+      return;
+    }
+    if (!RULE_OPERATORS.includes(cond.op)) {
+      errors.push(`${condPath}.op must be one of: ${RULE_OPERATORS.join(', ')}`);
+    }
+    validateOperand(cond.left, `${condPath}.left`, errors);
+    validateOperand(cond.right, `${condPath}.right`, errors);
+  });
+}
+
+function validateLevel(level, path, errors, allowedTypes) {
+  if (!level || typeof level !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (!allowedTypes.includes(level.type)) {
+    errors.push(`${path}.type must be one of: ${allowedTypes.join(', ')}`);
+    return;
+  }
+  if (level.type === 'atr') {
+    validatePositive(level.multiplier, `${path}.multiplier`, errors);
+    validatePeriod(level.period, `${path}.period`, errors);
+  } else {
+    validatePositive(level.value, `${path}.value`, errors);
+    if (level.type === 'percent' && level.value >= 100) errors.push(`${path}.value must be below 100`);
+  }
+}
+
+/**
+ * Validate a rule document.
+ * @param {Object} rules
+ * @returns {string[]} human-readable errors (empty when valid)
+ */
+export function validateRuleDocument(rules) {
+  const errors = [];
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return ['rules must be an object'];
+  }
+
+  if (rules.side !== undefined && !['long', 'short'].includes(rules.side)) {
+    errors.push('side must be "long" or "short"');
+  }
+
+  const counter = { count: 0 };
+  validateGroup(rules.entry, 'entry', errors, 1, counter);
+  if (rules.exit !== undefined) validateGroup(rules.exit, 'exit', errors, 1, counter);
+  if (counter.count > MAX_CONDITIONS) {
+    errors.push(`at most ${MAX_CONDITIONS} conditions are allowed (found ${counter.count})`);
+  }
+
+  validateLevel(rules.stopLoss, 'stopLoss', errors, ['atr', 'percent']);
+  if (rules.takeProfit !== undefined && rules.takeProfit !== null) {
+    validateLevel(rules.takeProfit, 'takeProfit', errors, ['atr', 'percent', 'rr']);
+  }
+
+  if (rules.sizing !== undefined) {
+    const { sizing } = rules;
+    if (!sizing || !['portion', 'risk'].includes(sizing.type)) {
+      errors.push('sizing.type must be "portion" or "risk"');
+    } else if (sizing.type === 'portion') {
+      if (!Number.isInteger(sizing.portions) || sizing.portions < 1 || sizing.portions > 50) {
+        errors.push('sizing.portions must be an integer between 1 and 50');
+      }
+    } else if (typeof sizing.riskPercent !== 'number' || sizing.riskPercent <= 0 || sizing.riskPercent > 10) {
+      errors.push('sizing.riskPercent must be between 0 and 10');
+    }
+  }
+
+  if (rules.maxPositions !== undefined &&
+      (!Number.isInteger(rules.maxPositions) || rules.maxPositions < 1 || rules.maxPositions > MAX_POSITIONS)) {
+    errors.push(`maxPositions must be an integer between 1 and ${MAX_POSITIONS}`);
+  }
+
+  return errors;
+}
+
+// ─── Interpreter ────────────────────────────────────────────────────────────
+
+class RuleBasedStrategy {
+  /**
+   * @param {Object} rules - validated rule document
+   */
+  constructor(rules) {
+    this.rules = rules;
+  }
+
+  /**
+   * Analyze market and return trading signals.
+   * @param {Object} bot - BotConfig document
+   * @param {Object[]} candles - OHLCV array, newest last
+   * @param {Object[]} openPositions - open Position documents for this bot
+   * @returns {Promise<Object[]>}
+   */
+  async analyze(bot, candles, openPositions) {
+    const rules   = this.rules;
+    const signals = [];
+    if (!candles || candles.length < 3) return signals;
+
+    const series       = this._seriesCache(candles);
+    const lastIdx      = candles.length - 1;
+    const currentPrice = candles[lastIdx].close;
+
+    // ── 1. Exits: protective levels first, then the rule-defined exit ────────
+    const exitNow = rules.exit ? this._evaluateGroup(rules.exit, series, lastIdx) : false;
+    for (const position of openPositions) {
+      const exit = riskEngine.checkExitConditions(position, currentPrice);
+      if (exit.shouldClose) {
+        signals.push({ action: 'sell', positionId: position._id, portionIndex: position.portionIndex, reason: exit.reason });
+      } else if (exitNow) {
+        signals.push({ action: 'sell', positionId: position._id, portionIndex: position.portionIndex, reason: 'strategy_exit' });
+      }
+    }
+
+    // ── 2. Entry ─────────────────────────────────────────────────────────────
+    const side         = rules.side || 'long';
+    const maxPositions = rules.maxPositions || 1;
+    const stillOpen    = openPositions.filter(p => !signals.some(s => s.positionId?.toString() === p._id.toString()));
+
+    if (stillOpen.length >= maxPositions) return signals;
+    if (side === 'short' && bot.marketType !== 'futures') return signals;
+    if (!this._evaluateGroup(rules.entry, series, lastIdx)) return signals;
+
+    const isShort = side === 'short';
+    const atrSL   = series.get({ indicator: 'atr', period: rules.stopLoss.period || 14 })[lastIdx];
+
+    let stopLossPrice;
+    if (rules.stopLoss.type === 'atr') {
+      if (!atrSL) return signals;
+      stopLossPrice = isShort
+        ? currentPrice + atrSL * rules.stopLoss.multiplier
+        : currentPrice - atrSL * rules.stopLoss.multiplier;
+    } else {
+      const pct = rules.stopLoss.value / 100;
+      stopLossPrice = isShort ? currentPrice * (1 + pct) : currentPrice * (1 - pct);
+    }
+    const riskDistance = Math.abs(currentPrice - stopLossPrice);
+    if (!(riskDistance > 0)) return signals;
+
+    let takeProfitPrice = null;
+    const tp = rules.takeProfit;
+    if (tp) {
+      let distance;
+      if (tp.type === 'atr') {
+        const atrTP = series.get({ indicator: 'atr', period: tp.period || 14 })[lastIdx];
+        distance = atrTP ? atrTP * tp.multiplier : null;
+      } else if (tp.type === 'percent') {
+        distance = currentPrice * tp.value / 100;
+      } else {
+        distance = riskDistance * tp.value;
+      }
+      if (distance) takeProfitPrice = isShort ? currentPrice - distance : currentPrice + distance;
+    }
+
+    const leverage = bot.marketType === 'futures' ? (bot.strategyParams?.leverage || 1) : 1;
+    const capital  = bot.capitalAllocation?.totalCapital || 100;
+    const sizing   = rules.sizing || { type: 'portion', portions: maxPositions };
+    let amount;
+    if (sizing.type === 'risk') {
+      const maxLoss = capital * sizing.riskPercent / 100;
+      // Never exceed the leveraged capital regardless of how tight the stop is
+      amount = Math.min(maxLoss / riskDistance, (capital * leverage) / currentPrice);
+    } else {
+      amount = ((capital / sizing.portions) * leverage) / currentPrice;
+    }
+    if (!Number.isFinite(amount) || amount <= 0) return signals;
+
+    const usedSlots = new Set(stillOpen.map(p => p.portionIndex));
+    let portionIndex = 0;
+    while (usedSlots.has(portionIndex)) portionIndex++;
+
+    signals.push({
+      action: 'buy',
+      side,
+      portionIndex,
+      amount,
+      takeProfitPrice,
+      stopLossPrice,
+      reason: 'entry'
+    });
+
+    return signals;
+  }
+
+  // ─── Evaluation ──────────────────────────────────────────────────────────
+
+  _evaluateGroup(group, series, idx) {
+    const conds = group.all || group.any;
+    const check = (cond) => (cond.all || cond.any)
+      ? this._evaluateGroup(cond, series, idx)
+      : this._evaluateCondition(cond, series, idx);
+    return group.all ? conds.every(check) : conds.some(check);
+  }
+
+  _evaluateCondition({ left, op, right }, series, idx) {
+    const l = this._valueAt(left, series, idx);
+    const r = this._valueAt(right, series, idx);
+    if (l == null || r == null) return false;
+
+    switch (op) {
+      case '>':  return l > r;
+      case '>=': return l >= r;
+      case '<':  return l < r;
+      case '<=': return l <= r;
+      case 'crosses_above':
+      case 'crosses_below': {
+        const pl = this._valueAt(left, series, idx - 1);
+        const pr = this._valueAt(right, series, idx - 1);
+        if (pl == null || pr == null) return false;
+        return op === 'crosses_above' ? (pl <= pr && l > r) : (pl >= pr && l < r);
+      }
+      default: return false;
+    }
+  }
+
+  _valueAt(operand, series, idx) {
+    if (idx < 0) return null;
+    if (typeof operand === 'number') return operand;
+    if (operand.indicator === 'value') return operand.value;
+    const value = series.get(operand)[idx];
+    return value == null ? null : value * (operand.multiplier || 1);
+  }
+
+  /**
+   * Lazily computes and memoises indicator series for one analyze() call.
+   */
+  _seriesCache(candles) {
+    const cache   = new Map();
+    const closes  = candles.map(c => c.close);
+    const volumes = candles.map(c => c.volume);
+
+    const compute = ({ indicator, period, atrPeriod, bandMultiplier }) => {
+      const p = period || DEFAULT_PERIODS[indicator];
+      switch (indicator) {
+        case 'close':
+        case 'open':
+        case 'high':
+        case 'low':
+        case 'volume':    return candles.map(c => c[indicator]);
+        case 'rsi':       return calculateRSI(closes, p);
+        case 'ema':       return calculateEMA(closes, p);
+        case 'sma':       return calculateSMA(closes, p);
+        case 'atr':       return calculateATR(candles, p);
+        case 'volume_ma': return calculateSMA(volumes, p);
+        case 'atr_band_upper':
+        case 'atr_band_lower': {
+          const mid  = calculateEMA(closes, p);
+          const atr  = calculateATR(candles, atrPeriod || 14);
+          const sign = indicator === 'atr_band_upper' ? 1 : -1;
+          const k    = bandMultiplier || 2;
+          return mid.map((m, i) => (m == null || atr[i] == null) ? null : m + sign * k * atr[i]);
+        }
+        default: return candles.map(() => null);
+      }
+    };
+
+    return {
+      get(operand) {
+        const key = `${operand.indicator}:${operand.period || ''}:${operand.atrPeriod || ''}:${operand.bandMultiplier || ''}`;
+        if (!cache.has(key)) cache.set(key, compute(operand));
+        return cache.get(key);
+      }
+    };
+  }
+}
+
+export default RuleBasedStrategy;
@@ -296,6 +296,8 @@ class SmartSignalStrategy {
       takeProfitPrice: best.takeProfit,
       stopLossPrice:   best.stopLoss,
       tp1Price,
+      entryPrice:      best.entry,  // limit price for execution.priceRef = 'signal'
+      leverage,
       reason:          'smart_signal',
       confidence:      best.confidenceScore,
       score:           best.score,
@@ -0,0 +1,79 @@
+/**
+ * StrategyRegistry - resolves a bot to the strategy that analyses it.
+ *
+ * Built-in strategies are hard-coded classes registered at import time.
+ * 'custom_rules' bots are resolved at tick time from their CustomStrategy
+ * document and executed by the generic RuleBasedStrategy interpreter.
+ */
+import CustomStrategy from '../../models/bot/CustomStrategy.js';
+import RuleBasedStrategy from './RuleBasedStrategy.js';
+
+import smartSignal  from './SmartSignalStrategy.js';
+import adaptiveGrid from './AdaptiveGridStrategy.js';
+import dca          from './DCAStrategy.js';
+import breakout     from './BreakoutStrategy.js';
+import emaCrossover from './EMAStrategy.js';
+import rsiReversal  from './RSIReversalStrategy.js';
+import scalper      from './ScalperStrategy.js';
+import swingRider   from './SwingRiderStrategy.js';
+
+export const CUSTOM_STRATEGY_ID = 'custom_rules';
+
+class StrategyRegistry {
+  constructor() {
+    // Map: strategyId => { strategy, timeframe }
+    this._builtIns = new Map();
+  }
+
+  /**
+   * Register a built-in strategy.
+   * @param {string} id
+   * @param {{ analyze: Function }} strategy
+   * @param {string} timeframe - tick / candle timeframe
+   */
+  register(id, strategy, timeframe) {
+    if (typeof strategy?.analyze !== 'function') {
+      throw new Error(`Strategy "${id}" must implement analyze(bot, candles, openPositions)`);
+    }
+    this._builtIns.set(id, { strategy, timeframe });
+  }
+
+  has(id) {
+    return id === CUSTOM_STRATEGY_ID || this._builtIns.has(id);
+  }
+
+  /**
+   * Resolve the strategy + timeframe for a bot.
+   * @param {Object} bot - BotConfig document
+   * @returns {Promise<{ strategy: Object, timeframe: string, version?: number }|null>}
+   */
+  async resolve(bot) {
+    if (bot.strategyId !== CUSTOM_STRATEGY_ID) {
+      return this._builtIns.get(bot.strategyId) || null;
+    }
+
+    if (!bot.customStrategyId) return null;
+    const doc = await CustomStrategy.findById(bot.customStrategyId).lean();
+    if (!doc) return null;
+
+    return {
+      strategy:  new RuleBasedStrategy(doc.rules),
+      timeframe: doc.timeframe || '1h',
+      version:   doc.version,
+    };
+  }
+}
+
+const registry = new StrategyRegistry();
+
+registry.register('smart_signal',  smartSignal,  '5m');
+registry.register('ai_signal',     smartSignal,  '5m');   // legacy alias — existing bots keep working
+registry.register('adaptive_grid', adaptiveGrid, '1h');
+registry.register('dca',           dca,          '1h');   // dcaIntervalHours is checked on each hourly tick
+registry.register('breakout',      breakout,     '1d');   // breakoutLookbackDays counts daily candles
+registry.register('ema_crossover', emaCrossover, '4h');
+registry.register('rsi_reversal',  rsiReversal,  '1h');
+registry.register('scalper',       scalper,      '5m');
+registry.register('swing_rider',   swingRider,   '1h');
+
+export default registry;